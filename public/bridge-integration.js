@@ -35,9 +35,17 @@
   // handler can call refreshTimeDomainFromFreq / refreshTimeDomainFromPCM.
   // Without this, strict-mode block-scoping makes the functions unreachable.
   const bridgeTimeArray = new Uint8Array(2048);
-  let phaseLow = 0;
-  let phaseMid = 0;
-  let phaseHigh = 0;
+  let bandPhases = [];
+
+  // Frequency bands come from the app (window.__visualizerBands, see
+  // src/js/analysis/frequencyBands.js); this mirrors its defaults until it publishes them.
+  const FALLBACK_BANDS = [
+    { name: 'low', minHz: 5, maxHz: 75 },
+    { name: 'mid', minHz: 75, maxHz: 4500 },
+    { name: 'high', minHz: 4500, maxHz: 24000 },
+  ];
+  // Sample rate of the bridge's spectrum; AUDIO_DATA may override it via msg.sampleRate.
+  let bridgeSampleRate = 44100;
 
   const bandAvg = (src, start, count) => {
     const len = src.length;
@@ -56,31 +64,39 @@
 
   function refreshTimeDomainFromFreq(srcArray) {
     if (!srcArray || !srcArray.length) return;
-
-    const lowAvg = bandAvg(srcArray, 0, 96);          // ~0-375Hz depending on FFT size
-    const midAvg = bandAvg(srcArray, 96, 192);        // mids
-    const highAvg = bandAvg(srcArray, 288, 256);      // highs/tops
-
-    const lowAmp = scaleAmp(lowAvg, 8, 110);
-    const midAmp = scaleAmp(midAvg, 4, 70);
-    const highAmp = scaleAmp(highAvg, 2, 36);
-
-    const lowStep = 0.010 + lowAvg * 0.00015;
-    const midStep = 0.032 + midAvg * 0.0002;
-    const highStep = 0.085 + highAvg * 0.00025;
+    const bands = Array.isArray(window.__visualizerBands) && window.__visualizerBands.length
+      ? window.__visualizerBands
+      : FALLBACK_BANDS;
+    // The byte spectrum covers 0..Nyquist, so each bin spans sampleRate / (2 * length) Hz.
+    const binHz = bridgeSampleRate / (srcArray.length * 2);
+    const count = bands.length;
+    // Keep the overall swing of the original three-voice mix whatever the band count.
+    const share = 3 / Math.max(3, count);
+
+    // One sine voice per band: low bands swing wider and slower, high bands narrower and faster.
+    const voices = bands.map((band, b) => {
+      const start = Math.max(0, Math.floor(band.minHz / binHz));
+      const end = Math.max(start + 1, Math.ceil(band.maxHz / binHz));
+      const avg = bandAvg(srcArray, start, end - start);
+      const t = count > 1 ? b / (count - 1) : 0;
+      return {
+        amp: scaleAmp(avg, (8 - 6 * t) * share, (110 - 74 * t) * share),
+        step: 0.010 * Math.pow(8.5, t) + avg * (0.00015 + 0.0001 * t),
+      };
+    });
+    if (bandPhases.length !== count) bandPhases = new Array(count).fill(0);
 
     for (let i = 0; i < bridgeTimeArray.length; i++) {
-      const sLow = Math.sin(phaseLow + i * lowStep);
-      const sMid = Math.sin(phaseMid + i * midStep);
-      const sHigh = Math.sin(phaseHigh + i * highStep);
-      const noise = (Math.random() - 0.5) * 6;
-      const val = 128 + sLow * lowAmp + sMid * midAmp + sHigh * highAmp + noise;
+      let val = 128 + (Math.random() - 0.5) * 6;
+      for (let b = 0; b < count; b++) {
+        val += Math.sin(bandPhases[b] + i * voices[b].step) * voices[b].amp;
+      }
       bridgeTimeArray[i] = Math.max(0, Math.min(255, Math.floor(val)));
     }
 
-    phaseLow += lowStep * bridgeTimeArray.length;
-    phaseMid += midStep * bridgeTimeArray.length;
-    phaseHigh += highStep * bridgeTimeArray.length;
+    for (let b = 0; b < count; b++) {
+      bandPhases[b] += voices[b].step * bridgeTimeArray.length;
+    }
   }
 
   function refreshTimeDomainFromPCM(srcArray) {
@@ -96,8 +112,37 @@
     return len > 0;
   }
 
+  // Per-channel data for the app's stereo analysers (tagged with __bridgeChannel).
+  // Filled from the optional frequencyDataLeft/Right and timeDataLeft/Right fields
+  // of AUDIO_DATA; they mirror the mono arrays when the bridge only sends mono.
+  const bridgeFreqArrayL = new Uint8Array(2048);
+  const bridgeFreqArrayR = new Uint8Array(2048);
+  const bridgeTimeArrayL = new Uint8Array(2048);
+  const bridgeTimeArrayR = new Uint8Array(2048);
+
+  const copyPadded = (dst, src, pad) => {
+    const len = src ? Math.min(src.length, dst.length) : 0;
+    for (let i = 0; i < len; i++) dst[i] = src[i];
+    for (let i = len; i < dst.length; i++) dst[i] = pad;
+  };
+
+  function refreshStereoArrays(msg, monoFreq, toByteSpectrum) {
+    const left = msg.frequencyDataLeft ? toByteSpectrum(msg.frequencyDataLeft) : null;
+    const right = msg.frequencyDataRight ? toByteSpectrum(msg.frequencyDataRight) : null;
+    copyPadded(bridgeFreqArrayL, left && right ? left : monoFreq, 0);
+    copyPadded(bridgeFreqArrayR, left && right ? right : monoFreq, 0);
+
+    const isArrayLike = (v) => Array.isArray(v) || ArrayBuffer.isView(v);
+    const hasStereoTime = isArrayLike(msg.timeDataLeft) && isArrayLike(msg.timeDataRight);
+    const toBytes = (v) => (v instanceof Uint8Array ? v : new Uint8Array(v));
+    copyPadded(bridgeTimeArrayL, hasStereoTime ? toBytes(msg.timeDataLeft) : bridgeTimeArray, 128);
+    copyPadded(bridgeTimeArrayR, hasStereoTime ? toBytes(msg.timeDataRight) : bridgeTimeArray, 128);
+  }
+
   // Expose bridgeTimeArray globally so visualizers (e.g. Butterchurn) can read it.
   window.__bridgeTimeArray = bridgeTimeArray;
+  window.__bridgeTimeArrayL = bridgeTimeArrayL;
+  window.__bridgeTimeArrayR = bridgeTimeArrayR;
 
   // Hide UI elements if requested — but keep lil-gui controls accessible
   if (hideui) {
@@ -221,6 +266,7 @@
         if (!analyser || !analyser.data) break;
 
         const hasFreq = !!msg.frequencyData;
+        if (Number.isFinite(msg.sampleRate) && msg.sampleRate > 0) bridgeSampleRate = msg.sampleRate;
         const hasTime = Array.isArray(msg.timeData) || ArrayBuffer.isView(msg.timeData);
 
         const toByteSpectrum = (payload) => {
@@ -425,6 +471,14 @@
           }
         }
 
+        if (handled) {
+          try {
+            refreshStereoArrays(msg, analyser.data, toByteSpectrum);
+          } catch (err) {
+            console.warn('[Visualizer] Failed to apply stereo audio data', err);
+          }
+        }
+
         if (handled && analyser && analyser.data) {
           // Track basic stats to help debug “silent” streams.
           const data = analyser.data;
@@ -573,31 +627,47 @@
     if (window.AnalyserNode && window.AnalyserNode.prototype) {
       const originalGetByteFrequencyData = window.AnalyserNode.prototype.getByteFrequencyData;
       
+      // The app's left/right analysers get their channel's data, everything else the mono mix.
+      const channelFreq = (node) => node.__bridgeChannel === 'left' ? bridgeFreqArrayL : node.__bridgeChannel === 'right' ? bridgeFreqArrayR : null;
+      const channelTime = (node) => node.__bridgeChannel === 'left' ? bridgeTimeArrayL : node.__bridgeChannel === 'right' ? bridgeTimeArrayR : bridgeTimeArray;
+
       window.AnalyserNode.prototype.getByteFrequencyData = function(array) {
         // Copy bridge data into the array being requested
-        if (bridgeDataArray && array) {
-          const length = Math.min(bridgeDataArray.length, array.length);
+        const source = channelFreq(this) || bridgeDataArray;
+        if (source && array) {
+          const length = Math.min(source.length, array.length);
           for (let i = 0; i < length; i++) {
-            array[i] = bridgeDataArray[i];
+            array[i] = source[i];
           }
         }
         // Don't call original - we're providing all the data
       };
 
       window.AnalyserNode.prototype.getByteTimeDomainData = function(array) {
-        if (bridgeTimeArray && array) {
-          const length = Math.min(bridgeTimeArray.length, array.length);
+        const source = channelTime(this);
+        if (source && array) {
+          const length = Math.min(source.length, array.length);
+          for (let i = 0; i < length; i++) {
+            array[i] = source[i];
+          }
+        }
+      };
+
+      window.AnalyserNode.prototype.getFloatTimeDomainData = function(array) {
+        const source = channelTime(this);
+        if (source && array) {
+          const length = Math.min(source.length, array.length);
           for (let i = 0; i < length; i++) {
-            array[i] = bridgeTimeArray[i];
+            array[i] = (source[i] - 128) / 128;
           }
         }
       };
 
       window.AnalyserNode.prototype.getFloatFrequencyData = function(array) {
         // Use the most current data source available
-        const activeData = (window.App && window.App.audioManager && window.App.audioManager.audioAnalyser && window.App.audioManager.audioAnalyser.data)
+        const activeData = channelFreq(this) || ((window.App && window.App.audioManager && window.App.audioManager.audioAnalyser && window.App.audioManager.audioAnalyser.data)
           ? window.App.audioManager.audioAnalyser.data
-          : bridgeDataArray;
+          : bridgeDataArray);
 
         if (activeData && array) {
           const length = Math.min(activeData.length, array.length);
@@ -619,7 +689,7 @@
         }
       };
       
-      console.log('[Visualizer] ✓ Patched AnalyserNode.getByteFrequencyData');
+      console.log('[Visualizer] ✓ Patched AnalyserNode data getters');
     }
     
     // Intercept audio element creation to prevent actual audio loading
@@ -0,0 +1,77 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { PNG } from 'pngjs'
+
+// Generates the noise textures bundled for shader channels (see src/shaders-config/README.md):
+//
+// - public/textures/rgba-noise-64.png: 64x64 RGBA, every channel uniform noise;
+// - public/textures/gray-noise-3d-32.bin: 32³ single-channel noise volume, in the
+//   Shadertoy volume format the `volume` channel type loads ('BIN\0', uint32 width,
+//   height, depth, uint8 channels, uint8 layout, uint16 format, then the voxels).
+//
+// The noise is seeded, so running `npm run gen:noise` again writes the same files.
+
+const PNG_SIZE = 64
+const PNG_SEED = 1
+const VOLUME_SIZE = 32
+const VOLUME_SEED = 2
+const VOLUME_HEADER_BYTES = 20
+
+// mulberry32
+function createRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function fillNoise(bytes, seed) {
+  const random = createRandom(seed)
+  for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(random() * 256)
+}
+
+function makeNoisePng() {
+  const png = new PNG({ width: PNG_SIZE, height: PNG_SIZE, colorType: 6 })
+  fillNoise(png.data, PNG_SEED)
+  return PNG.sync.write(png, { deflateLevel: 9 })
+}
+
+function makeNoiseVolume() {
+  const buffer = Buffer.alloc(VOLUME_HEADER_BYTES + VOLUME_SIZE ** 3)
+  buffer.write('BIN\0', 0, 'latin1')
+  buffer.writeUInt32LE(VOLUME_SIZE, 4)
+  buffer.writeUInt32LE(VOLUME_SIZE, 8)
+  buffer.writeUInt32LE(VOLUME_SIZE, 12)
+  buffer.writeUInt8(1, 16) // channels
+  buffer.writeUInt8(0, 17) // layout
+  buffer.writeUInt16LE(0, 18) // format: uint8
+  fillNoise(buffer.subarray(VOLUME_HEADER_BYTES), VOLUME_SEED)
+  return buffer
+}
+
+async function main() {
+  const root = process.cwd()
+  const dir = path.resolve(root, 'public', 'textures')
+
+  try {
+    await fs.mkdir(dir, { recursive: true })
+    const outputs = [
+      ['rgba-noise-64.png', makeNoisePng()],
+      ['gray-noise-3d-32.bin', makeNoiseVolume()],
+    ]
+    for (const [name, data] of outputs) {
+      const outPath = path.join(dir, name)
+      await fs.writeFile(outPath, data)
+      console.log(`[gen-noise-textures] wrote ${path.relative(root, outPath)} (${data.length} bytes)`)
+    }
+  } catch (err) {
+    console.error('[gen-noise-textures] failed to generate textures', err)
+    process.exitCode = 1
+  }
+}
+
+main()
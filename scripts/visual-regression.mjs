@@ -0,0 +1,323 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { createServer } from 'vite'
+import puppeteer from 'puppeteer'
+import { PNG } from 'pngjs'
+import pixelmatch from 'pixelmatch'
+
+// Visual regression harness: renders every visualizer headlessly and compares the
+// last frame with a golden image.
+//
+// A Vite dev server serves the app plus a synthetic test track (kick / snare / hats,
+// bass and a pad at 120 BPM, generated below, so no media files are needed). Headless
+// Chrome renders with SwiftShader (software WebGL); the page is opened with
+// `?regression`, which makes the app expose capture/RegressionRunner.js. For each
+// visualizer the runner renders N fixed-timestep frames on a virtual clock, then this
+// script flags visualizers that throw in init() or update(), render black, or differ
+// from their golden image by more than the tolerance.
+//
+//   npm run test:visual -- [--update] [--allow-missing] [--filter <text>] [--category entity|shader|milkdrop]
+//                          [--frames 60] [--fps 30] [--size 256x144] [--limit N]
+//                          [--threshold 0.1] [--tolerance 0.02] [--min-lit 0.001]
+//                          [--timeout 60]
+//
+// Goldens live in test/visual/golden/<name>.png (`--update` writes them and records the
+// browser that rendered them in browser.json); a visualizer without one fails unless
+// `--allow-missing` is given. Actual and diff images of failures, and report.json, go to
+// test/visual/output/.
+
+const root = process.cwd()
+const goldenDir = path.resolve(root, 'test', 'visual', 'golden')
+const outputDir = path.resolve(root, 'test', 'visual', 'output')
+const SIGNAL_PATH = '/__regression/signal.wav'
+const BROWSER_INFO = 'browser.json'
+
+const DEFAULTS = {
+  update: false,
+  allowMissing: false,
+  filter: '',
+  category: '',
+  frames: 60,
+  fps: 30,
+  size: '256x144',
+  limit: 0,
+  threshold: 0.1, // pixelmatch per-pixel colour threshold (0..1)
+  tolerance: 0.02, // share of pixels allowed to differ
+  minLit: 0.001, // share of non-black pixels below which a frame counts as black
+  timeout: 60, // s per visualizer
+}
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS }
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+    if (!(key in DEFAULTS)) throw new Error(`Unknown option: ${argv[i]}`)
+    if (typeof DEFAULTS[key] === 'boolean') options[key] = true
+    else options[key] = typeof DEFAULTS[key] === 'number' ? Number(argv[++i]) : String(argv[++i] ?? '')
+  }
+  const [width, height] = options.size.split('x').map(Number)
+  if (!(width > 0 && height > 0)) throw new Error(`Invalid --size: ${options.size}`)
+  return { ...options, width, height }
+}
+
+// -------------------------------------------------------------------
+// Test signal
+// -------------------------------------------------------------------
+
+// mulberry32, so the noise (and the golden images) are the same on every run.
+function createRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// 16-bit stereo WAV: 120 BPM, kick on every beat, snare on 2 and 4, hats on eighths,
+// a bass line per bar and a sustained chord.
+function createTestSignalWav({ seconds = 16, sampleRate = 44100, bpm = 120 } = {}) {
+  const random = createRandom(0x5eed)
+  const length = seconds * sampleRate
+  const left = new Float32Array(length)
+  const right = new Float32Array(length)
+  const beat = 60 / bpm
+  const bassNotes = [55, 55, 65.41, 49]
+  const chord = [220, 277.18, 329.63]
+
+  for (let i = 0; i < length; i++) {
+    const t = i / sampleRate
+    const beatIndex = Math.floor(t / beat)
+    const tb = t - beatIndex * beat // time since the beat
+    const te = t % (beat / 2) // time since the eighth note
+    const noise = random() * 2 - 1
+
+    const kickFreq = 50 + 100 * Math.exp(-tb * 30)
+    const kick = Math.sin(2 * Math.PI * kickFreq * tb) * Math.exp(-tb * 8)
+    const snare = beatIndex % 2 === 1 ? (noise * 0.6 + Math.sin(2 * Math.PI * 180 * tb) * 0.4) * Math.exp(-tb * 18) : 0
+    const hat = noise * Math.exp(-te * 120) * 0.25
+    const bass = Math.sin(2 * Math.PI * bassNotes[Math.floor(beatIndex / 4) % bassNotes.length] * t) * 0.35
+    const pad = chord.reduce((sum, f) => sum + Math.sin(2 * Math.PI * f * t), 0) * 0.06 * (0.75 + 0.25 * Math.sin(2 * Math.PI * 0.25 * t))
+
+    const center = kick * 0.8 + snare * 0.5 + bass
+    left[i] = (center + hat * 1.2 + pad * 0.8) * 0.7
+    right[i] = (center + hat * 0.8 + pad * 1.2) * 0.7
+  }
+
+  const data = Buffer.alloc(44 + length * 4)
+  data.write('RIFF', 0)
+  data.writeUInt32LE(36 + length * 4, 4)
+  data.write('WAVEfmt ', 8)
+  data.writeUInt32LE(16, 16)
+  data.writeUInt16LE(1, 20) // PCM
+  data.writeUInt16LE(2, 22)
+  data.writeUInt32LE(sampleRate, 24)
+  data.writeUInt32LE(sampleRate * 4, 28)
+  data.writeUInt16LE(4, 32)
+  data.writeUInt16LE(16, 34)
+  data.write('data', 36)
+  data.writeUInt32LE(length * 4, 40)
+  const clip = (v) => Math.round(Math.max(-1, Math.min(1, v)) * 32767)
+  for (let i = 0; i < length; i++) {
+    data.writeInt16LE(clip(left[i]), 44 + i * 4)
+    data.writeInt16LE(clip(right[i]), 46 + i * 4)
+  }
+  return data
+}
+
+function testSignalPlugin(wav) {
+  return {
+    name: 'visual-regression-signal',
+    configureServer(server) {
+      server.middlewares.use(SIGNAL_PATH, (req, res) => {
+        res.setHeader('Content-Type', 'audio/wav')
+        res.setHeader('Content-Length', wav.length)
+        res.end(wav)
+      })
+    },
+  }
+}
+
+// -------------------------------------------------------------------
+// Browser session
+// -------------------------------------------------------------------
+
+async function openPage(browser, baseUrl, options) {
+  const page = await browser.newPage()
+  await page.setViewport({ width: options.width, height: options.height, deviceScaleFactor: 1 })
+  const params = new URLSearchParams({
+    track: new URL(SIGNAL_PATH, baseUrl).href,
+    autoQuality: '0',
+    dpr: '1',
+    aa: '0',
+  })
+  await page.goto(`${baseUrl}?regression&${params}`, { waitUntil: 'load' })
+  // The app starts on the first click.
+  await page.mouse.click(options.width / 2, options.height / 2)
+  await page.waitForFunction(() => window.__visualizerRegression, { timeout: 120_000 })
+  await page.evaluate(() => window.__visualizerRegression.prepare())
+  return page
+}
+
+function withTimeout(promise, seconds) {
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${seconds}s`)), seconds * 1000)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// -------------------------------------------------------------------
+// Comparison
+// -------------------------------------------------------------------
+
+function fileName(name) {
+  return `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'visualizer'}.png`
+}
+
+function pngBytes(dataUrl) {
+  return Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64')
+}
+
+async function readPng(filePath) {
+  try {
+    return PNG.sync.read(await fs.readFile(filePath))
+  } catch (err) {
+    if (err.code === 'ENOENT') return null
+    throw err
+  }
+}
+
+// Returns { status, detail } for a render result; writes golden / actual / diff images.
+async function check(result, options) {
+  const name = fileName(result.name)
+  if (!result.ok) return { status: result.stage, detail: result.error.split('\n')[0] }
+  if (result.litFraction < options.minLit) {
+    await fs.writeFile(path.join(outputDir, name), pngBytes(result.image))
+    return { status: 'black', detail: `${(result.litFraction * 100).toFixed(3)}% lit` }
+  }
+
+  const actual = PNG.sync.read(pngBytes(result.image))
+  const goldenPath = path.join(goldenDir, name)
+  if (options.update) {
+    await fs.writeFile(goldenPath, PNG.sync.write(actual))
+    return { status: 'updated', detail: '' }
+  }
+
+  const golden = await readPng(goldenPath)
+  if (!golden) {
+    await fs.writeFile(path.join(outputDir, name), PNG.sync.write(actual))
+    return { status: 'new', detail: 'no golden image (run with --update)' }
+  }
+  if (golden.width !== actual.width || golden.height !== actual.height) {
+    await fs.writeFile(path.join(outputDir, name), PNG.sync.write(actual))
+    return { status: 'mismatch', detail: `size ${actual.width}x${actual.height}, golden ${golden.width}x${golden.height}` }
+  }
+
+  const diff = new PNG({ width: actual.width, height: actual.height })
+  const changed = pixelmatch(golden.data, actual.data, diff.data, actual.width, actual.height, { threshold: options.threshold })
+  const ratio = changed / (actual.width * actual.height)
+  if (ratio <= options.tolerance) return { status: 'pass', detail: `${(ratio * 100).toFixed(2)}% differs` }
+
+  await fs.writeFile(path.join(outputDir, name), PNG.sync.write(actual))
+  await fs.writeFile(path.join(outputDir, name.replace(/\.png$/, '.diff.png')), PNG.sync.write(diff))
+  return { status: 'mismatch', detail: `${(ratio * 100).toFixed(2)}% differs` }
+}
+
+const FAILURES = ['init', 'update', 'timeout', 'black', 'mismatch']
+
+// SwiftShader output changes between Chrome builds, so goldens only hold for the build
+// that rendered them: --update records it, other runs warn when it differs.
+async function checkBrowser(version, options) {
+  const infoPath = path.join(goldenDir, BROWSER_INFO)
+  if (options.update) {
+    await fs.writeFile(infoPath, `${JSON.stringify({ browser: version, size: options.size }, null, 2)}\n`, 'utf8')
+    return
+  }
+  let info = null
+  try {
+    info = JSON.parse(await fs.readFile(infoPath, 'utf8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  if (info && info.browser !== version) {
+    console.warn(`[visual-regression] goldens were rendered with ${info.browser}, this run uses ${version}; expect mismatches`)
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  await fs.mkdir(goldenDir, { recursive: true })
+  await fs.rm(outputDir, { recursive: true, force: true })
+  await fs.mkdir(outputDir, { recursive: true })
+
+  const server = await createServer({
+    logLevel: 'warn',
+    server: { port: 0, open: false },
+    plugins: [testSignalPlugin(createTestSignalWav())],
+  })
+  const report = []
+  let browser = null
+  try {
+    await server.listen()
+    const baseUrl = server.resolvedUrls.local[0]
+    browser = await puppeteer.launch({
+      headless: true,
+      args: [
+        '--use-angle=swiftshader',
+        '--enable-unsafe-swiftshader',
+        '--autoplay-policy=no-user-gesture-required',
+        '--no-sandbox',
+      ],
+    })
+    await checkBrowser(await browser.version(), options)
+
+    let page = await openPage(browser, baseUrl, options)
+    let list = await page.evaluate(() => window.__visualizerRegression.listVisualizers())
+    if (options.category) list = list.filter((v) => v.category === options.category)
+    if (options.filter) list = list.filter((v) => v.name.toLowerCase().includes(options.filter.toLowerCase()))
+    if (options.limit > 0) list = list.slice(0, options.limit)
+    console.log(`[visual-regression] ${list.length} visualizer(s), ${options.frames} frames at ${options.fps} fps, ${options.width}x${options.height}`)
+
+    for (const { name, category } of list) {
+      let result
+      try {
+        result = await withTimeout(
+          page.evaluate((n, o) => window.__visualizerRegression.render(n, o), name, { frames: options.frames, fps: options.fps }),
+          options.timeout
+        )
+      } catch (err) {
+        result = { name, ok: false, stage: 'timeout', error: String(err.message || err), errors: [] }
+        // A hung page can't be trusted with the next visualizer.
+        await page.close().catch(() => {})
+        page = await openPage(browser, baseUrl, options)
+      }
+
+      const { status, detail } = await check(result, options)
+      const entry = { name, category, status, detail, errors: result.errors }
+      report.push(entry)
+      const warn = result.errors.length ? ` (${result.errors.length} console error(s))` : ''
+      console.log(`${status.toUpperCase().padEnd(8)} ${name}${detail ? ` – ${detail}` : ''}${warn}`)
+    }
+  } finally {
+    await browser?.close()
+    await server.close()
+  }
+
+  await fs.writeFile(path.join(outputDir, 'report.json'), `${JSON.stringify(report, null, 2)}\n`, 'utf8')
+  const failures = options.allowMissing ? FAILURES : [...FAILURES, 'new']
+  const failed = report.filter((r) => failures.includes(r.status))
+  const counts = report.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {})
+  console.log(`[visual-regression] ${Object.entries(counts).map(([k, v]) => `${v} ${k}`).join(', ')}`)
+  if (failed.length) {
+    console.error(`[visual-regression] ${failed.length} failure(s); see ${path.relative(root, outputDir)}`)
+    process.exitCode = 1
+  }
+}
+
+main().catch((err) => {
+  console.error('[visual-regression] failed', err)
+  process.exitCode = 1
+})
@@ -1,6 +1,8 @@
 import * as THREE from 'three'
 import { ENTITY_VISUALIZER_NAMES, createEntityVisualizerByName } from './visualizers/entityRegistry'
-import { SHADER_VISUALIZER_NAMES, createShaderVisualizerByName } from './visualizers/shaderRegistry'
+import { SHADER_VISUALIZER_NAMES, createShaderVisualizerByName, deleteUserShader, getShaderConfigByName, getShaderTitle, getUserShaderNames, isUserShader, saveUserShader, setShaderChannelOverride } from './visualizers/shaderRegistry'
+import { normalizeChannelBinding, parseShadertoyJson } from './visualizers/shadertoyImport'
+import { CATALOG_FILTERS, getCatalogLabel, getCatalogWeight, getVisualizerCategory, normalizeCatalog, recordRecent, searchCatalog, updateCatalogEntry } from './visualizers/visualizerCatalog'
 
 // MilkDrop (Butterchurn) presets are lazy-loaded to keep the initial bundle small.
 // The module and its heavy dependencies (~800 kB) are fetched on first use.
@@ -10,11 +12,28 @@ const _milkdropReady = import('./visualizers/milkdropRegistry').then((m) => {
   return m
 })
 import { loadSpectrumFilters } from './spectrumFilters'
-import GUI from 'lil-gui'
+import GUI, { NumberController } from 'lil-gui'
 import BPMManager from './managers/BPMManager'
+import AutoPilotManager, { AUTOPILOT_CATEGORIES, normalizeAutoPilotSettings } from './managers/AutoPilotManager'
+import ModulationManager, { LFO_SOURCE } from './managers/ModulationManager'
 import { VideoSyncClient } from './sync-client/SyncClient.mjs'
 import AudioManager from './managers/AudioManager'
-import { createShaderControls } from './shaderCustomization'
+import { TEST_SIGNAL_TYPES, normalizeTestSignal } from './audio/TestSignal'
+import PlaylistManager, { isPlaylistName } from './managers/PlaylistManager'
+import { analyzeBeatGrid } from './analysis/beatGrid'
+import { DEFAULT_BANDS, sanitizeBands } from './analysis/frequencyBands'
+import { MODULATION_SOURCES, bandSource } from './analysis/modulationSources'
+import TransitionRenderer, { TRANSITION_MODES } from './rendering/TransitionRenderer'
+import LayerCompositor, { MAX_LAYERS, getLayerOpacity, normalizeLayerSettings } from './rendering/LayerCompositor'
+import PostProcessor, { isPostChainActive, normalizePostChain } from './rendering/PostProcessor'
+import LiveRecorder, { isLiveRecordingSupported } from './capture/LiveRecorder'
+import AnalysisRecorder from './capture/AnalysisRecorder'
+import { ANALYSIS_FILE_EXTENSION, decodeAnalysisRecording, encodeAnalysisRecording, findMediaTime, getRecordingBeatGrid } from './capture/analysisFile'
+import { downloadBlob, fileSafeName, timestampedFileName } from './capture/download'
+import { SNAPSHOT_SIZES, captureSnapshot } from './capture/snapshot'
+import { readPngText } from './capture/pngText'
+import { createShaderControls, getShaderControlStorageKey } from './shaderCustomization'
+import { SCENE_FILE_EXTENSION, SCENE_VERSION, createSceneUrl, decodeScene, getSceneParam, normalizeSceneState, sceneFromJson, sceneToJson } from './sceneState'
 
 class WebGLGpuTimer {
   constructor(gl) {
@@ -141,11 +160,12 @@ export default class App {
   //Managers
   static audioManager = null
   static bpmManager = null
+  static playlistManager = null
 
   // Visualizer management
   static currentVisualizer = null
   static visualizerType = 'Reactive Particles'
-  static visualizerList = [...ENTITY_VISUALIZER_NAMES, ...SHADER_VISUALIZER_NAMES]
+  static visualizerList = [...ENTITY_VISUALIZER_NAMES, ...SHADER_VISUALIZER_NAMES, ...getUserShaderNames()]
   static _milkdropNamesAppended = false
 
   constructor() {
@@ -154,6 +174,7 @@ export default class App {
 
     // Bind hotkey handler
     this.onKeyDown = (e) => this.handleKeyDown(e)
+    this.onShaderKeyboardFocus = (e) => this._onShaderKeyboardFocus(e)
 
     // Bridge messaging (iframe -> parent)
     this.bridgeTarget = window.parent && window.parent !== window ? window.parent : null
@@ -185,16 +206,64 @@ export default class App {
 
     this.bridgeGuiHotspotEnabled = false
 
+    // Playlist playback state (see initPlaylist())
+    this._trackLoadToken = 0
+    this._trackLoadFailures = 0
+    this._trackLoading = null // promise of the track _playTrack() is loading
+    this.fileDropOverlay = null
+    this._beatAnalysisToken = 0
+
     // Toast showing the current visualizer name
     this.visualizerToast = null
     this.visualizerToastHideTimer = null
 
+    // Visualizer transitions (see switchVisualizer() and rendering/TransitionRenderer.js)
+    this.transitionRenderer = null
+    this._transition = null
+
+    // Extra visualizers drawn over the current one (see addLayer())
+    this.layers = []
+    this.layerCompositor = null
+    this._nextLayerId = 1
+
+    // Post-processing chain over the finished frame (see rendering/PostProcessor.js)
+    this.postProcessor = null
+
+    // Audio-driven parameters of the current visualizer (see setupModulation())
+    this.modulation = new ModulationManager()
+
+    // While layers or post effects are shown, only the Three.js canvas is (see _hideOutputCanvases()).
+    this._compositeCanvasDisplay = null // Three.js canvas display to restore afterwards
+    this._compositeHiddenCanvases = new Set()
+
+    // Offline video export (see capture/VideoExporter.js): while set, frames are only
+    // rendered by explicit update(now, { step: true }) calls, never by requestAnimationFrame.
+    this.fixedTimestep = false
+    this.videoExporter = null
+
+    // Real-time recording of the screen + audio (see capture/LiveRecorder.js)
+    this.liveRecorder = null
+
+    // Audio analysis capture / replay (see capture/analysisFile.js)
+    this.analysisRecorder = null
+    this._analysisStatusAt = 0
+    this._replaySession = null // what to restore when the replay stops
+
     this.storageKeys = {
       playbackPosition: 'visualizer.playbackPosition',
+      playbackTrack: 'visualizer.playbackTrack',
       visualizerType: 'visualizer.lastType',
       fv3Presets: 'visualizer.fv3.presets',
-      fv3SelectedPreset: 'visualizer.fv3.selectedPreset'
+      fv3SelectedPreset: 'visualizer.fv3.selectedPreset',
+      transition: 'visualizer.transition',
+      autoPilot: 'visualizer.autopilot',
+      catalog: 'visualizer.catalog',
+      layers: 'visualizer.layers',
+      post: 'visualizer.post'
     }
+    this.visualizerCatalog = this.getStoredVisualizerCatalog()
+    this.transitionSettings = this.getStoredTransitionSettings()
+    this.postChain = this.getStoredPostChain()
 
     // Per-visualizer quality overrides (localStorage keys are derived from visualizer type).
     this.performanceQualityFolder = null
@@ -322,6 +391,145 @@ export default class App {
         }
         break
 
+      case 'set-frequency-bands': {
+        const bands = sanitizeBands(msg.bands)
+        if (!bands) break
+        this.saveVisualizerBands(App.visualizerType, bands)
+        this.applyVisualizerBands(App.visualizerType)
+        // Band names are modulation sources.
+        this._broadcastModulation()
+        break
+      }
+
+      case 'reset-frequency-bands':
+        this.saveVisualizerBands(App.visualizerType, null)
+        this.applyVisualizerBands(App.visualizerType)
+        this._broadcastModulation()
+        break
+
+      case 'set-transition':
+        this.setTransitionSettings({ mode: msg.mode, duration: msg.duration })
+        break
+
+      case 'set-autopilot':
+        this.setAutoPilotSettings(msg.settings)
+        break
+
+      case 'update-catalog-entry':
+        this.updateVisualizerCatalog(msg.name, { favorite: msg.favorite, rating: msg.rating, tags: msg.tags })
+        break
+
+      case 'export-video':
+        this.exportVideo(msg.options)
+        break
+
+      case 'cancel-export':
+        this.videoExporter?.cancel()
+        break
+
+      case 'take-snapshot':
+        // takeSnapshot() reports failures itself.
+        this.takeSnapshot({ width: msg.width }).catch(() => {})
+        break
+
+      case 'add-layer':
+        if (msg.name) this.addLayer(msg.name, msg.settings).catch((e) => console.warn('[Visualizer] Failed to add layer:', e))
+        break
+
+      case 'remove-layer':
+        this.removeLayer(msg.id)
+        break
+
+      case 'update-layer':
+        this.updateLayer(msg.id, msg.changes)
+        break
+
+      case 'move-layer':
+        this.moveLayer(msg.id, msg.delta)
+        break
+
+      case 'set-post-chain':
+        this.setPostChain(msg.chain)
+        break
+
+      case 'add-modulation':
+        if (this.modulation.addBinding(msg.target, msg.settings)) this._saveModulation()
+        break
+
+      case 'update-modulation':
+        if (this.modulation.updateBinding(msg.id, msg.changes)) this._saveModulation()
+        break
+
+      case 'remove-modulation':
+        if (this.modulation.removeBinding(msg.id)) this._saveModulation()
+        break
+
+      case 'set-test-signal':
+        this.setTestSignal(msg.signal || null)
+        break
+
+      case 'start-analysis-capture':
+        this.startAnalysisCapture({ stereo: !!msg.stereo })
+        break
+
+      case 'stop-analysis-capture':
+        this.stopAnalysisCapture()
+        break
+
+      case 'load-analysis-replay':
+        if (msg.data) this.startAnalysisReplay(msg.data, { start: msg.start, trackTime: msg.trackTime, loop: msg.loop !== false, name: msg.name })
+        break
+
+      case 'stop-analysis-replay':
+        this.stopAnalysisReplay()
+        break
+
+      case 'compile-shader':
+        this.compileShaderSource(msg.source)
+        break
+
+      case 'revert-shader':
+        // Recreating the visualizer reloads its saved source.
+        if (typeof App.currentVisualizer?.setSource === 'function') this.switchVisualizer(App.visualizerType, { notify: false, immediate: true })
+        break
+
+      case 'save-user-shader':
+        this.saveUserShader(msg.title, msg.source)
+        break
+
+      case 'delete-user-shader':
+        this.deleteUserShader(msg.name)
+        break
+
+      case 'import-shadertoy':
+        this.importShadertoyShader(msg.json)
+        break
+
+      case 'set-shader-channel':
+        this.setShaderChannel(msg.pass, msg.channel, msg.input)
+        break
+
+      case 'set-shader-keyboard-focus':
+        App.currentVisualizer?.setKeyboardFocus?.(!!msg.focused)
+        break
+
+      case 'get-scene-url':
+        this.getSceneUrl().catch((e) => {
+          console.warn('[Visualizer] Failed to create scene link:', e)
+          this._broadcastToControls({ type: 'scene-url', url: null, error: e?.message || String(e) })
+        })
+        break
+
+      case 'download-scene':
+        this.downloadSceneFile()
+        break
+
+      case 'load-scene': {
+        const scene = sceneFromJson(msg.json)
+        if (scene) this.applySceneState(scene).catch((e) => console.warn('[Visualizer] Failed to load scene:', e))
+        break
+      }
+
       default:
         break
     }
@@ -337,6 +545,15 @@ export default class App {
     this._broadcastVisualizerChanged()
     // And quality state
     this._broadcastQualityState()
+    this._broadcastFrequencyBands(App.visualizerType)
+    this._broadcastTransitionSettings()
+    this._broadcastAutoPilotSettings()
+    this._broadcastVisualizerCatalog()
+    this._broadcastLayers()
+    this._broadcastPostChain()
+    this._broadcastModulation()
+    this._broadcastTestSignal()
+    this._broadcastAnalysisStatus()
   }
 
   _broadcastVisualizerChanged() {
@@ -356,6 +573,22 @@ export default class App {
       msg.shaderConfig = v.shaderConfig
     }
     this._broadcastToControls(msg)
+    this._broadcastShaderSource()
+  }
+
+  _broadcastFrequencyBands(type) {
+    if (!this._controlsChannel) return
+    this._broadcastToControls({
+      type: 'frequency-bands',
+      visualizer: type,
+      bands: App.audioManager?.bands || DEFAULT_BANDS,
+      isCustom: !!this.getStoredVisualizerBands(type),
+    })
+  }
+
+  _broadcastTransitionSettings() {
+    if (!this._controlsChannel) return
+    this._broadcastToControls({ type: 'transition-settings', ...this.transitionSettings })
   }
 
   _broadcastQualityState() {
@@ -451,6 +684,10 @@ export default class App {
 
   getStoredPlaybackPosition() {
     try {
+      // A stored position belongs to the track it was saved for.
+      const storedTrack = window.localStorage.getItem(this.storageKeys.playbackTrack)
+      const currentTrack = App.audioManager?.song?.url
+      if (storedTrack && currentTrack && storedTrack !== currentTrack) return 0
       const value = window.localStorage.getItem(this.storageKeys.playbackPosition)
       const parsed = value ? Number(value) : 0
       return Number.isFinite(parsed) ? parsed : 0
@@ -463,6 +700,8 @@ export default class App {
     if (!Number.isFinite(time)) return
     try {
       window.localStorage.setItem(this.storageKeys.playbackPosition, String(time))
+      const track = App.audioManager?.song?.url
+      if (track) window.localStorage.setItem(this.storageKeys.playbackTrack, track)
     } catch (error) {
       // ignore storage errors
     }
@@ -486,6 +725,68 @@ export default class App {
     }
   }
 
+  _getPerVisualizerBandsKey(type) {
+    return `visualizer[${String(type || '').trim()}].bands`
+  }
+
+  getStoredVisualizerBands(type) {
+    try {
+      const raw = window.localStorage.getItem(this._getPerVisualizerBandsKey(type))
+      return raw ? sanitizeBands(JSON.parse(raw)) : null
+    } catch (error) {
+      return null
+    }
+  }
+
+  saveVisualizerBands(type, bands) {
+    try {
+      const key = this._getPerVisualizerBandsKey(type)
+      if (bands) window.localStorage.setItem(key, JSON.stringify(bands))
+      else window.localStorage.removeItem(key)
+    } catch (error) {
+      // ignore storage errors
+    }
+  }
+
+  // Frequency bands for a visualizer: the user's saved set, else the visualizer's
+  // own `defaultBands`, else the shared defaults.
+  applyVisualizerBands(type) {
+    const bands = this.getStoredVisualizerBands(type) || sanitizeBands(App.currentVisualizer?.defaultBands) || DEFAULT_BANDS
+    App.audioManager?.setBands(bands)
+    this._broadcastFrequencyBands(type)
+  }
+
+  _normalizeTransitionSettings({ mode, duration } = {}) {
+    const d = Number(duration)
+    return {
+      mode: TRANSITION_MODES.includes(mode) ? mode : 'crossfade',
+      duration: Number.isFinite(d) ? Math.max(0, Math.min(10, d)) : 1,
+    }
+  }
+
+  getStoredTransitionSettings() {
+    try {
+      const raw = window.localStorage.getItem(this.storageKeys.transition)
+      return this._normalizeTransitionSettings(raw ? JSON.parse(raw) : {})
+    } catch (error) {
+      return this._normalizeTransitionSettings()
+    }
+  }
+
+  // Transition used by switchVisualizer(): a mode from TRANSITION_MODES and a duration in seconds.
+  setTransitionSettings(settings) {
+    const next = { ...this.transitionSettings }
+    if (settings?.mode !== undefined) next.mode = settings.mode
+    if (settings?.duration !== undefined) next.duration = settings.duration
+    this.transitionSettings = this._normalizeTransitionSettings(next)
+    try {
+      window.localStorage.setItem(this.storageKeys.transition, JSON.stringify(this.transitionSettings))
+    } catch (error) {
+      // ignore storage errors
+    }
+    this._broadcastTransitionSettings()
+  }
+
   _getGlobalQualityDefaultKeys() {
     return {
       antiAlias: 'visualizer.defaults.quality.antiAlias',
@@ -819,6 +1120,7 @@ export default class App {
     const playPauseBtn = document.getElementById('play-pause-btn')
     const muteBtn = document.getElementById('mute-btn')
     const micBtn = document.getElementById('mic-btn')
+    const recordBtn = document.getElementById('record-btn')
     const lockBtn = document.getElementById('lock-btn')
     const openControlsBtn = document.getElementById('open-controls-btn')
     const syncButton = document.getElementById('syncButton')
@@ -949,10 +1251,27 @@ export default class App {
       })
     }
 
+    // A test signal or shader sound plays in place of the track (see AudioManager).
+    const isPlaying = () => {
+      const audioManager = App.audioManager
+      if (!audioManager) return false
+      if (audioManager.isUsingTestSignal || audioManager.isUsingShaderSound) return audioManager.isPlaying
+      return !!audioManager.audio && !audioManager.audio.paused
+    }
+
     const updatePlayState = () => {
-      if (!App.audioManager?.audio) return
-      const isPlaying = !App.audioManager.audio.paused
-      playPauseBtn.textContent = isPlaying ? 'pause_circle' : 'play_circle'
+      if (!App.audioManager || !playPauseBtn) return
+      playPauseBtn.textContent = isPlaying() ? 'pause_circle' : 'play_circle'
+    }
+
+    // The media element may only be created later (starting on a test signal).
+    let watchedAudio = null
+    const watchAudio = () => {
+      const audio = App.audioManager?.audio
+      if (!audio || audio === watchedAudio) return
+      audio.addEventListener('play', updatePlayState)
+      audio.addEventListener('pause', updatePlayState)
+      watchedAudio = audio
     }
 
     const updateMuteState = () => {
@@ -968,6 +1287,8 @@ export default class App {
     }
 
     const updateTime = () => {
+      watchAudio()
+      updatePlayState()
       if (!App.audioManager?.audio) return
       const audio = App.audioManager.audio
       const current = audio.currentTime || 0
@@ -979,21 +1300,18 @@ export default class App {
     }
 
     playPauseBtn?.addEventListener('click', () => {
-      if (!App.audioManager?.audio) return
-      const audio = App.audioManager.audio
-      if (audio.paused) {
-        audio.play()
+      const audioManager = App.audioManager
+      if (!audioManager || !(audioManager.audio || audioManager.isUsingTestSignal || audioManager.isUsingShaderSound)) return
+      if (isPlaying()) {
+        audioManager.pause()
       } else {
-        audio.pause()
+        audioManager.play()
       }
       updatePlayState()
       resetVisibility()
     })
 
-    if (App.audioManager?.audio) {
-      App.audioManager.audio.addEventListener('play', updatePlayState)
-      App.audioManager.audio.addEventListener('pause', updatePlayState)
-    }
+    watchAudio()
 
     muteBtn?.addEventListener('click', () => {
       if (!App.audioManager) return
@@ -1002,11 +1320,43 @@ export default class App {
       resetVisibility()
     })
 
-    // Microphone toggle not implemented; keep button disabled.
+    const updateMicState = () => {
+      if (!micBtn) return
+      const usingMic = !!App.audioManager?.isUsingMicrophone
+      micBtn.textContent = usingMic ? 'mic' : 'mic_off'
+      micBtn.title = usingMic ? 'Switch back to the track' : 'Use microphone input'
+      micBtn.classList.toggle('active', usingMic)
+    }
+
     if (micBtn) {
-      micBtn.disabled = true
-      micBtn.title = 'Microphone input not available in this build'
-      micBtn.textContent = 'mic_off'
+      micBtn.disabled = !navigator.mediaDevices?.getUserMedia || this.isBridgeMode()
+      if (micBtn.disabled) micBtn.title = 'Microphone input not available'
+      micBtn.addEventListener('click', async () => {
+        await this.toggleMicrophone()
+        updateMicState()
+        updatePlayState()
+        resetVisibility()
+      })
+      if (!micBtn.disabled) updateMicState()
+    }
+
+    const updateRecordState = () => {
+      if (!recordBtn) return
+      const recording = !!this.liveRecorder
+      recordBtn.textContent = recording ? 'stop_circle' : 'fiber_manual_record'
+      recordBtn.title = recording ? 'Stop recording and download' : 'Record video with audio'
+      recordBtn.classList.toggle('active', recording)
+    }
+
+    if (recordBtn) {
+      recordBtn.disabled = !isLiveRecordingSupported()
+      if (recordBtn.disabled) recordBtn.title = 'Recording not supported by this browser'
+      recordBtn.addEventListener('click', async () => {
+        await this.toggleRecording()
+        updateRecordState()
+        resetVisibility()
+      })
+      if (!recordBtn.disabled) updateRecordState()
     }
 
     // Lock button functionality
@@ -1041,6 +1391,9 @@ export default class App {
 
     updateLockState()
 
+    this._initPlaylistControls({ resetVisibility })
+    this._initFileDropZone(rendererRoot)
+
     positionSlider?.addEventListener('mousedown', () => { isSeeking = true })
     positionSlider?.addEventListener('mouseup', () => { isSeeking = false })
     positionSlider?.addEventListener('input', (e) => {
@@ -1095,6 +1448,406 @@ export default class App {
     })
   }
 
+  // -------------------------------------------------------------------
+  // Playlist / track queue
+  // -------------------------------------------------------------------
+
+  async initPlaylist() {
+    const playlist = new PlaylistManager()
+    App.playlistManager = playlist
+    playlist.restore()
+
+    // `?playlist=<url>` replaces the queue, `?track=<url>` adds (or selects) a single track.
+    const urlParams = this.urlParams || new URLSearchParams(window.location.search || '')
+    const playlistUrl = urlParams.get('playlist')
+    const trackUrl = urlParams.get('track')
+    try {
+      if (playlistUrl) {
+        playlist.clear()
+        await playlist.addUrl(playlistUrl)
+        playlist.select(0)
+      }
+      if (trackUrl) {
+        const existing = playlist.tracks.findIndex((t) => t.url === trackUrl)
+        playlist.select(existing >= 0 ? existing : playlist.add({ url: trackUrl }))
+      }
+    } catch (e) {
+      console.warn('[Visualizer] Failed to load playlist from URL:', e)
+    }
+
+    if (playlist.current) {
+      App.audioManager.song.url = playlist.current.url
+    }
+    this._syncTrackLoop()
+
+    playlist.addEventListener('trackchange', (e) => {
+      this._trackLoading = this._playTrack(e.track)
+    })
+    playlist.addEventListener('currentremoved', () => {
+      // Nothing left to play: stop the removed track (its blob URL is revoked by now).
+      this._trackLoadToken++
+      App.audioManager?.unloadTrack()
+    })
+    playlist.addEventListener('trackupdate', (e) => {
+      if (e.track === playlist.current) this.showTrackToast(e.track)
+    })
+    playlist.addEventListener('change', () => {
+      this._syncTrackLoop()
+      this._renderPlaylistPanel()
+    })
+  }
+
+  // Native looping covers the fallback song, repeat-one and a single-track repeat-all queue.
+  _syncTrackLoop() {
+    const playlist = App.playlistManager
+    if (!App.audioManager || !playlist) return
+    const loop = playlist.length === 0 || playlist.repeat === 'one' || (playlist.length === 1 && playlist.repeat === 'all')
+    App.audioManager.setLoop(loop)
+  }
+
+  async _playTrack(track) {
+    const audioManager = App.audioManager
+    if (!audioManager || !track) return
+
+    const token = ++this._trackLoadToken
+    try {
+      await audioManager.loadTrack(track.url, { autoplay: !audioManager.isUsingMicrophone })
+      if (token !== this._trackLoadToken) return
+      this._trackLoadFailures = 0
+      this.savePlaybackPosition(0)
+      this.showTrackToast(track)
+      this.analyzeTrackBeats()
+    } catch (e) {
+      if (token !== this._trackLoadToken) return
+      console.warn('[Visualizer] Failed to load track:', track.url, e)
+      // Skip unplayable entries, but give up once every track in the queue has failed.
+      this._trackLoadFailures = (this._trackLoadFailures || 0) + 1
+      if (this._trackLoadFailures < App.playlistManager.length) {
+        App.playlistManager.next()
+      }
+    }
+  }
+
+  isBridgeMode() {
+    const params = this.urlParams || new URLSearchParams(window.location.search || '')
+    return params.get('hideui') === '1' || params.get('autostart') === '1'
+  }
+
+  // -------------------------------------------------------------------
+  // Beat analysis
+  // -------------------------------------------------------------------
+
+  /**
+   * Decodes the current track and replaces the interval beat timer with a
+   * phase-aligned beat grid. Falls back to the recorded-snippet BPM guess when
+   * the track can't be fetched/decoded (CORS, size).
+   */
+  async analyzeTrackBeats() {
+    const audioManager = App.audioManager
+    const bpmManager = App.bpmManager
+    // In bridge mode the host player owns the audio and sends BPM itself.
+    if (!audioManager || !bpmManager || this.isBridgeMode()) return
+
+    const token = ++this._beatAnalysisToken
+    const isCurrent = () => token === this._beatAnalysisToken
+    const url = audioManager.song.url
+    // A replay keeps its recorded beats; the track's grid is applied when it stops.
+    if (this._replaySession) this._replaySession.beatGrid = null
+    else bpmManager.clearBeatGrid()
+
+    try {
+      const startedAt = performance.now()
+      const buffer = await audioManager.decodeTrack(url)
+      if (!isCurrent()) return
+      const grid = await analyzeBeatGrid(buffer, { shouldCancel: () => !isCurrent() })
+      if (!isCurrent() || !grid) return
+      if (this._replaySession) this._replaySession.beatGrid = grid
+      else bpmManager.setBeatGrid(grid)
+      console.log(`[Visualizer] Beat grid: ${grid.bpm.toFixed(1)} BPM, ${grid.beats.length} beats (${Math.round(performance.now() - startedAt)}ms)`)
+    } catch (e) {
+      if (!isCurrent()) return
+      console.warn('[Visualizer] Offline beat analysis failed, falling back to recorded snippet:', e)
+      this._detectBPMFromRecording(isCurrent)
+    }
+  }
+
+  async _detectBPMFromRecording(isCurrent) {
+    try {
+      const bpmBuffer = await App.audioManager.getAudioBufferForBPM(60, 30)
+      if (!isCurrent()) return
+      await App.bpmManager.detectBPM(bpmBuffer)
+      console.log('BPM detection complete:', App.bpmManager.bpm)
+    } catch (e) {
+      console.warn('Background BPM detection failed, keeping default:', e)
+    }
+  }
+
+  /**
+   * Switches between the track and live microphone input. While the microphone
+   * is active, beats come from the streaming onset detector.
+   */
+  async toggleMicrophone() {
+    const audioManager = App.audioManager
+    if (!audioManager) return
+    try {
+      if (audioManager.isUsingMicrophone) {
+        await audioManager.switchToFileSource()
+        App.bpmManager?.stopLiveDetection()
+      } else {
+        await audioManager.audioContext?.resume?.()
+        await audioManager.switchToMicrophoneSource()
+        App.bpmManager?.startLiveDetection(audioManager.analyserNode)
+      }
+    } catch (e) {
+      console.warn('[Visualizer] Microphone toggle failed:', e)
+    }
+    this._broadcastTestSignal()
+  }
+
+  /**
+   * Switches to a generated test signal (see audio/TestSignal.js), or back to the
+   * track with `null`. As with the microphone, beats come from the streaming onset
+   * detector while the signal plays.
+   * @param {Object|null} settings See normalizeTestSignal().
+   */
+  async setTestSignal(settings) {
+    const audioManager = App.audioManager
+    if (!audioManager) return
+    try {
+      if (settings) {
+        await audioManager.audioContext?.resume?.()
+        if (await audioManager.startTestSignal(settings)) {
+          App.bpmManager?.startLiveDetection(audioManager.analyserNode)
+        }
+      } else if (audioManager.isUsingTestSignal) {
+        const hadTrack = !!audioManager.audio
+        await audioManager.switchToFileSource()
+        App.bpmManager?.stopLiveDetection()
+        // Started with `?signal=`: the track has only just been loaded.
+        if (!hadTrack) this.analyzeTrackBeats()
+      }
+    } catch (e) {
+      console.warn('[Visualizer] Test signal switch failed:', e)
+    }
+    this._broadcastTestSignal()
+  }
+
+  _broadcastTestSignal() {
+    if (!this._controlsChannel) return
+    const audioManager = App.audioManager
+    this._broadcastToControls({
+      type: 'test-signal',
+      signal: audioManager?.isUsingTestSignal ? { ...audioManager.testSignal.settings } : null,
+    })
+  }
+
+  _onTrackEnded() {
+    const playlist = App.playlistManager
+    if (!playlist?.length) return
+    if (!playlist.next({ auto: true })) {
+      App.audioManager?.pause()
+    }
+  }
+
+  _initPlaylistControls({ resetVisibility } = {}) {
+    const playlist = App.playlistManager
+    if (!playlist) return
+
+    const prevBtn = document.getElementById('prev-btn')
+    const nextBtn = document.getElementById('next-btn')
+    const shuffleBtn = document.getElementById('shuffle-btn')
+    const repeatBtn = document.getElementById('repeat-btn')
+    const queueBtn = document.getElementById('queue-btn')
+    const openFileBtn = document.getElementById('open-file-btn')
+    const panel = document.getElementById('playlist-panel')
+    const urlInput = document.getElementById('playlist-url-input')
+    const addUrlBtn = document.getElementById('playlist-add-url-btn')
+    const addFilesBtn = document.getElementById('playlist-add-files-btn')
+    const fileInput = document.getElementById('playlist-file-input')
+    const clearBtn = document.getElementById('playlist-clear-btn')
+
+    App.audioManager?.audio?.addEventListener('ended', () => this._onTrackEnded())
+
+    prevBtn?.addEventListener('click', () => {
+      // Like most players: restart the current track unless we're near its start.
+      if (!playlist.length || App.audioManager?.getCurrentTime() > 3) {
+        App.audioManager?.seek(0)
+      } else {
+        playlist.previous()
+      }
+      resetVisibility?.()
+    })
+
+    nextBtn?.addEventListener('click', () => {
+      playlist.next()
+      resetVisibility?.()
+    })
+
+    shuffleBtn?.addEventListener('click', () => {
+      playlist.setShuffle(!playlist.shuffle)
+      resetVisibility?.()
+    })
+
+    repeatBtn?.addEventListener('click', () => {
+      playlist.cycleRepeat()
+      resetVisibility?.()
+    })
+
+    queueBtn?.addEventListener('click', () => {
+      if (!panel) return
+      panel.hidden = !panel.hidden
+      queueBtn.classList.toggle('active', !panel.hidden)
+      resetVisibility?.()
+    })
+
+    const addFromInput = async () => {
+      const value = urlInput?.value?.trim()
+      if (!value) return
+      try {
+        const wasEmpty = !playlist.length
+        const index = await playlist.addUrl(value)
+        urlInput.value = ''
+        if (wasEmpty && index >= 0) playlist.select(index)
+      } catch (e) {
+        console.warn('[Visualizer] Failed to add to playlist:', value, e)
+      }
+    }
+
+    addUrlBtn?.addEventListener('click', addFromInput)
+    urlInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addFromInput()
+    })
+
+    // Both buttons share the hidden file input: "open" plays the first file, "add" only queues.
+    openFileBtn?.addEventListener('click', () => {
+      if (!fileInput) return
+      fileInput.dataset.play = '1'
+      fileInput.click()
+      resetVisibility?.()
+    })
+    addFilesBtn?.addEventListener('click', () => {
+      if (!fileInput) return
+      fileInput.dataset.play = ''
+      fileInput.click()
+    })
+    fileInput?.addEventListener('change', async () => {
+      const files = Array.from(fileInput.files || [])
+      fileInput.value = ''
+      await this._openLocalFiles(files, { play: fileInput.dataset.play === '1' })
+    })
+
+    clearBtn?.addEventListener('click', () => playlist.clear())
+
+    this._renderPlaylistPanel()
+  }
+
+  async _openLocalFiles(files, { play = true } = {}) {
+    const playlist = App.playlistManager
+    if (!playlist || !files?.length) return
+    const wasEmpty = !playlist.length
+    try {
+      const index = await playlist.addFiles(files)
+      if (index >= 0 && (play || wasEmpty)) playlist.select(index)
+    } catch (e) {
+      console.warn('[Visualizer] Failed to open local files:', e)
+    }
+  }
+
+  // Dropping media (or playlist) files anywhere on the visualizer plays them.
+  _initFileDropZone(target) {
+    if (!target || this.fileDropOverlay) return
+
+    const overlay = document.createElement('div')
+    overlay.id = 'file-drop-overlay'
+    overlay.textContent = 'Drop audio or video files to play (or a scene file / snapshot PNG to restore it)'
+    document.body.appendChild(overlay)
+    this.fileDropOverlay = overlay
+
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files')
+    let dragDepth = 0
+
+    target.addEventListener('dragenter', (e) => {
+      if (!hasFiles(e)) return
+      e.preventDefault()
+      dragDepth++
+      overlay.classList.add('visible')
+    })
+    target.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'copy'
+    })
+    target.addEventListener('dragleave', () => {
+      dragDepth = Math.max(0, dragDepth - 1)
+      if (!dragDepth) overlay.classList.remove('visible')
+    })
+    target.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return
+      e.preventDefault()
+      dragDepth = 0
+      overlay.classList.remove('visible')
+      const dropped = Array.from(e.dataTransfer.files || [])
+      const snapshot = dropped.find((f) => f.type === 'image/png')
+      if (snapshot) this._restoreSnapshotFile(snapshot)
+      const isScene = (f) => f.name.toLowerCase().endsWith(SCENE_FILE_EXTENSION)
+      const sceneFile = dropped.find(isScene)
+      if (sceneFile) this._restoreSceneFile(sceneFile)
+      const recording = dropped.find((f) => f.name.toLowerCase().endsWith(ANALYSIS_FILE_EXTENSION))
+      if (recording) this.startAnalysisReplay(recording, { name: recording.name })
+      const files = dropped.filter((f) => !isScene(f) && (/^(audio|video)\//.test(f.type) || isPlaylistName(f.name)))
+      if (files.length) this._openLocalFiles(files, { play: true })
+    })
+  }
+
+  _renderPlaylistPanel() {
+    const playlist = App.playlistManager
+    if (!playlist) return
+
+    const shuffleBtn = document.getElementById('shuffle-btn')
+    if (shuffleBtn) {
+      shuffleBtn.classList.toggle('active', playlist.shuffle)
+      shuffleBtn.title = playlist.shuffle ? 'Shuffle on' : 'Shuffle off'
+    }
+
+    const repeatBtn = document.getElementById('repeat-btn')
+    if (repeatBtn) {
+      repeatBtn.textContent = playlist.repeat === 'one' ? 'repeat_one' : 'repeat'
+      repeatBtn.classList.toggle('active', playlist.repeat !== 'off')
+      repeatBtn.title = `Repeat: ${playlist.repeat}`
+    }
+
+    const list = document.getElementById('playlist-tracks')
+    if (!list) return
+    list.textContent = ''
+
+    if (!playlist.length) {
+      const empty = document.createElement('li')
+      empty.className = 'playlist-empty'
+      empty.textContent = 'Queue is empty'
+      list.appendChild(empty)
+      return
+    }
+
+    playlist.tracks.forEach((track, index) => {
+      const item = document.createElement('li')
+      item.classList.toggle('current', index === playlist.currentIndex)
+
+      const label = document.createElement('span')
+      label.className = 'playlist-track-title'
+      label.textContent = track.artist ? `${track.artist} – ${track.title}` : track.title
+      label.title = track.source === 'file' ? track.file?.name || track.title : track.url
+      label.addEventListener('click', () => playlist.select(index))
+
+      const removeBtn = document.createElement('button')
+      removeBtn.textContent = 'close'
+      removeBtn.title = 'Remove from queue'
+      removeBtn.addEventListener('click', () => playlist.remove(index))
+
+      item.append(label, removeBtn)
+      list.appendChild(item)
+    })
+  }
+
   init() {
     document.removeEventListener('click', this.onClickBinder)
 
@@ -1629,19 +2382,7 @@ export default class App {
       content.appendChild(this.renderer.domElement)
     }
 
-    this.camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 10000)
-    this.camera.position.z = 12
-    this.camera.frustumCulled = false
-    App.camera = this.camera
-
-    this.scene = new THREE.Scene()
-    this.scene.add(this.camera)
-    App.scene = this.scene
-
-    App.holder = new THREE.Object3D()
-    App.holder.name = 'holder'
-    this.scene.add(App.holder)
-    App.holder.sortObjects = false
+    this._activateStage(this._createStage())
 
     App.gui = new GUI({ title: 'VISUALIZER' })
     
@@ -1826,24 +2567,43 @@ export default class App {
 
   async createManagers() {
     App.audioManager = new AudioManager()
+    await this.initPlaylist()
     
     // Show loading progress
     const loadingText = document.querySelector('.user_interaction')
     const originalHTML = loadingText.innerHTML
     
-    await App.audioManager.loadAudioBuffer((progress, isComplete) => {
-      loadingText.innerHTML = `<div style="font-family: monospace; font-size: 24px; color: white;">Loading: ${Math.round(progress)}%</div>`
-    })
-
+    // `?signal=<type>` runs on a generated test signal instead, without loading the track.
+    const testSignal = this._getTestSignalUrlParams(this.urlParams || new URLSearchParams(window.location.search || ''))
+    if (testSignal) {
+      await App.audioManager.startTestSignal(testSignal)
+    } else {
+      await App.audioManager.loadAudioBuffer((progress, isComplete) => {
+        loadingText.innerHTML = `<div style="font-family: monospace; font-size: 24px; color: white;">Loading: ${Math.round(progress)}%</div>`
+      })
+    }
+
     App.bpmManager = new BPMManager()
-    App.bpmManager.addEventListener('beat', () => {
+    App.bpmManager.addEventListener('beat', (e) => {
       if (App.currentVisualizer && typeof App.currentVisualizer.onBPMBeat === 'function') {
-        App.currentVisualizer.onBPMBeat()
+        App.currentVisualizer.onBPMBeat(e)
       }
+      App.autoPilotManager?.onBeat(e)
+    })
+
+    App.autoPilotManager = new AutoPilotManager(this.getStoredAutoPilotSettings(), {
+      getCandidates: () => App.visualizerList,
+      getCategory: getVisualizerCategory,
+      getWeight: (name) => getCatalogWeight(this.visualizerCatalog, name),
+    })
+    App.autoPilotManager.addEventListener('switch', (e) => {
+      console.log(`[Visualizer] Auto-pilot (${e.reason}):`, e.name)
+      this.switchVisualizer(e.name)
     })
     
     // Start with default BPM
     App.bpmManager.setBPM(140)
+    if (App.audioManager.isUsingTestSignal) App.bpmManager.startLiveDetection(App.audioManager.analyserNode)
 
     loadingText.remove()
 
@@ -1884,6 +2644,8 @@ export default class App {
       return null
     }
 
+    this._applyAutoPilotUrlParams(urlParams, resolveVisualizerName)
+
     const urlVisualizer = resolveVisualizerName(urlVisualizerRaw)
     if (urlVisualizerRaw && !urlVisualizer) {
       console.warn('[Visualizer] Unknown `visualizer` param:', urlVisualizerRaw)
@@ -1900,26 +2662,23 @@ export default class App {
     this.addVisualizerSwitcher()
     this.addPerformanceQualityControls()
 
-    // Now create the actual visualizer.
+    // Now create the actual visualizer, then the layers over it.
     this.switchVisualizer(initialVisualizer, { notify: false })
+    // A shared scene (see below) brings its own layers.
+    if (!getSceneParam(window.location.hash)) this.restoreLayers().catch((e) => console.warn('[Visualizer] Failed to restore layers:', e))
 
     // Restore last playback position before starting audio so reload resumes.
     this.restoreSessionOnPlay()
 
     // Start playback (user already clicked to initialize the app)
-    App.audioManager.play()
+    if (!App.audioManager.isUsingTestSignal) App.audioManager.play()
 
-    // Detect BPM in the background after 30 seconds
-    setTimeout(async () => {
-      console.log('Starting background BPM detection...')
-      try {
-        const bpmBuffer = await App.audioManager.getAudioBufferForBPM(60, 30)
-        await App.bpmManager.detectBPM(bpmBuffer)
-        console.log('BPM detection complete:', App.bpmManager.bpm)
-      } catch (e) {
-        console.warn('Background BPM detection failed, keeping default:', e)
-      }
-    }, 30000)
+    // A shared `#scene=…` link overrides the restored session.
+    this._applySceneFromHash()
+    window.addEventListener('hashchange', () => this._applySceneFromHash())
+
+    // Build the beat grid for the whole track in the background
+    if (!App.audioManager.isUsingTestSignal) this.analyzeTrackBeats()
 
     // Emit available modules to parent (if embedded)
     if (this.bridgeTarget) {
@@ -1929,6 +2688,20 @@ export default class App {
     this.update()
 
     this.enableBridgeGuiHotspot()
+
+    // `?replay=<url>` replays an analysis recording instead of live audio, from
+    // `replayAt=<s>` of the track if given.
+    if (urlParams.has('replay')) {
+      const trackTime = parseFloat(urlParams.get('replayAt'))
+      this.startAnalysisReplay(urlParams.get('replay'), { trackTime: Number.isFinite(trackTime) ? trackTime : null })
+    }
+
+    // Driven by scripts/visual-regression.mjs in a headless browser; loaded only for it.
+    if (urlParams.has('regression')) {
+      import('./capture/RegressionRunner').then(({ default: RegressionRunner }) => {
+        window.__visualizerRegression = new RegressionRunner(this)
+      })
+    }
   }
 
   enableBridgeGuiHotspot() {
@@ -1966,6 +2739,12 @@ export default class App {
 
     this.camera.aspect = this.width / this.height
     this.camera.updateProjectionMatrix()
+    const stages = this.layers.map((layer) => layer.stage)
+    if (this._transition) stages.push(this._transition.from)
+    for (const { camera } of stages) {
+      camera.aspect = this.width / this.height
+      camera.updateProjectionMatrix()
+    }
     // Avoid touching canvas CSS size; only update drawing buffer.
     this.renderer.setSize(this.width, this.height, false)
 
@@ -1978,8 +2757,9 @@ export default class App {
     }
   }
 
-  update(now) {
-    requestAnimationFrame((t) => this.update(t))
+  update(now, { step = false } = {}) {
+    if (!step) requestAnimationFrame((t) => this.update(t))
+    if (this.fixedTimestep && !step) return
 
     const frameNow = Number.isFinite(now) ? now : performance.now()
     const perfStart = this.perfEnabled ? performance.now() : 0
@@ -2020,26 +2800,57 @@ export default class App {
 
     this.tickFpsCounter(frameNow)
 
+    // Grid-driven beats follow the media clock, so they survive seeks and pauses.
+    const mediaTime = App.audioManager?.getCurrentTime() || 0
+    const playing = this.fixedTimestep || !!App.audioManager?.isReplaying || (!!App.audioManager?.audio && !App.audioManager.audio.paused)
+    App.bpmManager?.update(mediaTime, { playing, now: frameNow })
+
     // Update visualizer with audio data
     const audioData = App.audioManager ? {
       frequencies: {
         bass: App.audioManager.frequencyData.low,
         mid: App.audioManager.frequencyData.mid,
-        high: App.audioManager.frequencyData.high
+        high: App.audioManager.frequencyData.high,
+        // Every configured band by name (0..1); see analysis/frequencyBands.js
+        bands: App.audioManager.bandLevels
       },
-      isBeat: App.bpmManager?.beatActive || false
+      isBeat: App.bpmManager?.beatActive || false,
+      bpm: App.bpmManager?.bpm || 0,
+      beat: App.bpmManager ? {
+        bar: App.bpmManager.bar,
+        beatInBar: App.bpmManager.beatInBar,
+        phase: App.bpmManager.getBeatPhase(mediaTime),
+        confidence: App.bpmManager.confidence,
+        isOnset: App.bpmManager.isOnset,
+      } : null,
+      // Timbre/harmony features (see analysis/FeatureExtractor.js); null until audio plays
+      features: App.audioManager.features,
+      // L/R spectra, waveforms and mid/side metrics (see analysis/StereoAnalyser.js); null until audio plays
+      stereo: App.audioManager.stereo
     } : null
     
     const activeVisualizer = App.currentVisualizer
+    const transition = this._transition
     const t0 = this.perfEnabled ? performance.now() : 0
+    if (transition) {
+      // The outgoing visualizer keeps animating in its own stage until the transition ends.
+      this._activateStage(transition.from)
+      transition.from.visualizer?.update(audioData)
+      this._activateStage(transition.to)
+    }
     activeVisualizer?.update(audioData)
+    // After update(), so bound parameters win over the visualizer's own audio wiring.
+    this.modulation.update(audioData, frameNow)
+    const layered = this._updateLayers(audioData)
     const t1 = this.perfEnabled ? performance.now() : 0
 
     App.audioManager.update()
+    if (this.analysisRecorder) this._captureAnalysisFrame(audioData, frameNow, mediaTime)
     const t2 = this.perfEnabled ? performance.now() : 0
 
-    // Some visualizers render into their own canvas/renderer.
-    if (!activeVisualizer?.rendersSelf) {
+    // Some visualizers render into their own canvas/renderer (transitions, layers and post effects capture those too).
+    const post = isPostChainActive(this.postChain)
+    if (transition || layered || post || !activeVisualizer?.rendersSelf) {
       const r0 = this.perfEnabled ? performance.now() : 0
 
       if (!this.debugSkipRender) {
@@ -2057,7 +2868,18 @@ export default class App {
           }
         }
 
-        this.renderer.render(this.scene, this.camera)
+        // With post effects the frame goes to their input instead of the screen.
+        const output = post ? this._getPostProcessor().getInputTarget() : null
+        if (layered || post) this._hideOutputCanvases()
+        if (transition) {
+          this._renderTransition(transition, frameNow, output)
+        } else if (layered || post) {
+          this._getLayerCompositor().drawBase({ scene: this.scene, camera: this.camera, visualizer: activeVisualizer }, output)
+        } else {
+          this.renderer.render(this.scene, this.camera)
+        }
+        if (layered) this._renderLayers(output)
+        if (post) this.postProcessor.render(this.postChain, audioData, frameNow)
 
         if (this.perfEnabled && this.gpuTimer?.supported) {
           this.gpuTimer.end()
@@ -2082,8 +2904,506 @@ export default class App {
       }
     }
 
+    if (transition && frameNow - transition.startAt >= transition.duration) {
+      this._finishTransition()
+    }
+
+    App.autoPilotManager?.update(App.audioManager?.features, frameNow)
+
+    // Same task as the render: WebGL canvases are cleared once the frame is presented.
+    // Stepped frames (exports, snapshots) aren't part of the live picture.
+    if (!step) this.liveRecorder?.captureFrame()
+
     // Dynamic auto-quality adjustment (pixelRatio) to track target refresh.
-    this.maybeAdjustQuality(frameNow)
+    // Exports and snapshots render at a fixed quality however slow each frame is.
+    if (!step) this.maybeAdjustQuality(frameNow)
+  }
+
+  // -------------------------------------------------------------------
+  // Visualizer transitions
+  // -------------------------------------------------------------------
+
+  // A scene/camera/holder set. During a transition the outgoing visualizer keeps its own stage.
+  _createStage() {
+    const camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 10000)
+    camera.position.z = 12
+    camera.frustumCulled = false
+
+    const scene = new THREE.Scene()
+    scene.add(camera)
+
+    const holder = new THREE.Object3D()
+    holder.name = 'holder'
+    holder.sortObjects = false
+    scene.add(holder)
+
+    return { scene, camera, holder, visualizer: null }
+  }
+
+  // Makes a stage the one visualizers see through App.scene / App.camera / App.holder.
+  _activateStage(stage) {
+    this.scene = App.scene = stage.scene
+    this.camera = App.camera = stage.camera
+    App.holder = stage.holder
+  }
+
+  _shouldTransition() {
+    const { mode, duration } = this.transitionSettings
+    return !!App.currentVisualizer && mode !== 'cut' && duration > 0 && !!this.renderer
+  }
+
+  // Moves the current visualizer into a stage of its own and makes a fresh stage current.
+  _detachCurrentStage() {
+    const stage = { scene: this.scene, camera: this.camera, holder: App.holder, visualizer: App.currentVisualizer }
+    App.currentVisualizer = null
+    this._activateStage(this._createStage())
+    // Canvas visualizers (Butterchurn) hide the Three.js canvas and restore it on destroy;
+    // show it now so the incoming one records the visible state.
+    this.renderer.domElement.style.display = ''
+    return stage
+  }
+
+  _destroyStage(stage) {
+    const current = { scene: this.scene, camera: this.camera, holder: App.holder }
+    this._activateStage(stage)
+    try {
+      if (typeof stage.visualizer?.destroy === 'function') {
+        stage.visualizer.destroy()
+      }
+    } finally {
+      while (stage.holder.children.length > 0) {
+        stage.holder.remove(stage.holder.children[0])
+      }
+      this._activateStage(current)
+    }
+  }
+
+  _startTransition(from) {
+    const canvas = this.renderer.domElement
+    const transition = {
+      from,
+      to: { scene: this.scene, camera: this.camera, holder: App.holder, visualizer: App.currentVisualizer },
+      mode: this.transitionSettings.mode,
+      duration: this.transitionSettings.duration * 1000,
+      startAt: performance.now(),
+      // What the incoming visualizer wants once the blend is done.
+      canvasDisplay: canvas.style.display,
+      hiddenCanvases: [],
+    }
+
+    // Only the blended result is shown while transitioning.
+    canvas.style.display = ''
+    for (const stage of [transition.from, transition.to]) {
+      const output = TransitionRenderer.getOutputCanvas(stage.visualizer)
+      if (output) {
+        transition.hiddenCanvases.push({ canvas: output, visibility: output.style.visibility })
+        output.style.visibility = 'hidden'
+      }
+    }
+    this._transition = transition
+  }
+
+  _renderTransition(transition, now, output = null) {
+    if (!this.transitionRenderer || this.transitionRenderer.renderer !== this.renderer) {
+      this.transitionRenderer?.dispose()
+      this.transitionRenderer = new TransitionRenderer(this.renderer)
+    }
+    const progress = Math.max(0, Math.min(1, (now - transition.startAt) / transition.duration))
+
+    this._activateStage(transition.from)
+    this.transitionRenderer.renderStage(0, transition.from)
+    this._activateStage(transition.to)
+    this.transitionRenderer.renderStage(1, transition.to)
+    this.transitionRenderer.composite(transition.mode, progress, output)
+  }
+
+  // Destroys the current visualizer and prepares the (current) stage for the next one.
+  _clearCurrentVisualizer(type) {
+    // Destroy current visualizer if exists
+    if (App.currentVisualizer) {
+      if (typeof App.currentVisualizer.destroy === 'function') {
+        App.currentVisualizer.destroy()
+      }
+      App.currentVisualizer = null
+    }
+
+    // Reset camera/scene transforms to defaults so visualizers don't leak state
+    this.resetView()
+
+    // Clear App.holder (Three.js scene objects)
+    while (App.holder.children.length > 0) {
+      App.holder.remove(App.holder.children[0])
+    }
+
+    // Apply any per-visualizer quality overrides before initializing the new visualizer.
+    this._applyPerVisualizerQualityOverrides(type)
+    this.renderer.clear()
+  }
+
+  // Ends the running transition (if any): the outgoing visualizer is destroyed.
+  _finishTransition() {
+    const transition = this._transition
+    if (!transition) return
+    this._transition = null
+
+    this._destroyStage(transition.from)
+    for (const { canvas, visibility } of transition.hiddenCanvases) {
+      canvas.style.visibility = visibility
+    }
+    this.renderer.domElement.style.display = transition.canvasDisplay
+    this.transitionRenderer?.release()
+    // Layers and post effects keep showing the composite only.
+    if (this._isComposited()) this._hideOutputCanvases()
+  }
+
+  // -------------------------------------------------------------------
+  // Layers (see rendering/LayerCompositor.js)
+  // -------------------------------------------------------------------
+
+  _getLayerSettings(layer) {
+    const { visualizer, blend, opacity, reactive, amount, enabled } = layer
+    return { id: layer.id, visualizer, blend, opacity, reactive, amount, enabled }
+  }
+
+  _getLayerCompositor() {
+    if (!this.layerCompositor || this.layerCompositor.renderer !== this.renderer) {
+      this.layerCompositor?.dispose()
+      this.layerCompositor = new LayerCompositor(this.renderer)
+    }
+    return this.layerCompositor
+  }
+
+  // Updates the shown layers in their stages; returns whether any layer is shown.
+  _updateLayers(audioData) {
+    const layers = this.layers.filter((layer) => layer.enabled)
+    if (!layers.length) return false
+
+    const current = { scene: this.scene, camera: this.camera, holder: App.holder }
+    for (const layer of layers) {
+      this._activateStage(layer.stage)
+      layer.stage.visualizer.update(audioData)
+      layer.frameOpacity = getLayerOpacity(layer, audioData)
+    }
+    this._activateStage(current)
+    return true
+  }
+
+  _renderLayers(output = null) {
+    const compositor = this._getLayerCompositor()
+    const current = { scene: this.scene, camera: this.camera, holder: App.holder }
+    for (const layer of this.layers) {
+      if (!layer.enabled) continue
+      this._activateStage(layer.stage)
+      compositor.drawLayer(layer, layer.frameOpacity ?? layer.opacity, output)
+    }
+    this._activateStage(current)
+  }
+
+  // Whether frames are composited (layers or post effects) rather than shown as rendered.
+  _isComposited() {
+    return this.layers.some((layer) => layer.enabled) || isPostChainActive(this.postChain)
+  }
+
+  // Only the composite is shown: the Three.js canvas, with every visualizer's own canvas hidden.
+  _hideOutputCanvases() {
+    const canvas = this.renderer.domElement
+    if (this._compositeCanvasDisplay == null) this._compositeCanvasDisplay = canvas.style.display
+    canvas.style.display = ''
+    const output = TransitionRenderer.getOutputCanvas(App.currentVisualizer)
+    if (output && output.style.visibility !== 'hidden') {
+      output.style.visibility = 'hidden'
+      this._compositeHiddenCanvases.add(output)
+    }
+  }
+
+  // Back to the current visualizer on its own once nothing is composited.
+  _restoreOutputCanvases() {
+    if (this._isComposited() || this._compositeCanvasDisplay == null) return
+    this._finishTransition()
+    for (const canvas of this._compositeHiddenCanvases) canvas.style.visibility = ''
+    this._compositeHiddenCanvases.clear()
+    this.renderer.domElement.style.display = this._compositeCanvasDisplay
+    this._compositeCanvasDisplay = null
+  }
+
+  /**
+   * Adds a visualizer on top of the current one (and the layers added before).
+   * @param {string} type Visualizer name.
+   * @param {Object} [settings] blend, opacity, reactive, amount, enabled (see normalizeLayerSettings()).
+   * @returns {Promise<Object|null>} The layer, or null when it couldn't be created.
+   */
+  async addLayer(type, settings = {}, { save = true } = {}) {
+    const normalized = normalizeLayerSettings({ ...settings, visualizer: type })
+    if (!normalized || !App.visualizerList.includes(type)) {
+      console.warn('[Visualizer] Unknown layer visualizer:', type)
+      return null
+    }
+    if (this.layers.length >= MAX_LAYERS) {
+      console.warn(`[Visualizer] At most ${MAX_LAYERS} layers`)
+      return null
+    }
+    const visualizer = await this._createVisualizerByName(type)
+    if (!visualizer) return null
+
+    const stage = this._createStage()
+    stage.visualizer = visualizer
+    const canvas = this.renderer.domElement
+    const display = canvas.style.display
+    const current = { scene: this.scene, camera: this.camera, holder: App.holder }
+    this._activateStage(stage)
+    try {
+      visualizer.init()
+    } catch (error) {
+      console.warn('[Visualizer] Failed to create layer:', type, error)
+      this._activateStage(current)
+      this._destroyStage(stage)
+      return null
+    } finally {
+      this._activateStage(current)
+      // Canvas visualizers (Butterchurn) hide the Three.js canvas; the main one decides that.
+      canvas.style.display = display
+    }
+    // A layer's own canvas is only ever shown through the composite.
+    const output = TransitionRenderer.getOutputCanvas(visualizer)
+    if (output) output.style.visibility = 'hidden'
+
+    const layer = { id: this._nextLayerId++, ...normalized, level: 0, frameOpacity: null, stage }
+    this.layers.push(layer)
+    if (save) this._saveLayers()
+    this._broadcastLayers()
+    return layer
+  }
+
+  removeLayer(id, { save = true } = {}) {
+    const index = this.layers.findIndex((layer) => layer.id === id)
+    if (index < 0) return
+    const [layer] = this.layers.splice(index, 1)
+    this._destroyStage(layer.stage)
+    this.layerCompositor?.release(layer.id)
+    this._restoreOutputCanvases()
+    if (save) this._saveLayers()
+    this._broadcastLayers()
+  }
+
+  // Changes a layer's blend, opacity, reactive source / amount or enabled state.
+  updateLayer(id, changes) {
+    const layer = this.layers.find((l) => l.id === id)
+    if (!layer) return
+    Object.assign(layer, normalizeLayerSettings({ ...this._getLayerSettings(layer), ...changes, visualizer: layer.visualizer }))
+    this._restoreOutputCanvases()
+    this._saveLayers()
+    this._broadcastLayers()
+  }
+
+  // Moves a layer up (delta > 0, drawn later / on top) or down the stack.
+  moveLayer(id, delta) {
+    const index = this.layers.findIndex((layer) => layer.id === id)
+    const to = Math.max(0, Math.min(this.layers.length - 1, index + Math.sign(delta)))
+    if (index < 0 || to === index) return
+    const [layer] = this.layers.splice(index, 1)
+    this.layers.splice(to, 0, layer)
+    this._saveLayers()
+    this._broadcastLayers()
+  }
+
+  /**
+   * Replaces every layer (bottom to top).
+   * @param {Object[]} list Layer settings with a `visualizer` name each.
+   */
+  async setLayers(list, { save = true } = {}) {
+    for (const layer of [...this.layers]) this.removeLayer(layer.id, { save: false })
+    for (const settings of list || []) {
+      const normalized = normalizeLayerSettings(settings)
+      if (!normalized) continue
+      // One layer failing to load keeps the rest.
+      await this.addLayer(normalized.visualizer, normalized, { save: false }).catch((e) => console.warn('[Visualizer] Failed to add layer:', e))
+    }
+    if (save) this._saveLayers()
+    this._broadcastLayers()
+  }
+
+  _saveLayers() {
+    try {
+      const list = this.layers.map((layer) => normalizeLayerSettings(layer))
+      if (list.length) window.localStorage.setItem(this.storageKeys.layers, JSON.stringify(list))
+      else window.localStorage.removeItem(this.storageKeys.layers)
+    } catch (error) {
+      // ignore storage errors
+    }
+  }
+
+  async restoreLayers() {
+    let list = []
+    try {
+      const raw = window.localStorage.getItem(this.storageKeys.layers)
+      list = raw ? JSON.parse(raw) : []
+    } catch (error) {
+      // ignore storage errors
+    }
+    if (Array.isArray(list) && list.length) await this.setLayers(list, { save: false })
+  }
+
+  _broadcastLayers() {
+    if (!this._controlsChannel) return
+    this._broadcastToControls({ type: 'layers-update', layers: this.layers.map((l) => this._getLayerSettings(l)), maxLayers: MAX_LAYERS })
+  }
+
+  // -------------------------------------------------------------------
+  // Post-processing (see rendering/PostProcessor.js)
+  // -------------------------------------------------------------------
+
+  _getPostProcessor() {
+    if (!this.postProcessor || this.postProcessor.renderer !== this.renderer) {
+      this.postProcessor?.dispose()
+      this.postProcessor = new PostProcessor(this.renderer)
+    }
+    return this.postProcessor
+  }
+
+  getStoredPostChain() {
+    try {
+      const raw = window.localStorage.getItem(this.storageKeys.post)
+      return normalizePostChain(raw ? JSON.parse(raw) : null)
+    } catch (error) {
+      return normalizePostChain(null)
+    }
+  }
+
+  /**
+   * Replaces the post-processing chain: effect order, which are enabled, their
+   * parameters and audio modulation (see normalizePostChain()).
+   */
+  setPostChain(chain) {
+    this.postChain = normalizePostChain(chain)
+    try {
+      window.localStorage.setItem(this.storageKeys.post, JSON.stringify(this.postChain))
+    } catch (error) {
+      // ignore storage errors
+    }
+    this._restoreOutputCanvases()
+    this._broadcastPostChain()
+  }
+
+  _broadcastPostChain() {
+    if (!this._controlsChannel) return
+    this._broadcastToControls({ type: 'post-chain', chain: this.postChain })
+  }
+
+  // -------------------------------------------------------------------
+  // Modulation matrix (see managers/ModulationManager.js)
+  // -------------------------------------------------------------------
+
+  /**
+   * Collects what the new visualizer lets audio drive, then loads its saved bindings:
+   * - numeric lil-gui sliders it (or FV3) added to App.gui, applied through the
+   *   controller so its onChange runs as if dragged;
+   * - shader config sliders (shaderCustomization.js), applied straight to the uniform
+   *   so modulation doesn't overwrite the stored value every frame.
+   * @param {string} type
+   * @param {Object} visualizer
+   * @param {Set} guiControllers App.gui controllers from before the visualizer's init().
+   */
+  setupModulation(type, visualizer, guiControllers) {
+    const targets = []
+    const ids = new Set()
+    const uniqueId = (id) => {
+      let unique = id
+      for (let n = 2; ids.has(unique); n++) unique = `${id} #${n}`
+      ids.add(unique)
+      return unique
+    }
+
+    const insideShaderFolder = (controller) => {
+      for (let folder = controller.parent; folder; folder = folder.parent) {
+        if (folder === this.shaderControlsFolder) return true
+      }
+      return false
+    }
+    for (const controller of App.gui?.controllersRecursive() || []) {
+      if (guiControllers.has(controller) || insideShaderFolder(controller)) continue
+      if (!(controller instanceof NumberController) || !Number.isFinite(controller._min) || !Number.isFinite(controller._max)) continue
+      const label = `${controller.parent?._title || ''} / ${controller._name}`
+      targets.push({
+        id: uniqueId(`param:${label}`),
+        label,
+        min: controller._min,
+        max: controller._max,
+        step: controller._step,
+        get: () => controller.getValue(),
+        apply: (value) => controller.setValue(value),
+      })
+    }
+
+    if (typeof visualizer?.setUniform === 'function') {
+      for (const control of visualizer.shaderConfig?.controls || []) {
+        if (control.type !== 'slider') continue
+        targets.push({
+          id: uniqueId(`uniform:${control.uniform}`),
+          label: `${visualizer.shaderConfig.name || 'Shader'} / ${control.name}`,
+          min: control.min,
+          max: control.max,
+          step: control.step,
+          get: () => visualizer.getUniform?.(control.uniform) ?? control.default,
+          apply: (value) => visualizer.setUniform(control.uniform, value, { quiet: true }),
+        })
+      }
+    }
+
+    this.modulation.setTargets(targets)
+    this.modulation.setBindings(this.getStoredModulation(type))
+    this._broadcastModulation(type)
+  }
+
+  _getPerVisualizerModulationKey(type) {
+    return `visualizer[${String(type || '').trim()}].modulation`
+  }
+
+  getStoredModulation(type) {
+    try {
+      const raw = window.localStorage.getItem(this._getPerVisualizerModulationKey(type))
+      const list = raw ? JSON.parse(raw) : []
+      return Array.isArray(list) ? list : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  /**
+   * Replaces the current visualizer's modulation bindings (see normalizeModulationBinding()).
+   * @param {Object[]} bindings
+   */
+  setModulationBindings(bindings) {
+    this.modulation.setBindings(bindings)
+    this._saveModulation()
+  }
+
+  _saveModulation() {
+    try {
+      const key = this._getPerVisualizerModulationKey(App.visualizerType)
+      const bindings = this.modulation.bindings.map(({ id, ...binding }) => binding)
+      if (bindings.length) window.localStorage.setItem(key, JSON.stringify(bindings))
+      else window.localStorage.removeItem(key)
+    } catch (error) {
+      // ignore storage errors
+    }
+    this._broadcastModulation()
+  }
+
+  // Sources a binding can use: the fixed ones, the LFO and every current frequency band.
+  getModulationSources() {
+    const bands = (App.audioManager?.bands || DEFAULT_BANDS).map((band) => bandSource(band.name))
+    return [...MODULATION_SOURCES.filter((s) => s !== 'none'), ...bands, LFO_SOURCE]
+  }
+
+  _broadcastModulation(type = App.visualizerType) {
+    if (!this._controlsChannel) return
+    this._broadcastToControls({
+      type: 'modulation-update',
+      visualizer: type,
+      targets: this.modulation.getTargetList(),
+      sources: this.getModulationSources(),
+      bindings: this.modulation.bindings,
+    })
   }
 
   maybeAdjustQuality(frameNow) {
@@ -2362,50 +3682,67 @@ export default class App {
     this.fpsDisplay.textContent = `FPS: ${fpsText} (${dtText}ms)`
   }
   
-  async switchVisualizer(type, { notify = true } = {}) {
-    // Destroy current visualizer if exists
-    if (App.currentVisualizer) {
-      if (typeof App.currentVisualizer.destroy === 'function') {
-        App.currentVisualizer.destroy()
-      }
-      App.currentVisualizer = null
-    }
-
-    // Reset camera/scene transforms to defaults so visualizers don't leak state
-    this.resetView()
-
-    // Clear App.holder (Three.js scene objects)
-    while (App.holder.children.length > 0) {
-      App.holder.remove(App.holder.children[0])
-    }
-
-    // Clear renderer
-    // Apply any per-visualizer quality overrides before creating the new visualizer.
-    this._applyPerVisualizerQualityOverrides(type)
-    this.renderer.clear()
-
-    // Create new visualizer (async now due to shader config loading)
+  // A new, not yet initialised visualizer from whichever registry knows `type` (or null).
+  async _createVisualizerByName(type) {
     const shaderVisualizer = await createShaderVisualizerByName(type)
     const milkdropVisualizer = !shaderVisualizer
       ? (await _milkdropReady, _milkdropModule?.createMilkdropVisualizerByName(type) ?? null)
       : null
-    App.currentVisualizer = shaderVisualizer || milkdropVisualizer || createEntityVisualizerByName(type)
+    return shaderVisualizer || milkdropVisualizer || createEntityVisualizerByName(type)
+  }
 
-    if (!App.currentVisualizer) {
+  async switchVisualizer(type, { notify = true, immediate = false } = {}) {
+    // Only two visualizers are ever alive: settle a running transition first.
+    this._finishTransition()
+    // Bindings point at the current visualizer's controls, which are about to go.
+    this.modulation.clear()
+
+    // With a transition the current visualizer keeps running (in its own stage) while the
+    // next one loads; otherwise (or when `immediate`) it is destroyed right away (hard cut).
+    const transition = !immediate && this._shouldTransition()
+    if (!transition) this._clearCurrentVisualizer(type)
+
+    // Create new visualizer (async now due to shader config loading)
+    let visualizer = await this._createVisualizerByName(type)
+
+    if (!visualizer) {
       const fallbackName = ENTITY_VISUALIZER_NAMES.includes('Reactive Particles')
         ? 'Reactive Particles'
         : ENTITY_VISUALIZER_NAMES[0]
 
-      App.currentVisualizer = (fallbackName ? createEntityVisualizerByName(fallbackName) : null)
+      visualizer = (fallbackName ? createEntityVisualizerByName(fallbackName) : null)
         || await createShaderVisualizerByName(SHADER_VISUALIZER_NAMES[0])
     }
 
+    let outgoing = null
+    if (transition && App.currentVisualizer) {
+      outgoing = this._detachCurrentStage()
+      const previousRenderer = this.renderer
+      this._clearCurrentVisualizer(type)
+      // An antialias change recreates the WebGL context; the outgoing visualizer can't follow.
+      if (this.renderer !== previousRenderer) {
+        this._destroyStage(outgoing)
+        outgoing = null
+      }
+    } else if (transition) {
+      this._clearCurrentVisualizer(type)
+    }
+
+    App.currentVisualizer = visualizer
     if (!App.currentVisualizer) {
       console.warn('No visualizers available to instantiate')
+      if (outgoing) this._destroyStage(outgoing)
       return
     }
 
+    // Bands are in place before init() so visualizers can size per-band state.
+    this.applyVisualizerBands(type)
+    const guiControllers = new Set(App.gui?.controllersRecursive() || [])
+    App.currentVisualizer.addEventListener?.('keyboardfocus', this.onShaderKeyboardFocus)
     App.currentVisualizer.init()
+    // While compositing the Three.js canvas stays visible; remember what this visualizer wants.
+    if (this._compositeCanvasDisplay != null) this._compositeCanvasDisplay = this.renderer.domElement.style.display
+    if (outgoing) this._startTransition(outgoing)
 
     if (type === 'Frequency Visualization 3') {
       this.setupFrequencyViz3Controls(App.currentVisualizer)
@@ -2420,8 +3757,13 @@ export default class App {
       this.teardownShaderControls()
     }
 
+    this.setupModulation(type, App.currentVisualizer, guiControllers)
+
     App.visualizerType = type
     this.saveVisualizerType(type)
+    App.autoPilotManager?.notifySwitched(type)
+    recordRecent(this.visualizerCatalog, type)
+    this.saveVisualizerCatalog()
 
     this.updateVisualizerToast(type)
 
@@ -2475,8 +3817,11 @@ export default class App {
     el.style.bottom = '8px'
     el.style.right = '8px'
     el.style.padding = '2px 6px'
-    el.style.height = '12px'
+    el.style.minHeight = '12px'
     el.style.lineHeight = '12px'
+    el.style.display = 'flex'
+    el.style.alignItems = 'center'
+    el.style.gap = '6px'
     el.style.fontSize = '11px'
     el.style.fontFamily = 'Inter, system-ui, -apple-system, sans-serif'
     el.style.color = '#fff'
@@ -2486,14 +3831,48 @@ export default class App {
     el.style.transition = 'opacity 250ms ease'
     el.style.pointerEvents = 'none'
     el.style.zIndex = '1000'
+
+    // Cover art (only shown for track toasts)
+    const cover = document.createElement('img')
+    cover.alt = ''
+    cover.style.width = '40px'
+    cover.style.height = '40px'
+    cover.style.objectFit = 'cover'
+    cover.style.borderRadius = '2px'
+    cover.style.display = 'none'
+
+    const text = document.createElement('div')
+    text.style.whiteSpace = 'pre-line'
+
+    el.append(cover, text)
     document.body.appendChild(el)
     this.visualizerToast = el
+    this.visualizerToastCover = cover
+    this.visualizerToastText = text
     return el
   }
 
   updateVisualizerToast(name) {
+    this._showToast(name || '')
+  }
+
+  // Shows the now-playing track (title, artist/album, cover art) in the same toast.
+  showTrackToast(track) {
+    if (!track) return
+    const details = [track.artist, track.album].filter(Boolean).join(' — ')
+    this._showToast(details ? `${track.title}\n${details}` : track.title, { cover: track.cover })
+  }
+
+  _showToast(text, { cover = null } = {}) {
     const el = this.createVisualizerToast()
-    el.textContent = name || ''
+    this.visualizerToastText.textContent = text
+    if (cover) {
+      this.visualizerToastCover.src = cover
+      this.visualizerToastCover.style.display = ''
+    } else {
+      this.visualizerToastCover.removeAttribute('src')
+      this.visualizerToastCover.style.display = 'none'
+    }
     if (this.visualizerToastHideTimer) {
       clearTimeout(this.visualizerToastHideTimer)
       this.visualizerToastHideTimer = null
@@ -2530,11 +3909,30 @@ export default class App {
         }
         break
       }
+      case 'TAKE_SNAPSHOT':
+        this.postSnapshot(msg, target)
+        break
       default:
         break
     }
   }
 
+  // Replies { type: 'SNAPSHOT', ok, image (PNG Blob), width, height, fileName, state } or { ok: false, error }.
+  async postSnapshot({ width } = {}, target = this.bridgeTarget) {
+    if (!target) return
+    try {
+      const { blob, fileName, width: w, height: h, state } = await this.takeSnapshot({ width, download: false })
+      target.postMessage({ type: 'SNAPSHOT', ok: true, image: blob, width: w, height: h, fileName, state }, '*')
+    } catch (err) {
+      console.warn('[Visualizer] Snapshot failed', err)
+      try {
+        target.postMessage({ type: 'SNAPSHOT', ok: false, error: err?.message || String(err) }, '*')
+      } catch {
+        // ignore
+      }
+    }
+  }
+
   postModuleList(target = this.bridgeTarget) {
     if (!target) return
     try {
@@ -2623,6 +4021,32 @@ export default class App {
       return
     }
 
+    // N / P: next / previous track in the playlist
+    if (event.code === 'KeyN' || event.code === 'KeyP') {
+      if (!App.playlistManager?.length) return
+      event.preventDefault()
+      if (event.code === 'KeyN') {
+        App.playlistManager.next()
+      } else {
+        App.playlistManager.previous()
+      }
+      return
+    }
+
+    // K: give the active shader's keyboard input every key (Escape gives them back)
+    if (event.code === 'KeyK' && !event.ctrlKey && !event.metaKey && !event.altKey && App.currentVisualizer?.hasKeyboardInput?.()) {
+      event.preventDefault()
+      App.currentVisualizer.setKeyboardFocus(true)
+      return
+    }
+
+    // S: high-resolution snapshot (PNG with the settings embedded)
+    if (event.code === 'KeyS' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+      event.preventDefault()
+      this.takeSnapshot({ width: SNAPSHOT_SIZES[event.shiftKey ? '8K' : '4K'] }).catch(() => {})
+      return
+    }
+
     if (event.code === 'Digit1' || event.code === 'Numpad1' || event.key === '1') {
       event.preventDefault()
       this.cycleVisualizer(-1)
@@ -2644,6 +4068,721 @@ export default class App {
     }
   }
 
+  // -------------------------------------------------------------------
+  // Auto-pilot (see managers/AutoPilotManager.js)
+  // -------------------------------------------------------------------
+
+  getStoredAutoPilotSettings() {
+    try {
+      const raw = window.localStorage.getItem(this.storageKeys.autoPilot)
+      return normalizeAutoPilotSettings(raw ? JSON.parse(raw) : {})
+    } catch (error) {
+      return normalizeAutoPilotSettings()
+    }
+  }
+
+  // Only the changed settings are stored: URL overrides in effect stay for this session.
+  setAutoPilotSettings(settings, { persist = true } = {}) {
+    const manager = App.autoPilotManager
+    if (!manager) return
+    manager.setSettings(settings)
+    if (persist) {
+      try {
+        const stored = normalizeAutoPilotSettings({ ...this.getStoredAutoPilotSettings(), ...settings })
+        window.localStorage.setItem(this.storageKeys.autoPilot, JSON.stringify(stored))
+      } catch (error) {
+        // ignore storage errors
+      }
+    }
+    this._broadcastAutoPilotSettings()
+  }
+
+  // signal=drums, signalBpm=128, signalFreq=440, signalLevel=0.5 (see audio/TestSignal.js)
+  _getTestSignalUrlParams(params) {
+    const type = params.get('signal')
+    if (!type) return null
+    if (!TEST_SIGNAL_TYPES.includes(type)) {
+      console.warn('[Visualizer] Unknown `signal` param:', type)
+      return null
+    }
+    return normalizeTestSignal({
+      type,
+      bpm: params.get('signalBpm') ?? undefined,
+      frequency: params.get('signalFreq') ?? undefined,
+      level: params.get('signalLevel') ?? undefined,
+    })
+  }
+
+  // URL overrides for this session only (not persisted):
+  //   autopilot=1, autopilotBars=8, autopilotDrops=0, autopilotDwell=20,
+  //   autopilotCategories=entity,shader, autopilotFavorites=<name>|<name>, autopilotBlacklist=<name>|<name>
+  _applyAutoPilotUrlParams(params, resolveVisualizerName) {
+    const overrides = {}
+    const flag = (key) => ['1', 'true', 'on', 'yes'].includes(String(params.get(key)).toLowerCase())
+    // MilkDrop names aren't loaded yet at startup, so unknown names are kept as given.
+    const names = (key) => params.get(key).split('|').map((n) => resolveVisualizerName(n) || n.trim()).filter(Boolean)
+
+    if (params.has('autopilot')) overrides.enabled = flag('autopilot')
+    if (params.has('autopilotBars')) overrides.bars = params.get('autopilotBars')
+    if (params.has('autopilotDrops')) overrides.onDrops = flag('autopilotDrops')
+    if (params.has('autopilotDwell')) overrides.minDwell = params.get('autopilotDwell')
+    if (params.has('autopilotCategories')) {
+      const list = params.get('autopilotCategories').toLowerCase().split(',').map((c) => c.trim())
+      overrides.categories = Object.fromEntries(AUTOPILOT_CATEGORIES.map((c) => [c, list.includes(c)]))
+    }
+    if (params.has('autopilotFavorites')) overrides.favorites = names('autopilotFavorites')
+    if (params.has('autopilotBlacklist')) overrides.blacklist = names('autopilotBlacklist')
+
+    if (Object.keys(overrides).length) {
+      console.log('[Visualizer] URL override auto-pilot:', overrides)
+      this.setAutoPilotSettings(overrides, { persist: false })
+    }
+  }
+
+  _broadcastAutoPilotSettings() {
+    if (!this._controlsChannel || !App.autoPilotManager) return
+    this._broadcastToControls({ type: 'autopilot-settings', settings: App.autoPilotManager.settings })
+  }
+
+  // -------------------------------------------------------------------
+  // Visualizer catalog (see visualizers/visualizerCatalog.js)
+  // -------------------------------------------------------------------
+
+  getStoredVisualizerCatalog() {
+    try {
+      const raw = window.localStorage.getItem(this.storageKeys.catalog)
+      return normalizeCatalog(raw ? JSON.parse(raw) : null)
+    } catch (error) {
+      return normalizeCatalog(null)
+    }
+  }
+
+  saveVisualizerCatalog() {
+    try {
+      window.localStorage.setItem(this.storageKeys.catalog, JSON.stringify(this.visualizerCatalog))
+    } catch (error) {
+      // ignore storage errors
+    }
+    this._rebuildVisualizerOptions()
+    this._broadcastVisualizerCatalog()
+  }
+
+  // Favorite / rating (0 clears) / tags of one visualizer.
+  updateVisualizerCatalog(name, changes) {
+    if (!name) return
+    updateCatalogEntry(this.visualizerCatalog, name, changes)
+    this.saveVisualizerCatalog()
+  }
+
+  _broadcastVisualizerCatalog() {
+    if (!this._controlsChannel) return
+    this._broadcastToControls({ type: 'catalog-update', catalog: this.visualizerCatalog })
+  }
+
+  // Dropdown options (label -> name) for the current search / filter of the TYPE folder.
+  _getVisualizerOptions() {
+    const config = this.visualizerSwitcherConfig
+    const names = searchCatalog(App.visualizerList, this.visualizerCatalog, { query: config?.search, category: config?.show })
+    // Keep the active visualizer selectable even when the filter hides it.
+    if (App.visualizerType && !names.includes(App.visualizerType)) names.unshift(App.visualizerType)
+    return Object.fromEntries(names.map((name) => [getCatalogLabel(this.visualizerCatalog, name), name]))
+  }
+
+  _rebuildVisualizerOptions() {
+    if (!this.visualizerController) return
+    // options() updates the <select> in place; avoid setValue() so nothing switches.
+    this.visualizerController.options(this._getVisualizerOptions())
+    this.visualizerSwitcherConfig.visualizer = App.visualizerType
+    this.visualizerController.updateDisplay()
+    requestAnimationFrame(() => this._updateGuiWidthToFitVisualizerSelect())
+  }
+
+  // -------------------------------------------------------------------
+  // Offline video export (see capture/VideoExporter.js)
+  // -------------------------------------------------------------------
+
+  /**
+   * Renders the loaded track with one visualizer to a WebM/MP4 file and downloads it.
+   * @param {Object} [options] See DEFAULT_EXPORT_OPTIONS in capture/VideoExporter.js;
+   *   `visualizer` defaults to the active one.
+   */
+  async exportVideo(options = {}) {
+    if (this.videoExporter) return
+    if (App.audioManager?.isUsingMicrophone || App.audioManager?.isUsingTestSignal || App.audioManager?.isReplaying || !App.audioManager?.song?.url) {
+      this._broadcastExportStatus({ state: 'error', message: 'Export needs a loaded track (not the microphone, a test signal or a replay)' })
+      return
+    }
+
+    // Loaded on demand: the muxers are only needed here.
+    const { default: VideoExporter } = await import('./capture/VideoExporter')
+    const exporter = new VideoExporter(this, {
+      ...options,
+      visualizer: options.visualizer || App.visualizerType,
+      onProgress: ({ phase, progress }) => this._broadcastExportStatus({ state: phase, progress }),
+    })
+    this.videoExporter = exporter
+
+    try {
+      const { blob, fileName } = await exporter.run()
+      downloadBlob(blob, fileName)
+      console.log('[Visualizer] Exported video:', fileName, `${(blob.size / 1e6).toFixed(1)} MB`)
+      this._broadcastExportStatus({ state: 'done', progress: 1, message: fileName })
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        this._broadcastExportStatus({ state: 'cancelled' })
+      } else {
+        console.error('[Visualizer] Video export failed:', error)
+        this._broadcastExportStatus({ state: 'error', message: error?.message || String(error) })
+      }
+    } finally {
+      this.videoExporter = null
+    }
+  }
+
+  /**
+   * Starts recording the screen and the audio in real time, or stops and downloads
+   * the recording as `visualizer-<date>_<time>.webm`.
+   */
+  async toggleRecording() {
+    if (!this.liveRecorder) {
+      const recorder = new LiveRecorder(this)
+      try {
+        recorder.start()
+        this.liveRecorder = recorder
+        console.log('[Visualizer] Recording started')
+      } catch (error) {
+        console.error('[Visualizer] Could not start recording:', error)
+      }
+      return
+    }
+
+    const recorder = this.liveRecorder
+    this.liveRecorder = null
+    try {
+      const blob = await recorder.stop()
+      const fileName = `${timestampedFileName()}.webm`
+      downloadBlob(blob, fileName)
+      console.log('[Visualizer] Recording saved:', fileName, `${(blob.size / 1e6).toFixed(1)} MB`)
+    } catch (error) {
+      console.error('[Visualizer] Recording failed:', error)
+    }
+  }
+
+  // -------------------------------------------------------------------
+  // Audio analysis capture / replay (see capture/analysisFile.js)
+  // -------------------------------------------------------------------
+
+  /**
+   * Starts recording the analysers frame by frame (see capture/AnalysisRecorder.js).
+   * @param {{ stereo?: boolean }} [options]
+   */
+  startAnalysisCapture({ stereo = false } = {}) {
+    const audioManager = App.audioManager
+    if (this.analysisRecorder || !audioManager?.analyserNode || audioManager.isReplaying) return
+    const track = App.playlistManager?.current
+    this.analysisRecorder = new AnalysisRecorder(audioManager, {
+      stereo,
+      meta: {
+        source: this._getAnalysisSourceName(),
+        track: { url: track?.url || audioManager.song?.url || '', title: track?.title || '' },
+        visualizer: App.visualizerType,
+      },
+    })
+    console.log('[Visualizer] Audio analysis capture started')
+    this._broadcastAnalysisStatus()
+  }
+
+  /**
+   * Stops the capture and downloads it as `<track>-<date>_<time>.vzaudio`.
+   * @returns {Promise<Object|null>} The recording (see decodeAnalysisRecording()).
+   */
+  async stopAnalysisCapture({ download = true } = {}) {
+    const recorder = this.analysisRecorder
+    if (!recorder) return null
+    this.analysisRecorder = null
+    const recording = recorder.getRecording()
+    if (download && recording.frameCount) {
+      try {
+        const blob = await encodeAnalysisRecording(recording)
+        const name = recording.header.track.title || recording.header.source
+        const fileName = `${timestampedFileName(fileSafeName(name, 'audio'))}${ANALYSIS_FILE_EXTENSION}`
+        downloadBlob(blob, fileName)
+        console.log('[Visualizer] Audio analysis saved:', fileName, `${recording.frameCount} frames`, `${(blob.size / 1e6).toFixed(1)} MB`)
+      } catch (error) {
+        console.error('[Visualizer] Could not save audio analysis:', error)
+      }
+    }
+    this._broadcastAnalysisStatus()
+    return recording
+  }
+
+  _getAnalysisSourceName() {
+    const audioManager = App.audioManager
+    if (this.isBridgeMode()) return 'bridge'
+    if (audioManager.isUsingMicrophone) return 'microphone'
+    if (audioManager.isUsingTestSignal) return `test-signal:${audioManager.testSignal.settings.type}`
+    return 'track'
+  }
+
+  _captureAnalysisFrame(audioData, now, mediaTime) {
+    const recorder = this.analysisRecorder
+    recorder.capture(audioData, { now, mediaTime })
+    if (recorder.isFull) {
+      this.stopAnalysisCapture()
+    } else if (now - this._analysisStatusAt >= 1000) {
+      this._analysisStatusAt = now
+      this._broadcastAnalysisStatus()
+    }
+  }
+
+  /**
+   * Replays an analysis recording in place of live audio until stopAnalysisReplay():
+   * visualizers, features and beats all come from the recording, looping at its end.
+   * @param {Object|ArrayBuffer|Blob|string} source A decoded recording, the file's
+   *   contents, the file itself or its URL.
+   * @param {Object} [options]
+   * @param {number} [options.start=0] Where to start, s into the recording.
+   * @param {number} [options.trackTime] Start where the track was at this time (s) instead.
+   * @param {boolean} [options.loop=true]
+   * @param {string} [options.name] For status messages.
+   * @returns {Promise<boolean>}
+   */
+  async startAnalysisReplay(source, { start = 0, trackTime = null, loop = true, name = '' } = {}) {
+    const audioManager = App.audioManager
+    const bpmManager = App.bpmManager
+    if (!audioManager?.analyserNode) return false
+    try {
+      let data = source
+      if (typeof data === 'string') {
+        const response = await fetch(data)
+        if (!response.ok) throw new Error(`Recording request failed (${response.status})`)
+        data = await response.arrayBuffer()
+      } else if (data instanceof Blob) {
+        data = await data.arrayBuffer()
+      }
+      const recording = data?.columns ? data : await decodeAnalysisRecording(data)
+      if (!recording.frameCount) throw new Error('The recording is empty')
+      if (this.analysisRecorder) await this.stopAnalysisCapture()
+
+      if (!this._replaySession) {
+        this._replaySession = {
+          wasPlaying: audioManager.isPlaying,
+          beatGrid: bpmManager?.beatGrid || null,
+          liveDetection: !!bpmManager?.onsetDetector,
+        }
+        if (audioManager.isPlaying) audioManager.pause()
+      }
+      const from = Number.isFinite(trackTime) ? findMediaTime(recording, trackTime) : Number(start) || 0
+      audioManager.startReplay(recording, { start: from, loop })
+      this._replaySession.name = name || recording.header.track?.title || recording.header.source || 'recording'
+      this._replaySession.duration = recording.duration
+
+      // Beats as recorded, on the replay clock.
+      bpmManager?.stopLiveDetection()
+      const grid = getRecordingBeatGrid(recording)
+      if (grid) bpmManager?.setBeatGrid(grid)
+      else bpmManager?.clearBeatGrid()
+
+      // Visualizers may keep the analysers they were created with.
+      await this.switchVisualizer(App.visualizerType, { notify: false, immediate: true })
+      console.log('[Visualizer] Replaying audio analysis:', this._replaySession.name, `from ${from.toFixed(1)}s of ${recording.duration.toFixed(1)}s`)
+      this._broadcastAnalysisStatus()
+      return true
+    } catch (error) {
+      console.warn('[Visualizer] Could not replay audio analysis:', error)
+      this._broadcastAnalysisStatus(error?.message || String(error))
+      return false
+    }
+  }
+
+  // Back to live audio, with the beat tracking and playback state from before the replay.
+  async stopAnalysisReplay() {
+    const session = this._replaySession
+    const audioManager = App.audioManager
+    const bpmManager = App.bpmManager
+    if (!session) return
+    this._replaySession = null
+    audioManager.stopOfflineAnalysis()
+    if (session.beatGrid) bpmManager?.setBeatGrid(session.beatGrid)
+    else bpmManager?.clearBeatGrid()
+    if (session.liveDetection) bpmManager?.startLiveDetection(audioManager.analyserNode)
+    await this.switchVisualizer(App.visualizerType, { notify: false, immediate: true })
+    if (session.wasPlaying) audioManager.play()
+    this._broadcastAnalysisStatus()
+  }
+
+  _broadcastAnalysisStatus(error = '') {
+    if (!this._controlsChannel) return
+    const recorder = this.analysisRecorder
+    const session = this._replaySession
+    this._broadcastToControls({
+      type: 'analysis-status',
+      capturing: !!recorder,
+      frames: recorder?.frameCount || 0,
+      seconds: recorder?.duration || 0,
+      replaying: !!session,
+      replayName: session?.name || '',
+      replayDuration: session?.duration || 0,
+      error,
+    })
+  }
+
+  // -------------------------------------------------------------------
+  // Shader editor (ShadertoyMultipassVisualizer.setSource(), user shaders in shaderRegistry.js)
+  // -------------------------------------------------------------------
+
+  /**
+   * Hot-reloads the active shader visualizer from edited source. Errors go back to the
+   * popup editor; on errors the last good version keeps running.
+   * @param {string} source
+   */
+  compileShaderSource(source) {
+    const v = App.currentVisualizer
+    if (typeof v?.setSource !== 'function') return
+    const { ok, errors } = v.setSource(source)
+    this._broadcastToControls({ type: 'shader-errors', name: App.visualizerType, ok, errors })
+    // Sections may have been added or removed.
+    if (ok) this._broadcastShaderChannels()
+  }
+
+  /**
+   * Saves source as a user shader (listed as `Shader: <title> (user)`) and switches to it.
+   * @param {string} title
+   * @param {string} source
+   */
+  async saveUserShader(title, source, { channels = null, basedOn = App.visualizerType } = {}) {
+    const name = saveUserShader({ title, source, basedOn, channels })
+    if (!name) {
+      this._broadcastShaderError('Could not save the shader (browser storage full or unavailable).')
+      return
+    }
+    if (!App.visualizerList.includes(name)) {
+      App.visualizerList.push(name)
+      this._rebuildVisualizerOptions()
+      this._broadcastToControls({ type: 'visualizer-list-update', visualizerList: [...App.visualizerList] })
+    }
+    // Already running this source: just tell the editor it is saved now.
+    if (name === App.visualizerType && !channels && App.currentVisualizer?.getUserSource?.() === source) this._broadcastShaderSource()
+    else await this.switchVisualizer(name)
+  }
+
+  /**
+   * Imports a Shadertoy JSON export as a user shader, with its passes and channel inputs,
+   * and switches to it.
+   * @param {string|Object} json
+   */
+  async importShadertoyShader(json) {
+    let shader
+    try {
+      shader = parseShadertoyJson(json)
+    } catch (error) {
+      this._broadcastShaderError(`Shadertoy import failed: ${error.message}`)
+      return
+    }
+    console.log(`[Visualizer] Importing Shadertoy shader "${shader.title}"${shader.url ? ` (${shader.url})` : ''}`)
+    await this.saveUserShader(shader.title, shader.source, { channels: shader.channels, basedOn: null })
+  }
+
+  /**
+   * Binds a channel input of the active shader and remembers it for that shader.
+   * Files from the popup arrive as Blobs and are opened for this session only.
+   * @param {string} pass 'Image', 'Buffer A', …
+   * @param {number} channel 0..3
+   * @param {Object|null} input See shadertoyImport.js.
+   */
+  setShaderChannel(pass, channel, input) {
+    const v = App.currentVisualizer
+    if (typeof v?.setChannelInput !== 'function' || !(channel >= 0 && channel <= 3)) return
+    const toUrl = (src) => (src instanceof Blob ? URL.createObjectURL(src) : src)
+    const binding = input && normalizeChannelBinding({ ...input, src: Array.isArray(input.src) ? input.src.map(toUrl) : toUrl(input.src) })
+    if (input && !binding) {
+      this._broadcastShaderError(`Can't bind ${pass} iChannel${channel}: the ${input.type || 'input'} needs a source.`)
+      this._broadcastShaderChannels({ ok: false })
+      return
+    }
+    const { ok, errors } = v.setChannelInput(pass, channel, binding)
+    this._broadcastToControls({ type: 'shader-errors', name: App.visualizerType, ok, errors })
+    const stored = ok && setShaderChannelOverride(App.visualizerType, pass, channel, binding)
+    this._broadcastShaderChannels({ ok, stored })
+  }
+
+  // The active shader's passes and channel inputs for the popup. After a change, `ok`
+  // tells whether it was applied and `stored` whether it will be there after a reload.
+  _broadcastShaderChannels({ ok = true, stored = true } = {}) {
+    if (!this._controlsChannel) return
+    const v = App.currentVisualizer
+    const isShader = typeof v?.getChannelInputs === 'function'
+    this._broadcastToControls({
+      type: 'shader-channels',
+      name: App.visualizerType,
+      passes: isShader ? v.getPassNames() : [],
+      channels: isShader ? v.getChannelInputs() : {},
+      ok,
+      stored,
+    })
+    this._broadcastShaderKeyboard()
+  }
+
+  // Whether a channel of the active shader reads the keyboard, and has it to itself.
+  _broadcastShaderKeyboard() {
+    if (!this._controlsChannel) return
+    const v = App.currentVisualizer
+    this._broadcastToControls({
+      type: 'shader-keyboard',
+      name: App.visualizerType,
+      available: !!v?.hasKeyboardInput?.(),
+      focused: !!v?.hasKeyboardFocus?.(),
+    })
+  }
+
+  _onShaderKeyboardFocus({ target, focused }) {
+    if (target !== App.currentVisualizer) return
+    if (focused) this._showToast('Keyboard → shader\nEsc gives the keys back')
+    this._broadcastShaderKeyboard()
+  }
+
+  // Shows a message in the popup's shader editor error list.
+  _broadcastShaderError(message) {
+    this._broadcastToControls({ type: 'shader-errors', name: App.visualizerType, ok: false, errors: [{ pass: '', severity: 'error', line: null, message }] })
+  }
+
+  async deleteUserShader(name) {
+    if (!deleteUserShader(name)) return
+    const index = App.visualizerList.indexOf(name)
+    if (index >= 0) App.visualizerList.splice(index, 1)
+    if (name === App.visualizerType) await this.switchVisualizer(SHADER_VISUALIZER_NAMES[0])
+    this._rebuildVisualizerOptions()
+    this._broadcastToControls({ type: 'visualizer-list-update', visualizerList: [...App.visualizerList] })
+  }
+
+  // The active shader's source for the popup editor (source null for other visualizers).
+  _broadcastShaderSource() {
+    if (!this._controlsChannel) return
+    const v = App.currentVisualizer
+    const name = App.visualizerType
+    const isShader = typeof v?.getUserSource === 'function'
+    this._broadcastToControls({
+      type: 'shader-source',
+      name,
+      title: isShader ? getShaderTitle(name) : '',
+      source: isShader ? v.getUserSource() : null,
+      isUser: isShader && isUserShader(name),
+      errors: isShader ? v.compileErrors : [],
+    })
+    this._broadcastShaderChannels()
+  }
+
+  // -------------------------------------------------------------------
+  // Scene state (see sceneState.js)
+  // -------------------------------------------------------------------
+
+  /**
+   * The current setup as a scene: visualizer, its GUI `properties`, shader control
+   * values, FV3 spectrum-filter controls, layers, post effects, modulation bindings,
+   * quality settings and track / time.
+   */
+  getSceneState() {
+    const v = App.currentVisualizer
+    const scene = { version: SCENE_VERSION, visualizer: App.visualizerType }
+
+    if (v?.properties && typeof v.properties === 'object') {
+      scene.properties = { ...v.properties }
+    }
+    const controls = v?.shaderConfig?.controls || []
+    if (controls.length && typeof v.getUniform === 'function') {
+      scene.shaderUniforms = Object.fromEntries(controls.map((c) => [c.uniform, v.getUniform(c.uniform)]))
+    }
+    if (App.visualizerType === 'Frequency Visualization 3' && typeof v?.getControlParams === 'function') {
+      scene.spectrumFilter = {
+        preset: this.variant3PresetState?.loadPreset || this.getStoredFV3PresetName() || null,
+        params: { ...v.getControlParams() },
+      }
+    }
+
+    if (this.layers.length) scene.layers = this.layers.map((layer) => this._getLayerSettings(layer))
+    if (isPostChainActive(this.postChain)) scene.post = this.postChain
+    if (this.modulation.bindings.length) scene.modulation = this.modulation.bindings.map(({ id, ...binding }) => binding)
+
+    const antialias = this._getContextAntialias()
+    scene.quality = {
+      antialias: typeof antialias === 'boolean' ? antialias : false,
+      pixelRatio: this._snapPixelRatio(this.renderer?.getPixelRatio?.() || 1, { min: 0.25, max: 2 }),
+    }
+
+    const audioManager = App.audioManager
+    if (audioManager?.song?.url && !audioManager.isUsingMicrophone) {
+      const track = App.playlistManager?.current
+      scene.track = {
+        // Local files get object URLs that don't outlive the session; keep their name only.
+        url: track?.source === 'file' ? null : audioManager.song.url,
+        title: track?.title || null,
+        artist: track?.artist || null,
+        position: Math.round(audioManager.getCurrentTime() * 1000) / 1000,
+      }
+    }
+    return normalizeSceneState(scene)
+  }
+
+  /**
+   * Reproduces a scene (see getSceneState()). Loads its track when it has a URL
+   * that isn't playing, then seeks to its position.
+   * @returns {Promise<boolean>} false when the scene can't be used.
+   */
+  async applySceneState(raw) {
+    const scene = normalizeSceneState(raw)
+    if (!scene || !App.visualizerList.includes(scene.visualizer)) {
+      console.warn('[Visualizer] Scene names an unknown visualizer:', raw?.visualizer)
+      return false
+    }
+
+    // Quality and shader controls are read from storage when the visualizer is switched to.
+    if (scene.quality) this._writePerVisualizerQualityOverride(scene.visualizer, scene.quality)
+    const config = await getShaderConfigByName(scene.visualizer)
+    if (config && scene.shaderUniforms) {
+      for (const [uniform, value] of Object.entries(scene.shaderUniforms)) {
+        try {
+          window.localStorage.setItem(getShaderControlStorageKey(config, uniform), String(value))
+        } catch (error) {
+          // ignore storage errors
+        }
+      }
+    }
+
+    await this.switchVisualizer(scene.visualizer)
+
+    const v = App.currentVisualizer
+    if (scene.properties && v?.properties) {
+      if (typeof v.setProperties === 'function') v.setProperties(scene.properties)
+      else Object.assign(v.properties, scene.properties)
+    }
+    if (scene.shaderUniforms && typeof v?.setUniform === 'function') {
+      for (const [uniform, value] of Object.entries(scene.shaderUniforms)) v.setUniform(uniform, value)
+    }
+    if (scene.spectrumFilter && typeof v?.setControlParams === 'function') {
+      v.setControlParams(scene.spectrumFilter.params)
+      if (this.variant3Config) {
+        Object.assign(this.variant3Config, v.getControlParams())
+        Object.values(this.variant3Controllers).forEach((c) => c?.updateDisplay?.())
+      }
+    }
+    // A scene without layers or post effects shows its visualizer on its own.
+    await this.setLayers(scene.layers || [])
+    this.setPostChain(scene.post || { ...this.postChain, enabled: false })
+    this.setModulationBindings(scene.modulation || [])
+
+    await this._applySceneTrack(scene.track)
+    console.log('[Visualizer] Scene applied:', scene.visualizer)
+    return true
+  }
+
+  async _applySceneTrack(track) {
+    const audioManager = App.audioManager
+    const playlist = App.playlistManager
+    if (!track || !audioManager?.audio || audioManager.isUsingMicrophone) return
+
+    if (track.url && track.url !== audioManager.song.url && playlist) {
+      const existing = playlist.tracks.findIndex((t) => t.url === track.url)
+      playlist.select(existing >= 0 ? existing : playlist.add({ url: track.url, title: track.title, artist: track.artist }))
+      await this._trackLoading
+    }
+    // Local files have no URL; their position only makes sense for the same file.
+    const sameTrack = track.url ? track.url === audioManager.song.url : !!track.title && track.title === playlist?.current?.title
+    if (sameTrack) {
+      audioManager.seek(track.position)
+      this.savePlaybackPosition(track.position)
+    }
+  }
+
+  // Shareable link to the current scene (`#scene=…`).
+  async getSceneUrl() {
+    const url = await createSceneUrl(this.getSceneState())
+    this._broadcastToControls({ type: 'scene-url', url })
+    return url
+  }
+
+  downloadSceneFile() {
+    const scene = this.getSceneState()
+    const blob = new Blob([sceneToJson(scene)], { type: 'application/json' })
+    downloadBlob(blob, `${timestampedFileName(fileSafeName(scene.visualizer))}${SCENE_FILE_EXTENSION}`)
+  }
+
+  async _applySceneFromHash() {
+    const param = getSceneParam(window.location.hash)
+    if (!param) return
+    try {
+      const scene = await decodeScene(param)
+      if (scene) await this.applySceneState(scene)
+    } catch (e) {
+      console.warn('[Visualizer] Failed to apply scene link:', e)
+    }
+  }
+
+  // -------------------------------------------------------------------
+  // Snapshots (see capture/snapshot.js)
+  // -------------------------------------------------------------------
+
+  /**
+   * Renders the current frame at `width` px (window aspect ratio; 0 = current size)
+   * and downloads it as a PNG whose text chunks hold the scene (see getSceneState()).
+   * @returns {Promise<{ blob: Blob, fileName: string, width: number, height: number, state: Object }>}
+   */
+  async takeSnapshot({ width = 0, download = true } = {}) {
+    const state = this.getSceneState()
+    const text = {
+      Title: state.visualizer,
+      Software: 'Audio Visualizer',
+      'Creation Time': new Date().toISOString(),
+      Visualizer: state.visualizer,
+      'Shader Uniforms': state.shaderUniforms && JSON.stringify(state.shaderUniforms),
+      'Spectrum Filter': state.spectrumFilter && JSON.stringify(state.spectrumFilter),
+      'Track Position': state.track && `${state.track.position}s ${state.track.title || state.track.url || ''}`.trim(),
+      // Everything in one machine-readable entry; dropping the PNG on the page restores it.
+      Scene: JSON.stringify(state),
+    }
+
+    try {
+      const { blob, width: w, height: h } = await captureSnapshot(this, { width: Number(width) || 0, text })
+      const fileName = `${timestampedFileName(fileSafeName(state.visualizer))}.png`
+      if (download) downloadBlob(blob, fileName)
+      console.log('[Visualizer] Snapshot:', fileName, `${w}x${h}`)
+      this._broadcastToControls({ type: 'snapshot-status', ok: true, message: `${fileName} (${w}x${h})` })
+      return { blob, fileName, width: w, height: h, state }
+    } catch (error) {
+      console.error('[Visualizer] Snapshot failed:', error)
+      this._broadcastToControls({ type: 'snapshot-status', ok: false, message: error?.message || String(error) })
+      throw error
+    }
+  }
+
+  async _restoreSceneFile(file) {
+    try {
+      const scene = sceneFromJson(await file.text())
+      if (scene) await this.applySceneState(scene)
+    } catch (e) {
+      console.warn('[Visualizer] Failed to restore scene file:', e)
+    }
+  }
+
+  // Restores the scene embedded in a PNG saved by takeSnapshot().
+  async _restoreSnapshotFile(file) {
+    try {
+      const text = readPngText(await file.arrayBuffer())
+      const scene = text.Scene ? sceneFromJson(text.Scene) : null
+      if (!scene) {
+        console.warn('[Visualizer] No scene in', file.name)
+        return
+      }
+      await this.applySceneState(scene)
+    } catch (e) {
+      console.warn('[Visualizer] Failed to restore snapshot:', e)
+    }
+  }
+
+  _broadcastExportStatus({ state, progress = 0, message = '' }) {
+    if (!this._controlsChannel) return
+    this._broadcastToControls({ type: 'export-status', state, progress, message })
+  }
+
   cycleVisualizer(step) {
     const list = App.visualizerList
     if (!list || list.length === 0) return
@@ -3616,11 +5755,23 @@ export default class App {
     visualizerFolder.open()
     
     this.visualizerSwitcherConfig = {
-      visualizer: App.visualizerType
+      visualizer: App.visualizerType,
+      search: '',
+      show: 'all'
     }
-    
+
+    // Fuzzy search (`#tag` terms match tags) and category filter narrow the dropdown below.
+    visualizerFolder
+      .add(this.visualizerSwitcherConfig, 'search')
+      .name('Search')
+      .onChange(() => this._rebuildVisualizerOptions())
+    visualizerFolder
+      .add(this.visualizerSwitcherConfig, 'show', CATALOG_FILTERS)
+      .name('Show')
+      .onChange(() => this._rebuildVisualizerOptions())
+
     this.visualizerController = visualizerFolder
-      .add(this.visualizerSwitcherConfig, 'visualizer', App.visualizerList)
+      .add(this.visualizerSwitcherConfig, 'visualizer', this._getVisualizerOptions())
       .name('Select Visualizer')
       .listen()
       .onChange((value) => {
@@ -3639,11 +5790,7 @@ export default class App {
         if (!names?.length) return
         App.visualizerList.push(...names)
         // Rebuild dropdown options to include MilkDrop presets
-        if (this.visualizerController) {
-          this.visualizerController.options(App.visualizerList)
-          this.visualizerController.setValue(App.visualizerType)
-          requestAnimationFrame(() => this._updateGuiWidthToFitVisualizerSelect())
-        }
+        this._rebuildVisualizerOptions()
         // Notify popup controls about the updated list
         this._broadcastToControls({
           type: 'visualizer-list-update',
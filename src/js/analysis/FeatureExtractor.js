@@ -0,0 +1,278 @@
+import { DEFAULT_BANDS } from './frequencyBands'
+
+// Per-frame audio features for visualizers (exposed as `audioData.features`).
+//
+// Everything is derived from the AnalyserNode spectrum (plus the stereo metrics
+// from StereoAnalyser for width), normalized to roughly 0..1 and smoothed with
+// separate attack/release rates so visuals rise quickly and decay gently.
+
+const MIN_HZ = 20
+const MAX_HZ = 20000
+const ROLLOFF_RATIO = 0.85
+const CHROMA_MIN_HZ = 55
+const CHROMA_MAX_HZ = 5000
+const LOUDNESS_WINDOW = 0.4 // s, like EBU R128 momentary loudness
+const LOUDNESS_FLOOR_DB = -60
+const ONSET_WINDOW = 0.5 // s of band flux history for the adaptive threshold
+const ONSET_MIN_GAP = 0.08 // s
+// Minimum flux normalisation scale: an average 1 dB rise per bin (log10 units).
+// Keeps steady noise from reading as maximum flux when nothing louder has happened yet.
+const FLUX_FLOOR_PER_BIN = 0.05
+
+function clamp01(v) {
+  return v < 0 ? 0 : v > 1 ? 1 : v
+}
+
+// Maps a frequency to 0..1 on a log axis between MIN_HZ and MAX_HZ.
+function logFrequency01(hz) {
+  if (!(hz > MIN_HZ)) return 0
+  return clamp01(Math.log(hz / MIN_HZ) / Math.log(MAX_HZ / MIN_HZ))
+}
+
+// Rough K-weighting (BS.1770): high-pass around 60 Hz and a +4 dB shelf above ~1.5 kHz.
+function kWeight(hz) {
+  const f2 = hz * hz
+  const highPass = f2 / (f2 + 60 * 60)
+  const shelf = 1 + (10 ** (4 / 20) - 1) * (f2 / (f2 + 1500 * 1500))
+  const amplitude = highPass * shelf
+  return amplitude * amplitude
+}
+
+function smooth(prev, next, attack, release) {
+  return prev + (next - prev) * (next > prev ? attack : release)
+}
+
+class BandOnsetDetector {
+  constructor() {
+    this.history = []
+    this.lastOnsetAt = -Infinity
+  }
+
+  process(time, flux) {
+    const history = this.history
+    history.push({ time, flux })
+    while (history.length && time - history[0].time > ONSET_WINDOW) history.shift()
+    let mean = 0
+    for (const h of history) mean += h.flux
+    mean /= history.length
+    let variance = 0
+    for (const h of history) variance += (h.flux - mean) ** 2
+    const threshold = mean + 1.5 * Math.sqrt(variance / history.length) + 0.02
+    if (flux > threshold && time - this.lastOnsetAt >= ONSET_MIN_GAP) {
+      this.lastOnsetAt = time
+      return true
+    }
+    return false
+  }
+}
+
+export default class FeatureExtractor {
+  /**
+   * @param {AnalyserNode} analyser Main (mono mix) analyser.
+   * @param {{ bands?: Array<{name:string,minHz:number,maxHz:number}> }} [options]
+   */
+  constructor(analyser, { bands = DEFAULT_BANDS } = {}) {
+    this.analyser = analyser
+    this.attack = 0.6
+    this.release = 0.12
+
+    const bins = analyser.frequencyBinCount
+    this.binHz = analyser.context.sampleRate / analyser.fftSize
+    this.spectrumDb = new Float32Array(bins)
+    this.power = new Float32Array(bins)
+    this.logMag = new Float32Array(bins)
+    this.prevLogMag = new Float32Array(bins)
+    this.hasPrevious = false
+    this.timeDomain = new Uint8Array(analyser.fftSize)
+
+    // Pitch class (0 = C) for every bin inside the chroma range, -1 elsewhere.
+    this.binPitchClass = new Int8Array(bins).fill(-1)
+    for (let i = 1; i < bins; i++) {
+      const hz = i * this.binHz
+      if (hz < CHROMA_MIN_HZ || hz > CHROMA_MAX_HZ) continue
+      const midi = Math.round(69 + 12 * Math.log2(hz / 440))
+      this.binPitchClass[i] = ((midi % 12) + 12) % 12
+    }
+
+    this.loudnessFrames = [] // { time, power }
+    this.fluxPeak = 1e-3
+    this.bandFluxPeaks = {}
+    this.bandOnsetDetectors = {}
+    this.setBands(bands)
+
+    // Reused every frame; consumers should copy values they want to keep.
+    this.features = {
+      rms: 0,
+      loudness: 0,
+      loudnessDb: LOUDNESS_FLOOR_DB,
+      centroid: 0,
+      centroidHz: 0,
+      flux: 0,
+      rolloff: 0,
+      rolloffHz: 0,
+      flatness: 0,
+      bands: {},
+      onsets: {},
+      chroma: new Float32Array(12),
+      stereoWidth: 0,
+    }
+    this._rawChroma = new Float32Array(12)
+  }
+
+  /**
+   * Sets the frequency bands used for per-band energy and onsets.
+   * @param {Array<{name:string,minHz:number,maxHz:number}>} bands
+   */
+  setBands(bands) {
+    const bins = this.analyser.frequencyBinCount
+    this.bands = bands.map((b) => ({
+      name: b.name,
+      start: Math.max(1, Math.floor(b.minHz / this.binHz)),
+      end: Math.max(1, Math.min(bins - 1, Math.ceil(b.maxHz / this.binHz))),
+    }))
+    for (const b of this.bands) {
+      if (!this.bandOnsetDetectors[b.name]) this.bandOnsetDetectors[b.name] = new BandOnsetDetector()
+      if (!this.bandFluxPeaks[b.name]) this.bandFluxPeaks[b.name] = 1e-3
+    }
+    if (this.features) {
+      this.features.bands = {}
+      this.features.onsets = {}
+    }
+  }
+
+  /**
+   * Computes the features for the current analyser frame.
+   * @param {number} time Monotonic time in seconds.
+   * @param {{ width: number }|null} [stereo] This frame's StereoAnalyser metrics.
+   */
+  process(time, stereo = null) {
+    const f = this.features
+    const { attack, release } = this
+    const bins = this.spectrumDb.length
+    const minDb = this.analyser.minDecibels
+
+    this.analyser.getFloatFrequencyData(this.spectrumDb)
+
+    let totalPower = 0
+    let weightedPower = 0
+    let magSum = 0
+    let weightedFreq = 0
+    let logSum = 0
+    let flux = 0
+    for (let i = 1; i < bins; i++) {
+      const db = Math.max(this.spectrumDb[i], minDb)
+      const p = 10 ** (db / 10)
+      const mag = Math.sqrt(p)
+      const hz = i * this.binHz
+      this.power[i] = p
+      totalPower += p
+      weightedPower += p * kWeight(hz)
+      magSum += mag
+      weightedFreq += mag * hz
+      logSum += Math.log(p + 1e-20)
+
+      const logMag = db / 20
+      this.logMag[i] = logMag
+      if (this.hasPrevious) {
+        const diff = logMag - this.prevLogMag[i]
+        if (diff > 0) flux += diff
+      }
+    }
+
+    // Rolloff: frequency below which ROLLOFF_RATIO of the spectral energy lies.
+    let rolloffHz = 0
+    let acc = 0
+    for (let i = 1; i < bins; i++) {
+      acc += this.power[i]
+      if (acc >= totalPower * ROLLOFF_RATIO) {
+        rolloffHz = i * this.binHz
+        break
+      }
+    }
+
+    // Momentary loudness over the last LOUDNESS_WINDOW seconds.
+    this.loudnessFrames.push({ time, power: weightedPower })
+    while (this.loudnessFrames.length && time - this.loudnessFrames[0].time > LOUDNESS_WINDOW) this.loudnessFrames.shift()
+    let meanPower = 0
+    for (const frame of this.loudnessFrames) meanPower += frame.power
+    meanPower /= this.loudnessFrames.length
+    const loudnessDb = Math.max(LOUDNESS_FLOOR_DB, -0.691 + 10 * Math.log10(meanPower + 1e-20))
+
+    // Flux is auto-scaled against a slowly decaying peak.
+    this.fluxPeak = Math.max(flux, this.fluxPeak * 0.995, FLUX_FLOOR_PER_BIN * (bins - 1))
+
+    const centroidHz = magSum > 0 ? weightedFreq / magSum : 0
+    const arithmetic = totalPower / (bins - 1)
+    const geometric = Math.exp(logSum / (bins - 1))
+    const flatness = arithmetic > 0 ? clamp01(geometric / arithmetic) : 0
+
+    f.rms = smooth(f.rms, this._computeRms(), attack, release)
+    f.loudnessDb = smooth(f.loudnessDb, loudnessDb, attack, release)
+    f.loudness = clamp01((f.loudnessDb - LOUDNESS_FLOOR_DB) / -LOUDNESS_FLOOR_DB)
+    f.centroidHz = smooth(f.centroidHz, centroidHz, attack, release)
+    f.centroid = logFrequency01(f.centroidHz)
+    f.rolloffHz = smooth(f.rolloffHz, rolloffHz, attack, release)
+    f.rolloff = logFrequency01(f.rolloffHz)
+    f.flatness = smooth(f.flatness, flatness, attack, release)
+    f.flux = smooth(f.flux, clamp01(flux / this.fluxPeak), attack, release)
+
+    this._processBands(time)
+    this._processChroma()
+    // 0 = mono, ~0.5 = uncorrelated channels, 1 = fully out of phase.
+    f.stereoWidth = smooth(f.stereoWidth, stereo ? stereo.width : 0, attack, release)
+
+    ;[this.logMag, this.prevLogMag] = [this.prevLogMag, this.logMag]
+    this.hasPrevious = true
+    return f
+  }
+
+  _computeRms() {
+    this.analyser.getByteTimeDomainData(this.timeDomain)
+    let sum = 0
+    for (let i = 0; i < this.timeDomain.length; i++) {
+      const v = (this.timeDomain[i] - 128) / 128
+      sum += v * v
+    }
+    return clamp01(Math.sqrt(sum / this.timeDomain.length) * Math.SQRT2)
+  }
+
+  _processBands(time) {
+    const f = this.features
+    // Band energy is mapped over the analyser's dB window, like the byte spectrum.
+    const minDb = this.analyser.minDecibels
+    const range = this.analyser.maxDecibels - minDb
+    for (const band of this.bands) {
+      let energy = 0
+      let flux = 0
+      for (let i = band.start; i <= band.end; i++) {
+        energy += this.power[i]
+        if (this.hasPrevious) {
+          const diff = this.logMag[i] - this.prevLogMag[i]
+          if (diff > 0) flux += diff
+        }
+      }
+      const count = band.end - band.start + 1
+      const db = 10 * Math.log10(energy / count + 1e-20)
+      const level = clamp01((db - minDb) / range)
+      f.bands[band.name] = smooth(f.bands[band.name] || 0, level, this.attack, this.release)
+
+      const peak = (this.bandFluxPeaks[band.name] = Math.max(flux, this.bandFluxPeaks[band.name] * 0.995, FLUX_FLOOR_PER_BIN * count))
+      f.onsets[band.name] = this.bandOnsetDetectors[band.name].process(time, flux / peak)
+    }
+  }
+
+  _processChroma() {
+    const raw = this._rawChroma
+    raw.fill(0)
+    for (let i = 1; i < this.binPitchClass.length; i++) {
+      const pc = this.binPitchClass[i]
+      if (pc >= 0) raw[pc] += Math.sqrt(this.power[i])
+    }
+    let max = 0
+    for (let i = 0; i < 12; i++) max = Math.max(max, raw[i])
+    const chroma = this.features.chroma
+    for (let i = 0; i < 12; i++) {
+      chroma[i] = smooth(chroma[i], max > 0 ? raw[i] / max : 0, this.attack, this.release)
+    }
+  }
+}
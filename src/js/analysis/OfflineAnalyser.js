@@ -0,0 +1,151 @@
+// AnalyserNode stand-in that reads a decoded AudioBuffer at an explicit time
+// instead of the live stream (used for offline video export).
+//
+// Follows the Web Audio spec's analyser algorithm (Blackman window, |FFT| / N,
+// smoothing over time, dB conversion and byte mapping) so visualizers see the same
+// kind of data they get from the real AnalyserNode and can't tell the difference.
+
+const BLACKMAN_ALPHA = 0.16
+
+// In-place iterative radix-2 FFT.
+function fft(re, im) {
+  const n = re.length
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) j ^= bit
+    j ^= bit
+    if (i < j) {
+      ;[re[i], re[j]] = [re[j], re[i]]
+      ;[im[i], im[j]] = [im[j], im[i]]
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1
+    const step = (-2 * Math.PI) / size
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k)
+        const sin = Math.sin(step * k)
+        const a = start + k
+        const b = a + half
+        const tre = re[b] * cos - im[b] * sin
+        const tim = re[b] * sin + im[b] * cos
+        re[b] = re[a] - tre
+        im[b] = im[a] - tim
+        re[a] += tre
+        im[a] += tim
+      }
+    }
+  }
+}
+
+export default class OfflineAnalyser {
+  /**
+   * @param {AudioBuffer} buffer
+   * @param {Object} [options]
+   * @param {'mix'|number} [options.channel='mix'] Channel index, or the mono down-mix.
+   * @param {number} [options.fftSize=2048]
+   * @param {number} [options.smoothingTimeConstant=0]
+   * @param {number} [options.minDecibels=-90]
+   * @param {number} [options.maxDecibels=-25]
+   */
+  constructor(buffer, { channel = 'mix', fftSize = 2048, smoothingTimeConstant = 0, minDecibels = -90, maxDecibels = -25 } = {}) {
+    this.buffer = buffer
+    this.fftSize = fftSize
+    this.smoothingTimeConstant = smoothingTimeConstant
+    this.minDecibels = minDecibels
+    this.maxDecibels = maxDecibels
+    // FeatureExtractor reads `analyser.context.sampleRate`.
+    this.context = { sampleRate: buffer.sampleRate }
+
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i))
+    if (channel === 'mix' && channels.length > 1) {
+      // Same down-mix the real analyser applies to a stereo input: (L + R) / 2
+      this._data = new Float32Array(buffer.length)
+      for (let i = 0; i < buffer.length; i++) this._data[i] = (channels[0][i] + channels[1][i]) / 2
+    } else {
+      this._data = channels[Math.min(channels.length - 1, channel === 'mix' ? 0 : channel)]
+    }
+
+    this._window = new Float32Array(fftSize)
+    const a0 = (1 - BLACKMAN_ALPHA) / 2
+    const a2 = BLACKMAN_ALPHA / 2
+    for (let i = 0; i < fftSize; i++) {
+      const x = (2 * Math.PI * i) / fftSize
+      this._window[i] = a0 - 0.5 * Math.cos(x) + a2 * Math.cos(2 * x)
+    }
+    this._samples = new Float32Array(fftSize)
+    this._re = new Float64Array(fftSize)
+    this._im = new Float64Array(fftSize)
+    this._smoothed = new Float32Array(fftSize / 2)
+    this._spectrumFresh = false
+    this.setTime(0)
+  }
+
+  get frequencyBinCount() {
+    return this.fftSize / 2
+  }
+
+  /**
+   * Moves the analysis window so it ends at `time` (s), like a live analyser at that playback position.
+   */
+  setTime(time) {
+    const end = Math.round(time * this.buffer.sampleRate)
+    const start = end - this.fftSize
+    for (let i = 0; i < this.fftSize; i++) {
+      const j = start + i
+      this._samples[i] = j >= 0 && j < this._data.length ? this._data[j] : 0
+    }
+    this._spectrumFresh = false
+  }
+
+  getFloatTimeDomainData(array) {
+    const n = Math.min(array.length, this.fftSize)
+    for (let i = 0; i < n; i++) array[i] = this._samples[i]
+  }
+
+  getByteTimeDomainData(array) {
+    const n = Math.min(array.length, this.fftSize)
+    for (let i = 0; i < n; i++) {
+      array[i] = Math.max(0, Math.min(255, Math.floor(128 * (this._samples[i] + 1))))
+    }
+  }
+
+  getFloatFrequencyData(array) {
+    this._updateSpectrum()
+    const n = Math.min(array.length, this._smoothed.length)
+    for (let i = 0; i < n; i++) array[i] = 20 * Math.log10(this._smoothed[i])
+  }
+
+  getByteFrequencyData(array) {
+    this._updateSpectrum()
+    const n = Math.min(array.length, this._smoothed.length)
+    const range = this.maxDecibels - this.minDecibels
+    for (let i = 0; i < n; i++) {
+      const db = 20 * Math.log10(this._smoothed[i])
+      array[i] = Math.max(0, Math.min(255, Math.floor((255 / range) * (db - this.minDecibels))))
+    }
+  }
+
+  // Graph API no-ops so code that (dis)connects the analyser keeps working.
+  connect() {}
+
+  disconnect() {}
+
+  // Computed at most once per setTime(), so smoothing advances once per frame like the real node.
+  _updateSpectrum() {
+    if (this._spectrumFresh) return
+    this._spectrumFresh = true
+    const n = this.fftSize
+    for (let i = 0; i < n; i++) {
+      this._re[i] = this._samples[i] * this._window[i]
+      this._im[i] = 0
+    }
+    fft(this._re, this._im)
+    const tau = this.smoothingTimeConstant
+    for (let k = 0; k < this._smoothed.length; k++) {
+      const magnitude = Math.hypot(this._re[k], this._im[k]) / n
+      this._smoothed[k] = tau * this._smoothed[k] + (1 - tau) * magnitude
+    }
+  }
+}
@@ -0,0 +1,209 @@
+// Streaming onset and beat detector for live input (e.g. the microphone).
+//
+// Runs once per animation frame on an AnalyserNode:
+// - spectral flux of the log-magnitude spectrum,
+// - adaptive threshold (local mean + scaled deviation) with peak picking,
+// - tempo from an inter-onset-interval histogram folded into MIN_BPM..MAX_BPM,
+// - beat phase kept by a simple phase-locked loop that nudges predicted beats
+//   towards onsets that land close to them.
+
+const MIN_BPM = 70
+const MAX_BPM = 180
+const MAX_FREQ_HZ = 8000
+const THRESHOLD_WINDOW = 0.6 // s of flux history used for the adaptive threshold
+const ONSET_HISTORY = 8 // s of onsets used for tempo estimation
+const MIN_ONSET_GAP = 0.1 // s
+const PHASE_TOLERANCE = 0.12 // fraction of a beat period counted as "on the beat"
+
+export default class OnsetDetector {
+  constructor(analyserNode, { sensitivity = 1.5 } = {}) {
+    this.analyser = analyserNode
+    this.sensitivity = sensitivity
+
+    const bins = analyserNode.frequencyBinCount
+    const nyquist = analyserNode.context.sampleRate / 2
+    this.maxBin = Math.min(bins, Math.ceil((MAX_FREQ_HZ / nyquist) * bins))
+    this.spectrum = new Float32Array(bins)
+    this.previous = new Float32Array(this.maxBin)
+    this.hasPrevious = false
+
+    this.fluxHistory = [] // { time, flux }
+    this.onsets = [] // onset times (s)
+    this.pendingPeak = null // one-frame delay for local-maximum peak picking
+    this.lastOnsetTime = -Infinity
+
+    this.bpm = 0
+    this.period = 0
+    this.nextBeatTime = 0
+    this.lastBeatTime = 0
+    this.tempoConfidence = 0
+    this.phaseHits = [] // recent beats: did an onset land on them?
+
+    // Latest frame result
+    this.flux = 0
+    this.isOnset = false
+  }
+
+  /**
+   * 0..1: how sharply the tempo histogram peaks, scaled by how many recent
+   * predicted beats were confirmed by an onset.
+   */
+  get confidence() {
+    if (!this.period) return 0
+    const hits = this.phaseHits.length ? this.phaseHits.filter(Boolean).length / this.phaseHits.length : 0
+    return Math.min(1, this.tempoConfidence * (0.5 + 0.5 * hits))
+  }
+
+  /**
+   * Processes the current analyser frame.
+   * @param {number} time Monotonic time in seconds.
+   * @returns {{ onset: boolean, beat: boolean }}
+   */
+  process(time) {
+    this.flux = this._computeFlux()
+    this.isOnset = this._pickOnset(time, this.flux)
+    if (this.isOnset) this._onOnset(time)
+    return { onset: this.isOnset, beat: this._advanceBeat(time) }
+  }
+
+  reset() {
+    this.hasPrevious = false
+    this.fluxHistory = []
+    this.onsets = []
+    this.pendingPeak = null
+    this.bpm = 0
+    this.period = 0
+    this.phaseHits = []
+    this.tempoConfidence = 0
+  }
+
+  _computeFlux() {
+    this.analyser.getFloatFrequencyData(this.spectrum)
+    let flux = 0
+    for (let i = 1; i < this.maxBin; i++) {
+      // dB / 20 is log10(amplitude); -Infinity (silence) is clamped to the analyser floor.
+      const db = Math.max(this.spectrum[i], this.analyser.minDecibels)
+      const mag = db / 20
+      if (this.hasPrevious) {
+        const diff = mag - this.previous[i]
+        if (diff > 0) flux += diff
+      }
+      this.previous[i] = mag
+    }
+    this.hasPrevious = true
+    return flux
+  }
+
+  _pickOnset(time, flux) {
+    const history = this.fluxHistory
+    history.push({ time, flux })
+    while (history.length && time - history[0].time > THRESHOLD_WINDOW) history.shift()
+
+    let mean = 0
+    for (const h of history) mean += h.flux
+    mean /= history.length
+    let variance = 0
+    for (const h of history) variance += (h.flux - mean) ** 2
+    const threshold = mean + this.sensitivity * Math.sqrt(variance / history.length) + 0.05
+
+    // A peak is confirmed one frame later, once the flux starts falling again.
+    const pending = this.pendingPeak
+    let onset = false
+    if (pending && flux < pending.flux) {
+      onset = pending.time - this.lastOnsetTime >= MIN_ONSET_GAP
+      if (onset) this.lastOnsetTime = pending.time
+      this.pendingPeak = null
+    }
+    if (flux > threshold && (!this.pendingPeak || flux >= this.pendingPeak.flux)) {
+      this.pendingPeak = { time, flux }
+    }
+    return onset
+  }
+
+  _onOnset(time) {
+    const onsetTime = this.lastOnsetTime
+    this.onsets.push(onsetTime)
+    while (this.onsets.length && time - this.onsets[0] > ONSET_HISTORY) this.onsets.shift()
+    this._estimateTempo()
+
+    if (!this.period) return
+    if (!this.nextBeatTime) {
+      this.nextBeatTime = onsetTime + this.period
+      return
+    }
+
+    // Phase-locked loop: pull the prediction towards onsets near a beat.
+    const sinceLast = onsetTime - this.lastBeatTime
+    const untilNext = this.nextBeatTime - onsetTime
+    const error = Math.abs(sinceLast) < Math.abs(untilNext) ? -sinceLast : untilNext
+    if (Math.abs(error) <= this.period * PHASE_TOLERANCE * 2) {
+      this.nextBeatTime -= error * 0.3
+      if (Math.abs(sinceLast) <= this.period * PHASE_TOLERANCE && this.phaseHits.length) {
+        this.phaseHits[this.phaseHits.length - 1] = true
+      }
+    }
+  }
+
+  _estimateTempo() {
+    const onsets = this.onsets
+    if (onsets.length < 4) return
+
+    // Histogram of inter-onset intervals (all pairs up to 2 s apart), folded into the BPM range.
+    const minBpm = MIN_BPM
+    const bins = new Float32Array(MAX_BPM - MIN_BPM + 1)
+    for (let i = 0; i < onsets.length; i++) {
+      for (let j = i + 1; j < onsets.length; j++) {
+        const interval = onsets[j] - onsets[i]
+        if (interval > 2) break
+        let bpm = 60 / interval
+        while (bpm < MIN_BPM) bpm *= 2
+        while (bpm > MAX_BPM) bpm /= 2
+        // Spread each vote over neighbouring bins (triangular kernel).
+        const center = bpm - minBpm
+        for (let k = Math.max(0, Math.floor(center) - 2); k <= Math.min(bins.length - 1, Math.ceil(center) + 2); k++) {
+          bins[k] += Math.max(0, 1 - Math.abs(k - center) / 3) / (j - i)
+        }
+      }
+    }
+
+    let best = 0
+    let total = 0
+    for (let k = 0; k < bins.length; k++) {
+      total += bins[k]
+      if (bins[k] > bins[best]) best = k
+    }
+    if (!total || !bins[best]) return
+
+    // Weighted centroid around the peak for sub-BPM precision.
+    let weight = 0
+    let sum = 0
+    for (let k = Math.max(0, best - 2); k <= Math.min(bins.length - 1, best + 2); k++) {
+      weight += bins[k]
+      sum += bins[k] * (k + minBpm)
+    }
+    const bpm = sum / weight
+
+    // Smooth tempo changes so a single odd onset doesn't make it jump.
+    this.bpm = this.bpm ? this.bpm * 0.8 + bpm * 0.2 : bpm
+    this.period = 60 / this.bpm
+    this.tempoConfidence = Math.min(1, (weight / total) * 2.5)
+  }
+
+  _advanceBeat(time) {
+    if (!this.period || !this.nextBeatTime) return false
+
+    // Input went quiet for a long time: drop the stale phase and wait for onsets again.
+    if (time - this.lastOnsetTime > ONSET_HISTORY) {
+      this.nextBeatTime = 0
+      this.phaseHits = []
+      return false
+    }
+
+    if (time < this.nextBeatTime) return false
+    this.lastBeatTime = this.nextBeatTime
+    while (this.nextBeatTime <= time) this.nextBeatTime += this.period
+    this.phaseHits.push(time - this.lastOnsetTime <= this.period * PHASE_TOLERANCE)
+    if (this.phaseHits.length > 16) this.phaseHits.shift()
+    return true
+  }
+}
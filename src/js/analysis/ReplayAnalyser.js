@@ -0,0 +1,72 @@
+import { findFrame } from '../capture/analysisFile'
+
+// AnalyserNode stand-in that serves a recorded frame (see capture/analysisFile.js)
+// instead of the live stream, for replaying an analysis recording.
+//
+// Frequency and waveform bytes come back exactly as recorded; the float getters are
+// derived from them the way the real analyser maps floats to bytes.
+
+export default class ReplayAnalyser {
+  /**
+   * @param {Object} recording See decodeAnalysisRecording().
+   * @param {Object} [options]
+   * @param {'mix'|0|1} [options.channel='mix'] Left / right need a stereo recording; without
+   *   one they serve the mono data.
+   */
+  constructor(recording, { channel = 'mix' } = {}) {
+    const { header, columns } = recording
+    this.recording = recording
+    this.fftSize = header.fftSize
+    this.minDecibels = header.minDecibels ?? -90
+    this.maxDecibels = header.maxDecibels ?? -25
+    this.smoothingTimeConstant = 0
+    // FeatureExtractor reads `analyser.context.sampleRate`.
+    this.context = { sampleRate: header.sampleRate }
+
+    const side = header.stereo ? ['Left', 'Right'][channel] || '' : ''
+    this._frequency = columns[`frequency${side}`]
+    this._waveform = columns[`waveform${side}`]
+    this._binCount = header.binCount
+    this._timeSize = header.timeSize
+    this.frame = 0
+  }
+
+  get frequencyBinCount() {
+    return this._binCount
+  }
+
+  /**
+   * Serves the last frame recorded at or before `time` (s since the recording started).
+   */
+  setTime(time) {
+    this.frame = findFrame(this.recording, time)
+  }
+
+  getByteFrequencyData(array) {
+    const n = Math.min(array.length, this._binCount)
+    array.set(this._frequency.subarray(this.frame * this._binCount, this.frame * this._binCount + n))
+  }
+
+  getFloatFrequencyData(array) {
+    const n = Math.min(array.length, this._binCount)
+    const offset = this.frame * this._binCount
+    const range = this.maxDecibels - this.minDecibels
+    for (let i = 0; i < n; i++) array[i] = this.minDecibels + (this._frequency[offset + i] / 255) * range
+  }
+
+  getByteTimeDomainData(array) {
+    const n = Math.min(array.length, this._timeSize)
+    array.set(this._waveform.subarray(this.frame * this._timeSize, this.frame * this._timeSize + n))
+  }
+
+  getFloatTimeDomainData(array) {
+    const n = Math.min(array.length, this._timeSize)
+    const offset = this.frame * this._timeSize
+    for (let i = 0; i < n; i++) array[i] = (this._waveform[offset + i] - 128) / 128
+  }
+
+  // Graph API no-ops so code that (dis)connects the analyser keeps working.
+  connect() {}
+
+  disconnect() {}
+}
@@ -0,0 +1,83 @@
+// Per-channel spectra and waveforms plus mid/side and phase-correlation metrics
+// (exposed as `audioData.stereo`).
+//
+// Reads the left/right AnalyserNodes fed by AudioManager's channel splitter. Byte
+// arrays use the usual AnalyserNode layout (spectrum 0..255 over the dB window,
+// waveform centred on 128) so they can go straight into textures or Butterchurn.
+
+function clamp(v, min, max) {
+  return v < min ? min : v > max ? max : v
+}
+
+function createChannel(analyser) {
+  return {
+    frequency: new Uint8Array(analyser.frequencyBinCount),
+    waveform: new Uint8Array(analyser.fftSize),
+    samples: new Float32Array(analyser.fftSize),
+    level: 0, // RMS of the channel, 0..1
+  }
+}
+
+export default class StereoAnalyser {
+  /**
+   * @param {AnalyserNode} left
+   * @param {AnalyserNode} right
+   */
+  constructor(left, right) {
+    this.leftAnalyser = left
+    this.rightAnalyser = right
+
+    // Reused every frame; consumers should copy values they want to keep.
+    this.stereo = {
+      left: createChannel(left),
+      right: createChannel(right),
+      mid: 0, // RMS of (L + R) / 2
+      side: 0, // RMS of (L - R) / 2
+      width: 0, // side energy share: 0 = mono, ~0.5 = uncorrelated, 1 = fully out of phase
+      correlation: 0, // -1..1 phase correlation (1 = mono, 0 = uncorrelated or silent, -1 = inverted)
+      balance: 0, // -1 = left only .. 1 = right only
+    }
+  }
+
+  /**
+   * Reads both analysers and updates the metrics for the current frame.
+   */
+  process() {
+    const s = this.stereo
+    const { left, right } = s
+    this.leftAnalyser.getByteFrequencyData(left.frequency)
+    this.rightAnalyser.getByteFrequencyData(right.frequency)
+    this.leftAnalyser.getByteTimeDomainData(left.waveform)
+    this.rightAnalyser.getByteTimeDomainData(right.waveform)
+    this.leftAnalyser.getFloatTimeDomainData(left.samples)
+    this.rightAnalyser.getFloatTimeDomainData(right.samples)
+
+    const n = Math.min(left.samples.length, right.samples.length)
+    let ll = 0
+    let rr = 0
+    let lr = 0
+    for (let i = 0; i < n; i++) {
+      const l = left.samples[i]
+      const r = right.samples[i]
+      ll += l * l
+      rr += r * r
+      lr += l * r
+    }
+
+    // mid² = (ll + 2lr + rr) / 4 and side² = (ll - 2lr + rr) / 4, per sample
+    const midEnergy = Math.max(0, ll + 2 * lr + rr) / 4
+    const sideEnergy = Math.max(0, ll - 2 * lr + rr) / 4
+    left.level = Math.sqrt(ll / n)
+    right.level = Math.sqrt(rr / n)
+    s.mid = Math.sqrt(midEnergy / n)
+    s.side = Math.sqrt(sideEnergy / n)
+
+    const total = midEnergy + sideEnergy
+    s.width = total > 1e-9 ? sideEnergy / total : 0
+    const norm = Math.sqrt(ll * rr)
+    s.correlation = norm > 1e-9 ? clamp(lr / norm, -1, 1) : 0
+    const levels = left.level + right.level
+    s.balance = levels > 1e-6 ? (right.level - left.level) / levels : 0
+    return s
+  }
+}
@@ -0,0 +1,272 @@
+import { fft, hannWindow } from './fft'
+
+// Offline beat tracking for a fully decoded track.
+//
+// 1. Onset strength envelope from log-magnitude spectral flux.
+// 2. Global tempo from the envelope's autocorrelation, weighted towards ~120 BPM.
+// 3. Beat times via dynamic programming (Ellis 2007), which keeps beats on actual
+//    onsets while allowing slow tempo drift.
+// 4. Downbeat phase from the bass-band flux (kick drums tend to mark bar starts).
+
+const FRAME_SIZE = 1024
+const HOP_SIZE = 256
+const MIN_BPM = 70
+const MAX_BPM = 180
+const PREFERRED_BPM = 120
+const LOW_BAND_HZ = 200
+const TIGHTNESS = 100
+
+export const BEATS_PER_BAR = 4
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+function mixToMono(audioBuffer) {
+  const channels = audioBuffer.numberOfChannels
+  const mono = new Float32Array(audioBuffer.length)
+  for (let c = 0; c < channels; c++) {
+    const data = audioBuffer.getChannelData(c)
+    for (let i = 0; i < mono.length; i++) mono[i] += data[i] / channels
+  }
+  return mono
+}
+
+async function computeOnsetEnvelope(samples, sampleRate, shouldCancel) {
+  const frames = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1)
+  const onset = new Float32Array(frames)
+  const lowOnset = new Float32Array(frames)
+  const window = hannWindow(FRAME_SIZE)
+  const bins = FRAME_SIZE / 2
+  const lowBins = Math.max(2, Math.round((LOW_BAND_HZ * FRAME_SIZE) / sampleRate))
+  const real = new Float32Array(FRAME_SIZE)
+  const imag = new Float32Array(FRAME_SIZE)
+  let prev = new Float32Array(bins)
+  let cur = new Float32Array(bins)
+
+  for (let f = 0; f < frames; f++) {
+    // Keep the page responsive while chewing through long tracks.
+    if (f && f % 2048 === 0) {
+      await nextTick()
+      if (shouldCancel?.()) return null
+    }
+
+    const offset = f * HOP_SIZE
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      real[i] = samples[offset + i] * window[i]
+      imag[i] = 0
+    }
+    fft(real, imag)
+
+    let flux = 0
+    let lowFlux = 0
+    for (let k = 1; k < bins; k++) {
+      const mag = Math.log1p(100 * Math.hypot(real[k], imag[k]))
+      const diff = mag - prev[k]
+      if (diff > 0) {
+        flux += diff
+        if (k < lowBins) lowFlux += diff
+      }
+      cur[k] = mag
+    }
+    onset[f] = flux
+    lowOnset[f] = lowFlux
+    ;[prev, cur] = [cur, prev]
+  }
+
+  return { onset, lowOnset, frameRate: sampleRate / HOP_SIZE }
+}
+
+// Removes the slowly varying loudness trend and scales to unit variance.
+function normalizeEnvelope(env, frameRate) {
+  const radius = Math.max(1, Math.round(frameRate * 0.25))
+  const out = new Float32Array(env.length)
+  let sum = 0
+  for (let i = 0; i < Math.min(radius, env.length); i++) sum += env[i]
+  for (let i = 0; i < env.length; i++) {
+    if (i + radius < env.length) sum += env[i + radius]
+    if (i - radius - 1 >= 0) sum -= env[i - radius - 1]
+    const count = Math.min(env.length - 1, i + radius) - Math.max(0, i - radius) + 1
+    out[i] = Math.max(0, env[i] - sum / count)
+  }
+  let sq = 0
+  for (let i = 0; i < out.length; i++) sq += out[i] * out[i]
+  const std = Math.sqrt(sq / Math.max(1, out.length)) || 1
+  for (let i = 0; i < out.length; i++) out[i] /= std
+  return out
+}
+
+function estimateTempo(onset, frameRate) {
+  const minLag = Math.floor((60 * frameRate) / MAX_BPM)
+  const maxLag = Math.ceil((60 * frameRate) / MIN_BPM)
+  const scores = new Float32Array(maxLag + 2)
+
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    let sum = 0
+    for (let i = lag; i < onset.length; i++) sum += onset[i] * onset[i - lag]
+    const bpm = (60 * frameRate) / lag
+    const octaves = Math.log2(bpm / PREFERRED_BPM)
+    scores[lag] = (sum / Math.max(1, onset.length - lag)) * Math.exp(-0.5 * octaves * octaves)
+  }
+
+  let bestLag = minLag
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (scores[lag] > scores[bestLag]) bestLag = lag
+  }
+
+  // Parabolic interpolation for sub-frame lag precision.
+  const a = scores[bestLag - 1] || 0
+  const b = scores[bestLag]
+  const c = scores[bestLag + 1] || 0
+  const denom = a - 2 * b + c
+  const refined = denom ? bestLag + (0.5 * (a - c)) / denom : bestLag
+  return (60 * frameRate) / refined
+}
+
+function trackBeats(onset, frameRate, bpm) {
+  const period = (60 * frameRate) / bpm
+  const n = onset.length
+  const minBack = Math.max(1, Math.round(period / 2))
+  const maxBack = Math.round(period * 2)
+  const penalty = new Float32Array(maxBack + 1)
+  for (let d = minBack; d <= maxBack; d++) {
+    const x = Math.log(d / period)
+    penalty[d] = -TIGHTNESS * x * x
+  }
+
+  const score = new Float32Array(n)
+  const backlink = new Int32Array(n).fill(-1)
+  for (let t = 0; t < n; t++) {
+    let best = -Infinity
+    let bestTau = -1
+    for (let d = minBack; d <= maxBack && t - d >= 0; d++) {
+      const v = score[t - d] + penalty[d]
+      if (v > best) {
+        best = v
+        bestTau = t - d
+      }
+    }
+    score[t] = onset[t] + (bestTau >= 0 ? best : 0)
+    backlink[t] = bestTau
+  }
+
+  // Start backtracking from the best-scoring frame within the last beat period.
+  let end = n - 1
+  for (let t = Math.max(0, n - Math.round(period)); t < n; t++) {
+    if (score[t] > score[end]) end = t
+  }
+
+  const frames = []
+  for (let t = end; t >= 0; t = backlink[t]) frames.push(t)
+  return frames.reverse()
+}
+
+function findDownbeatPhase(beatFrames, lowOnset) {
+  let bestPhase = 0
+  let bestScore = -Infinity
+  for (let phase = 0; phase < BEATS_PER_BAR; phase++) {
+    let sum = 0
+    let count = 0
+    for (let i = phase; i < beatFrames.length; i += BEATS_PER_BAR) {
+      const f = beatFrames[i]
+      sum += Math.max(lowOnset[f - 1] || 0, lowOnset[f], lowOnset[f + 1] || 0)
+      count++
+    }
+    const mean = count ? sum / count : 0
+    if (mean > bestScore) {
+      bestScore = mean
+      bestPhase = phase
+    }
+  }
+  return bestPhase
+}
+
+// Sub-frame beat position from a parabola through the onset peak.
+function refineFrame(onset, f) {
+  const a = onset[f - 1]
+  const b = onset[f]
+  const c = onset[f + 1]
+  if (a === undefined || c === undefined || b < a || b < c) return f
+  const denom = a - 2 * b + c
+  return denom ? f + (0.5 * (a - c)) / denom : f
+}
+
+// Least-squares slope of beat time over beat index, i.e. the average beat period.
+function fitBeatPeriod(beats) {
+  const n = beats.length
+  let sumX = 0
+  let sumY = 0
+  let sumXY = 0
+  let sumXX = 0
+  for (let i = 0; i < n; i++) {
+    sumX += i
+    sumY += beats[i]
+    sumXY += i * beats[i]
+    sumXX += i * i
+  }
+  const denom = n * sumXX - sumX * sumX
+  return denom ? (n * sumXY - sumX * sumY) / denom : 0
+}
+
+/**
+ * Analyzes a decoded track and returns its beat grid.
+ * @param {AudioBuffer} audioBuffer
+ * @param {{ shouldCancel?: () => boolean }} [options]
+ * @returns {Promise<{ bpm: number, beats: Float64Array, downbeatPhase: number, beatsPerBar: number, duration: number }|null>}
+ *   `null` when cancelled or when the track is too short to find a pulse.
+ */
+export async function analyzeBeatGrid(audioBuffer, { shouldCancel } = {}) {
+  const samples = mixToMono(audioBuffer)
+  const envelope = await computeOnsetEnvelope(samples, audioBuffer.sampleRate, shouldCancel)
+  if (!envelope || envelope.onset.length < envelope.frameRate * 4) return null
+
+  const { frameRate } = envelope
+  const onset = normalizeEnvelope(envelope.onset, frameRate)
+  const tempo = estimateTempo(onset, frameRate)
+  await nextTick()
+  if (shouldCancel?.()) return null
+
+  const beatFrames = trackBeats(onset, frameRate, tempo)
+  if (beatFrames.length < BEATS_PER_BAR) return null
+
+  // Flux frames are centred on the analysis window.
+  const frameOffset = FRAME_SIZE / 2 / audioBuffer.sampleRate
+  const beats = Float64Array.from(beatFrames, (f) => refineFrame(onset, f) / frameRate + frameOffset)
+  const period = fitBeatPeriod(beats)
+
+  return {
+    bpm: period > 0 ? 60 / period : tempo,
+    beats,
+    downbeatPhase: findDownbeatPhase(beatFrames, envelope.lowOnset),
+    beatsPerBar: BEATS_PER_BAR,
+    duration: audioBuffer.duration,
+  }
+}
+
+/**
+ * Index of the last beat at or before `time` (-1 before the first beat).
+ */
+export function findBeatIndex(grid, time) {
+  const beats = grid?.beats
+  if (!beats?.length || time < beats[0]) return -1
+  let lo = 0
+  let hi = beats.length - 1
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1
+    if (beats[mid] <= time) lo = mid
+    else hi = mid - 1
+  }
+  return lo
+}
+
+/**
+ * Bar number (1-based; 0 for a pickup before the first downbeat) and position within the bar.
+ */
+export function getBeatPosition(grid, index) {
+  const perBar = grid?.beatsPerBar || BEATS_PER_BAR
+  const rel = index - (grid?.downbeatPhase || 0)
+  const beatInBar = ((rel % perBar) + perBar) % perBar
+  return {
+    bar: Math.floor(rel / perBar) + 1,
+    beatInBar,
+    isDownbeat: beatInBar === 0,
+  }
+}
@@ -0,0 +1,67 @@
+// In-place radix-2 FFT used by the offline analysis passes.
+
+const twiddleCache = new Map()
+
+function getTwiddles(size) {
+  let table = twiddleCache.get(size)
+  if (!table) {
+    table = { cos: new Float32Array(size / 2), sin: new Float32Array(size / 2) }
+    for (let i = 0; i < size / 2; i++) {
+      table.cos[i] = Math.cos((2 * Math.PI * i) / size)
+      table.sin[i] = -Math.sin((2 * Math.PI * i) / size)
+    }
+    twiddleCache.set(size, table)
+  }
+  return table
+}
+
+/**
+ * Forward FFT of `real`/`imag` (length must be a power of two), in place.
+ * @param {Float32Array} real
+ * @param {Float32Array} imag
+ */
+export function fft(real, imag) {
+  const n = real.length
+  const { cos, sin } = getTwiddles(n)
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) j ^= bit
+    j ^= bit
+    if (i < j) {
+      ;[real[i], real[j]] = [real[j], real[i]]
+      ;[imag[i], imag[j]] = [imag[j], imag[i]]
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1
+    const step = n / size
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step]
+        const wi = sin[k * step]
+        const a = start + k
+        const b = a + half
+        const tr = real[b] * wr - imag[b] * wi
+        const ti = real[b] * wi + imag[b] * wr
+        real[b] = real[a] - tr
+        imag[b] = imag[a] - ti
+        real[a] += tr
+        imag[a] += ti
+      }
+    }
+  }
+}
+
+/**
+ * Hann window of the given length.
+ * @param {number} size
+ * @returns {Float32Array}
+ */
+export function hannWindow(size) {
+  const w = new Float32Array(size)
+  for (let i = 0; i < size; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1))
+  return w
+}
@@ -0,0 +1,126 @@
+// Named frequency band definitions shared by AudioManager (frequencyData and
+// feature bands), bridge-integration.js (via window.__visualizerBands) and
+// visualizers (audioData.frequencies.bands). A band is { name, minHz, maxHz }.
+
+export const BAND_SPACINGS = ['log', 'mel', 'bark']
+
+// The ranges the old fixed low/mid/high split actually measured (it mapped Hz to
+// bins at half scale), so visualizers tuned against it keep reacting the same way.
+export const DEFAULT_BANDS = [
+  { name: 'low', minHz: 5, maxHz: 75 },
+  { name: 'mid', minHz: 75, maxHz: 4500 },
+  { name: 'high', minHz: 4500, maxHz: 24000 },
+]
+
+export const MIN_BAND_HZ = 1
+export const MAX_BAND_HZ = 24000
+export const MAX_BAND_COUNT = 32
+
+const SCALES = {
+  log: {
+    toScale: (hz) => Math.log(hz),
+    fromScale: (v) => Math.exp(v),
+  },
+  mel: {
+    toScale: (hz) => 2595 * Math.log10(1 + hz / 700),
+    fromScale: (v) => 700 * (10 ** (v / 2595) - 1),
+  },
+  // Traunmüller (1990) approximation of the Bark scale.
+  bark: {
+    toScale: (hz) => (26.81 * hz) / (1960 + hz) - 0.53,
+    fromScale: (z) => (1960 * (z + 0.53)) / (26.28 - z),
+  },
+}
+
+function roundHz(hz) {
+  return hz < 100 ? Math.round(hz * 10) / 10 : Math.round(hz)
+}
+
+/**
+ * Splits `minHz..maxHz` into `count` adjacent bands, evenly spaced on the given scale.
+ * @param {{ count?: number, spacing?: 'log'|'mel'|'bark', minHz?: number, maxHz?: number }} [options]
+ * @returns {Array<{name:string,minHz:number,maxHz:number}>}
+ */
+export function createBands({ count = 8, spacing = 'log', minHz = 20, maxHz = 16000 } = {}) {
+  const scale = SCALES[spacing] || SCALES.log
+  const n = Math.max(1, Math.min(MAX_BAND_COUNT, Math.round(count)))
+  const lo = Math.max(MIN_BAND_HZ, Math.min(minHz, maxHz))
+  const hi = Math.min(MAX_BAND_HZ, Math.max(minHz, maxHz))
+  const start = scale.toScale(lo)
+  const end = scale.toScale(hi)
+  const edges = []
+  for (let i = 0; i <= n; i++) edges.push(roundHz(scale.fromScale(start + ((end - start) * i) / n)))
+  return edges.slice(0, n).map((edge, i) => ({ name: `band${i + 1}`, minHz: edge, maxHz: edges[i + 1] }))
+}
+
+/**
+ * Validates band definitions (e.g. from storage or the controls popup).
+ * Drops malformed entries, fixes swapped ranges and de-duplicates names.
+ * @returns {Array<{name:string,minHz:number,maxHz:number}>|null} null when nothing usable is left.
+ */
+export function sanitizeBands(bands) {
+  if (!Array.isArray(bands)) return null
+  const names = new Set()
+  const out = []
+  for (const band of bands.slice(0, MAX_BAND_COUNT)) {
+    const a = Number(band?.minHz)
+    const b = Number(band?.maxHz)
+    if (!Number.isFinite(a) || !Number.isFinite(b) || a === b) continue
+    let name = String(band?.name ?? '').trim() || `band${out.length + 1}`
+    while (names.has(name)) name = `${name}_`
+    names.add(name)
+    out.push({
+      name,
+      minHz: Math.max(MIN_BAND_HZ, Math.min(MAX_BAND_HZ, Math.min(a, b))),
+      maxHz: Math.max(MIN_BAND_HZ, Math.min(MAX_BAND_HZ, Math.max(a, b))),
+    })
+  }
+  return out.length ? out : null
+}
+
+/**
+ * Inclusive spectrum bin range covered by a band.
+ * @param {{minHz:number,maxHz:number}} band
+ * @param {number} sampleRate
+ * @param {number} fftSize
+ */
+export function getBandBinRange(band, sampleRate, fftSize) {
+  const binHz = sampleRate / fftSize
+  const last = fftSize / 2 - 1
+  const start = Math.min(last, Math.max(0, Math.floor(band.minHz / binHz)))
+  const end = Math.min(last, Math.max(start, Math.floor(band.maxHz / binHz)))
+  return { start, end }
+}
+
+/**
+ * Average level (0..1) of each band in a byte spectrum (getByteFrequencyData layout).
+ * @param {Uint8Array} spectrum
+ * @param {Array<{name:string,minHz:number,maxHz:number}>} bands
+ * @param {{ sampleRate: number, fftSize: number }} format
+ * @param {Object<string, number>} [out] Reused result object, keyed by band name.
+ */
+export function getBandLevels(spectrum, bands, { sampleRate, fftSize }, out = {}) {
+  for (const band of bands) {
+    const { start, end } = getBandBinRange(band, sampleRate, fftSize)
+    let sum = 0
+    for (let i = start; i <= end; i++) sum += spectrum[i] || 0
+    out[band.name] = sum / (end - start + 1) / 256
+  }
+  return out
+}
+
+/**
+ * Maps band levels onto the legacy { low, mid, high } shape most visualizers read.
+ * Bands named low/mid/high are used directly; otherwise the lowest band is `low`,
+ * the highest is `high` and `mid` averages everything in between.
+ */
+export function getLegacyLevels(levels, bands) {
+  const values = bands.map((b) => levels[b.name] || 0)
+  const inner = values.length > 2 ? values.slice(1, -1) : values
+  const named = (name, fallback) => (bands.some((b) => b.name === name) ? levels[name] || 0 : fallback)
+  return {
+    low: named('low', values[0] || 0),
+    mid: named('mid', inner.reduce((sum, v) => sum + v, 0) / (inner.length || 1)),
+    high: named('high', values[values.length - 1] || 0),
+  }
+}
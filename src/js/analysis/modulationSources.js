@@ -0,0 +1,104 @@
+import { BEATS_PER_BAR } from './beatGrid'
+
+// Audio sources that can drive a visual parameter (layer opacity, post effects, the
+// modulation matrix).
+//
+// Each source reads a 0..1 level from the object App.update() passes to visualizers
+// (`audioData`): the legacy bass / mid / high levels, a few timbre features (see
+// FeatureExtractor.js), the beat, any configured frequency band (`band:<name>`) or an
+// LFO running in time with the beat.
+
+export const MODULATION_SOURCES = ['none', 'bass', 'mid', 'high', 'rms', 'loudness', 'flux', 'centroid', 'beat']
+
+export const LFO_SHAPES = ['sine', 'triangle', 'saw', 'square']
+
+const BAND_PREFIX = 'band:'
+const FALLBACK_BPM = 120 // LFO tempo while no beat is tracked
+
+function clamp01(v) {
+  return v < 0 ? 0 : v > 1 ? 1 : v
+}
+
+export function bandSource(name) {
+  return `${BAND_PREFIX}${name}`
+}
+
+export function isBandSource(source) {
+  return typeof source === 'string' && source.startsWith(BAND_PREFIX) && source.length > BAND_PREFIX.length
+}
+
+/**
+ * The current level of a source.
+ * @param {string} source One of MODULATION_SOURCES, or bandSource(name).
+ * @param {Object|null} audioData
+ * @returns {number} 0..1 (0 for 'none' or unknown sources).
+ */
+export function readModulationSource(source, audioData) {
+  if (!audioData) return 0
+  if (isBandSource(source)) {
+    return clamp01(Number(audioData.frequencies?.bands?.[source.slice(BAND_PREFIX.length)]) || 0)
+  }
+  switch (source) {
+    case 'bass':
+    case 'mid':
+    case 'high':
+      return clamp01(Number(audioData.frequencies?.[source]) || 0)
+    case 'rms':
+    case 'loudness':
+    case 'flux':
+    case 'centroid':
+      return clamp01(Number(audioData.features?.[source]) || 0)
+    case 'beat':
+      return audioData.isBeat ? 1 : 0
+    default:
+      return 0
+  }
+}
+
+/**
+ * Follows a source with an instant rise and a gradual fall, so beats read as a pulse
+ * rather than a one-frame flash.
+ * @param {{ level?: number }} state Kept by the caller, one per modulated parameter.
+ * @param {string} source
+ * @param {Object|null} audioData
+ * @param {number} [release=0.9] Share of the level kept per frame while falling.
+ * @returns {number} 0..1
+ */
+export function followModulationSource(state, source, audioData, release = 0.9) {
+  const level = readModulationSource(source, audioData)
+  state.level = Math.max(level, (state.level || 0) * release)
+  return state.level
+}
+
+/**
+ * Song position in beats from the beat tracker (bar, beat and phase), or from the
+ * clock at FALLBACK_BPM when there is no tempo yet.
+ * @param {Object|null} audioData
+ * @param {number} now ms
+ */
+export function getBeatCount(audioData, now) {
+  const beat = audioData?.beat
+  if (!audioData?.bpm || !beat) return (now / 60000) * FALLBACK_BPM
+  return (Math.max(1, beat.bar) - 1) * BEATS_PER_BAR + beat.beatInBar + (beat.phase || 0)
+}
+
+/**
+ * A beat-synced LFO.
+ * @param {string} shape One of LFO_SHAPES.
+ * @param {number} beats Length of one cycle in beats.
+ * @param {number} beatCount See getBeatCount().
+ * @returns {number} 0..1
+ */
+export function readLfo(shape, beats, beatCount) {
+  const t = beats > 0 ? (((beatCount / beats) % 1) + 1) % 1 : 0
+  switch (shape) {
+    case 'triangle':
+      return 1 - Math.abs(t * 2 - 1)
+    case 'saw':
+      return t
+    case 'square':
+      return t < 0.5 ? 1 : 0
+    default:
+      return 0.5 - 0.5 * Math.cos(t * Math.PI * 2)
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * ShaderSound – plays what a shader's Sound pass synthesizes (Shadertoy's
+ * `vec2 mainSound(int samp, float time)`), see AudioManager.startShaderSound().
+ *
+ * ShadertoyMultipassVisualizer renders the sound on the GPU in blocks of
+ * SHADER_SOUND_BLOCK_SAMPLES stereo samples and hands each one to queue(); blocks are
+ * scheduled back to back on `output`, which AudioManager feeds to its analysers like
+ * any other source. As on Shadertoy the sound is SHADER_SOUND_SECONDS long; it then
+ * starts over, the way a looping track does.
+ */
+
+export const SHADER_SOUND_BLOCK_SIZE = 512 // blocks are rendered into a 512x512 target
+export const SHADER_SOUND_BLOCK_SAMPLES = SHADER_SOUND_BLOCK_SIZE * SHADER_SOUND_BLOCK_SIZE
+export const SHADER_SOUND_SECONDS = 180
+
+// How far ahead of the playback position blocks are queued, and the delay before the
+// first one plays (it is rendered on the next frame).
+const LOOKAHEAD_SECONDS = 2
+const START_DELAY_SECONDS = 0.05
+
+export default class ShaderSound {
+  /**
+   * @param {AudioContext} audioContext
+   */
+  constructor(audioContext) {
+    this.context = audioContext
+    this.sampleRate = audioContext.sampleRate
+    this.length = Math.round(SHADER_SOUND_SECONDS * this.sampleRate) // samples before it starts over
+    this.output = audioContext.createGain()
+    this.isRunning = false
+    this._next = 0 // sample of the next block to queue
+    this._queuedUntil = 0 // context time the queued blocks play until
+    this._anchor = { time: 0, sample: 0 } // a context time and the sample playing then
+    this._sources = new Set()
+  }
+
+  /** Plays from the current position (the start, the first time). */
+  start() {
+    if (this.isRunning) return
+    this.isRunning = true
+    this._restart(this._next)
+  }
+
+  /** Stops, keeping the position for the next start(). */
+  stop() {
+    if (!this.isRunning) return
+    const position = this.position
+    this.isRunning = false
+    for (const source of this._sources) source.stop()
+    this._sources.clear()
+    this._next = position
+  }
+
+  dispose() {
+    this.stop()
+    this.output.disconnect()
+  }
+
+  /** The sample playing now. */
+  get position() {
+    if (!this.isRunning) return this._next
+    const elapsed = Math.max(0, this.context.currentTime - this._anchor.time)
+    return (this._anchor.sample + Math.floor(elapsed * this.sampleRate)) % this.length
+  }
+
+  /**
+   * The first sample of the block to render next, or -1 while enough is queued.
+   * @returns {number}
+   */
+  nextBlock() {
+    if (!this.isRunning) return -1
+    const now = this.context.currentTime
+    // Ran dry (frames stalled, the context was suspended): start over from where it stopped.
+    if (this._queuedUntil < now) this._restart(this._next)
+    return this._queuedUntil - now < LOOKAHEAD_SECONDS ? this._next : -1
+  }
+
+  /**
+   * Schedules the block starting at nextBlock(): `left` / `right` hold up to
+   * SHADER_SOUND_BLOCK_SAMPLES samples in -1..1 (fewer at the end of the sound).
+   * @param {Float32Array} left
+   * @param {Float32Array} right
+   */
+  queue(left, right) {
+    if (!this.isRunning) return
+    const count = Math.min(left.length, this.length - this._next)
+    const buffer = this.context.createBuffer(2, count, this.sampleRate)
+    buffer.copyToChannel(left.subarray(0, count), 0)
+    buffer.copyToChannel(right.subarray(0, count), 1)
+
+    const source = this.context.createBufferSource()
+    source.buffer = buffer
+    source.connect(this.output)
+    source.onended = () => {
+      source.disconnect()
+      this._sources.delete(source)
+    }
+    source.start(this._queuedUntil)
+    this._sources.add(source)
+
+    this._queuedUntil += count / this.sampleRate
+    this._next = (this._next + count) % this.length
+  }
+
+  _restart(sample) {
+    for (const source of this._sources) source.stop()
+    this._sources.clear()
+    this._next = sample
+    this._queuedUntil = this.context.currentTime + START_DELAY_SECONDS
+    this._anchor = { time: this._queuedUntil, sample }
+  }
+}
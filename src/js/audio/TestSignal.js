@@ -0,0 +1,276 @@
+/**
+ * TestSignal – built-in audio for developing and testing visualizers without a track
+ * or a microphone (see AudioManager.startTestSignal()).
+ *
+ * Every signal is generated with Web Audio nodes into `output`, which AudioManager
+ * feeds to its analysers like any other source:
+ *   sine     a steady tone at `frequency`
+ *   sweep    an exponential chirp from `minHz` to `maxHz` every `sweepSeconds`
+ *   white    white noise
+ *   pink     pink noise (-3 dB per octave)
+ *   clicks   a metronome at `bpm`, accented on the first beat of the bar
+ *   drums    kick on beats 1 and 3, snare on 2 and 4, at `bpm`
+ *   silence  nothing at all
+ * Sweeps, clicks and drums are rendered once with an OfflineAudioContext and looped;
+ * noise comes from a seeded generator. The same settings thus always produce the
+ * same samples.
+ */
+
+export const TEST_SIGNAL_TYPES = ['sine', 'sweep', 'white', 'pink', 'clicks', 'drums', 'silence']
+
+export const DEFAULT_TEST_SIGNAL = {
+  type: 'drums',
+  frequency: 440, // sine
+  minHz: 20, // sweep
+  maxHz: 20000,
+  sweepSeconds: 10,
+  bpm: 120, // clicks, drums
+  level: 0.5, // output gain
+}
+
+const BEATS_PER_BAR = 4
+const NOISE_SECONDS = 4 // length of the looped noise buffer
+const NOISE_SEED = 0x5eed
+
+// mulberry32
+function createRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function toNumber(value, fallback, min, max) {
+  const n = Number(value)
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback
+}
+
+/**
+ * Validates test signal settings from the URL / the popup.
+ * @param {Object} [raw]
+ * @returns {{ type: string, frequency: number, minHz: number, maxHz: number, sweepSeconds: number, bpm: number, level: number }}
+ */
+export function normalizeTestSignal(raw) {
+  const d = DEFAULT_TEST_SIGNAL
+  const src = raw && typeof raw === 'object' ? raw : {}
+  const minHz = toNumber(src.minHz, d.minHz, 10, 20000)
+  return {
+    type: TEST_SIGNAL_TYPES.includes(src.type) ? src.type : d.type,
+    frequency: toNumber(src.frequency, d.frequency, 10, 20000),
+    minHz,
+    maxHz: toNumber(src.maxHz, d.maxHz, minHz, 20000),
+    sweepSeconds: toNumber(src.sweepSeconds, d.sweepSeconds, 0.5, 60),
+    bpm: toNumber(src.bpm, d.bpm, 30, 300),
+    level: toNumber(src.level, d.level, 0, 1),
+  }
+}
+
+function fillWhiteNoise(data, random) {
+  for (let i = 0; i < data.length; i++) data[i] = random() * 2 - 1
+}
+
+// Paul Kellet's economy pink filter over white noise.
+function fillPinkNoise(data, random) {
+  let b0 = 0
+  let b1 = 0
+  let b2 = 0
+  for (let i = 0; i < data.length; i++) {
+    const white = random() * 2 - 1
+    b0 = 0.99765 * b0 + white * 0.099046
+    b1 = 0.963 * b1 + white * 0.2965164
+    b2 = 0.57 * b2 + white * 1.0526913
+    data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.2
+  }
+}
+
+function createNoiseBuffer(context, length, fill, seed = NOISE_SEED) {
+  const buffer = context.createBuffer(1, length, context.sampleRate)
+  fill(buffer.getChannelData(0), createRandom(seed))
+  return buffer
+}
+
+// A decaying envelope on `param`: `peak` at `time`, near zero `decay` seconds later.
+function envelope(param, time, peak, decay) {
+  param.setValueAtTime(0, time)
+  param.linearRampToValueAtTime(peak, time + 0.002)
+  param.exponentialRampToValueAtTime(0.001, time + decay)
+}
+
+function scheduleClick(ctx, time, accent) {
+  const osc = ctx.createOscillator()
+  const gain = ctx.createGain()
+  osc.frequency.value = accent ? 1500 : 1000
+  envelope(gain.gain, time, accent ? 1 : 0.6, 0.03)
+  osc.connect(gain).connect(ctx.destination)
+  osc.start(time)
+  osc.stop(time + 0.05)
+}
+
+function scheduleKick(ctx, time) {
+  const osc = ctx.createOscillator()
+  const gain = ctx.createGain()
+  osc.frequency.setValueAtTime(150, time)
+  osc.frequency.exponentialRampToValueAtTime(45, time + 0.12)
+  envelope(gain.gain, time, 1, 0.4)
+  osc.connect(gain).connect(ctx.destination)
+  osc.start(time)
+  osc.stop(time + 0.45)
+}
+
+function scheduleSnare(ctx, time, noise) {
+  // Noise burst through a high-pass for the rattle, a short triangle for the body.
+  const source = ctx.createBufferSource()
+  source.buffer = noise
+  const filter = ctx.createBiquadFilter()
+  filter.type = 'highpass'
+  filter.frequency.value = 1200
+  const noiseGain = ctx.createGain()
+  envelope(noiseGain.gain, time, 0.7, 0.2)
+  source.connect(filter).connect(noiseGain).connect(ctx.destination)
+  source.start(time)
+  source.stop(time + 0.25)
+
+  const body = ctx.createOscillator()
+  body.type = 'triangle'
+  body.frequency.value = 180
+  const bodyGain = ctx.createGain()
+  envelope(bodyGain.gain, time, 0.5, 0.1)
+  body.connect(bodyGain).connect(ctx.destination)
+  body.start(time)
+  body.stop(time + 0.15)
+}
+
+/**
+ * Renders one loop of a sweep / click / drum signal.
+ * @returns {Promise<AudioBuffer>}
+ */
+function renderLoop(settings, sampleRate) {
+  const seconds = settings.type === 'sweep' ? settings.sweepSeconds : (BEATS_PER_BAR * 60) / settings.bpm
+  const ctx = new OfflineAudioContext(1, Math.round(seconds * sampleRate), sampleRate)
+
+  if (settings.type === 'sweep') {
+    const osc = ctx.createOscillator()
+    osc.frequency.setValueAtTime(settings.minHz, 0)
+    osc.frequency.exponentialRampToValueAtTime(settings.maxHz, seconds)
+    // Short fades keep the jump back to minHz from clicking.
+    const gain = ctx.createGain()
+    gain.gain.setValueAtTime(0, 0)
+    gain.gain.linearRampToValueAtTime(1, 0.01)
+    gain.gain.setValueAtTime(1, seconds - 0.01)
+    gain.gain.linearRampToValueAtTime(0, seconds)
+    osc.connect(gain).connect(ctx.destination)
+    osc.start(0)
+  } else {
+    const beat = 60 / settings.bpm
+    const noise = settings.type === 'drums' ? createNoiseBuffer(ctx, Math.round(0.25 * sampleRate), fillWhiteNoise) : null
+    for (let i = 0; i < BEATS_PER_BAR; i++) {
+      const time = i * beat
+      if (settings.type === 'clicks') scheduleClick(ctx, time, i === 0)
+      else if (i % 2 === 0) scheduleKick(ctx, time)
+      else scheduleSnare(ctx, time, noise)
+    }
+  }
+  return ctx.startRendering()
+}
+
+export default class TestSignal {
+  /**
+   * @param {AudioContext} audioContext
+   */
+  constructor(audioContext) {
+    this.context = audioContext
+    this.output = audioContext.createGain()
+    this.settings = normalizeTestSignal()
+    this.isRunning = false
+    this._source = null
+    this._loop = null // { key, buffer }: the last rendered loop, reused while its settings stay
+    this._startId = 0
+  }
+
+  /**
+   * Replaces whatever is playing with the signal described by `settings`.
+   * @param {Object} [settings] See normalizeTestSignal().
+   * @returns {Promise<boolean>} false when a later start() / stop() superseded this one.
+   */
+  async start(settings = this.settings) {
+    const next = normalizeTestSignal(settings)
+    const id = ++this._startId
+    const source = await this._createSource(next)
+    if (id !== this._startId) return false
+
+    this._stopSource()
+    this.settings = next
+    this.output.gain.setValueAtTime(next.level, this.context.currentTime)
+    if (source) {
+      source.connect(this.output)
+      source.start()
+    }
+    this._source = source
+    this.isRunning = true
+    return true
+  }
+
+  stop() {
+    this._startId++
+    this._stopSource()
+    this.isRunning = false
+  }
+
+  dispose() {
+    this.stop()
+    this.output.disconnect()
+    this._loop = null
+  }
+
+  _stopSource() {
+    if (!this._source) return
+    try {
+      this._source.stop()
+    } catch {
+      // never started
+    }
+    this._source.disconnect()
+    this._source = null
+  }
+
+  async _createSource(settings) {
+    const ctx = this.context
+    switch (settings.type) {
+      case 'sine': {
+        const osc = ctx.createOscillator()
+        osc.frequency.value = settings.frequency
+        return osc
+      }
+      case 'white':
+      case 'pink': {
+        const fill = settings.type === 'white' ? fillWhiteNoise : fillPinkNoise
+        return this._createLoopSource(createNoiseBuffer(ctx, NOISE_SECONDS * ctx.sampleRate, fill))
+      }
+      case 'sweep':
+      case 'clicks':
+      case 'drums': {
+        const key =
+          settings.type === 'sweep'
+            ? `sweep:${settings.minHz}:${settings.maxHz}:${settings.sweepSeconds}`
+            : `${settings.type}:${settings.bpm}`
+        if (this._loop?.key !== key) {
+          this._loop = { key, buffer: await renderLoop(settings, ctx.sampleRate) }
+        }
+        return this._createLoopSource(this._loop.buffer)
+      }
+      default:
+        return null // silence
+    }
+  }
+
+  _createLoopSource(buffer) {
+    const source = this.context.createBufferSource()
+    source.buffer = buffer
+    source.loop = true
+    return source
+  }
+}
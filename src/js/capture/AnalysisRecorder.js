@@ -0,0 +1,117 @@
+import { FRAME_BEAT, FRAME_ONSET, getColumns } from './analysisFile'
+
+/**
+ * AnalysisRecorder – records what AudioManager's analysers produce, one entry per
+ * rendered frame: the byte spectrum and waveform (optionally per channel), the band
+ * levels, the beat state and the time. In bridge mode the analysers serve the
+ * bridge's AUDIO_DATA (see public/bridge-integration.js), so that is what gets
+ * recorded. See analysisFile.js for the file format.
+ */
+
+const CHUNK_FRAMES = 600 // frames per allocation
+
+export const DEFAULT_MAX_SECONDS = 10 * 60
+
+export default class AnalysisRecorder {
+  /**
+   * @param {Object} audioManager
+   * @param {Object} [options]
+   * @param {boolean} [options.stereo=false] Also record the left / right analysers (triples the size).
+   * @param {number} [options.maxSeconds] Recording stops growing after this long (isFull).
+   * @param {Object} [options.meta] Extra header fields (source, track, …).
+   */
+  constructor(audioManager, { stereo = false, maxSeconds = DEFAULT_MAX_SECONDS, meta = {} } = {}) {
+    const analyser = audioManager.analyserNode
+    this.audioManager = audioManager
+    this.maxSeconds = maxSeconds
+    this.header = {
+      ...meta,
+      createdAt: new Date().toISOString(),
+      sampleRate: analyser.context?.sampleRate || 44100,
+      fftSize: analyser.fftSize,
+      binCount: analyser.frequencyBinCount,
+      timeSize: analyser.fftSize,
+      minDecibels: analyser.minDecibels,
+      maxDecibels: analyser.maxDecibels,
+      stereo: !!stereo && !!audioManager.analyserLeft && !!audioManager.analyserRight,
+      bands: audioManager.bands.map(({ name, minHz, maxHz }) => ({ name, minHz, maxHz })),
+    }
+    this.columns = getColumns(this.header)
+    this.frameCount = 0
+    this.isFull = false
+    this._chunks = [] // one { name: TypedArray } per CHUNK_FRAMES frames
+    this._startedAt = null
+    this._lastTime = 0
+  }
+
+  /** Seconds recorded so far. */
+  get duration() {
+    return this.frameCount ? this._lastTime : 0
+  }
+
+  /**
+   * Records the current frame.
+   * @param {Object|null} audioData The object App.update() passed to visualizers.
+   * @param {{ now: number, mediaTime: number }} time `now` in ms (performance.now()), `mediaTime` in s.
+   */
+  capture(audioData, { now, mediaTime }) {
+    if (this.isFull) return
+    if (this._startedAt === null) this._startedAt = now
+    const time = (now - this._startedAt) / 1000
+    if (time > this.maxSeconds) {
+      this.isFull = true
+      return
+    }
+
+    const index = this.frameCount % CHUNK_FRAMES
+    if (!index) this._chunks.push(this._allocateChunk())
+    const chunk = this._chunks[this._chunks.length - 1]
+    const am = this.audioManager
+    const { binCount, timeSize, bands } = this.header
+
+    chunk.time[index] = time
+    chunk.mediaTime[index] = mediaTime || 0
+    chunk.bpm[index] = audioData?.bpm || 0
+    chunk.bar[index] = audioData?.beat?.bar || 0
+    chunk.beatInBar[index] = audioData?.beat?.beatInBar || 0
+    chunk.flags[index] = (audioData?.isBeat ? FRAME_BEAT : 0) | (audioData?.beat?.isOnset ? FRAME_ONSET : 0)
+    bands.forEach((band, i) => {
+      chunk.bandLevels[index * bands.length + i] = am.bandLevels?.[band.name] || 0
+    })
+
+    const read = (analyser, name, size, method) => analyser[method](chunk[name].subarray(index * size, (index + 1) * size))
+    read(am.analyserNode, 'frequency', binCount, 'getByteFrequencyData')
+    read(am.analyserNode, 'waveform', timeSize, 'getByteTimeDomainData')
+    if (this.header.stereo) {
+      read(am.analyserLeft, 'frequencyLeft', binCount, 'getByteFrequencyData')
+      read(am.analyserRight, 'frequencyRight', binCount, 'getByteFrequencyData')
+      read(am.analyserLeft, 'waveformLeft', timeSize, 'getByteTimeDomainData')
+      read(am.analyserRight, 'waveformRight', timeSize, 'getByteTimeDomainData')
+    }
+
+    this._lastTime = time
+    this.frameCount++
+  }
+
+  /**
+   * The recording so far, in the shape encodeAnalysisRecording() takes.
+   * @returns {{ header: Object, frameCount: number, duration: number, columns: Object<string, ArrayBufferView> }}
+   */
+  getRecording() {
+    const frameCount = this.frameCount
+    const columns = {}
+    for (const [name, Type, count] of this.columns) {
+      const column = new Type(frameCount * count)
+      this._chunks.forEach((chunk, i) => {
+        const frames = Math.min(CHUNK_FRAMES, frameCount - i * CHUNK_FRAMES)
+        column.set(chunk[name].subarray(0, frames * count), i * CHUNK_FRAMES * count)
+      })
+      columns[name] = column
+    }
+    return { header: { ...this.header, frameCount }, frameCount, duration: this.duration, columns }
+  }
+
+  _allocateChunk() {
+    return Object.fromEntries(this.columns.map(([name, Type, count]) => [name, new Type(CHUNK_FRAMES * count)]))
+  }
+}
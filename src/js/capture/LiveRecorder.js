@@ -0,0 +1,127 @@
+import App from '../App'
+import { drawVisualizerFrame, getCaptureSize } from './frameSource'
+
+/**
+ * LiveRecorder – records what is on screen, in real time, with the audio the user
+ * hears, to a WebM file via MediaRecorder.
+ *
+ * The visualizer's canvas is not captured directly: it changes whenever a visualizer
+ * that draws into its own canvas (Butterchurn) hides the Three.js one. Instead every
+ * rendered frame is copied into a recording canvas of fixed size (see
+ * drawVisualizerFrame()), whose stream is combined with a tap on the AudioManager's
+ * outputGain (so mute also mutes the recording).
+ */
+
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+]
+
+export function isLiveRecordingSupported() {
+  return typeof MediaRecorder === 'function' && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+}
+
+export default class LiveRecorder {
+  /**
+   * @param {Object} app The App instance.
+   * @param {Object} [options]
+   * @param {number} [options.fps=60] Frame rate of the recorded stream.
+   * @param {number} [options.scale] Size relative to the window; defaults to the renderer's pixel ratio.
+   * @param {number} [options.videoBitsPerSecond=8_000_000]
+   */
+  constructor(app, { fps = 60, scale, videoBitsPerSecond = 8_000_000 } = {}) {
+    this.app = app
+    this.fps = fps
+    this.scale = scale
+    this.videoBitsPerSecond = videoBitsPerSecond
+
+    this.recorder = null
+    this.startedAt = 0
+    this._canvas = null
+    this._ctx = null
+    this._audioTap = null
+    this._chunks = []
+  }
+
+  get recording() {
+    return this.recorder?.state === 'recording'
+  }
+
+  start() {
+    if (this.recorder) return
+    if (!isLiveRecordingSupported()) throw new Error('Recording needs MediaRecorder and canvas.captureStream()')
+
+    // Fixed for the whole recording; encoders don't like the size changing mid-stream.
+    const scale = this.scale ?? Math.min(2, this.app.renderer?.getPixelRatio() || 1)
+    const { width, height } = getCaptureSize(this.app, scale)
+    this._canvas = document.createElement('canvas')
+    this._canvas.width = width
+    this._canvas.height = height
+    this._ctx = this._canvas.getContext('2d')
+    this.captureFrame()
+
+    const stream = this._canvas.captureStream(this.fps)
+    const audioManager = App.audioManager
+    if (audioManager?.audioContext && audioManager.outputGain) {
+      this._audioTap = audioManager.audioContext.createMediaStreamDestination()
+      audioManager.outputGain.connect(this._audioTap)
+      this._audioTap.stream.getAudioTracks().forEach((track) => stream.addTrack(track))
+    }
+
+    const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || ''
+    this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: this.videoBitsPerSecond })
+    this._chunks = []
+    this.recorder.addEventListener('dataavailable', (e) => {
+      if (e.data?.size) this._chunks.push(e.data)
+    })
+    // Timeslice: data is collected as it goes instead of in one piece at the end.
+    this.recorder.start(1000)
+    this.startedAt = performance.now()
+  }
+
+  /**
+   * Copies the current frame into the recording. Call right after the frame was
+   * rendered (WebGL canvases are cleared once the frame is presented).
+   */
+  captureFrame() {
+    if (this._ctx) drawVisualizerFrame(this._ctx, this.app)
+  }
+
+  /**
+   * Stops recording.
+   * @returns {Promise<Blob>} The recorded WebM file.
+   */
+  stop() {
+    const recorder = this.recorder
+    if (!recorder) return Promise.reject(new Error('Not recording'))
+
+    return new Promise((resolve, reject) => {
+      recorder.addEventListener('stop', () => {
+        this._release()
+        resolve(new Blob(this._chunks, { type: recorder.mimeType || 'video/webm' }))
+        this._chunks = []
+      }, { once: true })
+      recorder.addEventListener('error', (e) => {
+        this._release()
+        reject(e.error || new Error('Recording failed'))
+      }, { once: true })
+      recorder.stop()
+    })
+  }
+
+  _release() {
+    this.recorder?.stream.getTracks().forEach((track) => track.stop())
+    this.recorder = null
+    if (this._audioTap) {
+      try {
+        App.audioManager?.outputGain?.disconnect(this._audioTap)
+      } catch {
+        // ignore
+      }
+      this._audioTap = null
+    }
+    this._canvas = null
+    this._ctx = null
+  }
+}
@@ -0,0 +1,162 @@
+import App from '../App'
+import VirtualClock from './VirtualClock'
+import { drawVisualizerFrame, getCaptureSize } from './frameSource'
+import { ENTITY_VISUALIZER_NAMES } from '../visualizers/entityRegistry'
+import { SHADER_VISUALIZER_NAMES } from '../visualizers/shaderRegistry'
+
+/**
+ * RegressionRunner – the in-page half of the visual regression harness
+ * (scripts/visual-regression.mjs).
+ *
+ * Created only with `?regression` in the URL, as `window.__visualizerRegression`.
+ * It puts the app in the same offline mode as video export (see VideoExporter.js):
+ * the analysers read the loaded track at explicit times and App renders fixed-timestep
+ * frames on a VirtualClock, here started at the same time with the same random seed
+ * for every visualizer. Each run reports where a visualizer failed (init() / update())
+ * and how much of its last frame is lit, plus that frame as a PNG.
+ */
+
+const START_TIME = 10_000 // ms, virtual performance.now() when a visualizer is created
+const BLACK_LEVEL = 8 // a pixel whose brightest channel is at most this counts as black
+
+export default class RegressionRunner {
+  /**
+   * @param {Object} app The App instance.
+   */
+  constructor(app) {
+    this.app = app
+    this.ready = false
+    this._canvas = document.createElement('canvas')
+  }
+
+  /**
+   * Every visualizer with its category, MilkDrop presets included.
+   * @returns {Promise<Array<{ name: string, category: string }>>}
+   */
+  async listVisualizers() {
+    const { MILKDROP_VISUALIZER_NAMES } = await import('../visualizers/milkdropRegistry')
+    return [
+      ...ENTITY_VISUALIZER_NAMES.map((name) => ({ name, category: 'entity' })),
+      ...SHADER_VISUALIZER_NAMES.map((name) => ({ name, category: 'shader' })),
+      ...MILKDROP_VISUALIZER_NAMES.map((name) => ({ name, category: 'milkdrop' })),
+    ]
+  }
+
+  /**
+   * Switches to offline analysis of the loaded track (the harness's test signal).
+   * The session isn't restored afterwards: the page only exists for the run.
+   */
+  async prepare() {
+    const app = this.app
+    const audioManager = App.audioManager
+    if (App.autoPilotManager) App.autoPilotManager.settings.enabled = false
+
+    // Same grid as a normal session; awaiting it keeps it from landing mid-run.
+    await app.analyzeTrackBeats()
+    const buffer = await audioManager.decodeTrack(audioManager.song.url, { sampleRate: audioManager.audioContext.sampleRate })
+    audioManager.startOfflineAnalysis(buffer)
+    audioManager.setOfflineTime(0)
+    app.fixedTimestep = true
+    this.ready = true
+  }
+
+  /**
+   * Renders `frames` frames of one visualizer from the start of the track.
+   * @param {string} name
+   * @param {{ frames?: number, fps?: number, seed?: number }} [options]
+   * @returns {Promise<{ name: string, ok: boolean, stage: string|null, error: string|null, frame: number|null, errors: string[], litFraction: number, meanLuminance: number, image: string|null }>}
+   *   `stage` is 'init' or 'update' when that threw; `errors` holds console errors and
+   *   uncaught exceptions seen during the run; `image` is a PNG data URL of the last frame.
+   */
+  async render(name, { frames = 60, fps = 30, seed = 0x5eed } = {}) {
+    const app = this.app
+    const result = { name, ok: true, stage: null, error: null, frame: null, errors: [], litFraction: 0, meanLuminance: 0, image: null }
+    const fail = (stage, error, frame = null) => {
+      Object.assign(result, { ok: false, stage, error: String(error?.stack || error), frame })
+      this._discardCurrentVisualizer()
+      return result
+    }
+
+    const stopCollecting = this._collectErrors(result.errors)
+    const clock = new VirtualClock({ seed, startTime: START_TIME })
+    clock.install()
+    try {
+      App.audioManager.setOfflineTime(0)
+      try {
+        await app.switchVisualizer(name, { notify: false, immediate: true })
+        // After the switch, which applies the visualizer's own quality overrides.
+        app.renderer.setPixelRatio(1)
+        app.resize()
+      } catch (error) {
+        return fail('init', error)
+      }
+
+      for (let i = 0; i < frames; i++) {
+        try {
+          if (i > 0) clock.advance(1000 / fps)
+          App.audioManager.setOfflineTime(i / fps)
+          app.update(clock.time, { step: true })
+        } catch (error) {
+          return fail('update', error, i)
+        }
+      }
+      // Read back in the same task as the last render (the WebGL buffer isn't preserved).
+      this._capture(result)
+      return result
+    } finally {
+      clock.restore()
+      stopCollecting()
+    }
+  }
+
+  _capture(result) {
+    const { width, height } = getCaptureSize(this.app)
+    const canvas = this._canvas
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    drawVisualizerFrame(ctx, this.app)
+
+    const { data } = ctx.getImageData(0, 0, width, height)
+    let lit = 0
+    let luminance = 0
+    for (let i = 0; i < data.length; i += 4) {
+      const r = data[i]
+      const g = data[i + 1]
+      const b = data[i + 2]
+      if (Math.max(r, g, b) > BLACK_LEVEL) lit++
+      luminance += 0.2126 * r + 0.7152 * g + 0.0722 * b
+    }
+    const pixels = width * height
+    result.litFraction = lit / pixels
+    result.meanLuminance = luminance / pixels / 255
+    result.image = canvas.toDataURL('image/png')
+  }
+
+  // A visualizer that threw may not survive destroy(); don't let it break the next run.
+  _discardCurrentVisualizer() {
+    try {
+      App.currentVisualizer?.destroy?.()
+    } catch {
+      // ignore
+    }
+    App.currentVisualizer = null
+  }
+
+  _collectErrors(errors) {
+    const consoleError = console.error
+    console.error = (...args) => {
+      errors.push(args.map((a) => (a instanceof Error ? a.message : String(a))).join(' '))
+      consoleError.apply(console, args)
+    }
+    const onError = (event) => errors.push(String(event.error?.message || event.message))
+    const onRejection = (event) => errors.push(String(event.reason?.message || event.reason))
+    window.addEventListener('error', onError)
+    window.addEventListener('unhandledrejection', onRejection)
+    return () => {
+      console.error = consoleError
+      window.removeEventListener('error', onError)
+      window.removeEventListener('unhandledrejection', onRejection)
+    }
+  }
+}
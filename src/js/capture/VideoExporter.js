@@ -0,0 +1,309 @@
+import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4Target } from 'mp4-muxer'
+import { Muxer as WebMMuxer, ArrayBufferTarget as WebMTarget } from 'webm-muxer'
+import VirtualClock from './VirtualClock'
+import { drawVisualizerFrame, getCaptureSize } from './frameSource'
+import { fileSafeName } from './download'
+import App from '../App'
+import { analyzeBeatGrid } from '../analysis/beatGrid'
+
+/**
+ * VideoExporter – renders the current track with one visualizer to a video file,
+ * frame by frame rather than in real time.
+ *
+ * For every frame the virtual clock (see VirtualClock.js) is advanced by exactly
+ * 1/fps, the AudioManager's analysers are pointed at that time in the decoded track
+ * (see AudioManager.startOfflineAnalysis()), App renders one fixed-timestep frame and
+ * the result is encoded with WebCodecs. The track's audio for the exported range is
+ * encoded alongside and muxed into WebM (VP9 + Opus) or MP4 (H.264 + AAC).
+ */
+
+export const EXPORT_FORMATS = {
+  webm: {
+    label: 'WebM (VP9 + Opus)',
+    mimeType: 'video/webm',
+    extension: 'webm',
+    videoCodec: 'vp09.00.41.08',
+    audioCodec: 'opus',
+    muxerVideoCodec: 'V_VP9',
+    muxerAudioCodec: 'A_OPUS',
+  },
+  mp4: {
+    label: 'MP4 (H.264 + AAC)',
+    mimeType: 'video/mp4',
+    extension: 'mp4',
+    videoCodec: 'avc1.640033',
+    audioCodec: 'mp4a.40.2',
+    muxerVideoCodec: 'avc',
+    muxerAudioCodec: 'aac',
+  },
+}
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  format: 'webm',
+  fps: 30,
+  scale: 1, // output size relative to the window
+  start: 0, // s
+  duration: 0, // s, 0 = to the end of the track
+  videoBitrate: 12_000_000,
+  audioBitrate: 192_000,
+}
+
+const AUDIO_SAMPLE_RATE = 48000 // Opus only takes 48 kHz; AAC is happy with it too
+const AUDIO_CHUNK_FRAMES = 4800
+const MAX_ENCODE_QUEUE = 8
+const KEYFRAME_INTERVAL = 2 // s
+
+export function isVideoExportSupported() {
+  return typeof VideoEncoder === 'function' && typeof AudioEncoder === 'function' && typeof VideoFrame === 'function'
+}
+
+function cancelledError() {
+  const error = new Error('Video export cancelled')
+  error.name = 'AbortError'
+  return error
+}
+
+export default class VideoExporter {
+  /**
+   * @param {Object} app The App instance.
+   * @param {Object} options See DEFAULT_EXPORT_OPTIONS, plus:
+   * @param {string} options.visualizer Visualizer to render.
+   * @param {(state: { phase: string, progress: number }) => void} [options.onProgress]
+   */
+  constructor(app, options) {
+    this.app = app
+    this.options = { ...DEFAULT_EXPORT_OPTIONS, ...options }
+    this.onProgress = options.onProgress || (() => {})
+    this.clock = new VirtualClock()
+    this._cancelled = false
+  }
+
+  cancel() {
+    this._cancelled = true
+  }
+
+  /**
+   * Runs the export. Resolves with the file, or rejects (AbortError when cancelled).
+   * The live session (visualizer, playback, quality) is restored either way.
+   * @returns {Promise<{ blob: Blob, fileName: string }>}
+   */
+  async run() {
+    if (!isVideoExportSupported()) throw new Error('Video export needs WebCodecs (VideoEncoder / AudioEncoder)')
+    const spec = EXPORT_FORMATS[this.options.format]
+    if (!spec) throw new Error(`Unknown export format: ${this.options.format}`)
+
+    const audioManager = App.audioManager
+    this.onProgress({ phase: 'decoding', progress: 0 })
+    const buffer = await audioManager.decodeTrack(audioManager.song.url, { sampleRate: audioManager.audioContext.sampleRate })
+    this._checkCancelled()
+
+    const { fps, start, duration } = this.options
+    const from = Math.max(0, Math.min(buffer.duration, Number(start) || 0))
+    const to = duration > 0 ? Math.min(buffer.duration, from + duration) : buffer.duration
+    const frameCount = Math.max(1, Math.round((to - from) * fps))
+
+    // Beats must come from the grid: the timer fallback runs on real time.
+    if (!App.bpmManager.beatGrid) {
+      this.onProgress({ phase: 'analyzing', progress: 0 })
+      const grid = await analyzeBeatGrid(buffer, { shouldCancel: () => this._cancelled })
+      this._checkCancelled()
+      if (grid) App.bpmManager.setBeatGrid(grid)
+    }
+
+    const audio = await this._renderAudio(buffer, from, to)
+    this._checkCancelled()
+
+    const session = await this._enterOfflineMode(buffer, from)
+    try {
+      const { width, height } = getCaptureSize(this.app, this.options.scale)
+      const target = spec.extension === 'mp4' ? new Mp4Target() : new WebMTarget()
+      const muxer = this._createMuxer(spec, target, { width, height, fps, channels: audio.numberOfChannels })
+      const videoEncoder = await this._createVideoEncoder(spec, muxer, { width, height, fps })
+      const audioEncoder = await this._createAudioEncoder(spec, muxer, audio.numberOfChannels)
+
+      await this._encodeAudio(audioEncoder, audio)
+      await this._encodeFrames(videoEncoder, { width, height, from, frameCount })
+
+      this.onProgress({ phase: 'finishing', progress: 1 })
+      await Promise.all([videoEncoder.flush(), audioEncoder.flush()])
+      this._throwEncoderError()
+      videoEncoder.close()
+      audioEncoder.close()
+      muxer.finalize()
+
+      const fileName = `${fileSafeName(this.options.visualizer)}.${spec.extension}`
+      return { blob: new Blob([target.buffer], { type: spec.mimeType }), fileName }
+    } finally {
+      await this._exitOfflineMode(session)
+    }
+  }
+
+  _checkCancelled() {
+    if (this._cancelled) throw cancelledError()
+  }
+
+  _throwEncoderError() {
+    if (this._encoderError) throw this._encoderError
+  }
+
+  // The exported range of the track, resampled for the audio encoder.
+  async _renderAudio(buffer, from, to) {
+    const channels = Math.min(2, buffer.numberOfChannels)
+    const length = Math.max(1, Math.ceil((to - from) * AUDIO_SAMPLE_RATE))
+    const context = new OfflineAudioContext(channels, length, AUDIO_SAMPLE_RATE)
+    const source = context.createBufferSource()
+    source.buffer = buffer
+    source.connect(context.destination)
+    source.start(0, from, to - from)
+    return context.startRendering()
+  }
+
+  async _enterOfflineMode(buffer, from) {
+    const app = this.app
+    const audioManager = App.audioManager
+    const session = {
+      visualizer: App.visualizerType,
+      wasPlaying: !!audioManager.audio && !audioManager.audio.paused,
+      pixelRatio: app.renderer.getPixelRatio(),
+      autoPilot: App.autoPilotManager?.settings.enabled ?? false,
+    }
+
+    if (App.autoPilotManager) App.autoPilotManager.settings.enabled = false
+    audioManager.startOfflineAnalysis(buffer)
+    audioManager.setOfflineTime(from)
+    this.clock.install()
+    app.fixedTimestep = true
+
+    // A fresh instance, created under the virtual clock, renders the same way every time.
+    await app.switchVisualizer(this.options.visualizer, { notify: false, immediate: true })
+    // After the switch, which applies the visualizer's own quality overrides.
+    app.renderer.setPixelRatio(this.options.scale)
+    app.resize()
+    return session
+  }
+
+  async _exitOfflineMode(session) {
+    const app = this.app
+    const audioManager = App.audioManager
+    app.fixedTimestep = false
+    this.clock.restore()
+    audioManager.stopOfflineAnalysis()
+    if (App.autoPilotManager) App.autoPilotManager.settings.enabled = session.autoPilot
+
+    app.renderer.setPixelRatio(session.pixelRatio)
+    app.resize()
+    // Re-create the visualizer so it runs on the real clock and live analysers again.
+    await app.switchVisualizer(session.visualizer, { notify: false, immediate: true })
+    if (session.wasPlaying) audioManager.play()
+  }
+
+  _createMuxer(spec, target, { width, height, fps, channels }) {
+    if (spec.extension === 'mp4') {
+      return new Mp4Muxer({
+        target,
+        video: { codec: spec.muxerVideoCodec, width, height, frameRate: fps },
+        audio: { codec: spec.muxerAudioCodec, numberOfChannels: channels, sampleRate: AUDIO_SAMPLE_RATE },
+        fastStart: 'in-memory',
+      })
+    }
+    return new WebMMuxer({
+      target,
+      video: { codec: spec.muxerVideoCodec, width, height, frameRate: fps },
+      audio: { codec: spec.muxerAudioCodec, numberOfChannels: channels, sampleRate: AUDIO_SAMPLE_RATE },
+    })
+  }
+
+  async _createVideoEncoder(spec, muxer, { width, height, fps }) {
+    const config = {
+      codec: spec.videoCodec,
+      width,
+      height,
+      bitrate: this.options.videoBitrate,
+      framerate: fps,
+      ...(spec.extension === 'mp4' ? { avc: { format: 'avc' } } : {}),
+    }
+    const { supported } = await VideoEncoder.isConfigSupported(config)
+    if (!supported) throw new Error(`${spec.label}: video encoding at ${width}x${height} is not supported by this browser`)
+
+    const encoder = new VideoEncoder({
+      output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+      error: (e) => { this._encoderError = e },
+    })
+    encoder.configure(config)
+    return encoder
+  }
+
+  async _createAudioEncoder(spec, muxer, channels) {
+    const config = {
+      codec: spec.audioCodec,
+      sampleRate: AUDIO_SAMPLE_RATE,
+      numberOfChannels: channels,
+      bitrate: this.options.audioBitrate,
+    }
+    const { supported } = await AudioEncoder.isConfigSupported(config)
+    if (!supported) throw new Error(`${spec.label}: audio encoding is not supported by this browser`)
+
+    const encoder = new AudioEncoder({
+      output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+      error: (e) => { this._encoderError = e },
+    })
+    encoder.configure(config)
+    return encoder
+  }
+
+  // Keeps the encoder queues short so memory stays flat on long tracks.
+  async _drain(encoder) {
+    while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+      await new Promise((resolve) => encoder.addEventListener('dequeue', resolve, { once: true }))
+    }
+    this._throwEncoderError()
+  }
+
+  async _encodeAudio(encoder, audio) {
+    const channels = audio.numberOfChannels
+    for (let offset = 0; offset < audio.length; offset += AUDIO_CHUNK_FRAMES) {
+      this._checkCancelled()
+      const frames = Math.min(AUDIO_CHUNK_FRAMES, audio.length - offset)
+      const data = new Float32Array(frames * channels)
+      for (let c = 0; c < channels; c++) data.set(audio.getChannelData(c).subarray(offset, offset + frames), c * frames)
+      const chunk = new AudioData({
+        format: 'f32-planar',
+        sampleRate: AUDIO_SAMPLE_RATE,
+        numberOfFrames: frames,
+        numberOfChannels: channels,
+        timestamp: Math.round((offset / AUDIO_SAMPLE_RATE) * 1e6),
+        data,
+      })
+      encoder.encode(chunk)
+      chunk.close()
+      await this._drain(encoder)
+    }
+  }
+
+  async _encodeFrames(encoder, { width, height, from, frameCount }) {
+    const { fps } = this.options
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+    const frameUs = 1e6 / fps
+    const keyframeEvery = Math.max(1, Math.round(fps * KEYFRAME_INTERVAL))
+
+    for (let i = 0; i < frameCount; i++) {
+      this._checkCancelled()
+      if (i > 0) this.clock.advance(1000 / fps)
+      App.audioManager.setOfflineTime(from + i / fps)
+      this.app.update(this.clock.time, { step: true })
+      drawVisualizerFrame(ctx, this.app)
+
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(i * frameUs), duration: Math.round(frameUs) })
+      encoder.encode(frame, { keyFrame: i % keyframeEvery === 0 })
+      frame.close()
+      await this._drain(encoder)
+
+      if (i % 10 === 0) this.onProgress({ phase: 'rendering', progress: i / frameCount })
+      // Let the page breathe (UI, encoder callbacks) between frames.
+      if (i % 4 === 3) await new Promise((resolve) => setTimeout(resolve, 0))
+    }
+  }
+}
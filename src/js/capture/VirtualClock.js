@@ -0,0 +1,91 @@
+import gsap from 'gsap'
+
+/**
+ * VirtualClock – a frame clock that only moves when told to.
+ *
+ * While installed, `performance.now()`, `Date.now()` (and so THREE.Clock, the
+ * Shadertoy iTime/iTimeDelta, Butterchurn and every entity `time` field derived
+ * from them) report virtual time, gsap tweens are stepped from it instead of
+ * requestAnimationFrame, and `Math.random()` is seeded. Rendering frame N thus
+ * gives the same picture no matter how long the frame took to produce, which is
+ * what offline export needs.
+ */
+
+// mulberry32
+function createRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Date.now() at a fixed start time (2024-01-01T00:00:00Z).
+const FIXED_DATE = Date.UTC(2024, 0, 1)
+
+export default class VirtualClock {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.seed] Seed for Math.random while installed.
+   * @param {number|null} [options.startTime] performance.now() at install(); null continues
+   *   from the real time. With a start time Date.now() starts at FIXED_DATE as well, so
+   *   two runs see exactly the same clock.
+   */
+  constructor({ seed = 0x5eed, startTime = null } = {}) {
+    this.seed = seed
+    this.startTime = startTime
+    this.time = 0 // ms, in performance.now() units
+    this._originals = null
+  }
+
+  get installed() {
+    return !!this._originals
+  }
+
+  /**
+   * Starts reporting virtual time, continuing from the current real time (or from `startTime`).
+   */
+  install() {
+    if (this._originals) return
+    const originals = {
+      performanceNow: performance.now,
+      dateNow: Date.now,
+      random: Math.random,
+    }
+    const fixed = Number.isFinite(this.startTime)
+    this.time = fixed ? this.startTime : originals.performanceNow.call(performance)
+    this._dateOffset = fixed ? FIXED_DATE - this.time : originals.dateNow() - this.time
+    this._gsapStart = gsap.ticker.time
+    this._startTime = this.time
+    this._originals = originals
+
+    performance.now = () => this.time
+    Date.now = () => Math.floor(this.time + this._dateOffset)
+    Math.random = createRandom(this.seed)
+    gsap.ticker.remove(gsap.updateRoot)
+  }
+
+  /**
+   * Advances virtual time and steps gsap to it.
+   * @param {number} ms
+   */
+  advance(ms) {
+    this.time += ms
+    if (this._originals) gsap.updateRoot(this._gsapStart + (this.time - this._startTime) / 1000)
+  }
+
+  restore() {
+    const originals = this._originals
+    if (!originals) return
+    this._originals = null
+    // Own properties shadow the prototype methods; deleting them brings the real ones back.
+    delete performance.now
+    if (performance.now !== originals.performanceNow) performance.now = originals.performanceNow
+    Date.now = originals.dateNow
+    Math.random = originals.random
+    gsap.ticker.add(gsap.updateRoot)
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Audio analysis recordings: what the analysers produced frame by frame (see
+ * AnalysisRecorder.js), saved to a file and replayed later in place of live audio
+ * (see analysis/ReplayAnalyser.js and AudioManager.startReplay()).
+ *
+ * File layout: the magic bytes `VZAA`, the header length (uint32), the header as
+ * JSON, then one column per field for all frames (see getColumns()), each starting
+ * on an 8-byte boundary. Numbers are little-endian. Where CompressionStream is
+ * available the whole file is gzipped; decodeAnalysisRecording() takes either.
+ */
+
+export const ANALYSIS_FILE_EXTENSION = '.vzaudio'
+export const ANALYSIS_FORMAT_VERSION = 1
+
+// `flags` bits
+export const FRAME_BEAT = 1 // the beat flag visualizers see (audioData.isBeat)
+export const FRAME_ONSET = 2 // live onset (audioData.beat.isOnset)
+
+const MAGIC = 'VZAA'
+const ALIGN = 8
+
+/**
+ * The per-frame fields of a recording, in file order: [name, array type, values per frame].
+ * @param {{ binCount: number, timeSize: number, bands: Array, stereo: boolean }} header
+ */
+export function getColumns({ binCount, timeSize, bands, stereo }) {
+  const columns = [
+    ['time', Float64Array, 1], // s since the recording started
+    ['mediaTime', Float64Array, 1], // s, track position (getCurrentTime())
+    ['bpm', Float32Array, 1],
+    ['bar', Uint32Array, 1],
+    ['beatInBar', Uint8Array, 1],
+    ['flags', Uint8Array, 1],
+    ['bandLevels', Float32Array, bands.length], // 0..1, in header.bands order
+    ['frequency', Uint8Array, binCount], // getByteFrequencyData()
+    ['waveform', Uint8Array, timeSize], // getByteTimeDomainData()
+  ]
+  if (stereo) {
+    columns.push(['frequencyLeft', Uint8Array, binCount], ['frequencyRight', Uint8Array, binCount], ['waveformLeft', Uint8Array, timeSize], ['waveformRight', Uint8Array, timeSize])
+  }
+  return columns
+}
+
+const align = (n) => Math.ceil(n / ALIGN) * ALIGN
+
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform)
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * @param {{ header: Object, frameCount: number, columns: Object<string, ArrayBufferView> }} recording
+ * @returns {Promise<Blob>}
+ */
+export async function encodeAnalysisRecording(recording) {
+  const { frameCount } = recording
+  const header = { ...recording.header, version: ANALYSIS_FORMAT_VERSION, frameCount }
+  const json = new TextEncoder().encode(JSON.stringify(header))
+  const columns = getColumns(header)
+
+  let size = align(8 + json.length)
+  for (const [, Type, count] of columns) size += align(Type.BYTES_PER_ELEMENT * count * frameCount)
+
+  const bytes = new Uint8Array(size)
+  const view = new DataView(bytes.buffer)
+  for (let i = 0; i < MAGIC.length; i++) bytes[i] = MAGIC.charCodeAt(i)
+  view.setUint32(4, json.length, true)
+  bytes.set(json, 8)
+  let offset = align(8 + json.length)
+  for (const [name, Type, count] of columns) {
+    const column = recording.columns[name]
+    bytes.set(new Uint8Array(column.buffer, column.byteOffset, Type.BYTES_PER_ELEMENT * count * frameCount), offset)
+    offset += align(Type.BYTES_PER_ELEMENT * count * frameCount)
+  }
+
+  if (typeof CompressionStream === 'function') {
+    return new Blob([await pipe(bytes, new CompressionStream('gzip'))], { type: 'application/gzip' })
+  }
+  return new Blob([bytes], { type: 'application/octet-stream' })
+}
+
+/**
+ * Reads encodeAnalysisRecording() output.
+ * @param {ArrayBuffer} data
+ * @returns {Promise<{ header: Object, frameCount: number, duration: number, columns: Object<string, ArrayBufferView> }>}
+ */
+export async function decodeAnalysisRecording(data) {
+  let bytes = new Uint8Array(data)
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) bytes = await pipe(bytes, new DecompressionStream('gzip'))
+  // Typed array views below need the columns' alignment within their own buffer.
+  if (bytes.byteOffset) bytes = bytes.slice()
+
+  if (String.fromCharCode(...bytes.subarray(0, 4)) !== MAGIC) throw new Error('Not an audio analysis recording')
+  const view = new DataView(bytes.buffer)
+  const jsonLength = view.getUint32(4, true)
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + jsonLength)))
+  if (header.version > ANALYSIS_FORMAT_VERSION) throw new Error(`Unsupported recording version ${header.version}`)
+
+  const frameCount = header.frameCount
+  const columns = {}
+  let offset = align(8 + jsonLength)
+  for (const [name, Type, count] of getColumns(header)) {
+    const length = count * frameCount
+    if (offset + Type.BYTES_PER_ELEMENT * length > bytes.length) throw new Error('Truncated audio analysis recording')
+    columns[name] = new Type(bytes.buffer, offset, length)
+    offset += align(Type.BYTES_PER_ELEMENT * length)
+  }
+
+  const duration = frameCount ? columns.time[frameCount - 1] : 0
+  return { header, frameCount, duration, columns }
+}
+
+/**
+ * Index of the last frame at or before `time` (0 before the first).
+ * @param {{ frameCount: number, columns: { time: Float64Array } }} recording
+ * @param {number} time s since the recording started
+ */
+export function findFrame(recording, time) {
+  const times = recording.columns.time
+  let lo = 0
+  let hi = recording.frameCount - 1
+  if (hi < 0 || time <= times[0]) return 0
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1
+    if (times[mid] <= time) lo = mid
+    else hi = mid - 1
+  }
+  return lo
+}
+
+/**
+ * A beat grid (see analysis/beatGrid.js) on the recording's own clock: a beat where
+ * the recorded beat flag rises, numbered into bars as recorded.
+ * @returns {{ bpm: number, beats: Float64Array, downbeatPhase: number, beatsPerBar: number, duration: number }|null}
+ *   null with fewer than two beats.
+ */
+export function getRecordingBeatGrid(recording, beatsPerBar = 4) {
+  const { time, flags, bpm, beatInBar } = recording.columns
+  const beats = []
+  let firstBeatInBar = 0
+  for (let i = 0; i < recording.frameCount; i++) {
+    if (!(flags[i] & FRAME_BEAT) || (i > 0 && flags[i - 1] & FRAME_BEAT)) continue
+    if (!beats.length) firstBeatInBar = beatInBar[i]
+    beats.push(time[i])
+  }
+  if (beats.length < 2) return null
+
+  const tempos = Array.from(bpm)
+    .filter((v) => v > 0)
+    .sort((a, b) => a - b)
+  return {
+    bpm: tempos.length ? tempos[tempos.length >> 1] : (60 * (beats.length - 1)) / (beats[beats.length - 1] - beats[0]),
+    beats: Float64Array.from(beats),
+    downbeatPhase: (beatsPerBar - (firstBeatInBar % beatsPerBar)) % beatsPerBar,
+    beatsPerBar,
+    duration: recording.duration,
+  }
+}
+
+/**
+ * The recording time at which the track was first at or past `mediaTime`, so a replay
+ * can start at "2:31 into the song" (0 when the recording never got there).
+ * @param {Object} recording
+ * @param {number} mediaTime s
+ */
+export function findMediaTime(recording, mediaTime) {
+  const { time, mediaTime: media } = recording.columns
+  for (let i = 0; i < recording.frameCount; i++) {
+    if (media[i] >= mediaTime) return time[i]
+  }
+  return 0
+}
@@ -0,0 +1,35 @@
+/**
+ * Offers a Blob as a file download.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  // Revoking right away can abort the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 60_000)
+}
+
+/**
+ * Turns a display name (e.g. "Shader: Neon – Tunnel") into a file name part.
+ * @param {string} name
+ * @param {string} [fallback]
+ */
+export function fileSafeName(name, fallback = 'visualizer') {
+  return String(name ?? '').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || fallback
+}
+
+/**
+ * `visualizer-2024-05-01_21-30-05` style name (local time), safe on every file system.
+ * @param {string} [prefix]
+ * @param {Date} [date]
+ */
+export function timestampedFileName(prefix = 'visualizer', date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0')
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+  const time = `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`
+  return `${prefix}-${day}_${time}`
+}
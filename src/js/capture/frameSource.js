@@ -0,0 +1,35 @@
+import App from '../App'
+import TransitionRenderer from '../rendering/TransitionRenderer'
+
+/**
+ * Draws what is on screen right now — the Three.js canvas plus the canvas of a
+ * visualizer that draws into its own (Butterchurn, 2D entities) — into a 2D context,
+ * scaled to its canvas. Call right after rendering, in the same task: WebGL canvases
+ * don't preserve their drawing buffer.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ renderer: THREE.WebGLRenderer }} app
+ */
+export function drawVisualizerFrame(ctx, app) {
+  const { width, height } = ctx.canvas
+  ctx.fillStyle = '#000'
+  ctx.fillRect(0, 0, width, height)
+
+  const threeCanvas = app.renderer?.domElement
+  if (threeCanvas && threeCanvas.style.display !== 'none') {
+    ctx.drawImage(threeCanvas, 0, 0, width, height)
+  }
+  // During a transition the blend is already in the Three.js canvas (as are layers, which hide this one).
+  const overlay = app._transition ? null : TransitionRenderer.getOutputCanvas(App.currentVisualizer)
+  if (overlay && overlay.style.visibility !== 'hidden') {
+    ctx.drawImage(overlay, 0, 0, width, height)
+  }
+}
+
+/**
+ * Output size for a capture at `scale` times the window's CSS size, rounded to even
+ * numbers (required by H.264 and friendlier to every other codec).
+ */
+export function getCaptureSize(app, scale = 1) {
+  const even = (v) => Math.max(2, Math.round((v * scale) / 2) * 2)
+  return { width: even(app.width || window.innerWidth), height: even(app.height || window.innerHeight) }
+}
@@ -0,0 +1,111 @@
+// PNG text metadata: writes and reads iTXt chunks (UTF-8 text, uncompressed), so
+// snapshot files carry what is needed to restore the look they show.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+
+let crcTable = null
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      crcTable[n] = c >>> 0
+    }
+  }
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+function isPng(bytes) {
+  return bytes.length > 8 && PNG_SIGNATURE.every((b, i) => bytes[i] === b)
+}
+
+function makeChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length)
+  const view = new DataView(chunk.buffer)
+  view.setUint32(0, data.length)
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i)
+  chunk.set(data, 8)
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)))
+  return chunk
+}
+
+// iTXt: keyword \0, compression flag, compression method, language \0, translated keyword \0, text
+function makeTextChunk(keyword, text) {
+  const encoder = new TextEncoder()
+  // Keywords are 1-79 Latin-1 characters.
+  const key = encoder.encode(String(keyword).replace(/[^\x20-\x7e]/g, '').slice(0, 79))
+  const value = encoder.encode(String(text))
+  const data = new Uint8Array(key.length + 5 + value.length)
+  data.set(key, 0)
+  data.set(value, key.length + 5)
+  return makeChunk('iTXt', data)
+}
+
+/**
+ * Returns a copy of a PNG with text entries added (right before IEND).
+ * @param {ArrayBuffer|Uint8Array} png
+ * @param {Object<string, string>} entries Keyword -> text.
+ * @returns {Uint8Array}
+ */
+export function addPngText(png, entries) {
+  const bytes = png instanceof Uint8Array ? png : new Uint8Array(png)
+  if (!isPng(bytes)) throw new Error('Not a PNG file')
+  const chunks = Object.entries(entries)
+    .filter(([, text]) => text !== undefined && text !== null && text !== '')
+    .map(([keyword, text]) => makeTextChunk(keyword, text))
+
+  // IEND is always the last 12 bytes.
+  const iendAt = bytes.length - 12
+  const size = chunks.reduce((sum, c) => sum + c.length, 0)
+  const out = new Uint8Array(bytes.length + size)
+  out.set(bytes.subarray(0, iendAt), 0)
+  let offset = iendAt
+  for (const chunk of chunks) {
+    out.set(chunk, offset)
+    offset += chunk.length
+  }
+  out.set(bytes.subarray(iendAt), offset)
+  return out
+}
+
+/**
+ * Reads the uncompressed tEXt / iTXt entries of a PNG.
+ * @param {ArrayBuffer|Uint8Array} png
+ * @returns {Object<string, string>} Keyword -> text (empty when not a PNG).
+ */
+export function readPngText(png) {
+  const bytes = png instanceof Uint8Array ? png : new Uint8Array(png)
+  const entries = {}
+  if (!isPng(bytes)) return entries
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const latin1 = new TextDecoder('latin1')
+  const utf8 = new TextDecoder()
+
+  for (let offset = 8; offset + 12 <= bytes.length;) {
+    const length = view.getUint32(offset)
+    const type = latin1.decode(bytes.subarray(offset + 4, offset + 8))
+    const data = bytes.subarray(offset + 8, offset + 8 + length)
+    offset += 12 + length
+    if (type === 'IEND') break
+    if (type !== 'tEXt' && type !== 'iTXt') continue
+
+    const keyEnd = data.indexOf(0)
+    if (keyEnd <= 0) continue
+    const keyword = latin1.decode(data.subarray(0, keyEnd))
+    if (type === 'tEXt') {
+      entries[keyword] = latin1.decode(data.subarray(keyEnd + 1))
+      continue
+    }
+    // Compressed iTXt isn't needed for our own files.
+    if (data[keyEnd + 1] !== 0) continue
+    const languageEnd = data.indexOf(0, keyEnd + 3)
+    const translatedEnd = languageEnd < 0 ? -1 : data.indexOf(0, languageEnd + 1)
+    if (translatedEnd < 0) continue
+    entries[keyword] = utf8.decode(data.subarray(translatedEnd + 1))
+  }
+  return entries
+}
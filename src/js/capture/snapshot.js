@@ -0,0 +1,119 @@
+import App from '../App'
+import { drawVisualizerFrame, getCaptureSize } from './frameSource'
+import { addPngText } from './pngText'
+
+/**
+ * High-resolution still snapshots of the current visualizer.
+ *
+ * The frame is rendered again at the requested width (the window's aspect ratio is
+ * kept) whatever the current pixel ratio is. Sizes the GPU can't render in one go are
+ * rendered in tiles via camera view offsets; visualizers that can't be tiled (full-screen
+ * shaders, ones drawing into their own canvas) are capped at the largest size the GPU
+ * supports instead.
+ */
+
+// Target widths offered in the UI (0 = the current drawing buffer size).
+export const SNAPSHOT_SIZES = {
+  Screen: 0,
+  '1080p': 1920,
+  '1440p': 2560,
+  '4K': 3840,
+  '5K': 5120,
+  '8K': 7680,
+}
+
+// Tiles are kept well below the GPU limit to keep memory use down.
+const MAX_TILE_SIZE = 4096
+
+function getMaxRenderSize(renderer) {
+  const gl = renderer.getContext()
+  const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS) || [4096, 4096]
+  return Math.min(renderer.capabilities.maxTextureSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), viewport[0], viewport[1])
+}
+
+function canBeTiled(app, visualizer) {
+  // Layers and post effects are composited in screen space, like full-screen shaders.
+  if (app._isComposited()) return false
+  return !!visualizer && !visualizer.rendersSelf && !visualizer.outputCanvas && !visualizer.screenSpace
+}
+
+function setPixelRatio(app, ratio) {
+  const previous = app.renderer.getPixelRatio()
+  app.renderer.setPixelRatio(ratio)
+  app.resize()
+  App.currentVisualizer?.onPixelRatioChange?.(ratio, previous)
+}
+
+function renderTiles(app, ctx, width, height, tileSize) {
+  const { renderer, scene, camera } = app
+  renderer.setPixelRatio(1)
+  try {
+    for (let y = 0; y < height; y += tileSize) {
+      for (let x = 0; x < width; x += tileSize) {
+        const w = Math.min(tileSize, width - x)
+        const h = Math.min(tileSize, height - y)
+        renderer.setSize(w, h, false)
+        camera.setViewOffset(width, height, x, y, w, h)
+        renderer.render(scene, camera)
+        // Same task as the render: the drawing buffer isn't preserved.
+        ctx.drawImage(renderer.domElement, 0, 0, w, h, x, y, w, h)
+      }
+    }
+  } finally {
+    camera.clearViewOffset()
+  }
+}
+
+/**
+ * Renders the current frame at `width` (0 = current size) into a PNG.
+ * @param {Object} app The App instance.
+ * @param {Object} [options]
+ * @param {number} [options.width=0]
+ * @param {Object<string, string>} [options.text] PNG text entries to embed.
+ * @returns {Promise<{ blob: Blob, width: number, height: number }>}
+ */
+export async function captureSnapshot(app, { width = 0, text = {} } = {}) {
+  // One stage only; a half-finished blend can't be rendered again at another size.
+  app._finishTransition()
+
+  const renderer = app.renderer
+  const visualizer = App.currentVisualizer
+  const currentRatio = renderer.getPixelRatio()
+  const limit = getMaxRenderSize(renderer)
+  let scale = width > 0 ? width / app.width : currentRatio
+  const tiled = canBeTiled(app, visualizer)
+  if (!tiled) {
+    const maxScale = Math.min(limit / app.width, limit / app.height)
+    if (scale > maxScale) {
+      console.warn(`[Visualizer] Snapshot capped at ${Math.floor(app.width * maxScale)}px wide (GPU limit, can't tile this visualizer)`)
+      scale = maxScale
+    }
+  }
+
+  const size = getCaptureSize(app, scale)
+  const canvas = document.createElement('canvas')
+  canvas.width = size.width
+  canvas.height = size.height
+  const ctx = canvas.getContext('2d')
+
+  try {
+    if (size.width <= limit && size.height <= limit) {
+      setPixelRatio(app, scale)
+      visualizer?.setOutputSize?.(size.width, size.height)
+      // A full frame (not just a render): multipass shaders refill their resized buffers.
+      app.update(performance.now(), { step: true })
+      drawVisualizerFrame(ctx, app)
+    } else {
+      renderTiles(app, ctx, size.width, size.height, Math.min(limit, MAX_TILE_SIZE))
+    }
+  } finally {
+    visualizer?.setOutputSize?.(null)
+    setPixelRatio(app, currentRatio)
+  }
+
+  const png = await new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the snapshot'))), 'image/png')
+  })
+  const bytes = addPngText(await png.arrayBuffer(), text)
+  return { blob: new Blob([bytes], { type: 'image/png' }), width: size.width, height: size.height }
+}
@@ -14,6 +14,37 @@
  *   { type: 'set-fv3-param', key, value }
  *   { type: 'apply-fv3-params', params }
  *   { type: 'set-shader-uniform', uniform, value }
+ *   { type: 'set-frequency-bands', bands }
+ *   { type: 'reset-frequency-bands' }
+ *   { type: 'set-transition', mode?, duration? }
+ *   { type: 'add-layer', name }
+ *   { type: 'remove-layer', id }
+ *   { type: 'update-layer', id, changes: { blend?, opacity?, reactive?, amount?, enabled? } }
+ *   { type: 'move-layer', id, delta }
+ *   { type: 'set-post-chain', chain }
+ *   { type: 'add-modulation', target }
+ *   { type: 'update-modulation', id, changes: { source?, lfoShape?, lfoBeats?, min?, max?, curve?, smoothing?, invert?, enabled? } }
+ *   { type: 'remove-modulation', id }
+ *   { type: 'set-test-signal', signal: { type, frequency, minHz, maxHz, sweepSeconds, bpm, level } | null }
+ *   { type: 'start-analysis-capture', stereo }
+ *   { type: 'stop-analysis-capture' }
+ *   { type: 'load-analysis-replay', data (ArrayBuffer), name, start?, trackTime?, loop }
+ *   { type: 'stop-analysis-replay' }
+ *   { type: 'compile-shader', source }   (hot reload of the active shader)
+ *   { type: 'revert-shader' }
+ *   { type: 'save-user-shader', title, source }
+ *   { type: 'delete-user-shader', name }
+ *   { type: 'import-shadertoy', json }   (Shadertoy JSON export, as text)
+ *   { type: 'set-shader-channel', pass, channel, input }   (input: a channel binding, see shadertoyImport.js; files as Blobs)
+ *   { type: 'set-shader-keyboard-focus', focused }
+ *   { type: 'set-autopilot', settings }
+ *   { type: 'update-catalog-entry', name, favorite?, rating?, tags? }
+ *   { type: 'export-video', options: { format, fps, scale, start, duration } }
+ *   { type: 'cancel-export' }
+ *   { type: 'take-snapshot', width }
+ *   { type: 'get-scene-url' }
+ *   { type: 'download-scene' }
+ *   { type: 'load-scene', json }
  *
  * Protocol (incoming ← main page):
  *   { type: 'init', visualizerList, activeVisualizer }
@@ -21,13 +52,58 @@
  *   { type: 'quality-update', antialias, pixelRatio }
  *   { type: 'visualizer-list-update', visualizerList }
  *   { type: 'fv3-params', params }
+ *   { type: 'frequency-bands', visualizer, bands, isCustom }
+ *   { type: 'transition-settings', mode, duration }
+ *   { type: 'layers-update', layers, maxLayers }
+ *   { type: 'post-chain', chain }
+ *   { type: 'modulation-update', visualizer, targets, sources, bindings }
+ *   { type: 'test-signal', signal }   (null while the track / microphone plays)
+ *   { type: 'analysis-status', capturing, frames, seconds, replaying, replayName, replayDuration, error }
+ *   { type: 'shader-source', name, title, source, isUser, errors }   (source null for non-shader visualizers)
+ *   { type: 'shader-errors', name, ok, errors }   (errors: [{ pass, severity, line, message }], lines of the user's source)
+ *   { type: 'shader-channels', name, passes, channels, ok, stored }   (channels: bindings by pass; after a change, ok false when it wasn't applied, stored false for session-only files)
+ *   { type: 'shader-keyboard', name, available, focused }   (available: a channel reads the keyboard; focused: it gets every key)
+ *   { type: 'autopilot-settings', settings }
+ *   { type: 'catalog-update', catalog }
+ *   { type: 'export-status', state, progress, message }
+ *   { type: 'snapshot-status', ok, message }
+ *   { type: 'scene-url', url, error }   (url null and error set when the link couldn't be created)
  */
 
 import GUI from 'lil-gui'
 import { loadSpectrumFilters } from '../spectrumFilters'
+import { BAND_SPACINGS, DEFAULT_BANDS, MAX_BAND_COUNT, createBands } from '../analysis/frequencyBands'
+import { TRANSITION_MODES } from '../rendering/TransitionRenderer'
+import { LAYER_BLEND_MODES, LAYER_REACTIVE_SOURCES } from '../rendering/LayerCompositor'
+import { POST_EFFECTS, POST_MODULATION_SOURCES } from '../rendering/PostProcessor'
+import { LFO_SHAPES } from '../analysis/modulationSources'
+import { LFO_SOURCE, MODULATION_CURVES } from '../managers/ModulationManager'
+import { AUTOPILOT_CATEGORIES } from '../managers/AutoPilotManager'
+import { DEFAULT_TEST_SIGNAL, TEST_SIGNAL_TYPES } from '../audio/TestSignal'
+import { ANALYSIS_FILE_EXTENSION } from '../capture/analysisFile'
+import { CATALOG_FILTERS, MAX_RATING, createCatalog, getAllTags, getCatalogLabel, normalizeCatalog, searchCatalog } from '../visualizers/visualizerCatalog'
+import { DEFAULT_CHANNEL_SAMPLER, MEDIA_INPUT_TYPES } from '../visualizers/shadertoyImport'
 
 const CHANNEL_NAME = 'visualizer-controls'
 
+const SHADER_CHANNEL_INPUTS = {
+  Default: 'auto',
+  'None (black)': 'none',
+  Audio: 'audio',
+  Noise: 'noise',
+  Buffer: 'buffer',
+  Image: 'texture',
+  Cubemap: 'cubemap',
+  'Volume (.bin)': 'volume',
+  Video: 'video',
+  Webcam: 'webcam',
+  Keyboard: 'keyboard',
+}
+
+// Picked files up to this size are sent as data URLs, so the binding is stored with the
+// shader; bigger ones (and videos) only last for the session.
+const MAX_STORED_CHANNEL_FILE_BYTES = 1024 * 1024
+
 export default class ControlsApp {
   constructor() {
     this.gui = null
@@ -37,6 +113,8 @@ export default class ControlsApp {
     // Visualizer switcher state
     this.visualizerSwitcherConfig = null
     this.visualizerController = null
+    this.catalog = createCatalog() // favorites / ratings / tags / recent, owned by the main page
+    this.catalogControllers = { tag: null, favorite: null, rating: null, tags: null }
 
     // Performance + Quality state
     this.performanceQualityFolder = null
@@ -60,6 +138,78 @@ export default class ControlsApp {
     // Shader controls state
     this.shaderControlsFolder = null
 
+    // Frequency band controls state (bands are saved per visualizer by the main page)
+    this.frequencyBandsFolder = null
+    this.frequencyBandsListFolder = null
+    this.frequencyBandsConfig = null
+    this.frequencyBandsStatusController = null
+    this.frequencyBands = []
+
+    // Test signal state (the signal is generated by the main page's AudioManager)
+    this.testSignalFolder = null
+    this.testSignalConfig = null
+
+    // Audio analysis capture / replay state (both run in the main page)
+    this.analysisConfig = null
+    this.analysisFileInput = null
+
+    // Transition state (visualizer switch transitions)
+    this.transitionsFolder = null
+    this.transitionConfig = null
+    this.transitionControllers = { mode: null, duration: null }
+
+    // Layer stack state (the layers themselves live in the main page)
+    this.layersFolder = null
+    this.layersConfig = null
+    this.layerControllers = { visualizer: null, add: null }
+    this.layers = []
+    this.maxLayers = 0
+    this._layersKey = ''
+    this._layerFolders = []
+
+    // Post-processing state (the chain is owned and rendered by the main page)
+    this.postFolder = null
+    this.postConfig = null
+    this.postChain = null
+    this._postKey = ''
+    this._postFolders = []
+
+    // Modulation matrix state (bindings are evaluated and stored by the main page)
+    this.modulationFolder = null
+    this.modulationConfig = null
+    this.modulationTargetController = null
+    this.modulation = { visualizer: '', targets: [], sources: [], bindings: [] }
+    this._modulationKey = ''
+    this._modulationFolders = []
+
+    // Shader editor state (compiling and saving happen in the main page)
+    this.shaderEditorFolder = null
+    this.shaderEditorConfig = null
+    this.shaderEditorControllers = { delete: null }
+    this.shaderEditor = null // { textarea, gutter, errorList }
+    this.shadertoyFileInput = null
+    this.shaderEditorState = { name: '', source: null, isUser: false, errors: [] }
+    this._shaderCompileTimer = null
+    this._shaderRevertPending = false
+    this.shaderChannelConfig = null
+    this.shaderChannelControllers = {}
+    this.shaderChannelFileInput = null
+    this.shaderChannelsState = { name: '', passes: [], channels: {} }
+    this.shaderKeyboardState = { available: false, focused: false }
+    this._shaderChannelPicked = null // { label, src }: a file (or stored source) shown as `label` in the URL field
+    this._shaderChannelApplyPending = false
+
+    // Auto-pilot state (settings live in the main page's AutoPilotManager)
+    this.autoPilotFolder = null
+    this.autoPilotConfig = null
+    this.autoPilotSettings = null
+
+    // Video export state (the export itself runs in the main page)
+    this.exportConfig = null
+    this.snapshotConfig = null
+    this.sceneConfig = null
+    this.sceneFileInput = null
+
     this.storageKeys = {
       fv3Presets: 'visualizer.fv3.presets',
       fv3SelectedPreset: 'visualizer.fv3.selectedPreset',
@@ -104,10 +254,12 @@ export default class ControlsApp {
         this.activeVisualizer = msg.name || ''
         if (this.gui) {
           this.syncVisualizerDropdown(msg.name)
+          this.syncCatalogControls()
           this.teardownFrequencyViz3Controls()
           this.teardownShaderControls()
           if (msg.hasFV3 && msg.fv3Params) this.setupFrequencyViz3Controls(msg.fv3Params)
           if (msg.hasShaderConfig && msg.shaderConfig) this.setupShaderControls(msg.shaderConfig)
+          this.syncAutoPilotControls()
         } else {
           // GUI not ready yet — store for when initGui runs
           this._pendingVisualizerChanged = msg
@@ -123,10 +275,79 @@ export default class ControlsApp {
       case 'visualizer-list-update':
         this.visualizerList = msg.visualizerList || []
         this.rebuildVisualizerDropdown()
+        this.layerControllers.visualizer?.options(this.visualizerList)
+        break
+      case 'post-chain':
+        this.postChain = msg.chain
+        this.syncPostControls()
+        break
+      case 'test-signal':
+        this.syncTestSignalControls(msg.signal)
+        break
+      case 'analysis-status':
+        this.syncAnalysisStatus(msg)
+        break
+      case 'shader-source':
+        this.syncShaderSource(msg)
+        break
+      case 'shader-errors':
+        this.syncShaderErrors(msg)
+        break
+      case 'shader-channels':
+        this.syncShaderChannels(msg)
+        break
+      case 'shader-keyboard':
+        this.syncShaderKeyboard(msg)
+        break
+      case 'modulation-update':
+        this.modulation = { visualizer: msg.visualizer || '', targets: msg.targets || [], sources: msg.sources || [], bindings: msg.bindings || [] }
+        this.syncModulationControls()
+        break
+      case 'layers-update':
+        this.layers = msg.layers || []
+        this.maxLayers = msg.maxLayers || 0
+        this.syncLayerControls()
         break
       case 'fv3-params':
         this.syncFV3Controls(msg.params)
         break
+      case 'frequency-bands':
+        if (this.gui) {
+          this.syncFrequencyBandControls(msg)
+        } else {
+          this._pendingFrequencyBands = msg
+        }
+        break
+      case 'transition-settings':
+        if (this.gui) {
+          this.syncTransitionControls(msg)
+        } else {
+          this._pendingTransitionSettings = msg
+        }
+        break
+      case 'catalog-update':
+        this.catalog = normalizeCatalog(msg.catalog)
+        if (this.gui) {
+          this.rebuildVisualizerDropdown()
+          this.syncCatalogControls()
+        }
+        break
+      case 'autopilot-settings':
+        if (this.gui) {
+          this.syncAutoPilotControls(msg.settings)
+        } else {
+          this._pendingAutoPilotSettings = msg.settings
+        }
+        break
+      case 'export-status':
+        this.syncExportStatus(msg)
+        break
+      case 'snapshot-status':
+        if (this.snapshotConfig) this.snapshotConfig.status = msg.ok ? `Saved ${msg.message}` : `Error: ${msg.message}`
+        break
+      case 'scene-url':
+        this.syncSceneUrl(msg.url, msg.error)
+        break
       default:
         break
     }
@@ -144,7 +365,20 @@ export default class ControlsApp {
 
     this.setupGuiCloseButton()
     this.addVisualizerSwitcher()
+    this.syncCatalogControls()
     this.addPerformanceQualityControls()
+    this.addFrequencyBandControls()
+    this.addTestSignalControls()
+    this.addAnalysisControls()
+    this.addTransitionControls()
+    this.addLayerControls()
+    this.addPostControls()
+    this.addModulationControls()
+    this.addShaderEditor()
+    this.addAutoPilotControls()
+    this.addSceneControls()
+    this.addSnapshotControls()
+    this.addExportControls()
 
     // Replay any visualizer-changed message that arrived before GUI was ready
     if (this._pendingVisualizerChanged) {
@@ -161,6 +395,24 @@ export default class ControlsApp {
       this._pendingQualityUpdate = null
       this.syncQualityControls(q.antialias, q.pixelRatio)
     }
+
+    if (this._pendingFrequencyBands) {
+      const msg = this._pendingFrequencyBands
+      this._pendingFrequencyBands = null
+      this.syncFrequencyBandControls(msg)
+    }
+
+    if (this._pendingTransitionSettings) {
+      const msg = this._pendingTransitionSettings
+      this._pendingTransitionSettings = null
+      this.syncTransitionControls(msg)
+    }
+
+    if (this._pendingAutoPilotSettings) {
+      const settings = this._pendingAutoPilotSettings
+      this._pendingAutoPilotSettings = null
+      this.syncAutoPilotControls(settings)
+    }
   }
 
   // -------------------------------------------------------------------
@@ -187,15 +439,75 @@ export default class ControlsApp {
     const folder = this.gui.addFolder('TYPE')
     folder.open()
 
-    this.visualizerSwitcherConfig = { visualizer: this.activeVisualizer }
+    const sortOptions = { 'List order': 'list', 'Name': 'name', 'Rating': 'rating', 'Recently used': 'recent' }
+    const ratingOptions = { 'Any': 0 }
+    for (let r = 1; r <= MAX_RATING; r++) ratingOptions[`${r}+ stars`] = r
+
+    this.visualizerSwitcherConfig = {
+      visualizer: this.activeVisualizer,
+      search: '',
+      show: 'all',
+      tag: '',
+      minRating: 0,
+      sort: 'list',
+      favorite: false,
+      rating: 0,
+      tags: '',
+    }
+    const c = this.visualizerSwitcherConfig
+    const rebuild = () => this.rebuildVisualizerDropdown()
+
+    // Search (fuzzy; `#tag` terms match tags exactly) and filters narrow the dropdown.
+    folder.add(c, 'search').name('Search').onChange(rebuild)
+    folder.add(c, 'show', CATALOG_FILTERS).name('Show').onChange(rebuild)
+    this.catalogControllers.tag = folder.add(c, 'tag', { Any: '' }).name('Tag').onChange(rebuild)
+    folder.add(c, 'minRating', ratingOptions).name('Min rating').onChange(rebuild)
+    folder.add(c, 'sort', sortOptions).name('Sort').onChange(rebuild)
 
     this.visualizerController = folder
-      .add(this.visualizerSwitcherConfig, 'visualizer', this.visualizerList)
+      .add(c, 'visualizer', this._getVisualizerOptions())
       .name('Select Visualizer')
       .listen()
       .onChange((value) => {
         this._send({ type: 'select-visualizer', name: value })
       })
+
+    // Catalog entry of the active visualizer
+    const update = (changes) => this._send({ type: 'update-catalog-entry', name: this.activeVisualizer, ...changes })
+    this.catalogControllers.favorite = folder.add(c, 'favorite').name('★ Favorite').onChange((favorite) => update({ favorite }))
+    this.catalogControllers.rating = folder.add(c, 'rating', 0, MAX_RATING, 1).name('Rating').onFinishChange((rating) => update({ rating }))
+    this.catalogControllers.tags = folder.add(c, 'tags').name('Tags (comma sep.)').onFinishChange((tags) => update({ tags }))
+  }
+
+  // Dropdown options (label -> name) for the current search / filters.
+  _getVisualizerOptions() {
+    const c = this.visualizerSwitcherConfig
+    const names = searchCatalog(this.visualizerList, this.catalog, {
+      query: c?.search,
+      category: c?.show,
+      tag: c?.tag,
+      minRating: Number(c?.minRating) || 0,
+      sort: c?.sort,
+    })
+    // Keep the active visualizer selectable even when the filters hide it.
+    if (this.activeVisualizer && !names.includes(this.activeVisualizer)) names.unshift(this.activeVisualizer)
+    return Object.fromEntries(names.map((name) => [getCatalogLabel(this.catalog, name), name]))
+  }
+
+  syncCatalogControls() {
+    const c = this.visualizerSwitcherConfig
+    if (!c) return
+    const name = this.activeVisualizer
+    c.favorite = this.catalog.favorites.includes(name)
+    c.rating = this.catalog.ratings[name] || 0
+    c.tags = (this.catalog.tags[name] || []).join(', ')
+
+    const tagOptions = { Any: '' }
+    getAllTags(this.catalog).forEach((tag) => { tagOptions[`#${tag}`] = tag })
+    if (c.tag && !Object.values(tagOptions).includes(c.tag)) c.tag = ''
+    this.catalogControllers.tag?.options(tagOptions)
+
+    Object.values(this.catalogControllers).forEach((ctrl) => ctrl?.updateDisplay())
   }
 
   syncVisualizerDropdown(name) {
@@ -208,8 +520,10 @@ export default class ControlsApp {
 
   rebuildVisualizerDropdown() {
     if (!this.visualizerController) return
-    this.visualizerController.options(this.visualizerList)
-    this.visualizerController.setValue(this.activeVisualizer)
+    // options() updates the <select> in place; avoid setValue() so nothing switches.
+    this.visualizerController.options(this._getVisualizerOptions())
+    this.visualizerSwitcherConfig.visualizer = this.activeVisualizer
+    this.visualizerController.updateDisplay()
   }
 
   // -------------------------------------------------------------------
@@ -256,6 +570,1014 @@ export default class ControlsApp {
     this.performanceQualityControllers.pixelRatio?.updateDisplay()
   }
 
+  // -------------------------------------------------------------------
+  // Transition controls
+  // -------------------------------------------------------------------
+
+  addTransitionControls() {
+    if (this.transitionsFolder) return
+    const folder = this.gui.addFolder('TRANSITIONS')
+    folder.close()
+    this.transitionsFolder = folder
+
+    const modeOptions = {}
+    TRANSITION_MODES.forEach((mode) => {
+      modeOptions[mode.split('-').map((w) => w[0].toUpperCase() + w.slice(1)).join(' ')] = mode
+    })
+
+    this.transitionConfig = { mode: 'crossfade', duration: 1 }
+
+    this.transitionControllers.mode = folder
+      .add(this.transitionConfig, 'mode', modeOptions)
+      .name('Mode')
+      .onChange((mode) => this._send({ type: 'set-transition', mode }))
+
+    this.transitionControllers.duration = folder
+      .add(this.transitionConfig, 'duration', 0, 10, 0.1)
+      .name('Duration (s)')
+      .onFinishChange((duration) => this._send({ type: 'set-transition', duration }))
+  }
+
+  syncTransitionControls({ mode, duration } = {}) {
+    if (!this.transitionConfig) return
+    if (TRANSITION_MODES.includes(mode)) this.transitionConfig.mode = mode
+    if (Number.isFinite(duration)) this.transitionConfig.duration = duration
+    this.transitionControllers.mode?.updateDisplay()
+    this.transitionControllers.duration?.updateDisplay()
+  }
+
+  // -------------------------------------------------------------------
+  // Layer controls
+  // -------------------------------------------------------------------
+
+  addLayerControls() {
+    if (this.layersFolder) return
+    const folder = this.gui.addFolder('LAYERS')
+    folder.close()
+    this.layersFolder = folder
+
+    this.layersConfig = {
+      visualizer: this.visualizerList[0] || '',
+      add: () => {
+        if (this.layersConfig.visualizer) this._send({ type: 'add-layer', name: this.layersConfig.visualizer })
+      },
+    }
+    this.layerControllers.visualizer = folder.add(this.layersConfig, 'visualizer', this.visualizerList).name('Visualizer')
+    this.layerControllers.add = folder.add(this.layersConfig, 'add').name('Add Layer')
+    this.syncLayerControls()
+  }
+
+  // One sub-folder per layer, top of the stack first. Rebuilt only when layers come or go,
+  // so a slider being dragged isn't replaced under the pointer.
+  syncLayerControls() {
+    if (!this.layersFolder) return
+    const key = this.layers.map((l) => `${l.id}:${l.visualizer}`).join('|')
+    this.layerControllers.add.enable(!this.maxLayers || this.layers.length < this.maxLayers)
+
+    if (key === this._layersKey) {
+      for (const { layer, config, folder } of this._layerFolders) {
+        const next = this.layers.find((l) => l.id === layer.id)
+        if (!next) continue
+        Object.assign(config, next)
+        folder.controllersRecursive().forEach((c) => c.updateDisplay())
+      }
+      return
+    }
+
+    this._layersKey = key
+    this._layerFolders.forEach(({ folder }) => folder.destroy())
+    this._layerFolders = []
+
+    const labels = (list) => Object.fromEntries(list.map((v) => [v[0].toUpperCase() + v.slice(1), v]))
+    const update = (id, changes) => this._send({ type: 'update-layer', id, changes })
+
+    for (let i = this.layers.length - 1; i >= 0; i--) {
+      const layer = this.layers[i]
+      const folder = this.layersFolder.addFolder(`${i + 1}. ${layer.visualizer}`)
+      const config = {
+        ...layer,
+        up: () => this._send({ type: 'move-layer', id: layer.id, delta: 1 }),
+        down: () => this._send({ type: 'move-layer', id: layer.id, delta: -1 }),
+        remove: () => this._send({ type: 'remove-layer', id: layer.id }),
+      }
+      folder.add(config, 'enabled').name('Visible').onChange((enabled) => update(layer.id, { enabled }))
+      folder.add(config, 'blend', labels(LAYER_BLEND_MODES)).name('Blend').onChange((blend) => update(layer.id, { blend }))
+      folder.add(config, 'opacity', 0, 1, 0.01).name('Opacity').onFinishChange((opacity) => update(layer.id, { opacity }))
+      folder.add(config, 'reactive', labels(LAYER_REACTIVE_SOURCES)).name('Opacity Follows').onChange((reactive) => update(layer.id, { reactive }))
+      folder.add(config, 'amount', 0, 1, 0.01).name('Reactive Amount').onFinishChange((amount) => update(layer.id, { amount }))
+      folder.add(config, 'up').name('Move Up')
+      folder.add(config, 'down').name('Move Down')
+      folder.add(config, 'remove').name('Remove')
+      this._layerFolders.push({ layer, config, folder })
+    }
+  }
+
+  // -------------------------------------------------------------------
+  // Post-processing controls
+  // -------------------------------------------------------------------
+
+  addPostControls() {
+    if (this.postFolder) return
+    const folder = this.gui.addFolder('POST FX')
+    folder.close()
+    this.postFolder = folder
+
+    this.postConfig = { enabled: true }
+    folder.add(this.postConfig, 'enabled').name('Enabled').onChange((enabled) => {
+      if (!this.postChain) return
+      this.postChain.enabled = enabled
+      this._sendPostChain()
+    })
+    this.syncPostControls()
+  }
+
+  _sendPostChain() {
+    this._send({ type: 'set-post-chain', chain: this.postChain })
+  }
+
+  // One sub-folder per effect in chain order; rebuilt only when the order changes.
+  syncPostControls() {
+    if (!this.postFolder || !this.postChain) return
+    this.postConfig.enabled = this.postChain.enabled
+    this.postFolder.controllers.forEach((c) => c.updateDisplay())
+
+    const key = this.postChain.effects.map((e) => e.type).join('|')
+    if (key === this._postKey) {
+      for (const { type, config, folder } of this._postFolders) {
+        const effect = this.postChain.effects.find((e) => e.type === type)
+        Object.assign(config, this._getPostEffectConfig(effect))
+        folder.controllersRecursive().forEach((c) => c.updateDisplay())
+      }
+      return
+    }
+
+    this._postKey = key
+    this._postFolders.forEach(({ folder }) => folder.destroy())
+    this._postFolders = []
+
+    const labels = (list) => Object.fromEntries(list.map((v) => [v[0].toUpperCase() + v.slice(1), v]))
+    const sources = labels(POST_MODULATION_SOURCES)
+
+    this.postChain.effects.forEach((effect, index) => {
+      const { type } = effect
+      const spec = POST_EFFECTS[type]
+      const folder = this.postFolder.addFolder(`${index + 1}. ${spec.label}`)
+      folder.close()
+      const config = {
+        ...this._getPostEffectConfig(effect),
+        up: () => this._movePostEffect(type, -1),
+        down: () => this._movePostEffect(type, 1),
+      }
+      // The chain may have been replaced since this folder was built; always edit the current one.
+      const current = () => this.postChain.effects.find((e) => e.type === type)
+      const send = (apply) => {
+        apply(current())
+        this._sendPostChain()
+      }
+
+      folder.add(config, 'enabled').name('Enabled').onChange((v) => send((e) => { e.enabled = v }))
+      for (const [name, param] of Object.entries(spec.params)) {
+        if (param.options) {
+          folder.add(config, name, param.options).name(name).onChange((v) => send((e) => { e.params[name] = v }))
+          continue
+        }
+        folder.add(config, name, param.min, param.max, param.step).name(name).onFinishChange((v) => send((e) => { e.params[name] = v }))
+        const setMod = (e) => {
+          const source = config[`${name}Source`]
+          const amount = config[`${name}Amount`]
+          if (source === 'none' || !amount) delete e.mods[name]
+          else e.mods[name] = { source, amount }
+        }
+        folder.add(config, `${name}Source`, sources).name(`${name} follows`).onChange(() => send(setMod))
+        folder.add(config, `${name}Amount`, -1, 1, 0.01).name(`${name} amount`).onFinishChange(() => send(setMod))
+      }
+      folder.add(config, 'up').name('Move Earlier')
+      folder.add(config, 'down').name('Move Later')
+      this._postFolders.push({ type, config, folder })
+    })
+  }
+
+  // Flat values for the GUI: params plus `<param>Source` / `<param>Amount` per numeric param.
+  _getPostEffectConfig(effect) {
+    const config = { enabled: effect.enabled, ...effect.params }
+    for (const [name, param] of Object.entries(POST_EFFECTS[effect.type].params)) {
+      if (param.options) continue
+      config[`${name}Source`] = effect.mods[name]?.source || 'none'
+      config[`${name}Amount`] = effect.mods[name]?.amount || 0
+    }
+    return config
+  }
+
+  _movePostEffect(type, delta) {
+    const effects = this.postChain.effects
+    const index = effects.findIndex((e) => e.type === type)
+    const to = index + delta
+    if (index < 0 || to < 0 || to >= effects.length) return
+    effects.splice(to, 0, effects.splice(index, 1)[0])
+    this._sendPostChain()
+  }
+
+  // -------------------------------------------------------------------
+  // Modulation controls
+  // -------------------------------------------------------------------
+
+  addModulationControls() {
+    if (this.modulationFolder) return
+    const folder = this.gui.addFolder('MODULATION')
+    folder.close()
+    this.modulationFolder = folder
+
+    this.modulationConfig = {
+      target: '',
+      add: () => {
+        if (this.modulationConfig.target) this._send({ type: 'add-modulation', target: this.modulationConfig.target })
+      },
+    }
+    this.modulationTargetController = folder.add(this.modulationConfig, 'target', {}).name('Parameter')
+    folder.add(this.modulationConfig, 'add').name('Add Binding')
+    this.syncModulationControls()
+  }
+
+  // One sub-folder per binding; rebuilt only when bindings, targets or sources change,
+  // so a slider being dragged isn't replaced under the pointer.
+  syncModulationControls() {
+    if (!this.modulationFolder) return
+    const { visualizer, targets, sources, bindings } = this.modulation
+    const key = [visualizer, targets.map((t) => t.id).join('|'), sources.join('|'), bindings.map((b) => b.id).join('|')].join('/')
+
+    if (key === this._modulationKey) {
+      for (const { binding, config, folder } of this._modulationFolders) {
+        const next = bindings.find((b) => b.id === binding.id)
+        if (!next) continue
+        Object.assign(config, next)
+        folder.controllersRecursive().forEach((c) => c.updateDisplay())
+      }
+      return
+    }
+
+    this._modulationKey = key
+    if (!targets.some((t) => t.id === this.modulationConfig.target)) this.modulationConfig.target = targets[0]?.id || ''
+    this.modulationTargetController.options(Object.fromEntries(targets.map((t) => [t.label, t.id])))
+    this._modulationFolders.forEach(({ folder }) => folder.destroy())
+    this._modulationFolders = []
+
+    const capitalize = (v) => v[0].toUpperCase() + v.slice(1)
+    const sourceLabel = (s) => (s === LFO_SOURCE ? 'LFO (beat-synced)' : s.startsWith('band:') ? `Band: ${s.slice(5)}` : capitalize(s))
+    const labels = (list, label = capitalize) => Object.fromEntries(list.map((v) => [label(v), v]))
+    const update = (id, changes) => this._send({ type: 'update-modulation', id, changes })
+
+    for (const binding of bindings) {
+      const target = targets.find((t) => t.id === binding.target)
+      const folder = this.modulationFolder.addFolder(target ? target.label : `${binding.target} (not available)`)
+      const config = { ...binding, remove: () => this._send({ type: 'remove-modulation', id: binding.id }) }
+      // A saved binding may use a band the current set no longer has; keep it selectable.
+      const sourceList = sources.includes(binding.source) ? sources : [...sources, binding.source]
+      const [min, max] = target ? [target.min, target.max] : [binding.min, binding.max]
+      const low = Math.min(min, max)
+      const high = Math.max(min, max)
+      const step = target?.step || (high - low) / 100 || 0.01
+
+      folder.add(config, 'enabled').name('Enabled').onChange((enabled) => update(binding.id, { enabled }))
+      folder.add(config, 'source', labels(sourceList, sourceLabel)).name('Source').onChange((source) => update(binding.id, { source }))
+      folder.add(config, 'lfoShape', labels(LFO_SHAPES)).name('LFO Shape').onChange((lfoShape) => update(binding.id, { lfoShape }))
+      folder.add(config, 'lfoBeats', 0.25, 64, 0.25).name('LFO Beats').onFinishChange((lfoBeats) => update(binding.id, { lfoBeats }))
+      folder.add(config, 'min', low, high, step).name('From').onFinishChange((v) => update(binding.id, { min: v }))
+      folder.add(config, 'max', low, high, step).name('To').onFinishChange((v) => update(binding.id, { max: v }))
+      folder.add(config, 'curve', labels(MODULATION_CURVES)).name('Curve').onChange((curve) => update(binding.id, { curve }))
+      folder.add(config, 'smoothing', 0, 0.99, 0.01).name('Smoothing').onFinishChange((smoothing) => update(binding.id, { smoothing }))
+      folder.add(config, 'invert').name('Invert').onChange((invert) => update(binding.id, { invert }))
+      folder.add(config, 'remove').name('Remove')
+      this._modulationFolders.push({ binding, config, folder })
+    }
+  }
+
+  // -------------------------------------------------------------------
+  // Shader editor
+  // -------------------------------------------------------------------
+
+  addShaderEditor() {
+    if (this.shaderEditorFolder) return
+    const folder = this.gui.addFolder('SHADER EDITOR')
+    folder.close()
+    this.shaderEditorFolder = folder
+
+    this.shaderEditorConfig = {
+      status: '',
+      autoCompile: true,
+      compile: () => this._compileShader(),
+      revert: () => {
+        this._shaderRevertPending = true
+        this._send({ type: 'revert-shader' })
+      },
+      title: '',
+      save: () => {
+        const title = this.shaderEditorConfig.title.trim()
+        if (title) this._send({ type: 'save-user-shader', title, source: this.shaderEditor.textarea.value })
+      },
+      delete: () => {
+        const { name, isUser } = this.shaderEditorState
+        if (isUser && window.confirm(`Delete "${name}"?`)) this._send({ type: 'delete-user-shader', name })
+      },
+      importShadertoy: () => {
+        if (!this.shadertoyFileInput) {
+          const input = document.createElement('input')
+          input.type = 'file'
+          input.accept = '.json,application/json'
+          input.style.display = 'none'
+          input.addEventListener('change', async () => {
+            const file = input.files?.[0]
+            input.value = ''
+            if (file) this._send({ type: 'import-shadertoy', json: await file.text() })
+          })
+          document.body.appendChild(input)
+          this.shadertoyFileInput = input
+        }
+        this.shadertoyFileInput.click()
+      },
+    }
+    const c = this.shaderEditorConfig
+
+    folder.add(c, 'status').name('Status').listen().disable()
+
+    const root = document.createElement('div')
+    root.className = 'shader-editor'
+    const code = document.createElement('div')
+    code.className = 'shader-editor-code'
+    const gutter = document.createElement('div')
+    gutter.className = 'shader-editor-gutter'
+    const textarea = document.createElement('textarea')
+    textarea.spellcheck = false
+    textarea.wrap = 'off'
+    const errorList = document.createElement('ul')
+    errorList.className = 'shader-editor-errors'
+    code.appendChild(gutter)
+    code.appendChild(textarea)
+    root.appendChild(code)
+    root.appendChild(errorList)
+    folder.$children.appendChild(root)
+    this.shaderEditor = { textarea, gutter, errorList }
+
+    textarea.addEventListener('input', () => {
+      this._renderShaderGutter()
+      if (!this.shaderEditorConfig.autoCompile) return
+      clearTimeout(this._shaderCompileTimer)
+      this._shaderCompileTimer = setTimeout(() => this._compileShader(), 500)
+    })
+    textarea.addEventListener('scroll', () => {
+      gutter.scrollTop = textarea.scrollTop
+    })
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Tab' && !e.shiftKey) {
+        e.preventDefault()
+        textarea.setRangeText('  ', textarea.selectionStart, textarea.selectionEnd, 'end')
+        textarea.dispatchEvent(new Event('input'))
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault()
+        this._compileShader()
+      }
+    })
+
+    folder.add(c, 'autoCompile').name('Compile As You Type')
+    folder.add(c, 'compile').name('Compile (Ctrl+Enter)')
+    folder.add(c, 'revert').name('Revert to Saved')
+    folder.add(c, 'title').name('Save As')
+    folder.add(c, 'save').name('Save User Shader')
+    this.shaderEditorControllers.delete = folder.add(c, 'delete').name('Delete User Shader')
+    folder.add(c, 'importShadertoy').name('Import Shadertoy JSON…')
+    this._addShaderChannelControls(folder)
+
+    this.syncShaderSource(this.shaderEditorState)
+    this.syncShaderChannels(this.shaderChannelsState)
+    this.syncShaderKeyboard(this.shaderKeyboardState)
+  }
+
+  // What one iChannel of a pass of the active shader reads: the conventions (Default),
+  // audio, noise, the keyboard, a buffer, or an image / cubemap / volume / video from a URL or file.
+  _addShaderChannelControls(parent) {
+    const folder = parent.addFolder('Channel Inputs')
+    folder.close()
+
+    this.shaderChannelConfig = {
+      pass: 'Image',
+      channel: 0,
+      type: 'auto',
+      buffer: '',
+      source: '',
+      ...DEFAULT_CHANNEL_SAMPLER,
+      status: '',
+      chooseFile: () => this._chooseShaderChannelFile(),
+      apply: () => this._applyShaderChannel(),
+    }
+    const c = this.shaderChannelConfig
+    const load = () => this._loadShaderChannelFields()
+
+    this.shaderChannelControllers = {
+      pass: folder.add(c, 'pass', ['Image']).name('Pass').onChange(load),
+      channel: folder.add(c, 'channel', { iChannel0: 0, iChannel1: 1, iChannel2: 2, iChannel3: 3 }).name('Channel').onChange(load),
+      type: folder.add(c, 'type', SHADER_CHANNEL_INPUTS).name('Input').onChange(() => this._showShaderChannelFields()),
+      buffer: folder.add(c, 'buffer', ['']).name('Buffer'),
+      source: folder.add(c, 'source').name('URL'),
+      chooseFile: folder.add(c, 'chooseFile').name('Choose File…'),
+      filter: folder.add(c, 'filter', ['nearest', 'linear', 'mipmap']).name('Filter'),
+      wrap: folder.add(c, 'wrap', ['clamp', 'repeat']).name('Wrap'),
+      vflip: folder.add(c, 'vflip').name('Flip Y'),
+    }
+    folder.add(c, 'apply').name('Apply')
+    folder.add(c, 'status').name('Status').listen().disable()
+
+    // Only shown while a channel reads the keyboard.
+    this.shaderKeyboardController = folder
+      .add(this.shaderKeyboardState, 'focused')
+      .name('Keyboard Focus')
+      .onChange((focused) => this._send({ type: 'set-shader-keyboard-focus', focused }))
+  }
+
+  // Whether the active shader reads the keyboard and has every key (Escape in the main
+  // window gives them back).
+  syncShaderKeyboard({ available, focused } = {}) {
+    Object.assign(this.shaderKeyboardState, { available: !!available, focused: !!focused })
+    if (!this.shaderKeyboardController) return
+    this.shaderKeyboardController.show(this.shaderKeyboardState.available)
+    this.shaderKeyboardController.updateDisplay()
+  }
+
+  syncShaderChannels({ name, passes, channels, ok, stored } = {}) {
+    const sameShader = name === this.shaderChannelsState.name
+    this.shaderChannelsState = { name: name || '', passes: passes || [], channels: channels || {} }
+    if (!this.shaderChannelConfig) return
+
+    const c = this.shaderChannelConfig
+    const ctrls = this.shaderChannelControllers
+    const passList = this.shaderChannelsState.passes.length ? this.shaderChannelsState.passes : ['Image']
+    // Buffers and Cube A can be read; the Sound pass only plays.
+    const buffers = passList.filter((p) => p !== 'Image' && p !== 'Sound')
+    if (!passList.includes(c.pass)) c.pass = 'Image'
+    if (!buffers.includes(c.buffer)) c.buffer = buffers[0] || ''
+    ctrls.pass.options(passList)
+    ctrls.buffer.options(buffers.length ? buffers : [''])
+
+    const applied = this._shaderChannelApplyPending && sameShader
+    this._shaderChannelApplyPending = false
+    if (applied && ok === false) {
+      // Keep the fields as entered; the error list says why.
+      c.status = 'Not applied'
+      return
+    }
+    c.status = !applied ? '' : stored === false ? 'Applied (the file lasts for this session only)' : 'Applied'
+    this._loadShaderChannelFields()
+  }
+
+  // Shows the selected channel's binding.
+  _loadShaderChannelFields() {
+    const c = this.shaderChannelConfig
+    const binding = this.shaderChannelsState.channels[c.pass]?.[c.channel]
+    const sampler = binding?.sampler || DEFAULT_CHANNEL_SAMPLER
+    c.type = binding ? binding.type : 'none'
+    c.filter = sampler.filter
+    c.wrap = sampler.wrap
+    c.vflip = sampler.vflip
+    if (binding?.type === 'buffer') c.buffer = binding.pass
+
+    // Files are shown by a label and sent back as they are.
+    const src = binding?.src
+    this._shaderChannelPicked = null
+    if (typeof src === 'string' && !/^(data|blob):/.test(src)) {
+      c.source = src
+    } else if (src) {
+      c.source = Array.isArray(src) ? '(6 faces)' : '(file)'
+      this._shaderChannelPicked = { label: c.source, src }
+    } else {
+      c.source = ''
+    }
+    this._showShaderChannelFields()
+  }
+
+  _showShaderChannelFields() {
+    const { type } = this.shaderChannelConfig
+    const ctrls = this.shaderChannelControllers
+    const media = MEDIA_INPUT_TYPES.includes(type)
+    const sampled = !['auto', 'none', 'noise', 'keyboard'].includes(type)
+    ctrls.buffer.show(type === 'buffer')
+    ctrls.source.show(media)
+    ctrls.chooseFile.show(media)
+    ctrls.filter.show(sampled && type !== 'volume')
+    ctrls.wrap.show(sampled && type !== 'volume')
+    ctrls.vflip.show(sampled && !['cubemap', 'volume'].includes(type))
+    Object.values(ctrls).forEach((ctrl) => ctrl.updateDisplay())
+  }
+
+  _chooseShaderChannelFile() {
+    if (!this.shaderChannelFileInput) {
+      const input = document.createElement('input')
+      input.type = 'file'
+      input.style.display = 'none'
+      input.addEventListener('change', async () => {
+        const files = [...(input.files || [])].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        input.value = ''
+        if (files.length) await this._pickShaderChannelFiles(files)
+      })
+      document.body.appendChild(input)
+      this.shaderChannelFileInput = input
+    }
+    const { type } = this.shaderChannelConfig
+    const input = this.shaderChannelFileInput
+    input.accept = { texture: 'image/*', cubemap: 'image/*', volume: '.bin', video: 'video/*' }[type] || ''
+    input.multiple = type === 'cubemap'
+    input.click()
+  }
+
+  // A cubemap takes six images, in +X, -X, +Y, -Y, +Z, -Z order by file name.
+  async _pickShaderChannelFiles(files) {
+    const c = this.shaderChannelConfig
+    if (c.type === 'cubemap' && files.length !== 6) {
+      c.status = `A cubemap needs 6 images (got ${files.length})`
+      return
+    }
+    const read = (file) =>
+      file.size > MAX_STORED_CHANNEL_FILE_BYTES || file.type.startsWith('video/')
+        ? file
+        : new Promise((resolve, reject) => {
+            const reader = new FileReader()
+            reader.onload = () => resolve(reader.result)
+            reader.onerror = () => reject(reader.error)
+            reader.readAsDataURL(file)
+          })
+    try {
+      const sources = await Promise.all(files.map(read))
+      const label = c.type === 'cubemap' ? `${files[0].name} … (6 faces)` : files[0].name
+      this._shaderChannelPicked = { label, src: c.type === 'cubemap' ? sources : sources[0] }
+      c.source = label
+      c.status = 'Apply to bind the file'
+      this.shaderChannelControllers.source.updateDisplay()
+    } catch (error) {
+      c.status = `Could not read the file: ${error?.message || error}`
+    }
+  }
+
+  _applyShaderChannel() {
+    const c = this.shaderChannelConfig
+    if (!this.shaderChannelsState.name) return
+    const input = { type: c.type }
+    if (c.type === 'buffer') input.pass = c.buffer
+    if (MEDIA_INPUT_TYPES.includes(c.type)) {
+      const picked = this._shaderChannelPicked
+      input.src = picked && c.source === picked.label ? picked.src : c.source.trim()
+      if (!input.src) {
+        c.status = 'Enter a URL or choose a file'
+        return
+      }
+    }
+    if (!['auto', 'none', 'noise', 'keyboard'].includes(c.type)) input.sampler = { filter: c.filter, wrap: c.wrap, vflip: c.vflip }
+    this._shaderChannelApplyPending = true
+    c.status = 'Applying…'
+    this._send({ type: 'set-shader-channel', pass: c.pass, channel: c.channel, input })
+  }
+
+  _compileShader() {
+    clearTimeout(this._shaderCompileTimer)
+    if (this.shaderEditorState.source === null) return
+    this.shaderEditorConfig.status = 'Compiling…'
+    this._send({ type: 'compile-shader', source: this.shaderEditor.textarea.value })
+  }
+
+  // A new visualizer (or the same one again) in the main page. Unsent or failing edits
+  // to the shader that is still active are kept.
+  syncShaderSource({ name, title, source, isUser, errors } = {}) {
+    const previous = this.shaderEditorState
+    this.shaderEditorState = { name: name || '', source: source ?? null, isUser: !!isUser, errors: errors || [] }
+    if (!this.shaderEditor) return
+
+    const { textarea } = this.shaderEditor
+    const c = this.shaderEditorConfig
+    const edited = !this._shaderRevertPending && previous.name === name && previous.source !== null && textarea.value !== previous.source
+    this._shaderRevertPending = false
+    if (source === null || source === undefined) {
+      textarea.value = ''
+      textarea.disabled = true
+      c.status = 'Not a shader visualizer'
+    } else {
+      if (!edited) {
+        textarea.value = source
+        textarea.scrollTop = 0
+        c.title = title || ''
+      }
+      textarea.disabled = false
+      c.status = isUser ? 'User shader (saved in this browser)' : 'Built-in shader (save to keep edits)'
+    }
+    this.shaderEditorControllers.delete.show(!!isUser)
+    this.shaderEditorFolder.controllersRecursive().forEach((ctrl) => ctrl.updateDisplay())
+    this._renderShaderErrors()
+  }
+
+  syncShaderErrors({ name, ok, errors } = {}) {
+    if (!this.shaderEditor || name !== this.shaderEditorState.name) return
+    this.shaderEditorState.errors = errors || []
+    const count = this.shaderEditorState.errors.filter((e) => e.severity === 'error').length
+    this.shaderEditorConfig.status = ok ? 'Compiled' : `${count} error${count === 1 ? '' : 's'}, showing the last good version`
+    this._renderShaderErrors()
+  }
+
+  _renderShaderErrors() {
+    const { errorList } = this.shaderEditor
+    errorList.replaceChildren()
+    for (const error of this.shaderEditorState.errors) {
+      const item = document.createElement('li')
+      item.className = error.severity
+      item.textContent = `${error.pass ? `${error.pass}, ` : ''}${error.line ? `line ${error.line}: ` : ''}${error.message}`
+      if (error.line) item.addEventListener('click', () => this._goToShaderLine(error.line))
+      errorList.appendChild(item)
+    }
+    this._renderShaderGutter()
+  }
+
+  // Line numbers, with the lines that have errors or warnings marked.
+  _renderShaderGutter() {
+    const { textarea, gutter } = this.shaderEditor
+    const marks = new Map()
+    for (const e of this.shaderEditorState.errors) {
+      if (e.line && marks.get(e.line) !== 'error') marks.set(e.line, e.severity)
+    }
+    const count = textarea.value.split('\n').length
+    if (gutter.childElementCount !== count || marks.size || gutter.dataset.marked) {
+      gutter.replaceChildren(
+        ...Array.from({ length: count }, (_, i) => {
+          const line = document.createElement('div')
+          line.textContent = String(i + 1)
+          if (marks.has(i + 1)) line.className = marks.get(i + 1)
+          return line
+        })
+      )
+      gutter.dataset.marked = marks.size ? '1' : ''
+    }
+    gutter.scrollTop = textarea.scrollTop
+  }
+
+  _goToShaderLine(line) {
+    const { textarea } = this.shaderEditor
+    const lines = textarea.value.split('\n')
+    const start = lines.slice(0, line - 1).reduce((n, l) => n + l.length + 1, 0)
+    textarea.focus()
+    textarea.setSelectionRange(start, start + (lines[line - 1]?.length || 0))
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 16
+    textarea.scrollTop = Math.max(0, (line - 3) * lineHeight)
+  }
+
+  // -------------------------------------------------------------------
+  // Auto-pilot controls
+  // -------------------------------------------------------------------
+
+  addAutoPilotControls() {
+    if (this.autoPilotFolder) return
+    const folder = this.gui.addFolder('AUTO-PILOT')
+    folder.close()
+    this.autoPilotFolder = folder
+
+    const send = (settings) => this._send({ type: 'set-autopilot', settings })
+    const toggleIn = (listKey, otherKey) => {
+      const name = this.activeVisualizer
+      const settings = this.autoPilotSettings
+      if (!name || !settings) return
+      const list = settings[listKey].includes(name) ? settings[listKey].filter((n) => n !== name) : [...settings[listKey], name]
+      // A visualizer is either a favorite or blacklisted, never both.
+      send({ [listKey]: list, [otherKey]: settings[otherKey].filter((n) => n !== name) })
+    }
+
+    this.autoPilotConfig = {
+      enabled: false,
+      bars: 8,
+      onDrops: true,
+      minDwell: 15,
+      entity: true,
+      shader: true,
+      milkdrop: true,
+      current: '',
+      lists: '',
+      toggleFavorite: () => toggleIn('favorites', 'blacklist'),
+      toggleBlacklist: () => toggleIn('blacklist', 'favorites'),
+      clearFavorites: () => send({ favorites: [] }),
+      clearBlacklist: () => send({ blacklist: [] }),
+    }
+    const c = this.autoPilotConfig
+
+    folder.add(c, 'enabled').name('Enabled').listen().onChange((enabled) => send({ enabled }))
+    folder.add(c, 'bars', 0, 64, 1).name('Every N bars (0 = off)').listen().onFinishChange((bars) => send({ bars }))
+    folder.add(c, 'onDrops').name('Switch on drops / sections').listen().onChange((onDrops) => send({ onDrops }))
+    folder.add(c, 'minDwell', 0, 120, 1).name('Min dwell (s)').listen().onFinishChange((minDwell) => send({ minDwell }))
+
+    const labels = { entity: 'Entities', shader: 'Shaders', milkdrop: 'MilkDrop' }
+    AUTOPILOT_CATEGORIES.forEach((category) => {
+      folder
+        .add(c, category)
+        .name(`Include ${labels[category] || category}`)
+        .listen()
+        .onChange(() => send({ categories: Object.fromEntries(AUTOPILOT_CATEGORIES.map((k) => [k, !!c[k]])) }))
+    })
+
+    folder.add(c, 'current').name('Current').listen().disable()
+    folder.add(c, 'toggleFavorite').name('Toggle Favorite (current)')
+    folder.add(c, 'toggleBlacklist').name('Toggle Blacklist (current)')
+    folder.add(c, 'lists').name('Lists').listen().disable()
+    folder.add(c, 'clearFavorites').name('Clear Favorites')
+    folder.add(c, 'clearBlacklist').name('Clear Blacklist')
+  }
+
+  // Without `settings`, only refreshes the status of the active visualizer.
+  syncAutoPilotControls(settings = this.autoPilotSettings) {
+    if (!this.autoPilotConfig || !settings) return
+    this.autoPilotSettings = settings
+    const c = this.autoPilotConfig
+    c.enabled = !!settings.enabled
+    c.bars = settings.bars
+    c.onDrops = !!settings.onDrops
+    c.minDwell = settings.minDwell
+    AUTOPILOT_CATEGORIES.forEach((category) => { c[category] = settings.categories?.[category] !== false })
+
+    const name = this.activeVisualizer
+    c.current = settings.favorites.includes(name) ? 'Favorite' : settings.blacklist.includes(name) ? 'Blacklisted' : 'Normal'
+    c.lists = `${settings.favorites.length} favorite(s), ${settings.blacklist.length} blacklisted`
+  }
+
+  // -------------------------------------------------------------------
+  // Scene controls (the scene state itself is built by the main page)
+  // -------------------------------------------------------------------
+
+  addSceneControls() {
+    if (this.sceneConfig) return
+    const folder = this.gui.addFolder('SCENE')
+    folder.close()
+
+    this.sceneConfig = {
+      url: '',
+      copyLink: () => {
+        this.sceneConfig.url = 'Creating link…'
+        this._send({ type: 'get-scene-url' })
+      },
+      download: () => this._send({ type: 'download-scene' }),
+      load: () => {
+        if (!this.sceneFileInput) {
+          const input = document.createElement('input')
+          input.type = 'file'
+          input.accept = '.json,application/json'
+          input.style.display = 'none'
+          input.addEventListener('change', async () => {
+            const file = input.files?.[0]
+            input.value = ''
+            if (file) this._send({ type: 'load-scene', json: await file.text() })
+          })
+          document.body.appendChild(input)
+          this.sceneFileInput = input
+        }
+        this.sceneFileInput.click()
+      },
+    }
+    const c = this.sceneConfig
+
+    folder.add(c, 'copyLink').name('Copy Share Link')
+    folder.add(c, 'url').name('Link').listen()
+    folder.add(c, 'download').name('Download Scene File')
+    folder.add(c, 'load').name('Load Scene File…')
+  }
+
+  async syncSceneUrl(url, error) {
+    if (!this.sceneConfig) return
+    if (!url) {
+      this.sceneConfig.url = `Error: ${error || 'no link'}`
+      return
+    }
+    this.sceneConfig.url = url
+    try {
+      await navigator.clipboard.writeText(url)
+    } catch (e) {
+      // Clipboard needs focus / permission; the link stays in the field to copy by hand.
+    }
+  }
+
+  // -------------------------------------------------------------------
+  // Snapshot controls
+  // -------------------------------------------------------------------
+
+  addSnapshotControls() {
+    if (this.snapshotConfig) return
+    const folder = this.gui.addFolder('SNAPSHOT')
+    folder.close()
+
+    // Kept in sync with SNAPSHOT_SIZES in capture/snapshot.js (not imported: it pulls in App).
+    const sizes = { Screen: 0, '1080p': 1920, '1440p': 2560, '4K': 3840, '5K': 5120, '8K': 7680 }
+    this.snapshotConfig = {
+      size: 3840,
+      width: 0,
+      status: '',
+      take: () => {
+        const { size, width } = this.snapshotConfig
+        this.snapshotConfig.status = 'Rendering…'
+        this._send({ type: 'take-snapshot', width: width > 0 ? width : size })
+      },
+    }
+    const c = this.snapshotConfig
+
+    folder.add(c, 'size', sizes).name('Resolution')
+    folder.add(c, 'width', 0, 16384, 2).name('Custom width (0 = off)')
+    folder.add(c, 'take').name('Take Snapshot (PNG)')
+    folder.add(c, 'status').name('Status').listen().disable()
+  }
+
+  // -------------------------------------------------------------------
+  // Video export controls
+  // -------------------------------------------------------------------
+
+  addExportControls() {
+    if (this.exportConfig) return
+    const folder = this.gui.addFolder('EXPORT VIDEO')
+    folder.close()
+
+    // Kept in sync with EXPORT_FORMATS in capture/VideoExporter.js (not imported: it pulls in the muxers).
+    const formats = { 'WebM (VP9 + Opus)': 'webm', 'MP4 (H.264 + AAC)': 'mp4' }
+    this.exportConfig = {
+      format: 'webm',
+      fps: 30,
+      scale: 1,
+      start: 0,
+      duration: 0,
+      status: 'Idle',
+      export: () => {
+        const { format, fps, scale, start, duration } = this.exportConfig
+        this._send({ type: 'export-video', options: { format, fps, scale, start, duration } })
+      },
+      cancel: () => this._send({ type: 'cancel-export' }),
+    }
+    const c = this.exportConfig
+
+    folder.add(c, 'format', formats).name('Format')
+    folder.add(c, 'fps', [24, 25, 30, 50, 60]).name('FPS')
+    folder.add(c, 'scale', 0.5, 4, 0.25).name('Resolution (× window)')
+    folder.add(c, 'start', 0, 3600, 1).name('Start (s)')
+    folder.add(c, 'duration', 0, 3600, 1).name('Duration (s, 0 = all)')
+    folder.add(c, 'export').name('Export (active visualizer)')
+    folder.add(c, 'cancel').name('Cancel')
+    folder.add(c, 'status').name('Status').listen().disable()
+  }
+
+  syncExportStatus({ state, progress = 0, message = '' } = {}) {
+    if (!this.exportConfig) return
+    const labels = {
+      decoding: 'Decoding track…',
+      analyzing: 'Analyzing beats…',
+      rendering: `Rendering ${Math.round(progress * 100)}%`,
+      finishing: 'Finishing…',
+      done: `Saved ${message}`,
+      cancelled: 'Cancelled',
+      error: `Error: ${message}`,
+    }
+    this.exportConfig.status = labels[state] || state
+  }
+
+  // -------------------------------------------------------------------
+  // Frequency band controls
+  // -------------------------------------------------------------------
+
+  addFrequencyBandControls() {
+    if (this.frequencyBandsFolder) return
+    const folder = this.gui.addFolder('FREQUENCY BANDS')
+    folder.close()
+    this.frequencyBandsFolder = folder
+
+    const presetOptions = { 'Classic (low/mid/high)': 'classic' }
+    BAND_SPACINGS.forEach((spacing) => { presetOptions[spacing[0].toUpperCase() + spacing.slice(1)] = spacing })
+
+    this.frequencyBandsConfig = {
+      status: 'Visualizer default',
+      preset: 'log',
+      count: 8,
+      minHz: 20,
+      maxHz: 16000,
+      applyPreset: () => {
+        const { preset, count, minHz, maxHz } = this.frequencyBandsConfig
+        const bands = preset === 'classic' ? DEFAULT_BANDS : createBands({ spacing: preset, count, minHz, maxHz })
+        this._send({ type: 'set-frequency-bands', bands })
+      },
+      reset: () => this._send({ type: 'reset-frequency-bands' }),
+    }
+
+    this.frequencyBandsStatusController = folder.add(this.frequencyBandsConfig, 'status').name('Using').disable()
+    folder.add(this.frequencyBandsConfig, 'preset', presetOptions).name('Preset spacing')
+    folder.add(this.frequencyBandsConfig, 'count', 1, MAX_BAND_COUNT, 1).name('Band count')
+    folder.add(this.frequencyBandsConfig, 'minHz', 1, 2000, 1).name('Lowest Hz')
+    folder.add(this.frequencyBandsConfig, 'maxHz', 200, 24000, 10).name('Highest Hz')
+    folder.add(this.frequencyBandsConfig, 'applyPreset').name('Apply Preset To This Visualizer')
+    folder.add(this.frequencyBandsConfig, 'reset').name('Reset To Visualizer Default')
+  }
+
+  syncFrequencyBandControls({ bands, isCustom } = {}) {
+    if (!this.frequencyBandsFolder || !Array.isArray(bands)) return
+    this.frequencyBands = bands.map((b) => ({ name: b.name, minHz: b.minHz, maxHz: b.maxHz }))
+    this.frequencyBandsConfig.status = isCustom ? 'Custom (this visualizer)' : 'Visualizer default'
+    this.frequencyBandsStatusController?.updateDisplay()
+
+    if (this.frequencyBandsListFolder) {
+      try { this.frequencyBandsListFolder.destroy() } catch { /* */ }
+    }
+    const list = this.frequencyBandsFolder.addFolder('Bands')
+    const send = () => this._send({ type: 'set-frequency-bands', bands: this.frequencyBands })
+    this.frequencyBands.forEach((band, i) => {
+      list.add(band, 'name').name(`${i + 1}. Name`).onFinishChange(send)
+      list.add(band, 'minHz').name(`${i + 1}. From Hz`).onFinishChange(send)
+      list.add(band, 'maxHz').name(`${i + 1}. To Hz`).onFinishChange(send)
+    })
+    this.frequencyBandsListFolder = list
+  }
+
+  // -------------------------------------------------------------------
+  // Test signal controls
+  // -------------------------------------------------------------------
+
+  addTestSignalControls() {
+    if (this.testSignalFolder) return
+    const folder = this.gui.addFolder('TEST SIGNAL')
+    folder.close()
+    this.testSignalFolder = folder
+
+    this.testSignalConfig = { enabled: false, ...DEFAULT_TEST_SIGNAL }
+    const config = this.testSignalConfig
+    const send = () => {
+      const { enabled, ...signal } = config
+      this._send({ type: 'set-test-signal', signal: enabled ? signal : null })
+    }
+    // Settings only matter while the signal plays.
+    const sendIfEnabled = () => { if (config.enabled) send() }
+
+    folder.add(config, 'enabled').name('Replace Track With Signal').onChange(send)
+    folder.add(config, 'type', TEST_SIGNAL_TYPES).name('Signal').onChange(sendIfEnabled)
+    folder.add(config, 'bpm', 30, 300, 1).name('BPM (clicks, drums)').onFinishChange(sendIfEnabled)
+    folder.add(config, 'frequency', 10, 20000, 1).name('Sine Hz').onFinishChange(sendIfEnabled)
+    folder.add(config, 'minHz', 10, 20000, 1).name('Sweep From Hz').onFinishChange(sendIfEnabled)
+    folder.add(config, 'maxHz', 10, 20000, 1).name('Sweep To Hz').onFinishChange(sendIfEnabled)
+    folder.add(config, 'sweepSeconds', 0.5, 60, 0.5).name('Sweep Seconds').onFinishChange(sendIfEnabled)
+    folder.add(config, 'level', 0, 1, 0.01).name('Level').onFinishChange(sendIfEnabled)
+  }
+
+  syncTestSignalControls(signal) {
+    if (!this.testSignalFolder) return
+    Object.assign(this.testSignalConfig, signal || {}, { enabled: !!signal })
+    this.testSignalFolder.controllersRecursive().forEach((c) => c.updateDisplay())
+  }
+
+  // -------------------------------------------------------------------
+  // Audio analysis capture / replay controls
+  // -------------------------------------------------------------------
+
+  addAnalysisControls() {
+    if (this.analysisConfig) return
+    const folder = this.gui.addFolder('AUDIO CAPTURE + REPLAY')
+    folder.close()
+
+    this.analysisConfig = {
+      status: 'Idle',
+      stereo: false,
+      start: () => this._send({ type: 'start-analysis-capture', stereo: this.analysisConfig.stereo }),
+      stop: () => this._send({ type: 'stop-analysis-capture' }),
+      trackTime: 0,
+      loop: true,
+      load: () => {
+        if (!this.analysisFileInput) {
+          const input = document.createElement('input')
+          input.type = 'file'
+          input.accept = ANALYSIS_FILE_EXTENSION
+          input.style.display = 'none'
+          input.addEventListener('change', async () => {
+            const file = input.files?.[0]
+            input.value = ''
+            if (!file) return
+            const { trackTime, loop } = this.analysisConfig
+            // 0 = from the start of the recording.
+            this._send({ type: 'load-analysis-replay', data: await file.arrayBuffer(), name: file.name, trackTime: trackTime || null, loop })
+          })
+          document.body.appendChild(input)
+          this.analysisFileInput = input
+        }
+        this.analysisFileInput.click()
+      },
+      stopReplay: () => this._send({ type: 'stop-analysis-replay' }),
+    }
+    const c = this.analysisConfig
+
+    folder.add(c, 'status').name('Status').listen().disable()
+    folder.add(c, 'stereo').name('Capture L/R Channels')
+    folder.add(c, 'start').name('Start Capture')
+    folder.add(c, 'stop').name('Stop + Download')
+    folder.add(c, 'trackTime', 0, 3600, 1).name('Replay From Track Time (s)')
+    folder.add(c, 'loop').name('Loop Replay')
+    folder.add(c, 'load').name('Replay File…')
+    folder.add(c, 'stopReplay').name('Stop Replay')
+  }
+
+  syncAnalysisStatus({ capturing, frames, seconds, replaying, replayName, replayDuration, error } = {}) {
+    if (!this.analysisConfig) return
+    if (error) this.analysisConfig.status = `Error: ${error}`
+    else if (capturing) this.analysisConfig.status = `Capturing: ${seconds.toFixed(0)}s, ${frames} frames`
+    else if (replaying) this.analysisConfig.status = `Replaying ${replayName} (${replayDuration.toFixed(0)}s)`
+    else this.analysisConfig.status = 'Idle'
+  }
+
   // -------------------------------------------------------------------
   // FV3 controls (full preset management)
   // -------------------------------------------------------------------
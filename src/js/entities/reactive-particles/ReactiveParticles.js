@@ -265,7 +265,18 @@ export default class ReactiveParticles extends THREE.Object3D {
     }
     this.visualizerFolder.add(buttonShowCylinder, 'showCylinder').name('Show Cylinder')
   }
-  
+
+  // Used when a scene is restored; the GUI controls listen() and follow along.
+  setProperties(values) {
+    for (const key of Object.keys(this.properties)) {
+      if (values[key] !== undefined) this.properties[key] = values[key]
+    }
+    if (this.material) {
+      this.material.uniforms.startColor.value = new THREE.Color(this.properties.startColor)
+      this.material.uniforms.endColor.value = new THREE.Color(this.properties.endColor)
+    }
+  }
+
   removeGUIFolders() {
     const gui = App.gui
     if (this.particlesFolder) {
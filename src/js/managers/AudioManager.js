@@ -1,4 +1,11 @@
 import * as THREE from 'three'
+import FeatureExtractor from '../analysis/FeatureExtractor'
+import StereoAnalyser from '../analysis/StereoAnalyser'
+import OfflineAnalyser from '../analysis/OfflineAnalyser'
+import ReplayAnalyser from '../analysis/ReplayAnalyser'
+import { DEFAULT_BANDS, getBandLevels, getLegacyLevels } from '../analysis/frequencyBands'
+import TestSignal from '../audio/TestSignal'
+import ShaderSound from '../audio/ShaderSound'
 
 export default class AudioManager {
   constructor() {
@@ -9,9 +16,10 @@ export default class AudioManager {
       high: 0,
     }
     this.isPlaying = false
-    this.lowFrequency = 10 //10Hz to 250Hz
-    this.midFrequency = 150 //150Hz to 2000Hz
-    this.highFrequency = 9000 //2000Hz to 20000Hz
+    // Named frequency bands (see analysis/frequencyBands.js); frequencyData keeps the
+    // legacy low/mid/high view, bandLevels has every band by name.
+    this.bands = DEFAULT_BANDS
+    this.bandLevels = {}
     this.smoothedLowFrequency = 0
     this.audioContext = null
     this.startTime = 0
@@ -22,7 +30,27 @@ export default class AudioManager {
     this.isUsingMicrophone = false
     this.microphoneStream = null
     this.microphoneSource = null
+    // Generated signal replacing the track, see startTestSignal().
+    this.testSignal = null
+    this.isUsingTestSignal = false
+    // A shader's Sound pass replacing the track, see startShaderSound().
+    this.shaderSound = null
+    this.isUsingShaderSound = false
+    this._resumeTrackAfterShaderSound = false
+    // Per-channel analysers, their L/R data and metrics, and the derived feature set
+    this.stereoInput = null
+    this.analyserLeft = null
+    this.analyserRight = null
+    this.stereoAnalyser = null
+    this.stereo = null
+    this.featureExtractor = null
+    this.features = null
+    // Loop the current track (used when there is no queue to advance through).
+    this.loop = true
+    // Set while analysing a decoded buffer at explicit times (offline export), see startOfflineAnalysis().
+    this.offline = null
 
+    // Fallback track, used only while the playlist is empty (see PlaylistManager).
     this.song = {
  //     url: 'http://localhost:8080/backup/vid_TKWp_ND-B1U.mp4',
  //     url: 'http://localhost:8080/player/video/user__eoy_bonus_mix_2025/vid_TKWp_ND-B1U.mp4',
@@ -30,51 +58,55 @@ export default class AudioManager {
     }
   }
 
+  /**
+   * Creates the AudioContext and the analysis graph every source feeds:
+   * source -> analyser -> output gain -> destination (speakers), plus the stereo side chain.
+   */
+  _createAudioGraph() {
+    // Create Web Audio API context
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)()
+
+    // Create analyser for visualization
+    const analyser = this.audioContext.createAnalyser()
+    analyser.fftSize = 2048
+    // Match bridge behavior: no internal smoothing, fixed dB window
+    analyser.smoothingTimeConstant = 0.0
+    analyser.minDecibels = -90
+    analyser.maxDecibels = -25
+
+    // Gain node to control muting without pausing audio
+    this.outputGain = this.audioContext.createGain()
+    this.outputGain.gain.value = this.isMuted ? 0 : 1
+    analyser.connect(this.outputGain)
+    this.outputGain.connect(this.audioContext.destination)
+
+    // Side chain for per-channel analysis: source -> stereo up-mix -> splitter -> L/R analysers
+    this._createStereoAnalysers()
+
+    // Store references
+    this.analyserNode = analyser
+    this.bufferLength = analyser.frequencyBinCount
+    this.stereoAnalyser = new StereoAnalyser(this.analyserLeft, this.analyserRight)
+    this.featureExtractor = new FeatureExtractor(analyser, { bands: this.bands })
+    this.audioAnalyser = this._wrapAnalyser(analyser)
+  }
+
   async loadAudioBuffer(onProgress = null) {
+    if (!this.audioContext) this._createAudioGraph()
+
     const promise = new Promise((resolve, reject) => {
       // Create HTML5 audio element for streaming
       const audioElement = document.createElement('audio')
       audioElement.src = this.song.url
       audioElement.crossOrigin = 'anonymous'
-      audioElement.loop = true
+      audioElement.loop = this.loop
       audioElement.volume = 1.0
       
-      // Create Web Audio API context
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)()
-      
       // Create source from the streaming audio element
       const source = this.audioContext.createMediaElementSource(audioElement)
-      
-      // Create analyser for visualization
-      const analyser = this.audioContext.createAnalyser()
-      analyser.fftSize = 2048
-      // Match bridge behavior: no internal smoothing, fixed dB window
-      analyser.smoothingTimeConstant = 0.0
-      analyser.minDecibels = -90
-      analyser.maxDecibels = -25
-
-      // Gain node to control muting without pausing audio
-      this.outputGain = this.audioContext.createGain()
-      this.outputGain.gain.value = this.isMuted ? 0 : 1
-      
-      // Connect: source -> analyser -> destination (speakers)
-      source.connect(analyser)
-      analyser.connect(this.outputGain)
-      this.outputGain.connect(this.audioContext.destination)
-      
-      // Store references
+      source.connect(this.analyserNode)
+      source.connect(this.stereoInput)
       this.audio = audioElement
-      this.analyserNode = analyser
-      this.bufferLength = analyser.frequencyBinCount
-      
-      // Wrap analyser to match THREE.AudioAnalyser interface
-      this.audioAnalyser = {
-        data: new Uint8Array(analyser.frequencyBinCount),
-        getFrequencyData: function() {
-          analyser.getByteFrequencyData(this.data)
-          return this.data
-        }
-      }
       
       // Track loading progress
       audioElement.addEventListener('progress', () => {
@@ -100,6 +132,62 @@ export default class AudioManager {
     return promise
   }
 
+  // Wrap analyser to match THREE.AudioAnalyser interface
+  _wrapAnalyser(analyser) {
+    return {
+      data: new Uint8Array(analyser.frequencyBinCount),
+      getFrequencyData: function() {
+        analyser.getByteFrequencyData(this.data)
+        return this.data
+      }
+    }
+  }
+
+  /**
+   * Fetches and decodes a whole track for offline analysis (e.g. the beat grid).
+   * Decodes at a reduced sample rate to keep memory in check; very long tracks are refused.
+   */
+  async decodeTrack(url = this.song.url, { sampleRate = 22050, maxDuration = 40 * 60 } = {}) {
+    const duration = this.audio?.duration
+    if (Number.isFinite(duration) && duration > maxDuration) {
+      throw new Error(`Track too long for offline analysis (${Math.round(duration)}s)`)
+    }
+    const response = await fetch(url)
+    if (!response.ok) throw new Error(`Track request failed (${response.status})`)
+    const data = await response.arrayBuffer()
+    const context = new OfflineAudioContext(1, 1, sampleRate)
+    return context.decodeAudioData(data)
+  }
+
+  _createStereoAnalysers() {
+    const ctx = this.audioContext
+    // ChannelSplitter is always "discrete", so up-mix mono sources (e.g. microphones)
+    // to both channels first; otherwise the right channel would read as silence.
+    this.stereoInput = ctx.createGain()
+    this.stereoInput.channelCount = 2
+    this.stereoInput.channelCountMode = 'explicit'
+    this.stereoInput.channelInterpretation = 'speakers'
+
+    const splitter = ctx.createChannelSplitter(2)
+    this.stereoInput.connect(splitter)
+
+    const makeAnalyser = () => {
+      const a = ctx.createAnalyser()
+      a.fftSize = 2048
+      a.smoothingTimeConstant = 0.0
+      a.minDecibels = -90
+      a.maxDecibels = -25
+      return a
+    }
+    this.analyserLeft = makeAnalyser()
+    this.analyserRight = makeAnalyser()
+    // Read by bridge-integration.js to serve per-channel bridge data from its AnalyserNode patch.
+    this.analyserLeft.__bridgeChannel = 'left'
+    this.analyserRight.__bridgeChannel = 'right'
+    splitter.connect(this.analyserLeft, 0)
+    splitter.connect(this.analyserRight, 1)
+  }
+
   async getAudioBufferForBPM(offsetSeconds = 60, durationSeconds = 30) {
     // Record from the currently playing audio stream
     return new Promise((resolve, reject) => {
@@ -155,13 +243,73 @@ export default class AudioManager {
     })
   }
 
+  /**
+   * Points the existing media element at a new source and resolves once it can play.
+   * The Web Audio graph is kept: a MediaElementSource can only be created once per element.
+   */
+  loadTrack(url, { autoplay = this.isPlaying } = {}) {
+    this.song.url = url
+    // A track picked while a shader plays its sound takes over.
+    this._dropShaderSound()
+    if (!this.audio) return Promise.resolve()
+
+    return new Promise((resolve, reject) => {
+      const audio = this.audio
+      const cleanup = () => {
+        audio.removeEventListener('canplay', onReady)
+        audio.removeEventListener('error', onError)
+      }
+      const onReady = () => {
+        cleanup()
+        if (autoplay) this.play()
+        resolve()
+      }
+      const onError = () => {
+        cleanup()
+        reject(audio.error || new Error(`Failed to load ${url}`))
+      }
+      audio.addEventListener('canplay', onReady)
+      audio.addEventListener('error', onError)
+      audio.src = url
+      audio.load()
+    })
+  }
+
+  /** Stops the media element and lets go of its source, e.g. a track removed from the queue. */
+  unloadTrack() {
+    if (!this.audio) return
+    if (!this.isUsingTestSignal && !this.isUsingShaderSound) this.isPlaying = false
+    this.audio.pause()
+    this.audio.removeAttribute('src')
+    this.audio.load()
+  }
+
+  setLoop(loop) {
+    this.loop = !!loop
+    if (this.audio) {
+      this.audio.loop = this.loop
+    }
+  }
+
   play() {
-    this.audio.play()
+    if (this.isUsingTestSignal) {
+      this.testSignal.start()
+    } else if (this.isUsingShaderSound) {
+      this.shaderSound.start()
+    } else {
+      this.audio.play()
+    }
     this.isPlaying = true
   }
 
   pause() {
-    this.audio.pause()
+    if (this.isUsingTestSignal) {
+      this.testSignal.stop()
+    } else if (this.isUsingShaderSound) {
+      this.shaderSound.stop()
+    } else {
+      this.audio.pause()
+    }
     this.isPlaying = false
   }
 
@@ -172,6 +320,7 @@ export default class AudioManager {
   }
 
   getCurrentTime() {
+    if (this.offline) return this.offline.time
     if (this.audio && this.audio.currentTime !== undefined) {
       return this.audio.currentTime
     }
@@ -182,49 +331,132 @@ export default class AudioManager {
     this.frequencyArray = this.audioAnalyser.getFrequencyData()
   }
 
+  /**
+   * Replaces the frequency band definitions used for frequencyData, bandLevels and
+   * the feature extractor. Also published as window.__visualizerBands for the bridge.
+   * @param {Array<{name:string,minHz:number,maxHz:number}>} bands Already sanitized bands.
+   */
+  setBands(bands) {
+    this.bands = bands
+    this.bandLevels = {}
+    this.featureExtractor?.setBands(bands)
+    window.__visualizerBands = bands
+  }
+
   analyzeFrequency() {
-    // Calculate the average frequency value for each range of frequencies
-    const lowFreqRangeStart = Math.floor((this.lowFrequency * this.bufferLength) / this.audioContext.sampleRate)
-    const lowFreqRangeEnd = Math.floor((this.midFrequency * this.bufferLength) / this.audioContext.sampleRate)
-    const midFreqRangeStart = Math.floor((this.midFrequency * this.bufferLength) / this.audioContext.sampleRate)
-    const midFreqRangeEnd = Math.floor((this.highFrequency * this.bufferLength) / this.audioContext.sampleRate)
-    const highFreqRangeStart = Math.floor((this.highFrequency * this.bufferLength) / this.audioContext.sampleRate)
-    const highFreqRangeEnd = this.bufferLength - 1
-
-    const lowAvg = this.normalizeValue(this.calculateAverage(this.frequencyArray, lowFreqRangeStart, lowFreqRangeEnd))
-    const midAvg = this.normalizeValue(this.calculateAverage(this.frequencyArray, midFreqRangeStart, midFreqRangeEnd))
-    const highAvg = this.normalizeValue(this.calculateAverage(this.frequencyArray, highFreqRangeStart, highFreqRangeEnd))
+    // Average level of each band (0..1), plus the legacy low/mid/high view
+    const format = { sampleRate: this.audioContext.sampleRate, fftSize: this.bufferLength * 2 }
+    getBandLevels(this.frequencyArray, this.bands, format, this.bandLevels)
+    this.frequencyData = getLegacyLevels(this.bandLevels, this.bands)
+  }
 
-    this.frequencyData = {
-      low: lowAvg,
-      mid: midAvg,
-      high: highAvg,
+  /**
+   * Swaps the live analysers for OfflineAnalysers over a decoded track, so every
+   * consumer (features, stereo, visualizers reading `analyserNode`) sees the audio at
+   * the time set with setOfflineTime() instead of the playing stream. The media
+   * element is paused; stopOfflineAnalysis() restores the live graph.
+   * @param {AudioBuffer} buffer Decoded at the context's sample rate, so bins match the live analysers.
+   */
+  startOfflineAnalysis(buffer) {
+    const live = this.analyserNode
+    const options = {
+      fftSize: live.fftSize,
+      smoothingTimeConstant: live.smoothingTimeConstant,
+      minDecibels: live.minDecibels,
+      maxDecibels: live.maxDecibels,
     }
+    this._startOffline({
+      analyserNode: new OfflineAnalyser(buffer, options),
+      analyserLeft: new OfflineAnalyser(buffer, { ...options, channel: 0 }),
+      analyserRight: new OfflineAnalyser(buffer, { ...options, channel: 1 }),
+    })
   }
 
-  calculateAverage(array, start, end) {
-    let sum = 0
-    for (let i = start; i <= end; i++) {
-      sum += array[i]
+  /**
+   * Replays an analysis recording (see capture/analysisFile.js) in place of live
+   * audio: like startOfflineAnalysis(), with ReplayAnalysers that follow the clock
+   * from update() on, starting at `start`. stopOfflineAnalysis() ends it.
+   * @param {Object} recording See decodeAnalysisRecording().
+   * @param {{ start?: number, loop?: boolean }} [options] `start` in s of the recording.
+   */
+  startReplay(recording, { start = 0, loop = true } = {}) {
+    this._startOffline({
+      analyserNode: new ReplayAnalyser(recording),
+      analyserLeft: new ReplayAnalyser(recording, { channel: 0 }),
+      analyserRight: new ReplayAnalyser(recording, { channel: 1 }),
+    })
+    this.offline.replay = { recording, loop, start: Math.max(0, start), startedAt: performance.now() }
+    this.setOfflineTime(this.offline.replay.start)
+  }
+
+  get isReplaying() {
+    return !!this.offline?.replay
+  }
+
+  _startOffline(nodes) {
+    if (this.offline) this.stopOfflineAnalysis()
+    this.offline = {
+      time: 0,
+      nodes,
+      saved: {
+        analyserNode: this.analyserNode,
+        analyserLeft: this.analyserLeft,
+        analyserRight: this.analyserRight,
+        audioAnalyser: this.audioAnalyser,
+        stereoAnalyser: this.stereoAnalyser,
+        featureExtractor: this.featureExtractor,
+        isPlaying: this.isPlaying,
+      },
     }
-    return sum / (end - start + 1)
+    this.audio?.pause()
+    this.shaderSound?.stop()
+    // Offline playback counts as playing for visualizers that check it.
+    this.isPlaying = true
+    Object.assign(this, nodes)
+    this.audioAnalyser = this._wrapAnalyser(nodes.analyserNode)
+    this.stereoAnalyser = new StereoAnalyser(nodes.analyserLeft, nodes.analyserRight)
+    this.featureExtractor = new FeatureExtractor(nodes.analyserNode, { bands: this.bands })
+  }
+
+  // Replay time follows the (possibly virtual) clock.
+  _advanceReplay() {
+    const { replay } = this.offline
+    const duration = replay.recording.duration
+    let time = replay.start + (performance.now() - replay.startedAt) / 1000
+    if (replay.loop && duration > 0) time %= duration
+    this.setOfflineTime(Math.min(time, duration))
+  }
+
+  setOfflineTime(time) {
+    if (!this.offline) return
+    this.offline.time = time
+    Object.values(this.offline.nodes).forEach((node) => node.setTime(time))
   }
 
-  normalizeValue(value) {
-    // Assuming the frequency values are in the range 0-256 (for 8-bit data)
-    return value / 256
+  stopOfflineAnalysis() {
+    if (!this.offline) return
+    const { saved } = this.offline
+    this.offline = null
+    Object.assign(this, saved)
+    this.featureExtractor?.setBands(this.bands)
+    if (this.isUsingShaderSound && this.isPlaying) this.shaderSound.start()
   }
 
   update() {
     if (!this.isPlaying && !this.isUsingMicrophone) return
+    if (this.offline?.replay) this._advanceReplay()
 
     this.collectAudioData()
     this.analyzeFrequency()
+    this.stereo = this.stereoAnalyser?.process() || null
+    this.features = this.featureExtractor?.process(performance.now() / 1000, this.stereo) || null
   }
 
   async switchToMicrophoneSource() {
     // Request microphone access
     const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+    this.stopTestSignal()
+    this._dropShaderSound()
     
     // Pause and disconnect file source if playing
     if (this.audio) {
@@ -236,18 +468,33 @@ export default class AudioManager {
     this.microphoneStream = stream
     this.microphoneSource = this.audioContext.createMediaStreamSource(stream)
     
-    // Disconnect previous source and connect microphone
+    // Analyse the microphone without playing it back: it would feed back through the speakers.
     this.microphoneSource.connect(this.analyserNode)
-    this.analyserNode.disconnect()
-    this.analyserNode.connect(this.outputGain)
-    this.outputGain.connect(this.audioContext.destination)
+    this.microphoneSource.connect(this.stereoInput)
+    if (!this.isUsingMicrophone) this.analyserNode.disconnect(this.outputGain)
     
     this.isUsingMicrophone = true
     console.log('Switched to microphone source')
   }
 
   async switchToFileSource() {
-    // Stop microphone
+    this.stopTestSignal()
+    this._dropShaderSound()
+    this._stopMicrophone()
+    
+    // Started on a test signal (see startTestSignal()): the track isn't loaded yet.
+    if (!this.audio) await this.loadAudioBuffer()
+
+    // Resume file playback
+    if (this.audio) {
+      this.audio.play()
+      this.isPlaying = true
+    }
+    
+    console.log('Switched to file source')
+  }
+
+  _stopMicrophone() {
     if (this.microphoneStream) {
       this.microphoneStream.getTracks().forEach(track => track.stop())
       this.microphoneStream = null
@@ -257,16 +504,91 @@ export default class AudioManager {
       this.microphoneSource.disconnect()
       this.microphoneSource = null
     }
-    
+
+    // Other sources play through the speakers again.
+    if (this.isUsingMicrophone) this.analyserNode.connect(this.outputGain)
     this.isUsingMicrophone = false
-    
-    // Resume file playback
-    if (this.audio) {
-      this.audio.play()
-      this.isPlaying = true
+  }
+
+  /**
+   * Replaces the track (or microphone) with a generated test signal. Works without a
+   * loaded track: the analysis graph is created on first use.
+   * @param {Object} [settings] See normalizeTestSignal() in audio/TestSignal.js.
+   * @returns {Promise<Object|null>} The settings in effect, or null when a later call superseded this one.
+   */
+  async startTestSignal(settings) {
+    if (!this.audioContext) this._createAudioGraph()
+    this._stopMicrophone()
+    this._dropShaderSound()
+    this.audio?.pause()
+
+    if (!this.testSignal) {
+      this.testSignal = new TestSignal(this.audioContext)
+      this.testSignal.output.connect(this.analyserNode)
+      this.testSignal.output.connect(this.stereoInput)
     }
-    
-    console.log('Switched to file source')
+    if (!(await this.testSignal.start(settings))) return null
+
+    this.isUsingTestSignal = true
+    // The signal counts as playing for visualizers that check it.
+    this.isPlaying = true
+    console.log('Switched to test signal:', this.testSignal.settings.type)
+    return this.testSignal.settings
+  }
+
+  // Silences the test signal; switchToFileSource() / switchToMicrophoneSource() call it.
+  stopTestSignal() {
+    if (!this.testSignal) return
+    this.testSignal.dispose()
+    this.testSignal = null
+    this.isUsingTestSignal = false
+    this.isPlaying = false
+  }
+
+  /**
+   * Plays a shader's Sound pass (see audio/ShaderSound.js) in place of the track until
+   * stopShaderSound(), which resumes the track if it was playing. The microphone, a test
+   * signal and an analysis replay keep priority: nothing is started then.
+   * @returns {ShaderSound|null} Where the shader queues what it renders.
+   */
+  startShaderSound() {
+    if (this.isUsingMicrophone || this.isUsingTestSignal || this.offline) return null
+    if (!this.audioContext) this._createAudioGraph()
+    const resumeTrack = this.isUsingShaderSound ? this._resumeTrackAfterShaderSound : this.isPlaying && !!this.audio
+    this._dropShaderSound()
+    this.audio?.pause()
+
+    this.shaderSound = new ShaderSound(this.audioContext)
+    this.shaderSound.output.connect(this.analyserNode)
+    this.shaderSound.output.connect(this.stereoInput)
+    this.shaderSound.start()
+    this.isUsingShaderSound = true
+    this._resumeTrackAfterShaderSound = resumeTrack
+    // The sound counts as playing for visualizers that check it.
+    this.isPlaying = true
+    console.log('Switched to shader sound')
+    return this.shaderSound
+  }
+
+  /**
+   * Ends a shader sound started with startShaderSound() and goes back to the track.
+   * @param {ShaderSound} [sound] Only stops this one (a later start may have replaced it).
+   */
+  stopShaderSound(sound = this.shaderSound) {
+    if (!sound || sound !== this.shaderSound) return
+    const resumeTrack = this._resumeTrackAfterShaderSound
+    this._dropShaderSound()
+    if (resumeTrack && this.audio) this.play()
+  }
+
+  // Silences the shader sound without going back to the track (another source takes over).
+  _dropShaderSound() {
+    if (!this.shaderSound) return
+    this.shaderSound.dispose()
+    this.shaderSound = null
+    this.isUsingShaderSound = false
+    this._resumeTrackAfterShaderSound = false
+    this.isPlaying = false
   }
 
   setMuted(muted) {
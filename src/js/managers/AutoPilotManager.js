@@ -0,0 +1,217 @@
+import { EventDispatcher } from 'three'
+
+// Unattended "VJ" mode: asks App to switch visualizers every N bars or on a drop /
+// section change, never before a minimum dwell time. Emits `{ type: 'switch', name, reason }`;
+// App performs the switch and reports every switch (manual ones too) via `notifySwitched()`.
+
+export const AUTOPILOT_CATEGORIES = ['entity', 'shader', 'milkdrop']
+
+export const DEFAULT_AUTOPILOT_SETTINGS = {
+  enabled: false,
+  bars: 8, // switch every N bars (0 = only on drops / section changes)
+  onDrops: true,
+  minDwell: 15, // s
+  categories: { entity: true, shader: true, milkdrop: true },
+  favorites: [],
+  blacklist: [],
+}
+
+const FAVORITE_WEIGHT = 4
+const RECENT_COUNT = 6 // recently shown visualizers are picked less often...
+const RECENT_WEIGHT = 0.15 // ...by this factor
+const MAX_PENDING = 4 // s a drop-triggered switch waits for the next beat
+
+// Loudness envelopes (0..1 FeatureExtractor loudness) used for drop / section detection.
+const FAST_TAU = 0.3 // s
+const SLOW_TAU = 8 // s
+const DROP_RISE = 0.16 // fast above slow by this much = drop
+const SECTION_SHIFT = 0.14 // sustained centroid change = new section
+const SECTION_HOLD = 1.5 // s
+
+function toNumber(value, fallback, min, max) {
+  const n = Number(value)
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback
+}
+
+function toNameList(value) {
+  return Array.isArray(value) ? [...new Set(value.filter((v) => typeof v === 'string' && v))] : []
+}
+
+export function normalizeAutoPilotSettings(settings = {}) {
+  const d = DEFAULT_AUTOPILOT_SETTINGS
+  const categories = {}
+  AUTOPILOT_CATEGORIES.forEach((c) => {
+    categories[c] = typeof settings.categories?.[c] === 'boolean' ? settings.categories[c] : d.categories[c]
+  })
+  return {
+    enabled: typeof settings.enabled === 'boolean' ? settings.enabled : d.enabled,
+    bars: Math.round(toNumber(settings.bars, d.bars, 0, 128)),
+    onDrops: typeof settings.onDrops === 'boolean' ? settings.onDrops : d.onDrops,
+    minDwell: toNumber(settings.minDwell, d.minDwell, 0, 600),
+    categories,
+    favorites: toNameList(settings.favorites ?? d.favorites),
+    blacklist: toNameList(settings.blacklist ?? d.blacklist),
+  }
+}
+
+export default class AutoPilotManager extends EventDispatcher {
+  /**
+   * @param {Object} [settings] See DEFAULT_AUTOPILOT_SETTINGS.
+   * @param {Object} [options]
+   * @param {() => string[]} [options.getCandidates] Names to choose from (App.visualizerList).
+   * @param {(name: string) => string} [options.getCategory] One of AUTOPILOT_CATEGORIES for a name.
+   * @param {(name: string) => number} [options.getWeight] Extra pick weight (catalog favorites / ratings).
+   */
+  constructor(settings, { getCandidates = () => [], getCategory = () => 'entity', getWeight = () => 1 } = {}) {
+    super()
+    this.settings = normalizeAutoPilotSettings(settings)
+    this.getCandidates = getCandidates
+    this.getCategory = getCategory
+    this.getWeight = getWeight
+    this.current = null
+    this.recent = []
+    this.switchedAt = performance.now() / 1000
+    this.barsSinceSwitch = 0
+    this.pending = null // { reason, at } – waits for the next beat
+
+    this._fast = 0
+    this._slow = 0
+    this._centroidFast = 0
+    this._centroidSlow = 0
+    this._lastTime = 0
+    this._primed = false
+    this._dropArmed = true
+    this._sectionSince = 0
+    this._sectionArmed = true
+  }
+
+  setSettings(settings) {
+    const wasEnabled = this.settings.enabled
+    this.settings = normalizeAutoPilotSettings({ ...this.settings, ...settings })
+    if (this.settings.enabled && !wasEnabled) {
+      // Start counting from now rather than from the last manual switch.
+      this.switchedAt = performance.now() / 1000
+      this.barsSinceSwitch = 0
+      this.pending = null
+    }
+  }
+
+  /**
+   * Records a visualizer switch (automatic or manual); the dwell time restarts.
+   */
+  notifySwitched(name, now = performance.now()) {
+    this.current = name
+    this.recent = [name, ...this.recent.filter((n) => n !== name)].slice(0, RECENT_COUNT)
+    this.switchedAt = now / 1000
+    this.barsSinceSwitch = 0
+    this.pending = null
+  }
+
+  /**
+   * Call from BPMManager 'beat' events; switches happen on beats so they land on the music.
+   */
+  onBeat(event, now = performance.now()) {
+    if (!this.settings.enabled) return
+    const time = now / 1000
+    if (event.isDownbeat) this.barsSinceSwitch++
+
+    const dwellOk = time - this.switchedAt >= this.settings.minDwell
+    if (this.pending) {
+      if (time - this.pending.at > MAX_PENDING) {
+        this.pending = null
+      } else if (dwellOk) {
+        this._requestSwitch(this.pending.reason)
+        return
+      }
+    }
+
+    const { bars } = this.settings
+    if (bars > 0 && event.isDownbeat && this.barsSinceSwitch >= bars && dwellOk) {
+      this._requestSwitch('bars')
+    }
+  }
+
+  /**
+   * Tracks drops and section changes. Call once per frame with `audioManager.features`.
+   */
+  update(features, now = performance.now()) {
+    const time = now / 1000
+    const dt = this._lastTime ? Math.min(0.25, time - this._lastTime) : 0
+    if (!features) return
+    this._lastTime = time
+    if (!this._primed) {
+      // Start the envelopes at the current level so the first frames don't read as a drop.
+      this._primed = true
+      this._fast = this._slow = features.loudness
+      this._centroidFast = this._centroidSlow = features.centroid
+      return
+    }
+    if (dt <= 0) return
+
+    const fastK = 1 - Math.exp(-dt / FAST_TAU)
+    const slowK = 1 - Math.exp(-dt / SLOW_TAU)
+    this._fast += (features.loudness - this._fast) * fastK
+    this._slow += (features.loudness - this._slow) * slowK
+    this._centroidFast += (features.centroid - this._centroidFast) * fastK
+    this._centroidSlow += (features.centroid - this._centroidSlow) * slowK
+
+    if (!this.settings.enabled || !this.settings.onDrops) return
+
+    // Drop: loudness jumps well above its recent average (re-armed once it settles).
+    const rise = this._fast - this._slow
+    if (this._dropArmed && rise > DROP_RISE) {
+      this._dropArmed = false
+      this._queue('drop', time)
+    } else if (rise < DROP_RISE * 0.4) {
+      this._dropArmed = true
+    }
+
+    // Section change: the timbre (spectral centroid) moves away from its average and stays there.
+    const shift = Math.abs(this._centroidFast - this._centroidSlow)
+    if (shift > SECTION_SHIFT) {
+      if (!this._sectionSince) this._sectionSince = time
+      if (this._sectionArmed && time - this._sectionSince >= SECTION_HOLD) {
+        this._sectionArmed = false
+        this._queue('section', time)
+      }
+    } else {
+      this._sectionSince = 0
+      if (shift < SECTION_SHIFT * 0.5) this._sectionArmed = true
+    }
+  }
+
+  /**
+   * Weighted random pick: favorites (and anything `getWeight` favors) are more likely, recently shown ones less,
+   * blacklisted and filtered-out categories never. Returns null if nothing qualifies.
+   */
+  pickNext(random = Math.random) {
+    const { categories, favorites, blacklist } = this.settings
+    const blocked = new Set(blacklist)
+    const favored = new Set(favorites)
+    const candidates = this.getCandidates().filter((name) => name !== this.current && !blocked.has(name) && categories[this.getCategory(name)])
+    if (!candidates.length) return null
+
+    const weights = candidates.map((name) => {
+      let w = (favored.has(name) ? FAVORITE_WEIGHT : 1) * this.getWeight(name)
+      if (this.recent.includes(name)) w *= RECENT_WEIGHT
+      return w
+    })
+    let r = random() * weights.reduce((sum, w) => sum + w, 0)
+    for (let i = 0; i < candidates.length; i++) {
+      r -= weights[i]
+      if (r < 0) return candidates[i]
+    }
+    return candidates[candidates.length - 1]
+  }
+
+  _queue(reason, time) {
+    if (!this.pending) this.pending = { reason, at: time }
+  }
+
+  _requestSwitch(reason) {
+    this.pending = null
+    const name = this.pickNext()
+    if (!name) return
+    this.dispatchEvent({ type: 'switch', name, reason })
+  }
+}
@@ -1,5 +1,11 @@
 import { EventDispatcher } from 'three'
 import { guess } from 'web-audio-beat-detector'
+import { BEATS_PER_BAR, findBeatIndex, getBeatPosition } from '../analysis/beatGrid'
+import OnsetDetector from '../analysis/OnsetDetector'
+
+// A grid beat only fires if playback crossed it within this window (s);
+// landing further past a beat (seek, resume after a stall) just re-syncs silently.
+const BEAT_FIRE_WINDOW = 0.25
 
 export default class BPMManager extends EventDispatcher {
   constructor() {
@@ -10,30 +16,173 @@ export default class BPMManager extends EventDispatcher {
     this.bpmValue = 0 // BPM value
     this.beatActive = false // Flag indicating if we're currently on a beat
     this.beatDuration = 100 // How long the beat flag stays true (ms)
+    this.beatActiveTimer = null
+    this.beatActiveUntil = 0 // performance.now() time the flag clears at (grid / live beats)
+
+    // Position of the most recent beat
+    this.beatIndex = -1
+    this.bar = 0
+    this.beatInBar = 0
+
+    // Offline beat grid (see analysis/beatGrid.js); replaces the interval timer while set.
+    this.beatGrid = null
+    this.lastBeatTime = 0
+    this.nextBeatTime = 0
+
+    // Streaming detector for live input; takes precedence over grid and timer while set.
+    this.onsetDetector = null
+    this.isOnset = false
+
+    // 0..1 trust in the current beats: 1 for a beat grid, live detector confidence
+    // for the microphone, a rough 0.5 for a snippet guess and 0 for the default BPM.
+    this.confidence = 0
+  }
+
+  get bpm() {
+    return this.bpmValue
   }
 
   setBPM(bpm) {
     // Sets BPM and starts interval to emit beat events
+    this.bpmValue = bpm
     this.interval = 60000 / bpm
     clearInterval(this.intervalId)
-    this.intervalId = setInterval(this.updateBPM.bind(this), this.interval)
+    this.intervalId = this.beatGrid || this.onsetDetector ? null : setInterval(this.updateBPM.bind(this), this.interval)
   }
 
   updateBPM() {
     // Function called at each beat interval
-    this.beatActive = true
-    this.dispatchEvent({ type: 'beat' })
-    
-    // Reset beat flag after short duration
-    setTimeout(() => {
+    this.beatIndex++
+    this.bar = Math.floor(this.beatIndex / BEATS_PER_BAR) + 1
+    this.beatInBar = this.beatIndex % BEATS_PER_BAR
+    this._emitBeat()
+  }
+
+  /**
+   * Drives beats from a phase-aligned beat grid instead of the interval timer.
+   * Beats are then emitted from `update()` based on the media time.
+   */
+  setBeatGrid(grid) {
+    clearInterval(this.intervalId)
+    this.intervalId = null
+    this.beatGrid = grid
+    if (this.onsetDetector) return
+    this.beatIndex = -1
+    this.bpmValue = grid.bpm
+    this.interval = 60000 / grid.bpm
+    this.confidence = 1
+  }
+
+  // Falls back to the free-running interval timer at the last known BPM.
+  clearBeatGrid() {
+    if (!this.beatGrid) return
+    this.beatGrid = null
+    if (this.onsetDetector) return
+    this.beatIndex = -1
+    this.confidence = 0
+    this.setBPM(this.bpmValue || 120)
+  }
+
+  /**
+   * Detects beats live from an analyser (microphone input) instead of the grid or timer.
+   */
+  startLiveDetection(analyserNode) {
+    clearInterval(this.intervalId)
+    this.intervalId = null
+    this.onsetDetector = new OnsetDetector(analyserNode)
+    this.beatIndex = -1
+    this.confidence = 0
+  }
+
+  // Returns to the beat grid if one is available, otherwise to the interval timer.
+  stopLiveDetection() {
+    if (!this.onsetDetector) return
+    this.onsetDetector = null
+    this.isOnset = false
+    this.beatIndex = -1
+    if (this.beatGrid) {
+      this.setBeatGrid(this.beatGrid)
+    } else {
+      this.setBPM(this.bpmValue || 120)
+    }
+  }
+
+  /**
+   * Advances beat tracking. Call once per frame. The beat grid follows the media
+   * time (`currentTime`, s); live detection runs on the wall clock (`now`, ms).
+   * Seeking (or pausing) never fires a burst of missed grid beats: only a beat
+   * that playback has just crossed is emitted.
+   */
+  update(currentTime, { playing = true, now = performance.now() } = {}) {
+    // Frame-driven beats clear their flag on the frame clock too, so a virtual
+    // clock (offline export) sees the same beat flags as real time.
+    if (this.beatActive && now >= this.beatActiveUntil && (this.beatGrid || this.onsetDetector)) {
       this.beatActive = false
-    }, this.beatDuration)
+    }
+
+    if (this.onsetDetector) {
+      this._updateLive(now / 1000)
+      return
+    }
+
+    const grid = this.beatGrid
+    if (!grid || !Number.isFinite(currentTime)) return
+
+    const index = findBeatIndex(grid, currentTime)
+    const previous = this.beatIndex
+    this.beatIndex = index
+    if (index < 0) {
+      this.beatActive = false
+      this.lastBeatTime = 0
+      this.nextBeatTime = grid.beats[0] || 0
+      return
+    }
+
+    const beatTime = grid.beats[index]
+    this.lastBeatTime = beatTime
+    this.nextBeatTime = grid.beats[index + 1] ?? beatTime + this.interval / 1000
+    // Follow local tempo changes so getBPMDuration() matches the grid.
+    this.interval = (this.nextBeatTime - beatTime) * 1000
+
+    const { bar, beatInBar } = getBeatPosition(grid, index)
+    this.bar = bar
+    this.beatInBar = beatInBar
+
+    if (playing && index !== previous && currentTime - beatTime <= BEAT_FIRE_WINDOW) {
+      this._emitBeat()
+    }
+  }
+
+  /**
+   * Progress from the last beat to the next one (0..1); only meaningful with a beat
+   * grid (media time) or live detection (wall-clock time, `currentTime` is ignored).
+   */
+  getBeatPhase(currentTime) {
+    if (!this.onsetDetector && (!this.beatGrid || this.beatIndex < 0)) return 0
+    const time = this.onsetDetector ? performance.now() / 1000 : currentTime
+    const span = this.nextBeatTime - this.lastBeatTime
+    return span > 0 ? Math.min(1, Math.max(0, (time - this.lastBeatTime) / span)) : 0
+  }
+
+  _updateLive(time) {
+    const detector = this.onsetDetector
+    const { onset, beat } = detector.process(time)
+    this.isOnset = onset
+    this.confidence = detector.confidence
+    if (detector.bpm) {
+      this.bpmValue = detector.bpm
+      this.interval = 60000 / detector.bpm
+    }
+    this.lastBeatTime = detector.lastBeatTime
+    this.nextBeatTime = detector.nextBeatTime
+    if (beat) this.updateBPM()
   }
 
   async detectBPM(audioBuffer) {
     // Analyzes the audio buffer to detect and set BPM
     const { bpm } = await guess(audioBuffer)
     this.setBPM(bpm)
+    this.confidence = 0.5
     console.log(`BPM detected: ${bpm}`)
   }
 
@@ -41,4 +190,23 @@ export default class BPMManager extends EventDispatcher {
     // Returns the duration of one beat
     return this.interval
   }
+
+  _emitBeat() {
+    this.beatActive = true
+    this.beatActiveUntil = performance.now() + this.beatDuration
+    this.dispatchEvent({
+      type: 'beat',
+      index: this.beatIndex,
+      bar: this.bar,
+      beatInBar: this.beatInBar,
+      isDownbeat: this.beatInBar === 0,
+    })
+
+    // Reset beat flag after short duration (update() does it for grid / live beats)
+    clearTimeout(this.beatActiveTimer)
+    if (this.beatGrid || this.onsetDetector) return
+    this.beatActiveTimer = setTimeout(() => {
+      this.beatActive = false
+    }, this.beatDuration)
+  }
 }
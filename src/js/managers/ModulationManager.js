@@ -0,0 +1,197 @@
+import { LFO_SHAPES, MODULATION_SOURCES, getBeatCount, isBandSource, readLfo, readModulationSource } from '../analysis/modulationSources'
+
+// Modulation matrix: binds numeric visualizer parameters (GUI sliders, shader uniforms)
+// to audio sources. Every frame each enabled binding reads its source (see
+// analysis/modulationSources.js), smooths, inverts and shapes it, and writes
+// `min + (max - min) * level` to its target.
+//
+// App collects the targets of the active visualizer (setTargets()) and stores the
+// bindings per visualizer; this class only evaluates them. While a binding drives a
+// target the target's own value is remembered and put back when the binding goes away.
+
+export const MODULATION_CURVES = ['linear', 'exp', 'log', 'smooth']
+
+// Sources besides MODULATION_SOURCES: 'lfo' plus one per frequency band (`band:<name>`).
+export const LFO_SOURCE = 'lfo'
+
+export const DEFAULT_MODULATION_BINDING = {
+  source: 'bass',
+  lfoShape: 'sine',
+  lfoBeats: 4, // LFO cycle length
+  curve: 'linear',
+  smoothing: 0.5, // 0 = follows the source instantly, 0.99 = very slow
+  invert: false,
+  enabled: true,
+}
+
+const CURVES = {
+  linear: (x) => x,
+  exp: (x) => x * x,
+  log: (x) => Math.sqrt(x),
+  smooth: (x) => x * x * (3 - 2 * x),
+}
+
+function toNumber(value, fallback, min = -Infinity, max = Infinity) {
+  const n = Number(value)
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback
+}
+
+export function isModulationSource(source) {
+  return source === LFO_SOURCE || isBandSource(source) || (source !== 'none' && MODULATION_SOURCES.includes(source))
+}
+
+/**
+ * Validates a binding from storage / scene files / the popup.
+ * @param {Object} raw
+ * @param {{ min: number, max: number }} [range] The target's range: the default for and
+ *   limit of min / max (0..1 defaults and no limit without it).
+ * @returns {{ id: number, target: string, source: string, lfoShape: string, lfoBeats: number, min: number, max: number, curve: string, smoothing: number, invert: boolean, enabled: boolean }|null}
+ */
+export function normalizeModulationBinding(raw, range = null) {
+  if (!raw || typeof raw !== 'object' || typeof raw.target !== 'string' || !raw.target) return null
+  const d = DEFAULT_MODULATION_BINDING
+  const [low, high] = range ? [Math.min(range.min, range.max), Math.max(range.min, range.max)] : [-Infinity, Infinity]
+  return {
+    id: Math.round(toNumber(raw.id, 0, 0)),
+    target: raw.target,
+    source: isModulationSource(raw.source) ? raw.source : d.source,
+    lfoShape: LFO_SHAPES.includes(raw.lfoShape) ? raw.lfoShape : d.lfoShape,
+    lfoBeats: toNumber(raw.lfoBeats, d.lfoBeats, 0.25, 64),
+    min: toNumber(raw.min, range ? range.min : 0, low, high),
+    max: toNumber(raw.max, range ? range.max : 1, low, high),
+    curve: MODULATION_CURVES.includes(raw.curve) ? raw.curve : d.curve,
+    smoothing: toNumber(raw.smoothing, d.smoothing, 0, 0.99),
+    invert: typeof raw.invert === 'boolean' ? raw.invert : d.invert,
+    enabled: typeof raw.enabled === 'boolean' ? raw.enabled : d.enabled,
+  }
+}
+
+export default class ModulationManager {
+  constructor() {
+    this.targets = new Map() // id -> { id, label, min, max, step, get(), apply(value) }
+    this.bindings = []
+    this._state = new Map() // binding id -> { level, value }
+    this._base = new Map() // target id -> its value before a binding took over
+    this._nextId = 1
+    this._lastNow = 0
+  }
+
+  /**
+   * Replaces the modulatable parameters (the active visualizer's). Values held for the
+   * old targets are dropped, not restored: their visualizer is gone.
+   * @param {Array<{ id: string, label: string, min: number, max: number, step?: number, get: () => number, apply: (value: number) => void }>} targets
+   */
+  setTargets(targets) {
+    this.targets = new Map(targets.map((t) => [t.id, t]))
+    this._state.clear()
+    this._base.clear()
+  }
+
+  /** Target descriptions for the controls popup. */
+  getTargetList() {
+    return [...this.targets.values()].map(({ id, label, min, max, step }) => ({ id, label, min, max, step: step ?? null }))
+  }
+
+  /**
+   * Replaces all bindings (bindings for unknown targets are kept: a visualizer may add
+   * its controls later or only in some modes).
+   * @param {Object[]} list
+   */
+  setBindings(list) {
+    this._release(this.bindings.map((b) => b.id))
+    this.bindings = []
+    this._state.clear()
+    for (const raw of Array.isArray(list) ? list : []) this.addBinding(raw.target, raw)
+  }
+
+  /**
+   * @param {string} target Target id.
+   * @param {Object} [settings] See normalizeModulationBinding().
+   * @returns {Object|null} The new binding.
+   */
+  addBinding(target, settings = {}) {
+    const t = this.targets.get(target) || null
+    const binding = normalizeModulationBinding({ ...settings, target }, t)
+    if (!binding) return null
+    binding.id = this._nextId++
+    this.bindings.push(binding)
+    return binding
+  }
+
+  updateBinding(id, changes = {}) {
+    const index = this.bindings.findIndex((b) => b.id === id)
+    if (index < 0) return null
+    const current = this.bindings[index]
+    const next = normalizeModulationBinding({ ...current, ...changes, id, target: current.target }, this.targets.get(current.target) || null)
+    this.bindings[index] = next
+    if (!next.enabled) this._release([id])
+    return next
+  }
+
+  removeBinding(id) {
+    const index = this.bindings.findIndex((b) => b.id === id)
+    if (index < 0) return false
+    this._release([id])
+    this.bindings.splice(index, 1)
+    return true
+  }
+
+  // Stops bindings driving their targets; a target nothing else drives gets its value back.
+  _release(ids) {
+    const released = this.bindings.filter((b) => ids.includes(b.id))
+    ids.forEach((id) => this._state.delete(id))
+    for (const { target } of released) {
+      const stillDriven = this.bindings.some((b) => b.target === target && b.enabled && !ids.includes(b.id))
+      if (stillDriven || !this._base.has(target)) continue
+      this.targets.get(target)?.apply(this._base.get(target))
+      this._base.delete(target)
+    }
+  }
+
+  /**
+   * Evaluates every enabled binding and writes its target. Several bindings on one
+   * target: the last one wins.
+   * @param {Object|null} audioData The object App.update() passes to visualizers.
+   * @param {number} now ms
+   */
+  update(audioData, now) {
+    if (!this.bindings.length) return
+    const dt = this._lastNow ? Math.min(0.25, Math.max(0, (now - this._lastNow) / 1000)) : 0
+    this._lastNow = now
+    const beatCount = getBeatCount(audioData, now)
+
+    for (const binding of this.bindings) {
+      const target = this.targets.get(binding.target)
+      if (!binding.enabled || !target) continue
+
+      let level =
+        binding.source === LFO_SOURCE
+          ? readLfo(binding.lfoShape, binding.lfoBeats, beatCount)
+          : readModulationSource(binding.source, audioData)
+      if (binding.invert) level = 1 - level
+
+      let state = this._state.get(binding.id)
+      if (!state) {
+        state = { level, value: null }
+        this._state.set(binding.id, state)
+      }
+      // One-pole smoothing; `smoothing` is the share kept per 60 Hz frame.
+      state.level += (level - state.level) * (1 - Math.pow(binding.smoothing, dt * 60))
+
+      const shaped = CURVES[binding.curve](Math.max(0, Math.min(1, state.level)))
+      let value = binding.min + (binding.max - binding.min) * shaped
+      if (target.step >= 1) value = Math.round(value / target.step) * target.step
+      if (value === state.value) continue
+
+      if (!this._base.has(binding.target)) this._base.set(binding.target, target.get())
+      state.value = value
+      target.apply(value)
+    }
+  }
+
+  /** Drops bindings and targets without restoring anything (the visualizer is going away). */
+  clear() {
+    this.bindings = []
+    this.setTargets([])
+  }
+}
@@ -0,0 +1,390 @@
+import { EventDispatcher } from 'three'
+import { readMediaTags } from '../mediaTags'
+
+export const REPEAT_MODES = ['off', 'all', 'one']
+
+const PLAYLIST_EXTENSIONS = ['m3u', 'm3u8', 'pls', 'json']
+
+let nextTrackId = 1
+
+function getExtension(name) {
+  const clean = String(name || '').split(/[?#]/)[0]
+  const dot = clean.lastIndexOf('.')
+  return dot >= 0 ? clean.slice(dot + 1).toLowerCase() : ''
+}
+
+function titleFromUrl(url) {
+  try {
+    const path = new URL(url, window.location.href).pathname
+    const file = decodeURIComponent(path.split('/').pop() || '')
+    return file.replace(/\.[^.]+$/, '') || url
+  } catch {
+    return String(url)
+  }
+}
+
+function resolveUrl(url, baseUrl) {
+  if (!baseUrl) return url
+  try {
+    return new URL(url, baseUrl).toString()
+  } catch {
+    return url
+  }
+}
+
+// "Artist - Title" is the de-facto convention for #EXTINF and PLS titles.
+function splitArtistTitle(text) {
+  const value = String(text || '').trim()
+  const idx = value.indexOf(' - ')
+  if (idx <= 0) return { title: value || null, artist: null }
+  return { artist: value.slice(0, idx).trim(), title: value.slice(idx + 3).trim() }
+}
+
+function parseM3U(text, baseUrl) {
+  const tracks = []
+  let pending = null
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim()
+    if (!line) continue
+    if (line.startsWith('#EXTINF:')) {
+      const comma = line.indexOf(',')
+      pending = comma >= 0 ? splitArtistTitle(line.slice(comma + 1)) : null
+      continue
+    }
+    if (line.startsWith('#')) continue
+    tracks.push({ url: resolveUrl(line, baseUrl), ...(pending || {}) })
+    pending = null
+  }
+  return tracks
+}
+
+function parsePLS(text, baseUrl) {
+  const files = new Map()
+  const titles = new Map()
+  for (const raw of text.split(/\r?\n/)) {
+    const match = /^\s*(File|Title)(\d+)\s*=\s*(.*)$/i.exec(raw)
+    if (!match) continue
+    const target = match[1].toLowerCase() === 'file' ? files : titles
+    target.set(Number(match[2]), match[3].trim())
+  }
+  return [...files.keys()]
+    .sort((a, b) => a - b)
+    .map((n) => ({ url: resolveUrl(files.get(n), baseUrl), ...(titles.has(n) ? splitArtistTitle(titles.get(n)) : {}) }))
+}
+
+function parseJSON(text, baseUrl) {
+  const data = JSON.parse(text)
+  const list = Array.isArray(data) ? data : (data?.tracks || data?.items || data?.playlist || [])
+  if (!Array.isArray(list)) return []
+  return list
+    .map((entry) => {
+      if (typeof entry === 'string') return { url: resolveUrl(entry, baseUrl) }
+      const url = entry?.url || entry?.src || entry?.file
+      if (!url) return null
+      return { url: resolveUrl(url, baseUrl), title: entry.title || null, artist: entry.artist || null }
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Parses M3U/M3U8, PLS or JSON playlist text into `{ url, title?, artist? }` entries.
+ * The format is taken from `format` (a file extension) or sniffed from the content.
+ */
+export function parsePlaylistText(text, { format = '', baseUrl = null } = {}) {
+  const body = String(text || '').replace(/^\uFEFF/, '')
+  const trimmed = body.trim()
+  let kind = String(format || '').toLowerCase()
+  if (!PLAYLIST_EXTENSIONS.includes(kind)) {
+    if (/^\[playlist\]/i.test(trimmed)) kind = 'pls'
+    else if (trimmed.startsWith('[') || trimmed.startsWith('{')) kind = 'json'
+    else kind = 'm3u'
+  }
+  if (kind === 'json') return parseJSON(body, baseUrl)
+  if (kind === 'pls') return parsePLS(body, baseUrl)
+  return parseM3U(body, baseUrl)
+}
+
+export function isPlaylistName(name) {
+  return PLAYLIST_EXTENSIONS.includes(getExtension(name))
+}
+
+/**
+ * Ordered track queue with shuffle and repeat modes.
+ *
+ * Dispatches:
+ * - `change`: the queue contents or modes changed
+ * - `trackchange`: the current track changed (`{ track, index }`)
+ * - `trackupdate`: a track's metadata was filled in (`{ track, index }`)
+ * - `currentremoved`: the current track left the queue and no track follows it (`{ track }`)
+ */
+export default class PlaylistManager extends EventDispatcher {
+  constructor({ storageKey = 'visualizer.playlist' } = {}) {
+    super()
+    this.storageKey = storageKey
+    this.tracks = []
+    this.currentIndex = -1
+    this.shuffle = false
+    this.repeat = 'all'
+    // Play order used while shuffling (indices into `tracks`).
+    this._shuffleOrder = []
+  }
+
+  get length() {
+    return this.tracks.length
+  }
+
+  get current() {
+    return this.tracks[this.currentIndex] || null
+  }
+
+  createTrack({ url, title = null, artist = null, source = 'url', file = null } = {}) {
+    if (!url) return null
+    return {
+      id: nextTrackId++,
+      url,
+      title: title || (file ? file.name.replace(/\.[^.]+$/, '') : titleFromUrl(url)),
+      artist: artist || null,
+      album: null,
+      cover: null,
+      source,
+      file,
+    }
+  }
+
+  /**
+   * Appends tracks to the queue. Returns the index of the first added track (or -1).
+   */
+  add(entries) {
+    const list = (Array.isArray(entries) ? entries : [entries]).map((e) => (e?.id ? e : this.createTrack(e))).filter(Boolean)
+    if (!list.length) return -1
+    const firstIndex = this.tracks.length
+    this.tracks.push(...list)
+    if (this.shuffle) {
+      // New tracks go to random places among those still to play this cycle.
+      const played = this._shuffleOrder.indexOf(this.currentIndex) + 1
+      list.forEach((_, i) => {
+        const at = played + Math.floor(Math.random() * (this._shuffleOrder.length - played + 1))
+        this._shuffleOrder.splice(at, 0, firstIndex + i)
+      })
+    }
+    this._emitChange()
+    return firstIndex
+  }
+
+  /**
+   * Adds a track URL or, if the URL points at a playlist file, every entry of that playlist.
+   */
+  async addUrl(url) {
+    const trimmed = String(url || '').trim()
+    if (!trimmed) return -1
+    if (!isPlaylistName(trimmed)) return this.add({ url: trimmed })
+
+    const response = await fetch(trimmed)
+    if (!response.ok) throw new Error(`Playlist request failed (${response.status})`)
+    const text = await response.text()
+    const entries = parsePlaylistText(text, { format: getExtension(trimmed), baseUrl: response.url || trimmed })
+    return this.add(entries)
+  }
+
+  /**
+   * Adds local files. Audio/video files become tracks backed by object URLs
+   * (embedded tags are read in the background); playlist files are parsed and
+   * their (remote) entries are added.
+   */
+  async addFiles(files) {
+    let firstIndex = -1
+    for (const file of Array.from(files || [])) {
+      let index = -1
+      if (isPlaylistName(file.name)) {
+        const entries = parsePlaylistText(await file.text(), { format: getExtension(file.name) })
+        index = this.add(entries)
+      } else {
+        index = this.add({ url: URL.createObjectURL(file), source: 'file', file })
+        if (index >= 0) this._loadFileTags(this.tracks[index])
+      }
+      if (firstIndex < 0) firstIndex = index
+    }
+    return firstIndex
+  }
+
+  remove(index) {
+    if (index < 0 || index >= this.tracks.length) return
+    const wasCurrent = index === this.currentIndex
+    const [removed] = this.tracks.splice(index, 1)
+    this._revokeTrack(removed)
+    // Later tracks move up a slot; the shuffle order keeps its sequence.
+    const pos = this._shuffleOrder.indexOf(index)
+    if (pos >= 0) this._shuffleOrder.splice(pos, 1)
+    this._shuffleOrder = this._shuffleOrder.map((i) => (i > index ? i - 1 : i))
+    if (index < this.currentIndex) this.currentIndex--
+
+    if (wasCurrent) {
+      // The playing track is gone: go on with the one that followed it, as if it had ended.
+      const order = this.shuffle ? this._shuffleOrder : this.tracks.map((_, i) => i)
+      const nextPos = this.shuffle ? pos : index
+      let next = order[nextPos] ?? -1
+      if (next < 0 && this.repeat !== 'off') next = order[0] ?? -1
+      this.currentIndex = -1
+      if (next >= 0) {
+        this.select(next)
+        return
+      }
+      this.dispatchEvent({ type: 'currentremoved', track: removed })
+    }
+    this._emitChange()
+  }
+
+  clear() {
+    const current = this.current
+    this.tracks.forEach((t) => this._revokeTrack(t))
+    this.tracks = []
+    this.currentIndex = -1
+    this._shuffleOrder = []
+    if (current) this.dispatchEvent({ type: 'currentremoved', track: current })
+    this._emitChange()
+  }
+
+  /**
+   * Makes `index` the current track and dispatches `trackchange`.
+   */
+  select(index) {
+    if (index < 0 || index >= this.tracks.length) return null
+    this.currentIndex = index
+    const track = this.tracks[index]
+    this.dispatchEvent({ type: 'trackchange', track, index })
+    this._emitChange()
+    return track
+  }
+
+  /**
+   * Returns the index that follows the current one, honoring shuffle and repeat,
+   * or -1 when the queue has run out. `auto` is true when advancing because a
+   * track ended (repeat "one" then replays the same track).
+   */
+  getNextIndex({ auto = false, step = 1 } = {}) {
+    const count = this.tracks.length
+    if (!count) return -1
+    if (auto && this.repeat === 'one') return Math.max(0, this.currentIndex)
+
+    const order = this.shuffle ? this._shuffleOrder : this.tracks.map((_, i) => i)
+    const pos = order.indexOf(this.currentIndex)
+    const nextPos = pos + step
+    if (nextPos >= 0 && nextPos < order.length) return order[nextPos]
+    // Manual skips always wrap; automatic advance only wraps with repeat "all".
+    if (auto && this.repeat === 'off') return -1
+    if (this.shuffle && step > 0) {
+      this._rebuildShuffleOrder({ avoidFirst: this.currentIndex })
+      return this._shuffleOrder[0]
+    }
+    return order[(nextPos + order.length) % order.length]
+  }
+
+  next({ auto = false } = {}) {
+    const index = this.getNextIndex({ auto })
+    return index >= 0 ? this.select(index) : null
+  }
+
+  previous() {
+    const index = this.getNextIndex({ step: -1 })
+    return index >= 0 ? this.select(index) : null
+  }
+
+  setShuffle(enabled) {
+    this.shuffle = !!enabled
+    if (this.shuffle) this._rebuildShuffleOrder({ keepCurrentFirst: true })
+    this._emitChange()
+  }
+
+  setRepeat(mode) {
+    if (!REPEAT_MODES.includes(mode)) return
+    this.repeat = mode
+    this._emitChange()
+  }
+
+  cycleRepeat() {
+    const idx = REPEAT_MODES.indexOf(this.repeat)
+    this.setRepeat(REPEAT_MODES[(idx + 1) % REPEAT_MODES.length])
+    return this.repeat
+  }
+
+  // Local files are only valid for this page session, so only URL tracks are persisted.
+  save() {
+    try {
+      const current = this.current
+      const tracks = this.tracks.filter((t) => t.source === 'url').map(({ url, title, artist }) => ({ url, title, artist }))
+      const data = {
+        tracks,
+        currentUrl: current?.source === 'url' ? current.url : null,
+        shuffle: this.shuffle,
+        repeat: this.repeat,
+      }
+      window.localStorage.setItem(this.storageKey, JSON.stringify(data))
+    } catch (error) {
+      // ignore storage errors
+    }
+  }
+
+  restore() {
+    try {
+      const raw = window.localStorage.getItem(this.storageKey)
+      if (!raw) return false
+      const data = JSON.parse(raw)
+      if (Array.isArray(data?.tracks)) {
+        this.tracks = data.tracks.map((t) => this.createTrack({ ...t, source: 'url' })).filter(Boolean)
+      }
+      this.shuffle = !!data?.shuffle
+      if (REPEAT_MODES.includes(data?.repeat)) this.repeat = data.repeat
+      const idx = this.tracks.findIndex((t) => t.url === data?.currentUrl)
+      this.currentIndex = idx >= 0 ? idx : (this.tracks.length ? 0 : -1)
+      if (this.shuffle) this._rebuildShuffleOrder({ keepCurrentFirst: true })
+      return this.tracks.length > 0
+    } catch (error) {
+      return false
+    }
+  }
+
+  _rebuildShuffleOrder({ keepCurrentFirst = false, avoidFirst = -1 } = {}) {
+    const order = this.tracks.map((_, i) => i)
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      ;[order[i], order[j]] = [order[j], order[i]]
+    }
+    if (keepCurrentFirst && this.currentIndex >= 0) {
+      order.splice(order.indexOf(this.currentIndex), 1)
+      order.unshift(this.currentIndex)
+    } else if (avoidFirst >= 0 && order.length > 1 && order[0] === avoidFirst) {
+      order.push(order.shift())
+    }
+    this._shuffleOrder = order
+  }
+
+  async _loadFileTags(track) {
+    const tags = await readMediaTags(track.file)
+    if (!tags) return
+    track.title = tags.title || track.title
+    track.artist = tags.artist || track.artist
+    track.album = tags.album || track.album
+    // The track may have been removed while the tags were being read.
+    const index = this.tracks.indexOf(track)
+    if (index < 0) return
+    if (tags.picture) track.cover = URL.createObjectURL(tags.picture)
+    this.dispatchEvent({ type: 'trackupdate', track, index })
+    this._emitChange()
+  }
+
+  _revokeTrack(track) {
+    for (const url of [track?.source === 'file' ? track.url : null, track?.cover]) {
+      if (!url?.startsWith('blob:')) continue
+      try {
+        URL.revokeObjectURL(url)
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  _emitChange() {
+    this.save()
+    this.dispatchEvent({ type: 'change' })
+  }
+}
@@ -0,0 +1,279 @@
+// Minimal embedded-metadata reader for local media files.
+// Supports ID3v2.2–2.4 (+ ID3v1 fallback) for MP3 and iTunes-style `ilst` atoms for MP4/M4A.
+
+const ID3_TEXT_FRAMES = {
+  TIT2: 'title',
+  TT2: 'title',
+  TPE1: 'artist',
+  TP1: 'artist',
+  TALB: 'album',
+  TAL: 'album',
+}
+
+// Frame format flags of compressed / encrypted frames, whose bodies can't be read as they are.
+const ID3_UNREADABLE_FRAME_FLAGS = { 3: 0x80 | 0x40, 4: 0x08 | 0x04 }
+
+const MP4_TEXT_ATOMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  aART: 'artist',
+  '©alb': 'album',
+}
+
+// Upper bound for reading the `moov` atom; sample tables of long videos can get big.
+const MAX_MOOV_BYTES = 64 * 1024 * 1024
+
+async function readBytes(blob, start, end) {
+  return new Uint8Array(await blob.slice(start, end).arrayBuffer())
+}
+
+function latin1(bytes, start = 0, end = bytes.length) {
+  let out = ''
+  for (let i = start; i < end; i++) out += String.fromCharCode(bytes[i])
+  return out
+}
+
+function syncsafe(bytes, offset) {
+  return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) | ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f)
+}
+
+function uint32(bytes, offset) {
+  return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3]
+}
+
+function decodeText(bytes, encoding) {
+  const label = ['iso-8859-1', 'utf-16', 'utf-16be', 'utf-8'][encoding] || 'iso-8859-1'
+  try {
+    // Encoding 1 is BOM-prefixed UTF-16; normalise it to little-endian first.
+    return new TextDecoder(label === 'utf-16' ? 'utf-16le' : label).decode(stripUtf16Bom(bytes, label))
+  } catch {
+    return latin1(bytes)
+  }
+}
+
+function stripUtf16Bom(bytes, label) {
+  if (label !== 'utf-16' || bytes.length < 2) return bytes
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    // Big-endian BOM: swap to little-endian so a single decoder handles both.
+    const swapped = new Uint8Array(bytes.length - 2)
+    for (let i = 2; i + 1 < bytes.length; i += 2) {
+      swapped[i - 2] = bytes[i + 1]
+      swapped[i - 1] = bytes[i]
+    }
+    return swapped
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return bytes.subarray(2)
+  return bytes
+}
+
+// Returns the end index of a NUL-terminated string (1 byte for latin1/utf-8, 2 for utf-16).
+function findTerminator(bytes, start, encoding) {
+  const wide = encoding === 1 || encoding === 2
+  for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i
+  }
+  return bytes.length
+}
+
+function cleanText(value) {
+  // ID3v2.4 separates multiple values with NUL; keep the first one.
+  const text = String(value || '').split('\u0000')[0].trim()
+  return text || null
+}
+
+function hasTags(tags) {
+  return !!tags && !!(tags.title || tags.artist || tags.album || tags.picture)
+}
+
+function removeUnsynchronisation(bytes) {
+  const out = new Uint8Array(bytes.length)
+  let j = 0
+  for (let i = 0; i < bytes.length; i++) {
+    out[j++] = bytes[i]
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++
+  }
+  return out.subarray(0, j)
+}
+
+function parseId3Picture(body, version) {
+  const encoding = body[0]
+  let offset = 1
+  let mime
+  if (version === 2) {
+    const format = latin1(body, 1, 4).toLowerCase()
+    mime = format === 'png' ? 'image/png' : 'image/jpeg'
+    offset = 4
+  } else {
+    const mimeEnd = findTerminator(body, 1, 0)
+    mime = latin1(body, 1, mimeEnd) || 'image/jpeg'
+    if (!mime.includes('/')) mime = `image/${mime.toLowerCase()}`
+    offset = mimeEnd + 1
+  }
+  const pictureType = body[offset]
+  const descEnd = findTerminator(body, offset + 1, encoding)
+  const dataStart = descEnd + (encoding === 1 || encoding === 2 ? 2 : 1)
+  return { pictureType, blob: new Blob([body.subarray(dataStart)], { type: mime }) }
+}
+
+async function readId3v2(file) {
+  const header = await readBytes(file, 0, 10)
+  if (latin1(header, 0, 3) !== 'ID3') return null
+
+  const version = header[3]
+  const flags = header[5]
+  const size = syncsafe(header, 6)
+  let tag = await readBytes(file, 10, 10 + size)
+  // Before v2.4 the whole tag is unsynchronised; v2.4 frame sizes count the stored bytes,
+  // so there the tag flag is undone frame by frame below.
+  const unsynchronised = (flags & 0x80) !== 0
+  if (unsynchronised && version < 4) tag = removeUnsynchronisation(tag)
+
+  let offset = 0
+  if (flags & 0x40 && version >= 3) {
+    offset = version === 4 ? syncsafe(tag, 0) : uint32(tag, 0) + 4
+  }
+
+  const result = { title: null, artist: null, album: null, picture: null }
+  let pictureType = -1
+  const idLength = version === 2 ? 3 : 4
+  const headerLength = version === 2 ? 6 : 10
+
+  while (offset + headerLength <= tag.length) {
+    const id = latin1(tag, offset, offset + idLength)
+    if (!/^[A-Z0-9]+$/.test(id)) break // padding
+
+    let frameSize
+    if (version === 2) frameSize = (tag[offset + 3] << 16) | (tag[offset + 4] << 8) | tag[offset + 5]
+    else if (version === 4) frameSize = syncsafe(tag, offset + 4)
+    else frameSize = uint32(tag, offset + 4)
+
+    const frameFlags = version === 2 ? 0 : tag[offset + 9]
+    let body = tag.subarray(offset + headerLength, offset + headerLength + frameSize)
+    offset += headerLength + frameSize
+    if (!frameSize || frameFlags & (ID3_UNREADABLE_FRAME_FLAGS[version] || 0)) continue
+
+    // v2.4 per-frame unsynchronisation (also implied by the tag flag) / data length indicator
+    if (version === 4) {
+      if (frameFlags & 0x01) body = body.subarray(4)
+      if (frameFlags & 0x02 || unsynchronised) body = removeUnsynchronisation(body)
+    }
+
+    const field = ID3_TEXT_FRAMES[id]
+    if (field && !result[field]) {
+      result[field] = cleanText(decodeText(body.subarray(1), body[0]))
+    } else if (id === 'APIC' || id === 'PIC') {
+      const picture = parseId3Picture(body, version)
+      // Prefer the front cover (type 3); otherwise keep the first picture.
+      if (!result.picture || (picture.pictureType === 3 && pictureType !== 3)) {
+        result.picture = picture.blob
+        pictureType = picture.pictureType
+      }
+    }
+  }
+
+  // An empty or padding-only tag leaves the other readers (ID3v1) their turn.
+  return hasTags(result) ? result : null
+}
+
+async function readId3v1(file) {
+  if (file.size < 128) return null
+  const bytes = await readBytes(file, file.size - 128, file.size)
+  if (latin1(bytes, 0, 3) !== 'TAG') return null
+  const field = (start, end) => cleanText(latin1(bytes, start, end).replace(/\u0000+$/, ''))
+  return { title: field(3, 33), artist: field(33, 63), album: field(63, 93), picture: null }
+}
+
+// Iterates the child boxes of an MP4 container held in memory.
+function* mp4Boxes(bytes, start = 0, end = bytes.length) {
+  let offset = start
+  while (offset + 8 <= end) {
+    let size = uint32(bytes, offset)
+    const type = latin1(bytes, offset + 4, offset + 8)
+    let headerSize = 8
+    if (size === 1) {
+      size = uint32(bytes, offset + 8) * 2 ** 32 + uint32(bytes, offset + 12)
+      headerSize = 16
+    } else if (size === 0) {
+      size = end - offset
+    }
+    if (size < headerSize) return
+    yield { type, start: offset + headerSize, end: Math.min(offset + size, end) }
+    offset += size
+  }
+}
+
+function findMp4Box(bytes, path) {
+  let range = { start: 0, end: bytes.length }
+  for (const type of path) {
+    const found = [...mp4Boxes(bytes, range.start, range.end)].find((box) => box.type === type)
+    if (!found) return null
+    range = found
+    // `meta` is a full box (version/flags) in ISO files but a plain container in QuickTime files.
+    if (type === 'meta' && latin1(bytes, range.start + 4, range.start + 8) !== 'hdlr') {
+      range = { start: range.start + 4, end: range.end }
+    }
+  }
+  return range
+}
+
+async function findTopLevelMoov(file) {
+  let offset = 0
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, offset + 16)
+    let size = uint32(header, 0)
+    const type = latin1(header, 4, 8)
+    if (size === 1) size = uint32(header, 8) * 2 ** 32 + uint32(header, 12)
+    else if (size === 0) size = file.size - offset
+    if (size < 8) return null
+    if (offset === 0 && type !== 'ftyp') return null
+    if (type === 'moov') {
+      if (size > MAX_MOOV_BYTES) return null
+      return readBytes(file, offset, offset + size)
+    }
+    offset += size
+  }
+  return null
+}
+
+async function readMp4Tags(file) {
+  const moov = await findTopLevelMoov(file)
+  if (!moov) return null
+
+  const ilst = findMp4Box(moov, ['moov', 'udta', 'meta', 'ilst'])
+  if (!ilst) return null
+
+  const result = { title: null, artist: null, album: null, picture: null }
+  for (const item of mp4Boxes(moov, ilst.start, ilst.end)) {
+    const field = MP4_TEXT_ATOMS[item.type]
+    if (!field && item.type !== 'covr') continue
+    for (const data of mp4Boxes(moov, item.start, item.end)) {
+      if (data.type !== 'data') continue
+      const typeIndicator = uint32(moov, data.start) & 0xffffff
+      const payload = moov.subarray(data.start + 8, data.end)
+      if (field && !result[field]) {
+        result[field] = cleanText(new TextDecoder('utf-8').decode(payload))
+      } else if (item.type === 'covr' && !result.picture) {
+        const mime = typeIndicator === 14 ? 'image/png' : 'image/jpeg'
+        result.picture = new Blob([payload], { type: mime })
+      }
+      break
+    }
+  }
+  return hasTags(result) ? result : null
+}
+
+/**
+ * Reads title/artist/album and embedded cover art from a local media file.
+ * @param {Blob} file
+ * @returns {Promise<{ title: string|null, artist: string|null, album: string|null, picture: Blob|null }|null>}
+ */
+export async function readMediaTags(file) {
+  if (!file || typeof file.slice !== 'function') return null
+  try {
+    const tags = (await readId3v2(file)) || (await readMp4Tags(file)) || (await readId3v1(file))
+    return hasTags(tags) ? tags : null
+  } catch (error) {
+    console.warn('[Visualizer] Failed to read media tags:', error)
+    return null
+  }
+}
@@ -0,0 +1,254 @@
+import * as THREE from 'three'
+import TransitionRenderer, { createStageTarget } from './TransitionRenderer'
+import { MODULATION_SOURCES, followModulationSource } from '../analysis/modulationSources'
+
+/**
+ * LayerCompositor – draws extra visualizers (layers) over the main one.
+ *
+ * Every layer is a stage of its own (see App._createStage()), rendered into its own
+ * render target the same way TransitionRenderer renders its two sides (canvas
+ * visualizers are sampled through a CanvasTexture). The main visualizer — or the
+ * transition blend — is drawn to the screen (or the post-processing input) first,
+ * then each layer is blended onto it, bottom to top, with its blend mode and opacity.
+ */
+
+// Every layer renders a full frame of its own, so keep the stack short.
+export const MAX_LAYERS = 4
+
+export const LAYER_BLEND_MODES = ['alpha', 'add', 'screen', 'multiply']
+
+// What drives audio-reactive opacity (see analysis/modulationSources.js).
+export const LAYER_REACTIVE_SOURCES = MODULATION_SOURCES
+
+export const DEFAULT_LAYER_SETTINGS = {
+  blend: 'add',
+  opacity: 1,
+  reactive: 'none',
+  amount: 0.5, // 0 = opacity ignores the source, 1 = opacity follows it completely
+  enabled: true,
+}
+
+const clamp01 = (v, fallback) => (Number.isFinite(Number(v)) ? Math.max(0, Math.min(1, Number(v))) : fallback)
+
+/**
+ * Validates layer settings from storage / scene files / the popup.
+ * @returns {{ visualizer: string, blend: string, opacity: number, reactive: string, amount: number, enabled: boolean }|null}
+ */
+export function normalizeLayerSettings(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.visualizer !== 'string' || !raw.visualizer) return null
+  const d = DEFAULT_LAYER_SETTINGS
+  return {
+    visualizer: raw.visualizer,
+    blend: LAYER_BLEND_MODES.includes(raw.blend) ? raw.blend : d.blend,
+    opacity: clamp01(raw.opacity, d.opacity),
+    reactive: LAYER_REACTIVE_SOURCES.includes(raw.reactive) ? raw.reactive : d.reactive,
+    amount: clamp01(raw.amount, d.amount),
+    enabled: typeof raw.enabled === 'boolean' ? raw.enabled : d.enabled,
+  }
+}
+
+/**
+ * A layer's opacity for this frame. The audio level is smoothed on the layer
+ * (`layer.level`): it jumps up with the source and falls back gradually.
+ * @param {Object} layer See normalizeLayerSettings(), plus the running `level`.
+ * @param {Object|null} audioData The object App.update() passes to visualizers.
+ */
+export function getLayerOpacity(layer, audioData) {
+  if (layer.reactive === 'none' || !layer.amount) return layer.opacity
+  const level = followModulationSource(layer, layer.reactive, audioData)
+  return layer.opacity * (1 - layer.amount + layer.amount * level)
+}
+
+// Draw modes of the shader: 0 copies the main stage, the others match LAYER_BLEND_MODES.
+const MODE_INDEX = { base: 0, alpha: 1, add: 2, screen: 3, multiply: 4 }
+
+// Blend factors per mode; the layer's colour comes out of the shader premultiplied.
+const BLENDING = {
+  alpha: [THREE.OneFactor, THREE.OneMinusSrcAlphaFactor, THREE.OneFactor, THREE.OneMinusSrcAlphaFactor],
+  add: [THREE.OneFactor, THREE.OneFactor, THREE.ZeroFactor, THREE.OneFactor],
+  screen: [THREE.OneFactor, THREE.OneMinusSrcColorFactor, THREE.ZeroFactor, THREE.OneFactor],
+  multiply: [THREE.ZeroFactor, THREE.SrcColorFactor, THREE.ZeroFactor, THREE.OneFactor],
+}
+
+const VERTEX_SHADER = /* glsl */ `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`
+
+const FRAGMENT_SHADER = /* glsl */ `
+  uniform sampler2D tScene;
+  uniform sampler2D tOverlay;
+  uniform float hasOverlay;
+  uniform float opacity;
+  uniform int mode;
+  varying vec2 vUv;
+
+  vec4 over(vec4 top, vec4 bottom) {
+    return vec4(mix(bottom.rgb, top.rgb, top.a), top.a + bottom.a * (1.0 - top.a));
+  }
+
+  void main() {
+    vec4 c = texture2D(tScene, vUv);
+    if (hasOverlay > 0.5) c = over(texture2D(tOverlay, vUv), c);
+
+    if (mode == 0) {
+      gl_FragColor = c;
+    } else if (mode == 4) {
+      // Multiply: white leaves the picture below unchanged.
+      gl_FragColor = vec4(mix(vec3(1.0), c.rgb, c.a * opacity), 1.0);
+    } else {
+      float a = c.a * opacity;
+      gl_FragColor = vec4(c.rgb * a, a);
+    }
+  }
+`
+
+export default class LayerCompositor {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   */
+  constructor(renderer) {
+    this.renderer = renderer
+    this._size = new THREE.Vector2()
+    this._entries = new Map() // key ('base' or layer id) -> { target, overlay }
+    this._black = new THREE.DataTexture(new Uint8Array([0, 0, 0, 0]), 1, 1)
+    this._black.needsUpdate = true
+
+    this._material = new THREE.ShaderMaterial({
+      uniforms: {
+        tScene: { value: null },
+        tOverlay: { value: this._black },
+        hasOverlay: { value: 0 },
+        opacity: { value: 1 },
+        mode: { value: 0 },
+      },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      depthTest: false,
+      depthWrite: false,
+      transparent: true,
+    })
+    this._quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this._material)
+    this._quad.frustumCulled = false
+    this._scene = new THREE.Scene()
+    this._scene.add(this._quad)
+    this._camera = new THREE.Camera()
+  }
+
+  /**
+   * Draws the main stage to the screen (or `output`), replacing what is there.
+   * The caller must have made the stage's scene/camera/holder current.
+   * @param {{ scene: THREE.Scene, camera: THREE.Camera, visualizer: Object }} stage
+   * @param {THREE.WebGLRenderTarget|null} [output=null] null = the screen.
+   */
+  drawBase(stage, output = null) {
+    this._renderStage('base', stage)
+    this.renderer.setRenderTarget(output)
+    this.renderer.clear(true, true, true)
+    this._draw('base', 'base', 1, output)
+  }
+
+  /**
+   * Blends a layer's stage onto the screen.
+   * The caller must have made the layer's scene/camera/holder current.
+   * @param {{ id: number, blend: string, stage: Object }} layer
+   * @param {number} opacity 0..1
+   * @param {THREE.WebGLRenderTarget|null} [output=null] null = the screen.
+   */
+  drawLayer(layer, opacity, output = null) {
+    this._renderStage(layer.id, layer.stage)
+    this._draw(layer.id, layer.blend, opacity, output)
+  }
+
+  _renderStage(key, stage) {
+    const renderer = this.renderer
+    renderer.getDrawingBufferSize(this._size)
+    let entry = this._entries.get(key)
+    if (!entry) {
+      entry = { target: createStageTarget(), overlay: null }
+      this._entries.set(key, entry)
+    }
+    if (entry.target.width !== this._size.x || entry.target.height !== this._size.y) {
+      entry.target.setSize(this._size.x, this._size.y)
+    }
+
+    renderer.setRenderTarget(entry.target)
+    renderer.clear(true, true, true)
+    if (!stage.visualizer?.rendersSelf) {
+      renderer.render(stage.scene, stage.camera)
+    }
+    renderer.setRenderTarget(null)
+
+    const canvas = TransitionRenderer.getOutputCanvas(stage.visualizer)
+    if (canvas) {
+      if (!entry.overlay || entry.overlay.image !== canvas) {
+        entry.overlay?.dispose()
+        entry.overlay = new THREE.CanvasTexture(canvas)
+        entry.overlay.minFilter = THREE.LinearFilter
+        entry.overlay.generateMipmaps = false
+      }
+      entry.overlay.needsUpdate = true
+    } else if (entry.overlay) {
+      entry.overlay.dispose()
+      entry.overlay = null
+    }
+  }
+
+  _draw(key, mode, opacity, output) {
+    const entry = this._entries.get(key)
+    const material = this._material
+    const uniforms = material.uniforms
+    uniforms.tScene.value = entry.target.texture
+    uniforms.tOverlay.value = entry.overlay || this._black
+    uniforms.hasOverlay.value = entry.overlay ? 1 : 0
+    uniforms.opacity.value = opacity
+    uniforms.mode.value = MODE_INDEX[mode] ?? MODE_INDEX.alpha
+
+    const factors = BLENDING[mode]
+    if (factors) {
+      const [src, dst, srcAlpha, dstAlpha] = factors
+      Object.assign(material, {
+        blending: THREE.CustomBlending,
+        blendEquation: THREE.AddEquation,
+        blendEquationAlpha: THREE.AddEquation,
+        blendSrc: src,
+        blendDst: dst,
+        blendSrcAlpha: srcAlpha,
+        blendDstAlpha: dstAlpha,
+      })
+    } else {
+      material.blending = THREE.NoBlending
+    }
+
+    // Layers go on top of what is already on screen.
+    const renderer = this.renderer
+    const autoClear = renderer.autoClear
+    renderer.autoClear = false
+    renderer.setRenderTarget(output)
+    renderer.render(this._scene, this._camera)
+    renderer.setRenderTarget(null)
+    renderer.autoClear = autoClear
+  }
+
+  /**
+   * Frees a removed layer's render target and canvas texture.
+   * @param {number} id
+   */
+  release(id) {
+    const entry = this._entries.get(id)
+    if (!entry) return
+    entry.target.dispose()
+    entry.overlay?.dispose()
+    this._entries.delete(id)
+  }
+
+  dispose() {
+    for (const key of [...this._entries.keys()]) this.release(key)
+    this._black.dispose()
+    this._material.dispose()
+    this._quad.geometry.dispose()
+  }
+}
@@ -0,0 +1,486 @@
+import * as THREE from 'three'
+import { createStageTarget } from './TransitionRenderer'
+import { MODULATION_SOURCES, followModulationSource } from '../analysis/modulationSources'
+
+/**
+ * PostProcessor – a chain of full-screen effects between the finished frame and
+ * the screen.
+ *
+ * App renders the frame (visualizer, transition blend and layers) into
+ * getInputTarget() instead of the screen; render() then runs the enabled effects in
+ * chain order, ping-ponging between two render targets, and the last one draws to
+ * the screen. Every numeric parameter can follow an audio source (see
+ * analysis/modulationSources.js): value = base + amount * (max - min) * level.
+ */
+
+// Parameters are numeric ({ min, max, step, default }) or a choice ({ options, default }).
+export const POST_EFFECTS = {
+  bloom: {
+    label: 'Bloom',
+    params: {
+      threshold: { min: 0, max: 1, step: 0.01, default: 0.6 },
+      strength: { min: 0, max: 3, step: 0.01, default: 1 },
+      radius: { min: 0, max: 1, step: 0.01, default: 0.5 },
+    },
+  },
+  chromatic: {
+    label: 'Chromatic Aberration',
+    params: {
+      amount: { min: 0, max: 0.05, step: 0.001, default: 0.006 },
+    },
+  },
+  grain: {
+    label: 'Film Grain',
+    params: {
+      amount: { min: 0, max: 1, step: 0.01, default: 0.15 },
+    },
+  },
+  kaleidoscope: {
+    label: 'Kaleidoscope',
+    params: {
+      segments: { min: 2, max: 16, step: 1, default: 6 },
+      rotation: { min: 0, max: 1, step: 0.01, default: 0 },
+    },
+  },
+  feedback: {
+    label: 'Feedback Trails',
+    params: {
+      decay: { min: 0, max: 0.99, step: 0.01, default: 0.85 },
+      zoom: { min: 0.9, max: 1.1, step: 0.001, default: 1.01 },
+      rotation: { min: -0.05, max: 0.05, step: 0.001, default: 0 },
+    },
+  },
+  lut: {
+    label: 'Color Grading (LUT)',
+    params: {
+      preset: { options: ['teal-orange', 'warm', 'cool', 'bleach', 'vintage', 'mono', 'vivid'], default: 'teal-orange' },
+      intensity: { min: 0, max: 1, step: 0.01, default: 1 },
+    },
+  },
+  vignette: {
+    label: 'Vignette',
+    params: {
+      amount: { min: 0, max: 1, step: 0.01, default: 0.5 },
+      softness: { min: 0.05, max: 1, step: 0.01, default: 0.5 },
+    },
+  },
+  rgbShift: {
+    label: 'RGB Shift',
+    params: {
+      amount: { min: 0, max: 0.05, step: 0.001, default: 0.008 },
+      angle: { min: 0, max: 1, step: 0.01, default: 0 },
+    },
+  },
+}
+
+export const POST_MODULATION_SOURCES = MODULATION_SOURCES
+
+function isNumericParam(spec) {
+  return !spec.options
+}
+
+function defaultEffect(type) {
+  const params = Object.fromEntries(Object.entries(POST_EFFECTS[type].params).map(([name, spec]) => [name, spec.default]))
+  return { type, enabled: false, params, mods: {} }
+}
+
+/**
+ * Validates a chain from storage / scene files / the popup. Every effect appears
+ * exactly once; ones missing from `raw` are appended (disabled) in their default order.
+ * @returns {{ enabled: boolean, effects: Array<{ type: string, enabled: boolean, params: Object, mods: Object }> }}
+ */
+export function normalizePostChain(raw) {
+  const seen = new Set()
+  const effects = []
+  for (const entry of Array.isArray(raw?.effects) ? raw.effects : []) {
+    const type = entry?.type
+    if (!POST_EFFECTS[type] || seen.has(type)) continue
+    seen.add(type)
+    const effect = defaultEffect(type)
+    effect.enabled = entry.enabled === true
+    for (const [name, spec] of Object.entries(POST_EFFECTS[type].params)) {
+      const value = entry.params?.[name]
+      if (!isNumericParam(spec)) {
+        if (spec.options.includes(value)) effect.params[name] = value
+        continue
+      }
+      if (Number.isFinite(Number(value))) effect.params[name] = Math.max(spec.min, Math.min(spec.max, Number(value)))
+      const mod = entry.mods?.[name]
+      const amount = Number(mod?.amount)
+      if (MODULATION_SOURCES.includes(mod?.source) && mod.source !== 'none' && Number.isFinite(amount) && amount !== 0) {
+        effect.mods[name] = { source: mod.source, amount: Math.max(-1, Math.min(1, amount)) }
+      }
+    }
+    effects.push(effect)
+  }
+  for (const type of Object.keys(POST_EFFECTS)) {
+    if (!seen.has(type)) effects.push(defaultEffect(type))
+  }
+  return { enabled: raw?.enabled !== false, effects }
+}
+
+export function isPostChainActive(chain) {
+  return !!chain?.enabled && chain.effects.some((effect) => effect.enabled)
+}
+
+// Colour grades baked into the LUTs, as functions of a linear 0..1 RGB triple.
+const luma = ([r, g, b]) => r * 0.2126 + g * 0.7152 + b * 0.0722
+const mixRgb = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t)
+const saturate = (c, s) => mixRgb([luma(c), luma(c), luma(c)], c, s)
+const contrast = (c, k) => c.map((v) => (v - 0.5) * k + 0.5)
+
+const LUT_GRADES = {
+  'teal-orange': (c) => {
+    const l = luma(c)
+    return mixRgb(mixRgb(c, [0.05, 0.35, 0.4], (1 - l) * 0.35), [1, 0.6, 0.3], l * l * 0.3)
+  },
+  warm: ([r, g, b]) => [r * 1.08 + 0.02, g * 1.02, b * 0.88],
+  cool: ([r, g, b]) => [r * 0.9, g * 1.0, b * 1.1 + 0.02],
+  bleach: (c) => contrast(saturate(c, 0.45), 1.25),
+  vintage: (c) => mixRgb(contrast(saturate(c, 0.7), 0.85), [0.45, 0.35, 0.25], 0.15).map((v, i) => v + [0.04, 0.02, 0][i]),
+  mono: (c) => contrast([luma(c), luma(c), luma(c)], 1.1),
+  vivid: (c) => contrast(saturate(c, 1.6), 1.1),
+}
+
+const LUT_SIZE = 16
+
+// A LUT_SIZE^3 colour cube as a 2D strip: blue picks the slice, red runs across it, green down.
+function createLutTexture(preset) {
+  const grade = LUT_GRADES[preset] || LUT_GRADES['teal-orange']
+  const n = LUT_SIZE
+  const data = new Uint8Array(n * n * n * 4)
+  for (let g = 0; g < n; g++) {
+    for (let b = 0; b < n; b++) {
+      for (let r = 0; r < n; r++) {
+        const out = grade([r / (n - 1), g / (n - 1), b / (n - 1)])
+        const i = (g * n * n + b * n + r) * 4
+        for (let k = 0; k < 3; k++) data[i + k] = Math.round(Math.max(0, Math.min(1, out[k])) * 255)
+        data[i + 3] = 255
+      }
+    }
+  }
+  const texture = new THREE.DataTexture(data, n * n, n)
+  texture.minFilter = THREE.LinearFilter
+  texture.magFilter = THREE.LinearFilter
+  texture.needsUpdate = true
+  return texture
+}
+
+const VERTEX_SHADER = /* glsl */ `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`
+
+// Shared by every pass: tInput is the previous stage of the chain. Each pass adds
+// its own uniforms (declared up front: three reads a material's uniform list once).
+const HEADER = /* glsl */ `
+  uniform sampler2D tInput;
+  uniform vec2 resolution;
+  uniform float time;
+  varying vec2 vUv;
+`
+
+const SHADERS = {
+  copy: {
+    uniforms: {},
+    fragment: `
+      void main() {
+        gl_FragColor = texture2D(tInput, vUv);
+      }
+    `,
+  },
+  bloomBright: {
+    uniforms: { threshold: 0.6 },
+    fragment: `
+      uniform float threshold;
+      void main() {
+        vec4 c = texture2D(tInput, vUv);
+        float l = dot(c.rgb, vec3(0.2126, 0.7152, 0.0722));
+        gl_FragColor = vec4(c.rgb * smoothstep(threshold, threshold + 0.1, l), 1.0);
+      }
+    `,
+  },
+  // 9-tap gaussian along `direction` (in texels of tInput).
+  bloomBlur: {
+    uniforms: { direction: new THREE.Vector2(1, 0) },
+    fragment: `
+      uniform vec2 direction;
+      void main() {
+        vec2 texel = direction / resolution;
+        vec3 sum = texture2D(tInput, vUv).rgb * 0.227027;
+        sum += (texture2D(tInput, vUv + texel * 1.3846).rgb + texture2D(tInput, vUv - texel * 1.3846).rgb) * 0.316216;
+        sum += (texture2D(tInput, vUv + texel * 3.2308).rgb + texture2D(tInput, vUv - texel * 3.2308).rgb) * 0.070270;
+        gl_FragColor = vec4(sum, 1.0);
+      }
+    `,
+  },
+  bloomCombine: {
+    uniforms: { tBloom: null, strength: 1 },
+    fragment: `
+      uniform sampler2D tBloom;
+      uniform float strength;
+      void main() {
+        vec4 c = texture2D(tInput, vUv);
+        gl_FragColor = vec4(c.rgb + texture2D(tBloom, vUv).rgb * strength, c.a);
+      }
+    `,
+  },
+  chromatic: {
+    uniforms: { amount: 0 },
+    fragment: `
+      uniform float amount;
+      void main() {
+        vec2 offset = (vUv - 0.5) * amount;
+        vec4 c = texture2D(tInput, vUv);
+        gl_FragColor = vec4(texture2D(tInput, vUv + offset).r, c.g, texture2D(tInput, vUv - offset).b, c.a);
+      }
+    `,
+  },
+  grain: {
+    uniforms: { amount: 0 },
+    fragment: `
+      uniform float amount;
+      float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+      }
+      void main() {
+        vec4 c = texture2D(tInput, vUv);
+        float n = hash(floor(vUv * resolution) + fract(time * 0.001) * 1000.0) - 0.5;
+        gl_FragColor = vec4(c.rgb + n * amount, c.a);
+      }
+    `,
+  },
+  kaleidoscope: {
+    uniforms: { segments: 6, rotation: 0 },
+    fragment: `
+      uniform float segments;
+      uniform float rotation;
+      void main() {
+        float aspect = resolution.x / resolution.y;
+        vec2 p = (vUv - 0.5) * vec2(aspect, 1.0);
+        float slice = 6.28318530718 / max(2.0, floor(segments));
+        float a = mod(atan(p.y, p.x) + rotation * 6.28318530718, slice);
+        a = abs(a - slice * 0.5);
+        p = vec2(cos(a), sin(a)) * length(p);
+        gl_FragColor = texture2D(tInput, p / vec2(aspect, 1.0) + 0.5);
+      }
+    `,
+  },
+  feedback: {
+    uniforms: { tHistory: null, decay: 0, zoom: 1, rotation: 0 },
+    fragment: `
+      uniform sampler2D tHistory;
+      uniform float decay;
+      uniform float zoom;
+      uniform float rotation;
+      void main() {
+        vec2 p = (vUv - 0.5) / zoom;
+        float s = sin(rotation);
+        float c = cos(rotation);
+        p = mat2(c, -s, s, c) * p + 0.5;
+        vec4 current = texture2D(tInput, vUv);
+        vec4 trail = texture2D(tHistory, p) * decay;
+        gl_FragColor = max(current, trail);
+      }
+    `,
+  },
+  lut: {
+    uniforms: { tLut: null, lutSize: 16, intensity: 1 },
+    fragment: `
+      uniform sampler2D tLut;
+      uniform float lutSize;
+      uniform float intensity;
+      vec3 grade(vec3 c) {
+        float n = lutSize;
+        float b = clamp(c.b, 0.0, 1.0) * (n - 1.0);
+        float b0 = floor(b);
+        float b1 = min(b0 + 1.0, n - 1.0);
+        float x = clamp(c.r, 0.0, 1.0) * (n - 1.0) + 0.5;
+        float y = (clamp(c.g, 0.0, 1.0) * (n - 1.0) + 0.5) / n;
+        vec3 c0 = texture2D(tLut, vec2((b0 * n + x) / (n * n), y)).rgb;
+        vec3 c1 = texture2D(tLut, vec2((b1 * n + x) / (n * n), y)).rgb;
+        return mix(c0, c1, b - b0);
+      }
+      void main() {
+        vec4 c = texture2D(tInput, vUv);
+        gl_FragColor = vec4(mix(c.rgb, grade(c.rgb), intensity), c.a);
+      }
+    `,
+  },
+  vignette: {
+    uniforms: { amount: 0, softness: 0.5 },
+    fragment: `
+      uniform float amount;
+      uniform float softness;
+      void main() {
+        vec4 c = texture2D(tInput, vUv);
+        float d = length((vUv - 0.5) * vec2(resolution.x / resolution.y, 1.0));
+        float v = smoothstep(0.8, 0.8 - softness, d);
+        gl_FragColor = vec4(c.rgb * mix(1.0, v, amount), c.a);
+      }
+    `,
+  },
+  rgbShift: {
+    uniforms: { amount: 0, angle: 0 },
+    fragment: `
+      uniform float amount;
+      uniform float angle;
+      void main() {
+        vec2 offset = amount * vec2(cos(angle * 6.28318530718), sin(angle * 6.28318530718));
+        vec4 c = texture2D(tInput, vUv);
+        gl_FragColor = vec4(texture2D(tInput, vUv + offset).r, c.g, texture2D(tInput, vUv - offset).b, c.a);
+      }
+    `,
+  },
+}
+
+export default class PostProcessor {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   */
+  constructor(renderer) {
+    this.renderer = renderer
+    this._size = new THREE.Vector2()
+    this._input = createStageTarget()
+    this._targets = [createStageTarget(), createStageTarget()]
+    this._history = [createStageTarget(), createStageTarget()] // feedback trails: [previous, next]
+    this._bloom = [createStageTarget(), createStageTarget()] // half resolution
+    this._blurX = new THREE.Vector2()
+    this._blurY = new THREE.Vector2()
+    this._lut = { preset: null, texture: null }
+    this._modState = new Map() // `${type}.${param}` -> { level }
+
+    this._materials = {}
+    for (const [name, { uniforms, fragment }] of Object.entries(SHADERS)) {
+      this._materials[name] = new THREE.ShaderMaterial({
+        uniforms: {
+          tInput: { value: null },
+          resolution: { value: new THREE.Vector2(1, 1) },
+          time: { value: 0 },
+          ...Object.fromEntries(Object.entries(uniforms).map(([key, value]) => [key, { value }])),
+        },
+        vertexShader: VERTEX_SHADER,
+        fragmentShader: HEADER + fragment,
+        depthTest: false,
+        depthWrite: false,
+      })
+    }
+    this._quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this._materials.copy)
+    this._quad.frustumCulled = false
+    this._scene = new THREE.Scene()
+    this._scene.add(this._quad)
+    this._camera = new THREE.Camera()
+  }
+
+  /**
+   * Where the frame is rendered when the chain is active; sized to the drawing buffer.
+   * @returns {THREE.WebGLRenderTarget}
+   */
+  getInputTarget() {
+    this.renderer.getDrawingBufferSize(this._size)
+    const { x, y } = this._size
+    for (const target of [this._input, ...this._targets, ...this._history]) {
+      if (target.width !== x || target.height !== y) target.setSize(x, y)
+    }
+    const hx = Math.max(1, Math.round(x / 2))
+    const hy = Math.max(1, Math.round(y / 2))
+    for (const target of this._bloom) {
+      if (target.width !== hx || target.height !== hy) target.setSize(hx, hy)
+    }
+    return this._input
+  }
+
+  /**
+   * Runs the enabled effects of `chain` over the input target and draws the result.
+   * @param {Object} chain See normalizePostChain().
+   * @param {Object|null} audioData The object App.update() passes to visualizers.
+   * @param {number} time ms, for animated effects (film grain).
+   * @param {THREE.WebGLRenderTarget|null} [output=null] null = the screen.
+   */
+  render(chain, audioData, time, output = null) {
+    const effects = chain.effects.filter((effect) => effect.enabled)
+    let source = this._input
+    effects.forEach((effect, i) => {
+      const last = i === effects.length - 1
+      const target = last ? output : this._targets[source === this._targets[0] ? 1 : 0]
+      source = this._renderEffect(effect, this._resolveParams(effect, audioData), source, target, time)
+    })
+    // No effects, or feedback last: its result is in its history target.
+    if (source !== output) this._pass('copy', {}, source, output, time)
+  }
+
+  // Base values plus modulation, clamped to each parameter's range.
+  _resolveParams(effect, audioData) {
+    const values = { ...effect.params }
+    for (const [name, mod] of Object.entries(effect.mods)) {
+      const spec = POST_EFFECTS[effect.type].params[name]
+      const key = `${effect.type}.${name}`
+      if (!this._modState.has(key)) this._modState.set(key, { level: 0 })
+      const level = followModulationSource(this._modState.get(key), mod.source, audioData)
+      values[name] = Math.max(spec.min, Math.min(spec.max, values[name] + mod.amount * (spec.max - spec.min) * level))
+    }
+    return values
+  }
+
+  // Renders one effect from `source` into `target`; returns where its result ended up.
+  _renderEffect(effect, params, source, target, time) {
+    switch (effect.type) {
+      case 'bloom': {
+        const [a, b] = this._bloom
+        const spread = 1 + params.radius * 3
+        this._pass('bloomBright', { threshold: params.threshold }, source, a, time)
+        this._pass('bloomBlur', { direction: this._blurX.set(spread, 0) }, a, b, time)
+        this._pass('bloomBlur', { direction: this._blurY.set(0, spread) }, b, a, time)
+        this._pass('bloomCombine', { tBloom: a.texture, strength: params.strength }, source, target, time)
+        return target
+      }
+      case 'feedback': {
+        // The result is also next frame's history, so it is rendered there first.
+        const [previous, next] = this._history
+        this._pass('feedback', { tHistory: previous.texture, ...params }, source, next, time)
+        this._history = [next, previous]
+        return next
+      }
+      case 'lut':
+        return this._pass('lut', { tLut: this._getLut(params.preset), lutSize: LUT_SIZE, intensity: params.intensity }, source, target, time)
+      default:
+        return this._pass(effect.type, params, source, target, time)
+    }
+  }
+
+  _getLut(preset) {
+    if (this._lut.preset !== preset) {
+      this._lut.texture?.dispose()
+      this._lut = { preset, texture: createLutTexture(preset) }
+    }
+    return this._lut.texture
+  }
+
+  _pass(name, values, source, target, time) {
+    const material = this._materials[name]
+    const uniforms = material.uniforms
+    uniforms.tInput.value = source.texture
+    uniforms.resolution.value.set(source.width, source.height)
+    uniforms.time.value = time
+    for (const [key, value] of Object.entries(values)) {
+      if (uniforms[key]) uniforms[key].value = value
+    }
+    this._quad.material = material
+
+    const renderer = this.renderer
+    renderer.setRenderTarget(target)
+    renderer.render(this._scene, this._camera)
+    renderer.setRenderTarget(null)
+    return target
+  }
+
+  dispose() {
+    for (const target of [this._input, ...this._targets, ...this._history, ...this._bloom]) target.dispose()
+    this._lut.texture?.dispose()
+    Object.values(this._materials).forEach((material) => material.dispose())
+    this._quad.geometry.dispose()
+  }
+}
@@ -0,0 +1,233 @@
+import * as THREE from 'three'
+
+/**
+ * TransitionRenderer – blends an outgoing and an incoming visualizer.
+ *
+ * Each side is a "stage": its own scene, camera and holder plus the visualizer
+ * living in it (see App._createStage()). Three.js content is rendered into a
+ * per-stage render target; visualizers that draw into their own DOM canvas
+ * (Butterchurn, 2D overlay entities) are sampled through a CanvasTexture and
+ * laid over their stage's scene. A fullscreen pass then mixes both stages.
+ */
+
+export const TRANSITION_MODES = ['cut', 'crossfade', 'dissolve', 'wipe', 'zoom-blur']
+
+const MODE_INDEX = { crossfade: 0, dissolve: 1, wipe: 2, 'zoom-blur': 3 }
+
+const VERTEX_SHADER = /* glsl */ `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`
+
+const FRAGMENT_SHADER = /* glsl */ `
+  uniform sampler2D tFrom;
+  uniform sampler2D tTo;
+  uniform sampler2D tFromOverlay;
+  uniform sampler2D tToOverlay;
+  uniform float fromHasOverlay;
+  uniform float toHasOverlay;
+  uniform float progress;
+  uniform int mode;
+  uniform vec2 resolution;
+  varying vec2 vUv;
+
+  vec4 over(vec4 top, vec4 bottom) {
+    return vec4(mix(bottom.rgb, top.rgb, top.a), top.a + bottom.a * (1.0 - top.a));
+  }
+
+  vec4 sampleFrom(vec2 uv) {
+    vec4 c = texture2D(tFrom, uv);
+    return fromHasOverlay > 0.5 ? over(texture2D(tFromOverlay, uv), c) : c;
+  }
+
+  vec4 sampleTo(vec2 uv) {
+    vec4 c = texture2D(tTo, uv);
+    return toHasOverlay > 0.5 ? over(texture2D(tToOverlay, uv), c) : c;
+  }
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+  }
+
+  // Radial blur towards the centre; strength 0 is a plain sample.
+  vec4 zoomBlur(vec2 uv, float strength, bool outgoing) {
+    vec2 dir = uv - 0.5;
+    vec4 acc = vec4(0.0);
+    for (int i = 0; i < 16; i++) {
+      float s = 1.0 - strength * float(i) / 15.0;
+      vec2 p = 0.5 + dir * s;
+      acc += outgoing ? sampleFrom(p) : sampleTo(p);
+    }
+    return acc / 16.0;
+  }
+
+  void main() {
+    float p = clamp(progress, 0.0, 1.0);
+
+    if (mode == 1) {
+      // Dissolve: blocky noise threshold with a soft edge
+      float n = hash(floor(vUv * resolution / 4.0));
+      float t = smoothstep(n - 0.08, n + 0.08, p * 1.16 - 0.08);
+      gl_FragColor = mix(sampleFrom(vUv), sampleTo(vUv), t);
+    } else if (mode == 2) {
+      // Wipe: left to right with a soft edge
+      float edge = 0.06;
+      float t = 1.0 - smoothstep(p * (1.0 + edge) - edge, p * (1.0 + edge), vUv.x);
+      gl_FragColor = mix(sampleFrom(vUv), sampleTo(vUv), t);
+    } else if (mode == 3) {
+      // Zoom blur: outgoing rushes in while blurring, incoming settles out of the blur
+      float blur = sin(p * 3.14159265) * 0.35;
+      vec2 dir = vUv - 0.5;
+      vec4 a = zoomBlur(0.5 + dir / (1.0 + p * 0.6), blur, true);
+      vec4 b = zoomBlur(0.5 + dir * (1.0 + (1.0 - p) * 0.6), blur, false);
+      gl_FragColor = mix(a, b, smoothstep(0.35, 0.65, p));
+    } else {
+      gl_FragColor = mix(sampleFrom(vUv), sampleTo(vUv), p);
+    }
+  }
+`
+
+// Stage targets rely on three internals, which is why package.json pins three to 0.158.0:
+// WebGLRenderer only applies the output colour space and tone mapping when drawing to the
+// canvas or to a target flagged `isXRRenderTarget` (then in the target texture's colour
+// space); any other target gets linear values. Stages must hold what the canvas would
+// show, because raw shader visualizers write display values with no conversion while
+// three's materials convert: the two can share a stage, so the blend pass can't convert
+// for them. Check createStageTarget() against WebGLRenderer (getProgram() / setProgram()
+// `outputColorSpace`, and setupRenderTarget()'s internal format) before moving the pin.
+
+// Shared with LayerCompositor, whose layers are stages too.
+export function createStageTarget() {
+  const target = new THREE.WebGLRenderTarget(1, 1, { depthBuffer: true })
+  // Render stages exactly as they would appear on screen (see above): flag the target as
+  // an XR one and keep plain RGBA8 storage (no sRGB hardware conversion).
+  target.isXRRenderTarget = true
+  target.texture.colorSpace = THREE.SRGBColorSpace
+  target.texture.internalFormat = 'RGBA8'
+  return target
+}
+
+export default class TransitionRenderer {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   */
+  constructor(renderer) {
+    this.renderer = renderer
+    this._size = new THREE.Vector2()
+    this._targets = [createStageTarget(), createStageTarget()]
+    this._overlays = [null, null] // CanvasTexture per side, created on demand
+    this._black = new THREE.DataTexture(new Uint8Array([0, 0, 0, 0]), 1, 1)
+    this._black.needsUpdate = true
+
+    this._material = new THREE.ShaderMaterial({
+      uniforms: {
+        tFrom: { value: this._targets[0].texture },
+        tTo: { value: this._targets[1].texture },
+        tFromOverlay: { value: this._black },
+        tToOverlay: { value: this._black },
+        fromHasOverlay: { value: 0 },
+        toHasOverlay: { value: 0 },
+        progress: { value: 0 },
+        mode: { value: 0 },
+        resolution: { value: new THREE.Vector2(1, 1) },
+      },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      depthTest: false,
+      depthWrite: false,
+    })
+    this._quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this._material)
+    this._quad.frustumCulled = false
+    this._scene = new THREE.Scene()
+    this._scene.add(this._quad)
+    this._camera = new THREE.Camera()
+  }
+
+  /**
+   * DOM canvas a visualizer draws into instead of the shared Three.js canvas, if any.
+   */
+  static getOutputCanvas(visualizer) {
+    const canvas = visualizer?.outputCanvas ?? visualizer?.canvas
+    return canvas instanceof HTMLCanvasElement && canvas.isConnected ? canvas : null
+  }
+
+  /**
+   * Renders one side of the transition (0 = outgoing, 1 = incoming).
+   * The caller must have made the stage's scene/camera/holder current.
+   * @param {0|1} side
+   * @param {{ scene: THREE.Scene, camera: THREE.Camera, visualizer: Object }} stage
+   */
+  renderStage(side, stage) {
+    const renderer = this.renderer
+    renderer.getDrawingBufferSize(this._size)
+    const target = this._targets[side]
+    if (target.width !== this._size.x || target.height !== this._size.y) {
+      target.setSize(this._size.x, this._size.y)
+    }
+
+    renderer.setRenderTarget(target)
+    renderer.clear(true, true, true)
+    if (!stage.visualizer?.rendersSelf) {
+      renderer.render(stage.scene, stage.camera)
+    }
+    renderer.setRenderTarget(null)
+
+    const canvas = TransitionRenderer.getOutputCanvas(stage.visualizer)
+    const uniforms = this._material.uniforms
+    const overlayUniform = side === 0 ? uniforms.tFromOverlay : uniforms.tToOverlay
+    const hasOverlayUniform = side === 0 ? uniforms.fromHasOverlay : uniforms.toHasOverlay
+    if (canvas) {
+      let texture = this._overlays[side]
+      if (!texture || texture.image !== canvas) {
+        texture?.dispose()
+        texture = this._overlays[side] = new THREE.CanvasTexture(canvas)
+        texture.minFilter = THREE.LinearFilter
+        texture.generateMipmaps = false
+      }
+      texture.needsUpdate = true
+      overlayUniform.value = texture
+      hasOverlayUniform.value = 1
+    } else {
+      overlayUniform.value = this._black
+      hasOverlayUniform.value = 0
+    }
+  }
+
+  /**
+   * Draws the blend of both stages to the screen.
+   * @param {string} mode One of TRANSITION_MODES (other than 'cut').
+   * @param {number} progress 0 (outgoing only) .. 1 (incoming only).
+   * @param {THREE.WebGLRenderTarget|null} [output=null] null = the screen.
+   */
+  composite(mode, progress, output = null) {
+    const uniforms = this._material.uniforms
+    uniforms.mode.value = MODE_INDEX[mode] ?? 0
+    uniforms.progress.value = progress
+    uniforms.resolution.value.copy(this._size)
+
+    const renderer = this.renderer
+    renderer.setRenderTarget(output)
+    renderer.clear(true, true, true)
+    renderer.render(this._scene, this._camera)
+    renderer.setRenderTarget(null)
+  }
+
+  // Drops the canvas textures so finished stages' canvases can be collected.
+  release() {
+    this._overlays.forEach((t) => t?.dispose())
+    this._overlays = [null, null]
+    this._material.uniforms.tFromOverlay.value = this._black
+    this._material.uniforms.tToOverlay.value = this._black
+  }
+
+  dispose() {
+    this.release()
+    this._targets.forEach((t) => t.dispose())
+    this._black.dispose()
+    this._material.dispose()
+    this._quad.geometry.dispose()
+  }
+}
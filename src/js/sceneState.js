@@ -0,0 +1,169 @@
+/**
+ * Scene state – everything needed to reproduce a setup on another machine:
+ * visualizer, its GUI properties, shader control values, FV3 spectrum-filter
+ * controls, layers, post effects, modulation bindings, quality settings and
+ * track / time.
+ *
+ * App builds and applies the state (App.getSceneState() / applySceneState());
+ * this module only validates it and converts it to and from the two portable
+ * forms: a `#scene=…` URL hash and a `.scene.json` file.
+ */
+
+import { normalizeLayerSettings } from './rendering/LayerCompositor'
+import { normalizePostChain } from './rendering/PostProcessor'
+import { normalizeModulationBinding } from './managers/ModulationManager'
+
+export const SCENE_VERSION = 1
+export const SCENE_HASH_PARAM = 'scene'
+export const SCENE_FILE_EXTENSION = '.scene.json'
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v)
+const isPrimitive = (v) => (typeof v === 'number' && Number.isFinite(v)) || typeof v === 'string' || typeof v === 'boolean'
+
+// Keeps only number / string / boolean values (GUI properties, uniforms and FV3 controls are all flat).
+function primitives(obj) {
+  if (!isPlainObject(obj)) return null
+  const out = Object.fromEntries(Object.entries(obj).filter(([, v]) => isPrimitive(v)))
+  return Object.keys(out).length ? out : null
+}
+
+/**
+ * Validates a scene from a file / URL; unknown or malformed parts are dropped.
+ * @returns {Object|null} null when there is no usable visualizer name.
+ */
+export function normalizeSceneState(raw) {
+  if (!isPlainObject(raw) || typeof raw.visualizer !== 'string' || !raw.visualizer) return null
+  if (Number(raw.version) > SCENE_VERSION) {
+    console.warn(`[Visualizer] Scene version ${raw.version} is newer than supported (${SCENE_VERSION}); loading what is understood`)
+  }
+
+  const scene = { version: SCENE_VERSION, visualizer: raw.visualizer }
+  const properties = primitives(raw.properties)
+  if (properties) scene.properties = properties
+  const shaderUniforms = primitives(raw.shaderUniforms)
+  if (shaderUniforms) scene.shaderUniforms = shaderUniforms
+
+  if (isPlainObject(raw.spectrumFilter)) {
+    const params = primitives(raw.spectrumFilter.params)
+    if (params) {
+      scene.spectrumFilter = { preset: typeof raw.spectrumFilter.preset === 'string' ? raw.spectrumFilter.preset : null, params }
+    }
+  }
+
+  if (Array.isArray(raw.layers)) {
+    const layers = raw.layers.map((layer) => normalizeLayerSettings(layer)).filter(Boolean)
+    if (layers.length) scene.layers = layers
+  }
+
+  if (isPlainObject(raw.post)) scene.post = normalizePostChain(raw.post)
+
+  if (Array.isArray(raw.modulation)) {
+    // Targets are only known once the visualizer runs; their ranges are checked then.
+    const modulation = raw.modulation.map((binding) => normalizeModulationBinding(binding)).filter(Boolean)
+    if (modulation.length) scene.modulation = modulation.map(({ id, ...binding }) => binding)
+  }
+
+  if (isPlainObject(raw.quality)) {
+    const quality = {}
+    if (typeof raw.quality.antialias === 'boolean') quality.antialias = raw.quality.antialias
+    const pixelRatio = Number(raw.quality.pixelRatio)
+    if (Number.isFinite(pixelRatio) && pixelRatio > 0) quality.pixelRatio = pixelRatio
+    if (Object.keys(quality).length) scene.quality = quality
+  }
+
+  if (isPlainObject(raw.track)) {
+    const str = (v) => (typeof v === 'string' && v ? v : null)
+    const position = Number(raw.track.position)
+    scene.track = {
+      url: str(raw.track.url),
+      title: str(raw.track.title),
+      artist: str(raw.track.artist),
+      position: Number.isFinite(position) && position >= 0 ? position : 0,
+    }
+  }
+  return scene
+}
+
+function toBase64Url(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0))
+}
+
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform)
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Encodes a scene for a URL hash: `z.<base64url(deflate(json))>`, or `j.<base64url(json)>`
+ * where CompressionStream isn't available.
+ * @returns {Promise<string>}
+ */
+export async function encodeScene(scene) {
+  const json = new TextEncoder().encode(JSON.stringify(scene))
+  if (typeof CompressionStream === 'function') {
+    return `z.${toBase64Url(await pipe(json, new CompressionStream('deflate-raw')))}`
+  }
+  return `j.${toBase64Url(json)}`
+}
+
+/**
+ * Decodes encodeScene() output.
+ * @returns {Promise<Object|null>} The normalized scene, or null when it can't be read.
+ */
+export async function decodeScene(text) {
+  try {
+    const [format, data] = [String(text).slice(0, 2), String(text).slice(2)]
+    let bytes = fromBase64Url(data)
+    if (format === 'z.') bytes = await pipe(bytes, new DecompressionStream('deflate-raw'))
+    else if (format !== 'j.') return null
+    return normalizeSceneState(JSON.parse(new TextDecoder().decode(bytes)))
+  } catch (error) {
+    console.warn('[Visualizer] Could not decode scene:', error)
+    return null
+  }
+}
+
+/**
+ * The encoded scene in a URL hash (`#scene=…`, also alongside other hash params).
+ * @param {string} hash e.g. window.location.hash
+ * @returns {string|null}
+ */
+export function getSceneParam(hash) {
+  const text = String(hash || '').replace(/^#\??/, '')
+  return new URLSearchParams(text).get(SCENE_HASH_PARAM)
+}
+
+/**
+ * Shareable URL: `base` with `#scene=…` as its hash.
+ * @param {Object} scene
+ * @param {string} [base] Defaults to the current page without hash.
+ */
+export async function createSceneUrl(scene, base = window.location.href) {
+  const url = new URL(base)
+  url.hash = `${SCENE_HASH_PARAM}=${await encodeScene(scene)}`
+  return url.toString()
+}
+
+export function sceneToJson(scene) {
+  return JSON.stringify(scene, null, 2)
+}
+
+/**
+ * @param {string} text Contents of a scene file.
+ * @returns {Object|null}
+ */
+export function sceneFromJson(text) {
+  try {
+    return normalizeSceneState(JSON.parse(text))
+  } catch (error) {
+    console.warn('[Visualizer] Invalid scene file:', error)
+    return null
+  }
+}
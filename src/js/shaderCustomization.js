@@ -3,6 +3,8 @@
  * Loads optional config files for shaders and creates lil-gui controls
  */
 
+import { normalizeChannelBinding } from './visualizers/shadertoyImport'
+
 /**
  * Dynamically load shader config if it exists
  * @param {string} shaderFileName - The shader file name (e.g., 'reactive-radial-ripples.glsl')
@@ -84,6 +86,59 @@ export function injectUniforms(source, config) {
   return lines.join('\n')
 }
 
+/**
+ * Resolve a config's media path: relative paths point into `public/` (served under the app's base URL)
+ * @param {string} src - e.g. 'img/wood.jpg', or an absolute / data URL
+ * @returns {string}
+ */
+function resolveConfigMediaUrl(src) {
+  const url = String(src)
+  if (/^([a-z][\w+.-]*:|\/)/i.test(url)) return url
+  return `${import.meta.env.BASE_URL}${url.replace(/^\.\//, '')}`
+}
+
+/**
+ * Channel inputs declared in a shader config's `channels` (see README.md in src/shaders-config),
+ * as bindings by pass name. Channels the config leaves out keep the visualizer's conventions.
+ * @param {Object} config - Shader config object
+ * @returns {Object<string, Array<Object|null>>|null}
+ */
+export function getConfigChannels(config) {
+  const declared = config?.channels
+  if (!declared || typeof declared !== 'object') return null
+
+  // `channels: [...]` is shorthand for the Image pass.
+  const byPass = Array.isArray(declared) ? { Image: declared } : declared
+  const out = {}
+  for (const [pass, list] of Object.entries(byPass)) {
+    if (!list || typeof list !== 'object') continue
+    out[pass] = [0, 1, 2, 3].map((ch) => {
+      const entry = Array.isArray(list) ? list[ch] : list[`iChannel${ch}`] ?? list[ch]
+      if (entry === undefined || entry === null) return { type: 'auto' }
+      const { type, pass: bufferPass, src, filter, wrap, vflip, sampler } = typeof entry === 'string' ? { type: entry } : entry
+      const binding = normalizeChannelBinding({
+        type,
+        pass: bufferPass,
+        src: Array.isArray(src) ? src.map(resolveConfigMediaUrl) : src && resolveConfigMediaUrl(src),
+        sampler: sampler || { filter, wrap, vflip },
+      })
+      if (!binding) console.warn(`[ShaderControls] ${config.name || 'Shader config'}: ignoring ${pass} iChannel${ch} input`, entry)
+      return binding || { type: 'auto' }
+    })
+  }
+  return Object.keys(out).length ? out : null
+}
+
+/**
+ * localStorage key holding the user's value for one of a shader config's controls
+ * @param {Object} config - The shader config
+ * @param {string} uniform - The control's uniform name
+ * @returns {string}
+ */
+export function getShaderControlStorageKey(config, uniform) {
+  return `shaderConfig:${config.name}:${uniform}`
+}
+
 /**
  * Create lil-gui controls for a shader based on its config
  * @param {GUI} gui - The lil-gui instance
@@ -98,7 +153,6 @@ export function createShaderControls(gui, visualizer, config) {
 
   const folder = gui.addFolder(config.name || 'Shader Settings')
   const params = {}
-  const storageKeyPrefix = `shaderConfig:${config.name}:`
 
   for (const control of config.controls) {
     if (control.type === 'select') {
@@ -109,7 +163,7 @@ export function createShaderControls(gui, visualizer, config) {
       })
 
       // Load saved value from localStorage or use default
-      const storageKey = storageKeyPrefix + control.uniform
+      const storageKey = getShaderControlStorageKey(config, control.uniform)
       const savedValue = localStorage.getItem(storageKey)
       const initialValue = savedValue !== null ? parseInt(savedValue, 10) : control.default
 
@@ -137,7 +191,7 @@ export function createShaderControls(gui, visualizer, config) {
       }
     } else if (control.type === 'slider') {
       // Load saved value from localStorage or use default
-      const storageKey = storageKeyPrefix + control.uniform
+      const storageKey = getShaderControlStorageKey(config, control.uniform)
       const savedValue = localStorage.getItem(storageKey)
       const initialValue = savedValue !== null ? parseFloat(savedValue) : control.default
 
@@ -12,12 +12,19 @@ import App from '../App'
  *
  * Audio:
  *   In standalone mode we connect Butterchurn to App.audioManager.analyserNode,
- *   which feeds time-domain data through the normal Web Audio pipeline.
+ *   which feeds time-domain data through the normal Web Audio pipeline; the
+ *   analyser passes the source's channels through, so Butterchurn's own splitter
+ *   sees true left/right signals.
  *
  *   In bridge mode the real AnalyserNodes carry silence (neutered source), so
- *   instead we read the bridge's frequency data and synthesise a waveform that
- *   we pass directly to butterchurn via its render({ audioLevels }) API.  This
- *   bypasses the Web Audio graph entirely.
+ *   instead we read the bridge's waveforms (per channel when the bridge sends
+ *   stereo data, otherwise synthesised from its spectrum) and pass them directly
+ *   to butterchurn via its render({ audioLevels }) API.  This bypasses the Web
+ *   Audio graph entirely.
+ *
+ *   During offline video export the analysers are stand-ins reading a decoded
+ *   buffer (see analysis/OfflineAnalyser.js) with nothing flowing through the
+ *   graph, so their waveforms are passed the same way.
  */
 
 // Detect bridge mode (URL params set by bridge-integration.js)
@@ -40,10 +47,16 @@ export default class ButterchurnVisualizer {
     this._canvas = null       // our output <canvas>
     this._raf = null          // requestAnimationFrame id (not used – App drives update())
     this._resizeHandler = null
+    this._outputSize = null // fixed render size while set, see setOutputSize()
   }
 
   /* ──────────────────── Visualizer interface ──────────────────── */
 
+  // Canvas butterchurn draws into; App samples it while transitioning between visualizers.
+  get outputCanvas() {
+    return this._canvas
+  }
+
   init() {
     const audioCtx = App.audioManager?.audioContext ?? null
     const w = window.innerWidth
@@ -98,26 +111,36 @@ export default class ButterchurnVisualizer {
   update() {
     if (!this._visualizer) return
 
+    // Butterchurn's AudioProcessor uses fftSize = 1024 (numSamps * 2).
+    // Query it at runtime so we stay correct if butterchurn ever changes.
+    const bcFft = this._visualizer?.audio?.fftSize || 1024
+
+    const audioManager = App.audioManager
+    if (audioManager?.offline) {
+      // The most recent bcFft samples, like butterchurn's own analysers would hold.
+      const read = (analyser) => {
+        if (!analyser) return null
+        const data = new Uint8Array(analyser.fftSize)
+        analyser.getByteTimeDomainData(data)
+        return data.length > bcFft ? data.subarray(data.length - bcFft) : data
+      }
+      const wave = read(audioManager.analyserNode)
+      this._renderWaveforms(wave, read(audioManager.analyserLeft) || wave, read(audioManager.analyserRight) || wave)
+      return
+    }
+
     if (_isBridgeMode) {
       // In bridge mode the real Web Audio pipeline carries silence.
       // Read the bridge's frequency data and synthesise a time-domain waveform
       // that butterchurn can use for its FFT + audio-level calculations.
       const bridgeTime = window.__bridgeTimeArray // set by bridge-integration.js
       if (bridgeTime && bridgeTime.length) {
-        // Butterchurn's AudioProcessor uses fftSize = 1024 (numSamps * 2).
-        // Query it at runtime so we stay correct if butterchurn ever changes.
-        const bcFft = this._visualizer?.audio?.fftSize || 1024
-        const wave = bridgeTime.length > bcFft
-          ? bridgeTime.subarray(0, bcFft)
-          : bridgeTime
-
-        this._visualizer.render({
-          audioLevels: {
-            timeByteArray: wave,
-            timeByteArrayL: wave,
-            timeByteArrayR: wave,
-          }
-        })
+        const fit = (arr) => (arr.length > bcFft ? arr.subarray(0, bcFft) : arr)
+        const wave = fit(bridgeTime)
+        // Per-channel waveforms; they mirror the mono one when the bridge only sends mono.
+        const waveL = window.__bridgeTimeArrayL?.length ? fit(window.__bridgeTimeArrayL) : wave
+        const waveR = window.__bridgeTimeArrayR?.length ? fit(window.__bridgeTimeArrayR) : wave
+        this._renderWaveforms(wave, waveL, waveR)
         return
       }
     }
@@ -125,6 +148,17 @@ export default class ButterchurnVisualizer {
     this._visualizer.render()
   }
 
+  // Renders from explicit byte waveforms instead of the connected analyser.
+  _renderWaveforms(wave, waveL, waveR) {
+    this._visualizer.render({
+      audioLevels: {
+        timeByteArray: wave,
+        timeByteArrayL: waveL,
+        timeByteArrayR: waveR,
+      }
+    })
+  }
+
   destroy() {
     // Remove resize listener
     if (this._resizeHandler) {
@@ -174,10 +208,21 @@ export default class ButterchurnVisualizer {
 
   /* ──────────────────── Internal helpers ──────────────────── */
 
+  /**
+   * Renders at a fixed size instead of the window's (high-resolution snapshots);
+   * `null` goes back to following the window.
+   * @param {number|null} width
+   * @param {number} [height]
+   */
+  setOutputSize(width, height) {
+    this._outputSize = width ? { width, height } : null
+    this._onResize()
+  }
+
   _onResize() {
     if (!this._visualizer || !this._canvas) return
-    const w = window.innerWidth
-    const h = window.innerHeight
+    const w = this._outputSize?.width ?? window.innerWidth
+    const h = this._outputSize?.height ?? window.innerHeight
     this._canvas.width = w
     this._canvas.height = h
     this._visualizer.setRendererSize(w, h)
@@ -0,0 +1,121 @@
+import * as THREE from 'three'
+
+/**
+ * ShaderKeyboard – Shadertoy's keyboard input for shader channels bound to `keyboard`:
+ * a 256x3 texture indexed by key code (`event.keyCode`) with, in the red channel,
+ *
+ * - row 0: 255 while the key is held down;
+ * - row 1: 255 for the frame after the key went down;
+ * - row 2: toggled between 0 and 255 on every press.
+ *
+ * Keys the page already uses as shortcuts (see App.handleKeyDown(), which prevents their
+ * default action) stay shortcuts and the shader doesn't see them, and neither does it see
+ * typing in form fields. With exclusive focus the shader gets every key and no shortcut
+ * runs, until Escape gives the keys back.
+ */
+
+export const KEYBOARD_TEXTURE_WIDTH = 256
+export const KEYBOARD_TEXTURE_ROWS = 3
+
+const isFormElement = (target) => !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)
+
+export default class ShaderKeyboard extends THREE.EventDispatcher {
+  constructor() {
+    super()
+    this.data = new Uint8Array(KEYBOARD_TEXTURE_WIDTH * KEYBOARD_TEXTURE_ROWS * 4)
+    for (let i = 3; i < this.data.length; i += 4) this.data[i] = 255
+    this.texture = new THREE.DataTexture(this.data, KEYBOARD_TEXTURE_WIDTH, KEYBOARD_TEXTURE_ROWS, THREE.RGBAFormat, THREE.UnsignedByteType)
+    this.texture.minFilter = THREE.NearestFilter
+    this.texture.magFilter = THREE.NearestFilter
+    this.texture.needsUpdate = true
+
+    this.isExclusive = false
+    this._pressed = new Set() // went down since the last frame
+    this._shown = new Set() // pressed in the frame being shown
+
+    // Capture on window runs before every other key listener, so exclusive focus can stop
+    // them; otherwise the keys are read after the page's shortcuts had their turn.
+    this._onKeyDownCapture = (e) => this._handleKeyDownCapture(e)
+    this._onKeyDown = (e) => this._handleKeyDown(e)
+    this._onKeyUp = (e) => this._handleKeyUp(e)
+    this._onBlur = () => this.releaseAll()
+    window.addEventListener('keydown', this._onKeyDownCapture, { capture: true })
+    window.addEventListener('keydown', this._onKeyDown)
+    window.addEventListener('keyup', this._onKeyUp, { capture: true })
+    window.addEventListener('blur', this._onBlur)
+  }
+
+  /**
+   * Gives the shader every key (true) or only those the page doesn't use (false).
+   * Dispatches `focuschange` ({ focused }) when it changes.
+   */
+  setExclusive(exclusive) {
+    const next = !!exclusive
+    if (next === this.isExclusive) return
+    this.isExclusive = next
+    this.releaseAll()
+    this.dispatchEvent({ type: 'focuschange', focused: next })
+  }
+
+  /** Called once per frame before the passes render: ends the previous frame's presses. */
+  update() {
+    for (const code of this._shown) {
+      if (!this._pressed.has(code)) this._set(1, code, 0)
+    }
+    this._shown = this._pressed
+    this._pressed = new Set()
+  }
+
+  /** Lets go of every key held down (the window lost focus, focus changed hands). */
+  releaseAll() {
+    for (let code = 0; code < KEYBOARD_TEXTURE_WIDTH; code++) {
+      if (this.data[code * 4]) this._set(0, code, 0)
+    }
+  }
+
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDownCapture, { capture: true })
+    window.removeEventListener('keydown', this._onKeyDown)
+    window.removeEventListener('keyup', this._onKeyUp, { capture: true })
+    window.removeEventListener('blur', this._onBlur)
+    this.setExclusive(false)
+    this.texture.dispose()
+  }
+
+  _handleKeyDownCapture(e) {
+    if (!this.isExclusive || isFormElement(e.target)) return
+    e.preventDefault()
+    e.stopImmediatePropagation()
+    if (e.key === 'Escape') this.setExclusive(false)
+    else this._press(e.keyCode)
+  }
+
+  _handleKeyDown(e) {
+    if (this.isExclusive || e.defaultPrevented || isFormElement(e.target)) return
+    this._press(e.keyCode)
+  }
+
+  _handleKeyUp(e) {
+    if (this.isExclusive && !isFormElement(e.target)) {
+      e.preventDefault()
+      e.stopImmediatePropagation()
+    }
+    if (e.keyCode < KEYBOARD_TEXTURE_WIDTH) this._set(0, e.keyCode, 0)
+  }
+
+  _press(code) {
+    // Auto-repeat only keeps the key down.
+    if (!(code > 0 && code < KEYBOARD_TEXTURE_WIDTH) || this.data[code * 4]) return
+    this._set(0, code, 255)
+    this._set(1, code, 255)
+    this._set(2, code, this.data[(2 * KEYBOARD_TEXTURE_WIDTH + code) * 4] ? 0 : 255)
+    this._pressed.add(code)
+  }
+
+  _set(row, code, value) {
+    const i = (row * KEYBOARD_TEXTURE_WIDTH + code) * 4
+    if (this.data[i] === value) return
+    this.data[i] = value
+    this.texture.needsUpdate = true
+  }
+}
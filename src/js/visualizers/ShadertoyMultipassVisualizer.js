@@ -1,5 +1,8 @@
 import * as THREE from 'three'
 import App from '../App'
+import { injectUniforms } from '../shaderCustomization'
+import { SHADER_SOUND_BLOCK_SIZE } from '../audio/ShaderSound'
+import ShaderKeyboard from './ShaderKeyboard'
 
 function fileBaseName(filePath) {
   const parts = String(filePath).split('/')
@@ -20,75 +23,89 @@ function niceTitleFromFile(filePath) {
   return base
 }
 
+// Lines of `code` with the 1-based line of the file each one is on (null: generated code).
+function sourceLineEntries(code, line) {
+  return String(code).split('\n').map((text, i) => ({ text, line: line == null ? null : line + i }))
+}
+
 function parseShaderSections(source, debugName = 'shader') {
   const text = String(source ?? '')
   const lines = text.split(/\r?\n/)
 
-  /** @type {{ name: string, code: string }[]} */
+  /** @type {{ name: string, code: string, line: number }[]} */
   const sections = []
 
   let currentName = '__implicit__'
   let currentLines = []
+  let currentStart = 1 // file line of currentLines[0]
 
   const flush = () => {
     const code = currentLines.join('\n').trimEnd()
     if (code.trim().length > 0) {
-      sections.push({ name: currentName, code })
+      sections.push({ name: currentName, code, line: currentStart })
     }
     currentLines = []
   }
 
-  for (const line of lines) {
-    const m = line.match(/^\s*\/\/\s*#\s*(.+?)\s*$/)
+  lines.forEach((line, i) => {
+    // Only pass names count as markers: `//#define X` is a commented-out directive.
+    const m = line.match(/^\s*\/\/\s*#\s*((?:common|image|sound|buffer\s*[a-d]|cube\s*a)\b.*?)\s*$/i)
     if (m) {
       flush()
       currentName = m[1]
-      continue
+      currentStart = i + 2
+      return
     }
     currentLines.push(line)
-  }
+  })
   flush()
 
   // No markers: whole file is one Image pass.
   if (sections.length === 1 && sections[0].name === '__implicit__') {
     return {
       common: '',
-      passes: [{ name: 'Image', code: sections[0].code }],
+      commonLines: [],
+      passes: [{ name: 'Image', code: sections[0].code, line: sections[0].line }],
       debugName,
     }
   }
 
   let common = ''
+  const commonLines = []
   const passes = []
 
   for (const s of sections) {
     const n = String(s.name).trim()
     if (/^common$/i.test(n)) {
       common += `\n${s.code}`
+      commonLines.push(...sourceLineEntries(s.code, s.line))
       continue
     }
 
     // Treat any unlabelled chunk as common glue (helps with some files)
     if (s.name === '__implicit__') {
       common += `\n${s.code}`
+      commonLines.push(...sourceLineEntries(s.code, s.line))
       continue
     }
 
-    passes.push({ name: n, code: s.code })
+    passes.push({ name: n, code: s.code, line: s.line })
   }
 
   if (passes.length === 0) {
     // Edge-case: only Common. Render nothing but keep valid.
-    passes.push({ name: 'Image', code: 'void mainImage(out vec4 fragColor, in vec2 fragCoord) { fragColor = vec4(0.0); }' })
+    passes.push({ name: 'Image', code: 'void mainImage(out vec4 fragColor, in vec2 fragCoord) { fragColor = vec4(0.0); }', line: null })
   }
 
-  return { common: common.trim(), passes, debugName }
+  return { common: common.trim(), commonLines, passes, debugName }
 }
 
 function inferPassType(sectionName) {
   const n = String(sectionName).toLowerCase()
   if (n.includes('buffer')) return 'buffer'
   if (n.includes('image')) return 'image'
+  if (n.startsWith('cube')) return 'cubemap'
+  if (n.includes('sound')) return 'sound'
   // default
   return 'image'
 }
@@ -1242,10 +1259,47 @@ function getShadertoyCompatDefines(source) {
   return out
 }
 
+// Cube A pass: renders each cube face in turn (see CUBE_PASS_FACES) with the face's
+// center and axes set on these uniforms.
+const CUBEMAP_MAIN = /* glsl */ `
+uniform vec3 _stCubeFace;
+uniform vec3 _stCubeRight;
+uniform vec3 _stCubeUp;
+
+void main() {
+  vec4 fragColor = vec4(0.0);
+  vec2 fragCoord = gl_FragCoord.xy;
+  vec2 st = fragCoord / iResolution.xy * 2.0 - 1.0;
+  mainCubemap(fragColor, fragCoord, vec3(0.0), normalize(_stCubeFace + st.x * _stCubeRight + st.y * _stCubeUp));
+  gl_FragColor = fragColor;
+}
+`
+
+// Sound pass: one stereo sample per pixel, row by row from _stSoundOffset, as 16-bit
+// left / right values split over the RGBA bytes (decoded in _renderSoundBlock()).
+// Older shaders declare `vec2 mainSound(float time)`.
+function soundMain(source) {
+  const withSampleIndex = /\bmainSound\s*\(\s*(in\s+)?int\b/.test(source)
+  return `
+uniform float _stSoundOffset;
+
+void main() {
+  float samp = _stSoundOffset + floor(gl_FragCoord.y) * ${SHADER_SOUND_BLOCK_SIZE}.0 + floor(gl_FragCoord.x);
+  vec2 y = clamp(mainSound(${withSampleIndex ? 'int(samp), ' : ''}samp / iSampleRate), -1.0, 1.0);
+  vec2 v = floor((0.5 + 0.5 * y) * 65535.0 + 0.5);
+  vec2 hi = floor(v / 256.0);
+  vec2 lo = v - hi * 256.0;
+  gl_FragColor = vec4(lo.x, hi.x, lo.y, hi.y) / 255.0;
+}
+`
+}
+
 function ensureMainWrapper(source, opts = {}) {
   const hasMainImage = /void\s+mainImage\s*\(/.test(source)
   const hasMain = /void\s+main\s*\(/.test(source)
   if (hasMain) return source
+  if (opts.entry === 'cubemap') return /void\s+mainCubemap\s*\(/.test(source) ? `${source}\n${CUBEMAP_MAIN}` : source
+  if (opts.entry === 'sound') return /\bmainSound\s*\(/.test(source) ? `${source}\n${soundMain(source)}` : source
   if (!hasMainImage) return source
 
   const forceOpaqueOutput = !!opts.forceOpaqueOutput
@@ -1344,18 +1398,55 @@ function buildFragmentSource(common, passCode, opts = {}) {
     const want = chTypes[ch] === 'samplerCube' ? 'samplerCube' : 'sampler2D'
     const has2D = new RegExp(`\\buniform\\s+sampler2D\\s+${name}\\b`).test(body)
     const hasCube = new RegExp(`\\buniform\\s+samplerCube\\s+${name}\\b`).test(body)
-    if (!has2D && !hasCube) prelude.push(`uniform ${want} ${name};`)
+    const has3D = new RegExp(`\\buniform\\s+sampler3D\\s+${name}\\b`).test(body)
+    if (!has2D && !hasCube && !has3D) prelude.push(`uniform ${want} ${name};`)
   }
 
   // Channel meta
   if (!/\buniform\s+vec3\s+iChannelResolution\s*\[\s*4\s*\]/.test(body)) prelude.push('uniform vec3 iChannelResolution[4];')
   if (!/\buniform\s+float\s+iChannelTime\s*\[\s*4\s*\]/.test(body)) prelude.push('uniform float iChannelTime[4];')
 
+  // GLSL ES 1.00 has no sampler3D: volumes are bound as 2D atlases of their depth slices
+  // (see makeVolumeTexture()) and texture(iChannelN, vec3) blends the two nearest slices.
+  // All volumes of a pass are sampled with the size of the first one.
+  const volumeChannel = chTypes.indexOf('volume')
+  if (volumeChannel >= 0) {
+    prelude.push(
+      [
+        '#define sampler3D sampler2D',
+        'vec4 _stSampleVolume(sampler2D s, vec3 p) {',
+        `  vec3 size = iChannelResolution[${volumeChannel}];`,
+        '  vec3 q = fract(p);',
+        '  float z = q.z * size.z - 0.5;',
+        '  float z0 = floor(z);',
+        '  float y = clamp(q.y * size.y, 0.5, size.y - 0.5);',
+        '  float h = size.y * size.z;',
+        '  vec4 a = texture2D(s, vec2(q.x, (mod(z0, size.z) * size.y + y) / h));',
+        '  vec4 b = texture2D(s, vec2(q.x, (mod(z0 + 1.0, size.z) * size.y + y) / h));',
+        '  return mix(a, b, z - z0);',
+        '}',
+      ].join('\n')
+    )
+    if (!/\bvec4\s+texture\s*\(/.test(body)) {
+      prelude.push('vec4 texture(sampler2D s, vec3 p) { return _stSampleVolume(s, p); }')
+      prelude.push('vec4 texture(sampler2D s, vec3 p, float bias) { return _stSampleVolume(s, p); }')
+    }
+    if (/\btextureLod\s*\(/.test(body) && !/\bvec4\s+textureLod\s*\(/.test(body)) {
+      prelude.push('vec4 textureLod(sampler2D s, vec3 p, float lod) { return _stSampleVolume(s, p); }')
+    }
+  }
+
   let src = prelude.length ? `${prelude.join('\n')}\n\n${body}` : body
 
+  // Where the pass's own code ended up (1-based lines), for mapping compile errors back.
+  if (opts.lineInfo) {
+    opts.lineInfo.bodyStart = prelude.length ? prelude.join('\n').split('\n').length + 2 : 1
+    opts.lineInfo.bodyEnd = opts.lineInfo.bodyStart + body.split('\n').length - 1
+  }
+
   // Ensure there is a main(). For the final Image pass, default to forcing opaque
   // output so Shadertoy-style alpha=0.0 doesn't become fully transparent.
-  src = ensureMainWrapper(src, { forceOpaqueOutput: !!opts.forceOpaqueOutput })
+  src = ensureMainWrapper(src, { forceOpaqueOutput: !!opts.forceOpaqueOutput, entry: opts.entry })
 
   return src
 }
@@ -1488,25 +1579,141 @@ function imagePassLooksLikePostprocess(fragmentSource) {
   return usesChannel0 && (usesFragCoordSampling || usesChannel0Res)
 }
 
-function makeRenderTarget(w, h) {
+// Filtering / wrapping of a Shadertoy channel sampler (see shadertoyImport.js) on a texture.
+function applyChannelSampler(texture, { filter = 'linear', wrap = 'clamp' } = {}) {
+  const mipmap = filter === 'mipmap' && !texture.isVideoTexture
+  texture.minFilter = filter === 'nearest' ? THREE.NearestFilter : mipmap ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter
+  texture.magFilter = filter === 'nearest' ? THREE.NearestFilter : THREE.LinearFilter
+  texture.generateMipmaps = mipmap
+  texture.wrapS = texture.wrapT = wrap === 'repeat' ? THREE.RepeatWrapping : THREE.ClampToEdgeWrapping
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.sampler] How passes sample it (imported shaders); linear + clamp otherwise.
+ * @param {boolean} [options.float=false] Half-float storage, as Shadertoy's buffers have.
+ */
+function makeRenderTarget(w, h, { sampler = null, float = false } = {}) {
   const rt = new THREE.WebGLRenderTarget(w, h, {
     minFilter: THREE.LinearFilter,
     magFilter: THREE.LinearFilter,
     format: THREE.RGBAFormat,
-    type: THREE.UnsignedByteType,
+    type: float ? THREE.HalfFloatType : THREE.UnsignedByteType,
     depthBuffer: false,
     stencilBuffer: false,
   })
   rt.texture.wrapS = THREE.ClampToEdgeWrapping
   rt.texture.wrapT = THREE.ClampToEdgeWrapping
+  if (sampler) applyChannelSampler(rt.texture, sampler)
   return rt
 }
 
+// Size of the Cube A pass's faces, and each face's center and the directions its x / y
+// pixel axes run in (+X, -X, +Y, -Y, +Z, -Z, as GL lays out cube map faces).
+const CUBE_PASS_SIZE = 1024
+const CUBE_PASS_FACES = [
+  [[1, 0, 0], [0, 0, -1], [0, -1, 0]],
+  [[-1, 0, 0], [0, 0, 1], [0, -1, 0]],
+  [[0, 1, 0], [1, 0, 0], [0, 0, 1]],
+  [[0, -1, 0], [1, 0, 0], [0, 0, -1]],
+  [[0, 0, 1], [1, 0, 0], [0, -1, 0]],
+  [[0, 0, -1], [-1, 0, 0], [0, -1, 0]],
+]
+
+const passKey = (name) => String(name || '').toLowerCase().replace(/\s+/g, '')
+
+const isAutoInput = (input) => input?.type === 'auto'
+
+// Cache key of a loaded channel input (see _getInputTexture()).
+function inputTextureKey(input) {
+  const { filter, wrap, vflip } = input.sampler || {}
+  return [input.type, [input.src || ''].flat().join(','), filter, wrap, vflip].join('|')
+}
+
+// Shadertoy volume files: 'BIN\0', width, height, depth (uint32), channel count (uint8),
+// layout (uint8), format (uint16: 0 = uint8, 10 = float32), then the voxels.
+const VOLUME_FILE_SIGNATURE = 0x004e4942
+
+/**
+ * A Shadertoy `.bin` volume as a 2D atlas: the depth slices stacked vertically, RGBA8
+ * (one-channel volumes land in red, as an R8 texture samples). Repeats across x; the
+ * shader wraps y and z itself (see buildFragmentSource()).
+ * @param {ArrayBuffer} buffer
+ * @returns {THREE.DataTexture} with `userData.volumeSize = [width, height, depth]`
+ * @throws {Error} When it isn't a volume file.
+ */
+function makeVolumeTexture(buffer) {
+  const view = new DataView(buffer)
+  if (buffer.byteLength < 20 || view.getUint32(0, true) !== VOLUME_FILE_SIGNATURE) throw new Error('Not a Shadertoy volume (.bin) file')
+  const [width, height, depth] = [4, 8, 12].map((offset) => view.getUint32(offset, true))
+  const channels = view.getUint8(16)
+  const format = view.getUint16(18, true)
+  const count = width * height * depth
+  const bytesPerValue = format === 10 ? 4 : 1
+  if (![1, 2, 3, 4].includes(channels) || ![0, 10].includes(format) || buffer.byteLength < 20 + count * channels * bytesPerValue) {
+    throw new Error('Unsupported or truncated volume file')
+  }
+  const values = format === 10 ? new Float32Array(buffer, 20, count * channels) : new Uint8Array(buffer, 20, count * channels)
+  const scale = format === 10 ? 255 : 1
+  const data = new Uint8Array(count * 4)
+  for (let i = 0; i < count; i++) {
+    for (let c = 0; c < 4; c++) {
+      data[i * 4 + c] = c < channels ? Math.max(0, Math.min(255, Math.round(values[i * channels + c] * scale))) : c === 3 ? 255 : 0
+    }
+  }
+  const tex = new THREE.DataTexture(data, width, height * depth, THREE.RGBAFormat, THREE.UnsignedByteType)
+  tex.magFilter = THREE.LinearFilter
+  tex.minFilter = THREE.LinearFilter
+  tex.wrapS = THREE.RepeatWrapping
+  tex.wrapT = THREE.ClampToEdgeWrapping
+  tex.userData.volumeSize = [width, height, depth]
+  return tex
+}
+
 function formatGlslLog(log) {
   const text = String(log || '').trim()
   return text.length ? text : null
 }
 
+// Maps lines of a generated fragment shader to lines of the user's file. The compatibility
+// transforms rewrite some lines and add or drop others, so body lines are matched to
+// `origin` ({ text, line } in order) by content; lines that no longer match take the line
+// of the next unmatched one. Prelude and main() wrapper lines map to null.
+function makeLineMapper(fragmentSource, { bodyStart, bodyEnd }, origin) {
+  const lines = String(fragmentSource).split('\n')
+  const map = new Array(lines.length).fill(null)
+  let next = 0
+  for (let i = bodyStart - 1; i < Math.min(bodyEnd, lines.length) && origin.length; i++) {
+    const text = lines[i].trim()
+    // Blank lines and lone braces are everywhere: only match them in place.
+    const limit = text.length <= 2 ? Math.min(next + 1, origin.length) : origin.length
+    let k = next
+    while (k < limit && origin[k].text.trim() !== text) k++
+    if (k < limit) {
+      map[i] = origin[k].line
+      next = k + 1
+    } else {
+      map[i] = origin[Math.min(next, origin.length - 1)].line
+    }
+  }
+  return (line) => map[line - 1] ?? null
+}
+
+// GLSL info log -> [{ severity, line, message }], `line` in the compiled source (null if
+// the entry has none). Handles ANGLE's `ERROR: 0:12: …` and the `0(12) : error …` form.
+function parseGlslLog(log) {
+  return String(log || '')
+    .split('\n')
+    .map((l) => l.trim())
+    .filter((l) => l && !/^(ERROR:\s*)?\d+ compilation errors?/i.test(l))
+    .map((l) => {
+      const m = l.match(/^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i) || l.match(/^\d+\((\d+)\)\s*:\s*(error|warning)\s*\w*:\s*(.*)$/i)
+      if (!m) return { severity: 'error', line: null, message: l }
+      const [severity, line] = /^\d+$/.test(m[1]) ? [m[2], m[1]] : [m[1], m[2]]
+      return { severity: severity.toLowerCase(), line: Number(line), message: m[3] }
+    })
+}
+
 function compileAndLinkProgram(gl, { vertexSource, fragmentSource }) {
   const result = {
     ok: true,
@@ -1566,6 +1773,8 @@ function makeAudioTexture() {
   // 512x2 RGBA:
   // - row 0: FFT (used by many shaders at y ~= 0.25)
   // - row 1: waveform (used by some shaders at y ~= 0.75)
+  // R holds the mono mix (what Shadertoy shaders read); G/B hold the left/right
+  // channels when stereo analysis is available, otherwise they repeat R.
   const width = 512
   const height = 2
   const data = new Uint8Array(width * height * 4)
@@ -1582,7 +1791,9 @@ function makeAudioTexture() {
   tex.wrapS = THREE.ClampToEdgeWrapping
   tex.wrapT = THREE.ClampToEdgeWrapping
   tex.needsUpdate = true
-  return { tex, data, width, height }
+  // Scratch rows the analyser data is resampled into each frame.
+  const rows = { fft: new Uint8Array(width), wave: new Uint8Array(width), fftL: new Uint8Array(width), fftR: new Uint8Array(width), waveL: new Uint8Array(width), waveR: new Uint8Array(width) }
+  return { tex, data, width, height, rows }
 }
 
 function resampleTo512(src, dst /* Uint8Array */) {
@@ -1595,14 +1806,35 @@ function resampleTo512(src, dst /* Uint8Array */) {
 }
 
 export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
-  constructor({ name, source, filePath, shaderConfig } = {}) {
+  /**
+   * @param {Object} options
+   * @param {string} [options.source] The GLSL to run (after injectUniforms()).
+   * @param {string} [options.userSource] The file as written, before uniform injection:
+   *   what the shader editor shows and compile errors are mapped to. Defaults to `source`.
+   * @param {Object<string, Array<Object|null>>} [options.channels] Each pass's iChannel0..3
+   *   inputs by pass name (see shadertoyImport.js), e.g. from a Shadertoy JSON export or a
+   *   shader config's `channels`. Passes without an entry, and `{ type: 'auto' }` channels,
+   *   keep the channel conventions below.
+   */
+  constructor({ name, source, userSource, filePath, shaderConfig, channels } = {}) {
     super()
 
     this.name = name || `Shader: ${niceTitleFromFile(filePath || 'shader')}`
     this._debugName = filePath || this.name
 
     this._source = String(source || '')
+    this._userSource = String(userSource ?? this._source)
     this.shaderConfig = shaderConfig || null
+    this._channels = channels ? Object.fromEntries(Object.entries(channels).map(([pass, inputs]) => [passKey(pass), inputs])) : null
+    /** @type {Map<string, { tex: THREE.Texture|null, video?: HTMLVideoElement, stream?: MediaStream }>} textures / videos loaded for channel inputs */
+    this._inputTextures = new Map()
+
+    /** Compile errors of the running source, see _getCompileErrors(). */
+    this.compileErrors = []
+
+    // The image pass is a full-screen quad that ignores the camera, so it can't be
+    // rendered in tiles via view offsets (see capture/snapshot.js).
+    this.screenSpace = true
 
     this._geo = null
     this._camera = null
@@ -1612,6 +1844,15 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
 
     /** @type {{ name: string, type: 'buffer'|'image', scene: THREE.Scene, mesh: THREE.Mesh, mat: THREE.RawShaderMaterial, rts?: [THREE.WebGLRenderTarget, THREE.WebGLRenderTarget], ping?: 0|1 }[]} */
     this._passes = []
+    // The Cube A pass (rendered into ping-pong cube targets) and the Sound pass (rendered
+    // into `rt` a block at a time and played through `_sound`), when the shader has them.
+    this._cubePass = null
+    this._soundPass = null
+    /** @type {import('../audio/ShaderSound').default|null} */
+    this._sound = null
+    /** @type {ShaderKeyboard|null} key state for channels bound to `keyboard` */
+    this._keyboard = null
+    this._onKeyboardFocusChange = ({ focused }) => this.dispatchEvent({ type: 'keyboardfocus', focused })
 
     this._blackTex = null
     this._noiseTex = null
@@ -1624,6 +1865,7 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     this._imageChannel0Mode = 'audio' // 'audio' | 'noise'
     this._imageChannelTypes = ['sampler2D', 'sampler2D', 'sampler2D', 'sampler2D']
     this._imageUsedChannels = [true, false, false, false]
+    this._imageInputs = null // bound inputs (imported shaders), see _applyChannelInputs()
 
     // Audio
     this._analyser = null
@@ -1677,9 +1919,10 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     this._audio = makeAudioTexture()
     this._audioStartAt = performance.now()
 
-    this._buildPasses()
+    const plan = this._planPasses(this._source, this._userSource)
+    this._buildPasses(plan)
 
-    this._validateShadersAndMaybeShowOverlay()
+    this._validateShadersAndMaybeShowOverlay(plan)
 
     this._resizeTargets()
 
@@ -1790,58 +2033,168 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     if (!this._errorOverlayDismissed) el.style.display = 'block'
   }
 
-  _validateShadersAndMaybeShowOverlay() {
-    if (this._errorOverlayDismissed) return
-    if (!App.renderer) return
-    const gl = App.renderer.getContext?.()
-    if (!gl) return
-
-    const errors = []
-    const pushErrorsForMat = (label, mat) => {
-      if (!mat?.vertexShader || !mat?.fragmentShader) return
-      const r = compileAndLinkProgram(gl, {
-        vertexSource: mat.vertexShader,
-        fragmentSource: mat.fragmentShader,
-      })
-      if (r.ok) return
+  _validateShadersAndMaybeShowOverlay(plan) {
+    this.compileErrors = this._getCompileErrors(plan)
+    this._showCompileErrors(this.compileErrors)
+  }
 
-      const parts = []
-      if (r.vertexLog) parts.push(`VERTEX:\n${r.vertexLog}`)
-      if (r.fragmentLog) parts.push(`FRAGMENT:\n${r.fragmentLog}`)
-      if (r.programLog) parts.push(`LINK:\n${r.programLog}`)
-      errors.push({ label, log: parts.join('\n\n') || '(no info log available)' })
-    }
+  /**
+   * Compiles every pass of a plan (see _planPasses()) on the side, with lines mapped back
+   * to the user's file.
+   * @returns {{ pass: string, severity: 'error'|'warning', line: number|null, message: string }[]}
+   *   `line` is 1-based in the user source, null for messages about generated code or none.
+   */
+  _getCompileErrors(plan) {
+    const gl = App.renderer?.getContext?.()
+    if (!gl || !plan) return []
 
-    for (const p of this._passes) {
-      pushErrorsForMat(`${this._debugName} :: ${p.name}`, p.mat)
-    }
-    if (this._imageMat) {
-      pushErrorsForMat(`${this._debugName} :: Image`, this._imageMat)
+    const errors = []
+    for (const pass of [...plan.buffers, plan.cube, plan.sound, plan.image].filter(Boolean)) {
+      const r = compileAndLinkProgram(gl, { vertexSource: FULLSCREEN_VERT, fragmentSource: pass.frag })
+      if (r.ok && !r.fragmentLog) continue
+      for (const entry of parseGlslLog(r.fragmentLog)) {
+        errors.push({ pass: pass.name, severity: entry.severity, line: entry.line == null ? null : pass.mapLine(entry.line), message: entry.message })
+      }
+      for (const log of [r.vertexLog, r.programLog]) {
+        for (const entry of parseGlslLog(log)) errors.push({ pass: pass.name, severity: entry.severity, line: null, message: entry.message })
+      }
+      if (!r.ok && !errors.some((e) => e.pass === pass.name && e.severity === 'error')) {
+        errors.push({ pass: pass.name, severity: 'error', line: null, message: '(no info log available)' })
+      }
     }
+    return errors
+  }
 
-    if (!errors.length) {
+  _showCompileErrors(errors) {
+    if (this._errorOverlayDismissed) return
+    if (!errors.some((e) => e.severity === 'error')) {
       if (this._errorOverlayEl) this._errorOverlayEl.style.display = 'none'
       return
     }
 
+    const userLines = this._userSource.split(/\r?\n/)
     const lines = []
     lines.push(`Visualizer: ${this.name}`)
     lines.push(`Source: ${this._debugName}`)
     lines.push('')
-    lines.push('Some shaders require WebGL2 or additional Shadertoy features; the logs below should point to the exact line.')
+    lines.push('Some shaders require WebGL2 or additional Shadertoy features; line numbers below refer to the shader file.')
     lines.push('')
 
     for (const e of errors) {
-      lines.push('------------------------------------------------------------')
-      lines.push(e.label)
-      lines.push('')
-      lines.push(e.log)
-      lines.push('')
+      lines.push(`${e.pass}${e.line ? `, line ${e.line}` : ''}: ${e.severity.toUpperCase()}: ${e.message}`)
+      if (e.line && userLines[e.line - 1] != null) lines.push(`    ${userLines[e.line - 1].trim()}`)
     }
 
     this._setErrorOverlayText(lines.join('\n'))
   }
 
+  /** The shader as the user wrote it (what the shader editor edits). */
+  getUserSource() {
+    return this._userSource
+  }
+
+  /**
+   * Hot-reloads the shader from edited source (as written, before uniform injection).
+   * The running passes are only replaced when every pass compiles, so a typo keeps the
+   * last good version on screen. Time carries on; buffers start over.
+   * @param {string} userSource
+   * @returns {{ ok: boolean, errors: Object[] }} errors as in _getCompileErrors()
+   */
+  setSource(userSource) {
+    const text = String(userSource ?? '')
+    const source = this.shaderConfig ? injectUniforms(text, this.shaderConfig) : text
+    const plan = this._planPasses(source, text)
+    const errors = this._getCompileErrors(plan)
+    if (errors.some((e) => e.severity === 'error')) return { ok: false, errors }
+
+    this._source = source
+    this._userSource = text
+    this._replacePasses(plan, errors)
+    return { ok: true, errors }
+  }
+
+  /** @returns {string[]} The passes that can have channel inputs: 'Buffer A'…, 'Cube A', 'Sound', 'Image'. */
+  getPassNames() {
+    return [...this._getOffscreenPasses().map((p) => p.name), 'Image']
+  }
+
+  // The passes rendered into targets before the image pass, in render order.
+  _getOffscreenPasses() {
+    return [...this._passes, this._cubePass, this._soundPass].filter(Boolean)
+  }
+
+  /** @returns {Object<string, Array<Object|null>>} Each pass's channel inputs (see shadertoyImport.js). */
+  getChannelInputs() {
+    const auto = [0, 1, 2, 3].map(() => ({ type: 'auto' }))
+    return Object.fromEntries(this.getPassNames().map((name) => [name, this._channels?.[passKey(name)] || auto]))
+  }
+
+  /** @returns {boolean} Whether a channel reads the keyboard (see ShaderKeyboard.js). */
+  hasKeyboardInput() {
+    return !!this._keyboard
+  }
+
+  /** @returns {boolean} Whether the shader has the keyboard to itself. */
+  hasKeyboardFocus() {
+    return !!this._keyboard?.isExclusive
+  }
+
+  /**
+   * Gives the shader every key, shortcuts included, until Escape (or gives them back).
+   * Dispatches `keyboardfocus` ({ focused }) when it changes.
+   * @param {boolean} focused
+   * @returns {boolean} false when no channel reads the keyboard.
+   */
+  setKeyboardFocus(focused) {
+    if (!this._keyboard) return false
+    this._keyboard.setExclusive(focused)
+    return true
+  }
+
+  /**
+   * Binds one channel of a pass (e.g. a texture picked in the popup) and rebuilds the
+   * passes, as setSource() does: nothing changes when the result doesn't compile.
+   * @param {string} passName 'Image', 'Buffer A', …
+   * @param {number} channel 0..3
+   * @param {Object|null} input See shadertoyImport.js; `{ type: 'auto' }` restores the conventions.
+   * @returns {{ ok: boolean, errors: Object[] }}
+   */
+  setChannelInput(passName, channel, input) {
+    const key = passKey(passName)
+    const previous = this._channels
+    const inputs = [...(previous?.[key] || [0, 1, 2, 3].map(() => ({ type: 'auto' })))]
+    inputs[channel] = input
+    this._channels = { ...previous, [key]: inputs }
+
+    const plan = this._planPasses(this._source, this._userSource)
+    const errors = this._getCompileErrors(plan)
+    if (errors.some((e) => e.severity === 'error')) {
+      this._channels = previous
+      return { ok: false, errors }
+    }
+    this._replacePasses(plan, errors)
+    // Drop what no channel reads anymore (a webcam stops).
+    const used = new Set(Object.values(this._channels).flatMap((list) => list.filter((b) => b && !isAutoInput(b)).map(inputTextureKey)))
+    this._disposeInputTextures((k) => used.has(k))
+    return { ok: true, errors }
+  }
+
+  // Swaps in planned passes, keeping the values the shader's controls (or modulation) set.
+  _replacePasses(plan, errors) {
+    const custom = (this.shaderConfig?.controls || []).filter((c) => c.uniform).map((c) => [c.uniform, this.getUniform(c.uniform)])
+
+    this._buildPasses(plan)
+    for (const [uniform, value] of custom) {
+      if (value !== undefined) this.setUniform(uniform, value, { quiet: true })
+    }
+    this._resizeTargets()
+    this._frame = 0
+
+    this.compileErrors = errors
+    this._errorOverlayDismissed = false
+    this._showCompileErrors(errors)
+  }
+
   _bindAnalyser() {
     if (App.audioManager?.analyserNode) {
       this._analyser = App.audioManager.analyserNode
@@ -1875,7 +2228,66 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     this._mouse.w = -Math.abs(this._mouse.w || 1)
   }
 
-  _buildPasses() {
+  /**
+   * Splits a source into passes and generates each pass's fragment shader, without
+   * touching the GPU, so an edit can be compiled before it replaces the running passes.
+   * @param {string} source What runs (after uniform injection).
+   * @param {string} userSource The file as written, for mapping compile errors.
+   */
+  _planPasses(source, userSource = source) {
+    const parsed = parseShaderSections(source, this._debugName)
+    const origin = parseShaderSections(userSource, this._debugName)
+
+    const planPass = (pass, index, { forceOpaqueOutput = false, entry = 'image' } = {}) => {
+      const combinedSrc = `${parsed.common ? `${parsed.common}\n` : ''}${pass.code}`
+      const inputs = this._channels?.[passKey(pass.name)] || null
+      // Bound cubemaps declare samplerCube (volumes: see buildFragmentSource()); unbound
+      // channels keep what the code suggests.
+      const channelTypes = inferChannelSamplerTypes(combinedSrc).map((type, ch) => {
+        const input = inputs?.[ch]
+        if (!input || input.type === 'auto') return type
+        if (input.type === 'volume') return 'volume'
+        return input.type === 'cubemap' || input.pass === 'Cube A' ? 'samplerCube' : 'sampler2D'
+      })
+      const channelHints = inferChannelHints(combinedSrc)
+      const usedChannels = detectUsedChannels(combinedSrc)
+      const lineInfo = {}
+      const frag = buildFragmentSource(parsed.common, pass.code, { caps: this._caps, channelTypes, channelHints, forceOpaqueOutput, entry, lineInfo })
+      // Uniform injection adds no section markers, so passes line up by position.
+      const originPass = origin.passes[index]
+      const originLines = [...origin.commonLines, ...(originPass ? sourceLineEntries(originPass.code, originPass.line) : [])]
+      return { name: pass.name, frag, inputs, channelTypes, channelHints, usedChannels, mapLine: makeLineMapper(frag, lineInfo, originLines) }
+    }
+
+    // Assign buffer channels sequentially by appearance; duplicates are OK.
+    const buffers = []
+    let cube = null
+    let sound = null
+    let image = null
+
+    parsed.passes.forEach((pass, index) => {
+      const type = inferPassType(pass.name)
+      if (type === 'buffer') {
+        if (buffers.length < 4) buffers.push(planPass(pass, index))
+      } else if (type === 'cubemap') {
+        if (!cube) cube = planPass(pass, index, { entry: 'cubemap' })
+      } else if (type === 'sound') {
+        if (!sound) sound = planPass(pass, index, { entry: 'sound' })
+      } else if (type === 'image') {
+        // If there are multiple Image sections, we just take the last one.
+        image = { index, pass }
+      }
+    })
+
+    return {
+      buffers: buffers.map((p, i) => ({ ...p, name: p.name || `Buffer ${String.fromCharCode(65 + i)}` })),
+      cube,
+      sound,
+      image: image ? planPass(image.pass, image.index, { forceOpaqueOutput: true }) : planPass({ name: 'Image', code: '', line: null }, -1, { forceOpaqueOutput: true }),
+    }
+  }
+
+  _buildPasses(plan = this._planPasses(this._source, this._userSource)) {
     // Cleanup existing
     for (const p of this._passes) {
       p.mat?.dispose?.()
@@ -1885,6 +2297,7 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
       }
     }
     this._passes = []
+    this._disposeCubeAndSoundPasses()
 
     if (this._imageMesh?.parent) {
       this._imageMesh.parent.remove(this._imageMesh)
@@ -1893,35 +2306,17 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     this._imageMat = null
     this._imageMesh = null
 
-    const parsed = parseShaderSections(this._source, this._debugName)
-
-    // Assign buffer channels sequentially by appearance; duplicates are OK.
-    const bufferPasses = []
-    const imagePasses = []
-
-    for (const pass of parsed.passes) {
-      const type = inferPassType(pass.name)
-      if (type === 'buffer') bufferPasses.push(pass)
-      else imagePasses.push(pass)
-    }
-
-    // If there are multiple Image sections, we just take the last one.
-    const imagePass = imagePasses.length ? imagePasses[imagePasses.length - 1] : { name: 'Image', code: '' }
+    // Shaders that wire their buffers explicitly (imports) get Shadertoy's half-float
+    // buffers where they can be rendered to.
+    const wired = Object.values(this._channels || {}).some((inputs) => inputs?.some((b) => b?.type === 'buffer'))
+    const float = wired && !!App.renderer?.capabilities?.isWebGL2 && !!App.renderer.extensions?.has?.('EXT_color_buffer_float')
 
     // Build buffer passes (Buffer A..D)
-    for (let i = 0; i < Math.min(4, bufferPasses.length); i++) {
-      const pass = bufferPasses[i]
-      const chanIndex = i + 1
-
-      const combinedSrc = `${parsed.common ? `${parsed.common}\n` : ''}${pass.code}`
-      const channelTypes = inferChannelSamplerTypes(combinedSrc)
-      const channelHints = inferChannelHints(combinedSrc)
-      const usedChannels = detectUsedChannels(combinedSrc)
-
-      const frag = buildFragmentSource(parsed.common, pass.code, { caps: this._caps, channelTypes, channelHints, forceOpaqueOutput: false })
+    plan.buffers.forEach((pass, i) => {
+      const sampler = this._getBufferSampler(pass.name)
       const mat = new THREE.RawShaderMaterial({
         vertexShader: FULLSCREEN_VERT,
-        fragmentShader: frag,
+        fragmentShader: pass.frag,
         uniforms: this._makeUniforms(),
         depthTest: false,
         depthWrite: false,
@@ -1933,28 +2328,96 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
       scene.add(mesh)
 
       this._passes.push({
-        name: pass.name || `Buffer ${String.fromCharCode(65 + i)}`,
+        name: pass.name,
         type: 'buffer',
         scene,
         mesh,
         mat,
-        rts: [makeRenderTarget(4, 4), makeRenderTarget(4, 4)],
+        rts: [makeRenderTarget(4, 4, { sampler, float }), makeRenderTarget(4, 4, { sampler, float })],
         ping: 0,
-        chanIndex,
-        channelTypes,
-        channelHints,
-        usedChannels,
+        chanIndex: i + 1,
+        inputs: pass.inputs,
+        channelTypes: pass.channelTypes,
+        channelHints: pass.channelHints,
+        usedChannels: pass.usedChannels,
       })
+    })
+
+    // Cube A pass: all six faces each frame, at a fixed size.
+    if (plan.cube) {
+      const { name, frag, inputs, channelTypes, channelHints, usedChannels } = plan.cube
+      const options = {
+        type: float || this._canRenderHalfFloat() ? THREE.HalfFloatType : THREE.UnsignedByteType,
+        minFilter: THREE.LinearFilter,
+        magFilter: THREE.LinearFilter,
+        generateMipmaps: false,
+        depthBuffer: false,
+        stencilBuffer: false,
+      }
+      const rts = [new THREE.WebGLCubeRenderTarget(CUBE_PASS_SIZE, options), new THREE.WebGLCubeRenderTarget(CUBE_PASS_SIZE, options)]
+      const sampler = this._getBufferSampler(name)
+      if (sampler) rts.forEach((rt) => applyChannelSampler(rt.texture, sampler))
+
+      const { scene, mesh, mat } = this._makeOffscreenPass(frag)
+      mat.uniforms.iResolution.value.set(CUBE_PASS_SIZE, CUBE_PASS_SIZE, 1)
+      mat.uniforms._stCubeFace = { value: new THREE.Vector3() }
+      mat.uniforms._stCubeRight = { value: new THREE.Vector3() }
+      mat.uniforms._stCubeUp = { value: new THREE.Vector3() }
+      // Renders after the buffers: by the conventions it reads their current frames.
+      this._cubePass = { name, type: 'cubemap', scene, mesh, mat, rts, ping: 0, chanIndex: plan.buffers.length + 1, inputs, channelTypes, channelHints, usedChannels }
+    }
+
+    // Sound pass: a block of samples whenever the shader sound needs more. Only bound
+    // inputs apply; its other channels stay black.
+    if (plan.sound) {
+      const { name, frag, inputs, channelTypes } = plan.sound
+      const { scene, mesh, mat } = this._makeOffscreenPass(frag)
+      mat.uniforms.iResolution.value.set(SHADER_SOUND_BLOCK_SIZE, SHADER_SOUND_BLOCK_SIZE, 1)
+      mat.uniforms._stSoundOffset = { value: 0 }
+      for (let ch = 0; ch < 4; ch++) this._setChannel(mat, ch, this._blackTex, 'black')
+      const samples = SHADER_SOUND_BLOCK_SIZE * SHADER_SOUND_BLOCK_SIZE
+      this._soundPass = {
+        name,
+        type: 'sound',
+        scene,
+        mesh,
+        mat,
+        rt: makeRenderTarget(SHADER_SOUND_BLOCK_SIZE, SHADER_SOUND_BLOCK_SIZE, { sampler: { filter: 'nearest' } }),
+        pixels: new Uint8Array(samples * 4),
+        left: new Float32Array(samples),
+        right: new Float32Array(samples),
+        inputs,
+        channelTypes,
+      }
+    }
+
+    // The Sound pass plays in place of the track (see AudioManager.startShaderSound()),
+    // from the start after every rebuild as Shadertoy does on recompiling; paused stays paused.
+    if (plan.sound) {
+      const paused = !!this._sound && App.audioManager?.shaderSound === this._sound && !this._sound.isRunning
+      this._sound = App.audioManager?.startShaderSound() || null
+      if (this._sound && paused) App.audioManager.pause()
+    } else {
+      this._stopSound()
+    }
+
+    // Keyboard state is only tracked while some channel reads it.
+    const readsKeyboard = Object.values(this._channels || {}).some((inputs) => inputs?.some((b) => b?.type === 'keyboard'))
+    if (readsKeyboard && !this._keyboard) {
+      this._keyboard = new ShaderKeyboard()
+      this._keyboard.addEventListener('focuschange', this._onKeyboardFocusChange)
+    } else if (!readsKeyboard) {
+      this._disposeKeyboard()
     }
 
     // Image pass
     {
-      const combinedSrc = `${parsed.common ? `${parsed.common}\n` : ''}${imagePass.code}`
-      this._imageChannelTypes = inferChannelSamplerTypes(combinedSrc)
-      this._imageChannelHints = inferChannelHints(combinedSrc)
-      this._imageUsedChannels = detectUsedChannels(combinedSrc)
+      const { frag } = plan.image
+      this._imageChannelTypes = plan.image.channelTypes
+      this._imageChannelHints = plan.image.channelHints
+      this._imageUsedChannels = plan.image.usedChannels
+      this._imageInputs = plan.image.inputs
 
-      const frag = buildFragmentSource(parsed.common, imagePass.code, { caps: this._caps, channelTypes: this._imageChannelTypes, channelHints: this._imageChannelHints, forceOpaqueOutput: true })
       const mat = new THREE.RawShaderMaterial({
         vertexShader: FULLSCREEN_VERT,
         fragmentShader: frag,
@@ -1978,6 +2441,55 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     }
   }
 
+  _makeOffscreenPass(fragmentShader) {
+    const mat = new THREE.RawShaderMaterial({
+      vertexShader: FULLSCREEN_VERT,
+      fragmentShader,
+      uniforms: this._makeUniforms(),
+      depthTest: false,
+      depthWrite: false,
+    })
+    const scene = new THREE.Scene()
+    const mesh = new THREE.Mesh(this._geo, mat)
+    mesh.frustumCulled = false
+    scene.add(mesh)
+    return { scene, mesh, mat }
+  }
+
+  _canRenderHalfFloat() {
+    const renderer = App.renderer
+    if (!renderer?.extensions?.has) return false
+    if (renderer.capabilities?.isWebGL2) return renderer.extensions.has('EXT_color_buffer_float')
+    return renderer.extensions.has('OES_texture_half_float') && renderer.extensions.has('EXT_color_buffer_half_float')
+  }
+
+  _disposeCubeAndSoundPasses() {
+    if (this._cubePass) {
+      this._cubePass.mat.dispose()
+      this._cubePass.rts.forEach((rt) => rt.dispose())
+      this._cubePass = null
+    }
+    if (this._soundPass) {
+      this._soundPass.mat.dispose()
+      this._soundPass.rt.dispose()
+      this._soundPass = null
+    }
+  }
+
+  _disposeKeyboard() {
+    if (!this._keyboard) return
+    this._keyboard.dispose()
+    this._keyboard.removeEventListener('focuschange', this._onKeyboardFocusChange)
+    this._keyboard = null
+  }
+
+  // Back to the track, if the shader sound is still what plays.
+  _stopSound() {
+    if (!this._sound) return
+    App.audioManager?.stopShaderSound(this._sound)
+    this._sound = null
+  }
+
   _makeUniforms() {
     const now = performance.now()
     const res = this._getRenderResolutionVec3()
@@ -2127,31 +2639,42 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     this._analyser.getByteFrequencyData(this._fftBytes)
     this._analyser.getByteTimeDomainData(this._waveBytes)
 
-    const tmpFft = new Uint8Array(512)
-    const tmpWave = new Uint8Array(512)
+    const { rows } = this._audio
+    const tmpFft = rows.fft
+    const tmpWave = rows.wave
     resampleTo512(this._fftBytes, tmpFft)
     resampleTo512(this._waveBytes, tmpWave)
 
+    const stereo = App.audioManager?.stereo
+    const fftL = stereo ? rows.fftL : tmpFft
+    const fftR = stereo ? rows.fftR : tmpFft
+    const waveL = stereo ? rows.waveL : tmpWave
+    const waveR = stereo ? rows.waveR : tmpWave
+    if (stereo) {
+      resampleTo512(stereo.left.frequency, fftL)
+      resampleTo512(stereo.right.frequency, fftR)
+      resampleTo512(stereo.left.waveform, waveL)
+      resampleTo512(stereo.right.waveform, waveR)
+    }
+
     const width = this._audio.width
     const data = this._audio.data
 
     // Row 0: FFT
     for (let i = 0; i < width; i++) {
-      const v = tmpFft[i]
       const o = (i + 0 * width) * 4
-      data[o + 0] = v
-      data[o + 1] = v
-      data[o + 2] = v
+      data[o + 0] = tmpFft[i]
+      data[o + 1] = fftL[i]
+      data[o + 2] = fftR[i]
       data[o + 3] = 255
     }
 
     // Row 1: waveform
     for (let i = 0; i < width; i++) {
-      const v = tmpWave[i]
       const o = (i + 1 * width) * 4
-      data[o + 0] = v
-      data[o + 1] = v
-      data[o + 2] = v
+      data[o + 0] = tmpWave[i]
+      data[o + 1] = waveL[i]
+      data[o + 2] = waveR[i]
       data[o + 3] = 255
     }
 
@@ -2170,6 +2693,7 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
 
     // Update audio
     this._updateAudioTexture()
+    this._keyboard?.update()
 
     // Update date
     const d = new Date()
@@ -2193,12 +2717,13 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
       // Update common uniforms
       this._applyCommonUniforms(pass.mat, t, dt, audioTime)
 
-      // Channel convention:
+      // Channel convention (for channels without bound inputs):
       // - iChannel0: audio
       // - iChannel1: Buffer A (previous when rendering A)
       // - iChannel2: Buffer B
       // - iChannel3: Buffer C
-      this._applyChannelUniformsForPass(pass, prevTex)
+      if (!pass.inputs || pass.inputs.some(isAutoInput)) this._applyChannelUniformsForPass(pass, prevTex)
+      if (pass.inputs) this._applyChannelInputs(pass.mat, pass.inputs, pass.channelTypes)
 
       const prevAutoClear = App.renderer.autoClear
       App.renderer.autoClear = true
@@ -2212,11 +2737,71 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
       pass.ping = nextIndex
     }
 
+    if (this._cubePass) this._renderCubePass(t, dt, audioTime)
+    if (this._soundPass && this._sound) this._renderSoundBlock(t, dt, audioTime)
+
     // Update image pass uniforms (drawn as a mesh in App.scene)
     if (this._imageMat) {
       this._applyCommonUniforms(this._imageMat, t, dt, audioTime)
-      this._applyChannelUniformsForImage(this._imageMat)
+      if (!this._imageInputs || this._imageInputs.some(isAutoInput)) this._applyChannelUniformsForImage(this._imageMat)
+      if (this._imageInputs) this._applyChannelInputs(this._imageMat, this._imageInputs, this._imageChannelTypes)
+    }
+  }
+
+  _renderCubePass(t, dt, audioTime) {
+    const pass = this._cubePass
+    const uniforms = pass.mat.uniforms
+    this._applyCommonUniforms(pass.mat, t, dt, audioTime)
+    if (!pass.inputs || pass.inputs.some(isAutoInput)) this._applyChannelUniformsForPass(pass, null)
+    if (pass.inputs) this._applyChannelInputs(pass.mat, pass.inputs, pass.channelTypes)
+
+    // Channels reading Cube A get the previous frame's faces until the swap.
+    const nextIndex = pass.ping === 0 ? 1 : 0
+    const prevAutoClear = App.renderer.autoClear
+    App.renderer.autoClear = true
+    CUBE_PASS_FACES.forEach(([face, right, up], i) => {
+      uniforms._stCubeFace.value.fromArray(face)
+      uniforms._stCubeRight.value.fromArray(right)
+      uniforms._stCubeUp.value.fromArray(up)
+      App.renderer.setRenderTarget(pass.rts[nextIndex], i)
+      App.renderer.render(pass.scene, this._camera)
+    })
+    App.renderer.setRenderTarget(null)
+    App.renderer.autoClear = prevAutoClear
+    pass.ping = nextIndex
+  }
+
+  // Renders the next block of the Sound pass when the shader sound has run low, and
+  // queues it for playback.
+  _renderSoundBlock(t, dt, audioTime) {
+    // Another source took over (a track was picked, the microphone…).
+    if (App.audioManager?.shaderSound !== this._sound) {
+      this._sound = null
+      return
     }
+    const start = this._sound.nextBlock()
+    if (start < 0) return
+
+    const pass = this._soundPass
+    this._applyCommonUniforms(pass.mat, t, dt, audioTime)
+    if (pass.inputs) this._applyChannelInputs(pass.mat, pass.inputs, pass.channelTypes)
+    pass.mat.uniforms._stSoundOffset.value = start
+    pass.mat.uniforms.iSampleRate.value = this._sound.sampleRate
+
+    const prevAutoClear = App.renderer.autoClear
+    App.renderer.autoClear = true
+    App.renderer.setRenderTarget(pass.rt)
+    App.renderer.render(pass.scene, this._camera)
+    App.renderer.readRenderTargetPixels(pass.rt, 0, 0, SHADER_SOUND_BLOCK_SIZE, SHADER_SOUND_BLOCK_SIZE, pass.pixels)
+    App.renderer.setRenderTarget(null)
+    App.renderer.autoClear = prevAutoClear
+
+    const { pixels, left, right } = pass
+    for (let i = 0; i < left.length; i++) {
+      left[i] = ((pixels[i * 4] + pixels[i * 4 + 1] * 256) / 65535) * 2 - 1
+      right[i] = ((pixels[i * 4 + 2] + pixels[i * 4 + 3] * 256) / 65535) * 2 - 1
+    }
+    this._sound.queue(left, right)
   }
 
   /**
@@ -2224,30 +2809,42 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
    * Used for runtime shader customization via GUI controls.
    * @param {string} uniformName - The name of the uniform to set
    * @param {*} value - The value to set (number, Vector2, Vector3, etc.)
+   * @param {Object} [options]
+   * @param {boolean} [options.quiet=false] - Skip logging (for per-frame updates, e.g. modulation)
    */
-  setUniform(uniformName, value) {
-    console.log(`[ShadertoyMultipassVisualizer] setUniform(${uniformName}, ${value})`)
+  setUniform(uniformName, value, { quiet = false } = {}) {
+    if (!quiet) console.log(`[ShadertoyMultipassVisualizer] setUniform(${uniformName}, ${value})`)
     let updated = 0
     // Update all buffer pass materials
-    for (const pass of this._passes) {
+    for (const pass of this._getOffscreenPasses()) {
       if (pass.mat?.uniforms?.[uniformName]) {
         pass.mat.uniforms[uniformName].value = value
         updated++
-        console.log(`  Updated pass "${pass.name}" uniform ${uniformName} = ${value}`)
+        if (!quiet) console.log(`  Updated pass "${pass.name}" uniform ${uniformName} = ${value}`)
       }
     }
     // Update image material if exists
     if (this._imageMat?.uniforms?.[uniformName]) {
       this._imageMat.uniforms[uniformName].value = value
       updated++
-      console.log(`  Updated image material uniform ${uniformName} = ${value}`)
+      if (!quiet) console.log(`  Updated image material uniform ${uniformName} = ${value}`)
     }
-    if (updated === 0) {
+    if (updated === 0 && !quiet) {
       console.warn(`[ShadertoyMultipassVisualizer] Uniform "${uniformName}" not found in any materials!`)
       console.log('  Available uniforms:', this._imageMat?.uniforms ? Object.keys(this._imageMat.uniforms) : 'none')
     }
   }
 
+  /**
+   * Current value of a custom uniform (image pass first, then the others).
+   * @param {string} uniformName
+   * @returns {*} undefined when no pass declares it
+   */
+  getUniform(uniformName) {
+    if (this._imageMat?.uniforms?.[uniformName]) return this._imageMat.uniforms[uniformName].value
+    return this._getOffscreenPasses().find((pass) => pass.mat?.uniforms?.[uniformName])?.mat.uniforms[uniformName].value
+  }
+
   _applyCommonUniforms(mat, t, dt, audioTime) {
     mat.uniforms.iTime.value = t
     mat.uniforms.iTimeDelta.value = dt
@@ -2285,6 +2882,13 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     return pass.rts[prevIndex].texture
   }
 
+  // What samplerCube channels read by default: the Cube A pass when the shader has one.
+  _getCubeChannel() {
+    const pass = this._cubePass
+    if (pass) return [pass.rts[pass.ping].texture, 'cube']
+    return this._cubeTex ? [this._cubeTex, 'cube'] : [this._blackTex, 'black']
+  }
+
   _setChannel(mat, ch, tex, kind) {
     const uniformName = `iChannel${ch}`
     if (!mat?.uniforms?.[uniformName] || !mat?.uniforms?.iChannelResolution) return
@@ -2307,12 +2911,23 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     }
 
     if (kind === 'cube') {
-      const w = this._cubeTex?.image?.[0]?.width || 1
-      const h = this._cubeTex?.image?.[0]?.height || 1
+      const w = tex?.image?.[0]?.width || 1
+      const h = tex?.image?.[0]?.height || 1
       res[ch].set(w, h, 1)
       return
     }
 
+    if (kind === 'texture') {
+      const image = tex?.image
+      res[ch].set(image?.videoWidth || image?.width || 1, image?.videoHeight || image?.height || 1, 1)
+      return
+    }
+
+    if (kind === 'volume') {
+      res[ch].set(...(tex?.userData?.volumeSize || [1, 1, 1]))
+      return
+    }
+
     if (kind === 'buffer') {
       const r = this._getResolutionVec3()
       res[ch].set(r.x, r.y, 1)
@@ -2323,6 +2938,138 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     res[ch].set(1, 1, 1)
   }
 
+  // The sampler the first pass reading `bufferName` asks for (null: the default).
+  _getBufferSampler(bufferName) {
+    if (!this._channels) return null
+    const key = passKey(bufferName)
+    for (const inputs of Object.values(this._channels)) {
+      const input = inputs?.find((b) => b?.type === 'buffer' && passKey(b.pass) === key)
+      if (input) return input.sampler
+    }
+    return null
+  }
+
+  /**
+   * Binds a pass's declared inputs (imported shaders, shader configs) instead of the
+   * channel conventions; `auto` channels are left to them. A buffer that renders later in
+   * the frame (or the pass itself) gives its previous frame.
+   */
+  _applyChannelInputs(mat, inputs, channelTypes) {
+    for (let ch = 0; ch < 4; ch++) {
+      if (!mat.uniforms[`iChannel${ch}`]) continue
+      const input = inputs[ch]
+      if (isAutoInput(input)) continue
+      const cube = channelTypes?.[ch] === 'samplerCube'
+      const fallback = cube ? this._getCubeChannel() : [this._blackTex, 'black']
+
+      if (input?.type === 'buffer') {
+        const index = this._passes.findIndex((p) => passKey(p.name) === passKey(input.pass))
+        if (index >= 0) this._setChannel(mat, ch, this._getBufferTexture(index + 1), 'buffer')
+        else if (this._cubePass && passKey(input.pass) === passKey(this._cubePass.name) && cube) this._setChannel(mat, ch, ...this._getCubeChannel())
+        else this._setChannel(mat, ch, ...fallback)
+      } else if (input?.type === 'audio' && this._audio?.tex) {
+        this._setChannel(mat, ch, this._audio.tex, 'audio')
+      } else if (input?.type === 'noise' && this._noiseTex && !cube) {
+        this._setChannel(mat, ch, this._noiseTex, 'noise')
+      } else if (input?.type === 'keyboard' && this._keyboard && !cube) {
+        this._setChannel(mat, ch, this._keyboard.texture, 'texture')
+      } else if (['texture', 'cubemap', 'volume', 'video', 'webcam'].includes(input?.type)) {
+        const tex = this._getInputTexture(input)
+        const kind = input.type === 'cubemap' ? 'cube' : input.type === 'volume' ? 'volume' : 'texture'
+        if (tex) this._setChannel(mat, ch, tex, kind)
+        else this._setChannel(mat, ch, ...fallback)
+      } else {
+        this._setChannel(mat, ch, ...fallback)
+      }
+    }
+  }
+
+  /**
+   * The texture for a texture / cubemap / volume / video / webcam input, loaded on first
+   * use (null until it is ready or when it failed).
+   */
+  _getInputTexture(input) {
+    const { vflip } = input.sampler || {}
+    const key = inputTextureKey(input)
+    const entry = this._inputTextures.get(key)
+    if (entry) return entry.tex
+    const next = { tex: null }
+    this._inputTextures.set(key, next)
+
+    const ready = (tex) => {
+      // Destroyed (or rebuilt) while loading.
+      if (this._inputTextures.get(key) !== next) {
+        tex.dispose()
+        return
+      }
+      // Volume atlases keep their own filtering / wrapping (see makeVolumeTexture()).
+      if (!tex.userData.volumeSize) {
+        applyChannelSampler(tex, input.sampler)
+        if (!tex.isCubeTexture) tex.flipY = vflip !== false
+      }
+      tex.needsUpdate = true
+      next.tex = tex
+    }
+    const failed = (error) => console.warn(`[Visualizer] Could not load ${input.type} input ${input.src || ''} for ${this.name}:`, error?.message || error)
+
+    if (input.type === 'texture') {
+      new THREE.TextureLoader().setCrossOrigin('anonymous').load(input.src, ready, undefined, failed)
+    } else if (input.type === 'cubemap') {
+      // Six face URLs, or Shadertoy's naming: the +X face at `src`, the others at `<name>_1` … `<name>_5`.
+      const m = String(input.src).match(/^(.*?)(\.\w+)?$/)
+      const urls = Array.isArray(input.src) ? input.src : [0, 1, 2, 3, 4, 5].map((i) => (i ? `${m[1]}_${i}${m[2] || ''}` : input.src))
+      new THREE.CubeTextureLoader().setCrossOrigin('anonymous').load(urls, ready, undefined, failed)
+    } else if (input.type === 'volume') {
+      fetch(input.src)
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`)
+          return response.arrayBuffer()
+        })
+        .then((buffer) => ready(makeVolumeTexture(buffer)))
+        .catch(failed)
+    } else {
+      const video = document.createElement('video')
+      video.crossOrigin = 'anonymous'
+      video.muted = true
+      video.loop = true
+      video.playsInline = true
+      next.video = video
+      const start = () => video.play().then(() => ready(new THREE.VideoTexture(video)), failed)
+      if (input.type === 'video') {
+        video.src = input.src
+        start()
+      } else {
+        navigator.mediaDevices
+          ?.getUserMedia({ video: true })
+          .then((stream) => {
+            next.stream = stream
+            if (this._inputTextures.get(key) !== next) {
+              stream.getTracks().forEach((track) => track.stop())
+              return
+            }
+            video.srcObject = stream
+            return start()
+          }, failed)
+      }
+    }
+    return null
+  }
+
+  /** @param {(key: string) => boolean} [keep] Entries to keep (all are disposed by default). */
+  _disposeInputTextures(keep = () => false) {
+    for (const [key, entry] of this._inputTextures) {
+      if (keep(key)) continue
+      entry.tex?.dispose()
+      entry.stream?.getTracks().forEach((track) => track.stop())
+      if (entry.video) {
+        entry.video.pause()
+        entry.video.removeAttribute('src')
+        entry.video.srcObject = null
+      }
+      this._inputTextures.delete(key)
+    }
+  }
+
   _applyChannelUniformsForPass(pass, selfPrevTex) {
     const mat = pass.mat
     const hints = pass.channelHints || ['unknown', 'unknown', 'unknown', 'unknown']
@@ -2337,7 +3084,7 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
 
       // Cubemap expectation always wins.
       if (types[ch] === 'samplerCube') {
-        this._setChannel(mat, ch, this._cubeTex || this._blackTex, this._cubeTex ? 'cube' : 'black')
+        this._setChannel(mat, ch, ...this._getCubeChannel())
         continue
       }
 
@@ -2414,7 +3161,7 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
       if (!mat.uniforms[uniformName]) continue
 
       if (chTypes[ch] === 'samplerCube') {
-        this._setChannel(mat, ch, this._cubeTex || this._blackTex, this._cubeTex ? 'cube' : 'black')
+        this._setChannel(mat, ch, ...this._getCubeChannel())
         continue
       }
 
@@ -2498,6 +3245,9 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
       }
     }
     this._passes = []
+    this._disposeCubeAndSoundPasses()
+    this._stopSound()
+    this._disposeKeyboard()
 
     this._imageMat?.dispose?.()
     this._imageMat = null
@@ -2518,6 +3268,8 @@ export default class ShadertoyMultipassVisualizer extends THREE.Object3D {
     if (this._cubeTex) this._cubeTex.dispose()
     this._cubeTex = null
 
+    this._disposeInputTextures()
+
     if (this._errorOverlayEl?.parentNode) {
       this._errorOverlayEl.parentNode.removeChild(this._errorOverlayEl)
     }
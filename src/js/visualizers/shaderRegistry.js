@@ -1,5 +1,6 @@
 import ShadertoyMultipassVisualizer from './ShadertoyMultipassVisualizer'
-import { loadShaderConfig, injectUniforms } from '../shaderCustomization'
+import { loadShaderConfig, injectUniforms, getConfigChannels } from '../shaderCustomization'
+import { mergeShaderChannels, normalizeChannelBinding, normalizeShaderChannels, samePassName } from './shadertoyImport'
 
 // Eager-load all GLSL sources as raw strings.
 // Note: path is relative to this file: src/js/visualizers -> src/shaders
@@ -45,8 +46,10 @@ const entries = Object.entries(shaderModules).map(([filePath, source]) => {
       const visualizer = new ShadertoyMultipassVisualizer({ 
         name: displayName, 
         source: processedSource, 
+        userSource: source,
         filePath,
-        shaderConfig: config
+        shaderConfig: config,
+        channels: mergeShaderChannels(getConfigChannels(config), getShaderChannelOverrides(displayName)),
       })
       
       return visualizer
@@ -59,7 +62,173 @@ export const SHADER_VISUALIZER_NAMES = SHADER_VISUALIZERS.map((e) => e.name)
 
 const factoryMap = new Map(SHADER_VISUALIZERS.map((e) => [e.name, e.create]))
 
+// User shaders: sources edited in the shader editor (or imported from Shadertoy) and
+// saved in the browser, listed alongside the built-in ones. One saved from a built-in
+// shader keeps using that shader's controls config (`basedOn` is its file name);
+// imported ones keep their channel inputs (`channels`, see shadertoyImport.js).
+const USER_SHADERS_STORAGE_KEY = 'visualizer.userShaders'
+const USER_SHADER_SUFFIX = ' (user)'
+
+// Channel inputs picked in the popup for built-in shaders, by visualizer name. They
+// override the shader config's `channels`; a user shader keeps its own in `channels`.
+const SHADER_CHANNELS_STORAGE_KEY = 'visualizer.shaderChannels'
+
+/** @returns {{ name: string, source: string, basedOn: string|null, channels: Object|null, savedAt: string }[]} */
+function getStoredUserShaders() {
+  try {
+    const raw = window.localStorage.getItem(USER_SHADERS_STORAGE_KEY)
+    const list = raw ? JSON.parse(raw) : []
+    return Array.isArray(list) ? list.filter((e) => e && typeof e.name === 'string' && typeof e.source === 'string') : []
+  } catch {
+    return []
+  }
+}
+
+function storeUserShaders(list) {
+  try {
+    window.localStorage.setItem(USER_SHADERS_STORAGE_KEY, JSON.stringify(list))
+    return true
+  } catch {
+    // ignore storage errors (quota)
+    return false
+  }
+}
+
+export function getUserShaderNames() {
+  return stableSortEntries(getStoredUserShaders()).map((e) => e.name)
+}
+
+export function isUserShader(name) {
+  return getStoredUserShaders().some((e) => e.name === name)
+}
+
+// The title a shader is listed under, without the `Shader: ` prefix and user suffix.
+export function getShaderTitle(name) {
+  const title = String(name || '').replace(/^Shader:\s*/, '')
+  return title.endsWith(USER_SHADER_SUFFIX) ? title.slice(0, -USER_SHADER_SUFFIX.length) : title
+}
+
+/**
+ * Saves (or overwrites) a user shader.
+ * @param {Object} shader
+ * @param {string} shader.title Listed as `Shader: <title> (user)`.
+ * @param {string} shader.source GLSL as written (before uniform injection).
+ * @param {string} [shader.basedOn] The shader it was edited from: its controls config and
+ *   channel inputs carry over.
+ * @param {Object} [shader.channels] Channel inputs by pass (imports).
+ * @returns {string|null} The visualizer name, null when it could not be stored.
+ */
+export function saveUserShader({ title, source, basedOn = null, channels = null }) {
+  const clean = String(title || '').replace(/\s+/g, ' ').trim()
+  if (!clean) return null
+  const name = `Shader: ${clean}${USER_SHADER_SUFFIX}`
+
+  const list = getStoredUserShaders()
+  const builtIn = SHADER_VISUALIZERS.find((e) => e.name === basedOn)
+  const origin = builtIn ? null : list.find((e) => e.name === basedOn)
+  const entry = {
+    name,
+    source: String(source ?? ''),
+    basedOn: builtIn ? builtIn.fileName : origin?.basedOn ?? null,
+    channels: normalizeShaderChannels(channels ?? getShaderChannelOverrides(basedOn)),
+    savedAt: new Date().toISOString(),
+  }
+  const index = list.findIndex((e) => e.name === name)
+  if (index >= 0) list[index] = entry
+  else list.push(entry)
+  return storeUserShaders(list) ? name : null
+}
+
+export function deleteUserShader(name) {
+  const list = getStoredUserShaders()
+  const next = list.filter((e) => e.name !== name)
+  return next.length !== list.length && storeUserShaders(next)
+}
+
+async function createUserShaderVisualizer(name) {
+  const entry = getStoredUserShaders().find((e) => e.name === name)
+  if (!entry) return null
+  const config = entry.basedOn ? await loadShaderConfig(entry.basedOn) : null
+  return new ShadertoyMultipassVisualizer({
+    name,
+    source: config ? injectUniforms(entry.source, config) : entry.source,
+    userSource: entry.source,
+    filePath: `${USER_SHADERS_STORAGE_KEY}/${getShaderTitle(name)}`,
+    shaderConfig: config,
+    channels: mergeShaderChannels(getConfigChannels(config), normalizeShaderChannels(entry.channels)),
+  })
+}
+
+function getStoredChannelOverrides() {
+  try {
+    const raw = window.localStorage.getItem(SHADER_CHANNELS_STORAGE_KEY)
+    const map = raw ? JSON.parse(raw) : {}
+    return map && typeof map === 'object' && !Array.isArray(map) ? map : {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * The channel inputs stored for a shader (picked in the popup, or a user shader's own),
+ * over what its config declares.
+ * @returns {Object<string, Array<Object|null>>|null}
+ */
+export function getShaderChannelOverrides(name) {
+  const user = getStoredUserShaders().find((e) => e.name === name)
+  if (user) return normalizeShaderChannels(user.channels)
+  return normalizeShaderChannels(getStoredChannelOverrides()[name])
+}
+
+/**
+ * Stores one channel input of a shader. `{ type: 'auto' }` goes back to what the config
+ * (or the visualizer's conventions) gives. Files opened for the session (`blob:` URLs)
+ * can't outlive it and are not stored.
+ * @param {string} name Visualizer name.
+ * @param {string} pass 'Image', 'Buffer A', …
+ * @param {number} channel 0..3
+ * @param {Object|null} binding See shadertoyImport.js.
+ * @returns {boolean} Whether it was stored.
+ */
+export function setShaderChannelOverride(name, pass, channel, binding) {
+  const sessionOnly = [binding?.src].flat().some((src) => String(src).startsWith('blob:'))
+  const stored = sessionOnly ? { type: 'auto' } : normalizeChannelBinding(binding)
+
+  const channels = { ...getShaderChannelOverrides(name) }
+  const key = Object.keys(channels).find((k) => samePassName(k, pass)) ?? pass
+  const list = channels[key] || [0, 1, 2, 3].map(() => ({ type: 'auto' }))
+  channels[key] = list.map((b, ch) => (ch === channel ? stored : b))
+  if (channels[key].every((b) => b?.type === 'auto')) delete channels[key]
+  const next = Object.keys(channels).length ? channels : null
+
+  const users = getStoredUserShaders()
+  const user = users.find((e) => e.name === name)
+  if (user) {
+    user.channels = next
+    return storeUserShaders(users) && !sessionOnly
+  }
+  const map = getStoredChannelOverrides()
+  if (next) map[name] = next
+  else delete map[name]
+  try {
+    window.localStorage.setItem(SHADER_CHANNELS_STORAGE_KEY, JSON.stringify(map))
+    return !sessionOnly
+  } catch {
+    // ignore storage errors (quota)
+    return false
+  }
+}
+
 export function createShaderVisualizerByName(name) {
   const fn = factoryMap.get(name)
-  return fn ? fn() : null
+  if (fn) return fn()
+  return isUserShader(name) ? createUserShaderVisualizer(name) : null
+}
+
+// The optional controls config of a shader, without creating the visualizer.
+export async function getShaderConfigByName(name) {
+  const entry = SHADER_VISUALIZERS.find((e) => e.name === name)
+  if (entry) return loadShaderConfig(entry.fileName)
+  const user = getStoredUserShaders().find((e) => e.name === name)
+  return user?.basedOn ? loadShaderConfig(user.basedOn) : null
 }
@@ -0,0 +1,251 @@
+/**
+ * Shadertoy import – turns Shadertoy's JSON export (the `/api/v1/shaders/<id>` response,
+ * or the bare shader object / array of shaders other exporters write) into what
+ * ShadertoyMultipassVisualizer runs:
+ *
+ * - `source`: one file with `// # Common`, `// # Buffer A`…, `// # Image` sections, as
+ *   the .glsl files in src/shaders are written;
+ * - `channels`: each pass's real iChannel0..3 inputs, which replace the channel
+ *   conventions the visualizer otherwise guesses for a plain .glsl file.
+ *
+ * Channel binding shapes (null = nothing bound):
+ *   { type: 'buffer', pass: 'Buffer A', sampler }   (also 'Cube A' for the cubemap pass)
+ *   { type: 'audio', sampler }                        (Shadertoy music / music stream / mic)
+ *   { type: 'keyboard' }
+ *   { type: 'texture' | 'cubemap' | 'volume' | 'video', src, sampler }
+ *   { type: 'webcam', sampler }
+ *   { type: 'noise' }                                 (the visualizer's built-in noise texture)
+ *   { type: 'none' }                                  (black, same as null)
+ *   { type: 'auto' }                                  (the visualizer's channel conventions)
+ * with sampler = { filter: 'nearest'|'linear'|'mipmap', wrap: 'clamp'|'repeat', vflip: boolean }.
+ * A cubemap's `src` is its +X face (the others at `<name>_1` … `<name>_5`, as Shadertoy
+ * names them) or a list of the six face URLs in +X, -X, +Y, -Y, +Z, -Z order. A volume is
+ * a Shadertoy `.bin` volume file.
+ */
+
+export const SHADERTOY_MEDIA_ORIGIN = 'https://www.shadertoy.com'
+
+export const DEFAULT_CHANNEL_SAMPLER = { filter: 'linear', wrap: 'clamp', vflip: true }
+
+export const CHANNEL_INPUT_TYPES = ['auto', 'none', 'audio', 'noise', 'buffer', 'texture', 'cubemap', 'volume', 'video', 'webcam', 'keyboard']
+
+// Binding types that load media from `src`.
+export const MEDIA_INPUT_TYPES = ['texture', 'cubemap', 'volume', 'video']
+
+// Binding types with nothing to sample or load.
+const BARE_INPUT_TYPES = ['auto', 'none', 'noise', 'keyboard']
+
+// Output ids of the buffer / cubemap passes (numeric in the current API, strings in old exports).
+const PASS_OUTPUT_IDS = {
+  257: 'Buffer A',
+  258: 'Buffer B',
+  259: 'Buffer C',
+  260: 'Buffer D',
+  41: 'Cube A',
+  '4dXGR8': 'Buffer A',
+  XsXGR8: 'Buffer B',
+  '4sXGR8': 'Buffer C',
+  XdfGR8: 'Buffer D',
+  '4dX3Rr': 'Cube A',
+}
+
+// Section order in the generated source: what a pass reads from a pass later in the list
+// is that pass's previous frame, as on Shadertoy.
+const PASS_ORDER = ['Common', 'Buffer A', 'Buffer B', 'Buffer C', 'Buffer D', 'Cube A', 'Sound', 'Image']
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v)
+
+/**
+ * @param {Object} [sampler] Shadertoy's input sampler ({ filter, wrap, vflip, … }, strings or booleans).
+ * @returns {{ filter: 'nearest'|'linear'|'mipmap', wrap: 'clamp'|'repeat', vflip: boolean }}
+ */
+export function normalizeChannelSampler(sampler) {
+  const s = isPlainObject(sampler) ? sampler : {}
+  return {
+    filter: ['nearest', 'linear', 'mipmap'].includes(s.filter) ? s.filter : DEFAULT_CHANNEL_SAMPLER.filter,
+    wrap: ['clamp', 'repeat'].includes(s.wrap) ? s.wrap : DEFAULT_CHANNEL_SAMPLER.wrap,
+    vflip: s.vflip === undefined ? DEFAULT_CHANNEL_SAMPLER.vflip : s.vflip === true || s.vflip === 'true',
+  }
+}
+
+// Shadertoy media paths are site-relative (`/media/a/<hash>.png`).
+function mediaUrl(src) {
+  const url = String(src || '')
+  return url.startsWith('/') ? `${SHADERTOY_MEDIA_ORIGIN}${url}` : url
+}
+
+// 'Buffer A'…'Buffer D' / 'Cube A' for a buffer or cubemap-pass input, from its id or preview image.
+function inputPassName(input) {
+  const byId = PASS_OUTPUT_IDS[input.id]
+  if (byId) return byId
+  const buffer = String(input.src || input.filepath || '').match(/buffer0([0-3])\.png$/)
+  if (buffer) return `Buffer ${'ABCD'[Number(buffer[1])]}`
+  return /cubemap00\.png$/.test(String(input.src || input.filepath || '')) ? 'Cube A' : null
+}
+
+/**
+ * One Shadertoy input as a channel binding (see the module comment), null when unsupported.
+ * @param {Object} input An entry of a render pass's `inputs`.
+ */
+export function normalizeChannelInput(input) {
+  if (!isPlainObject(input)) return null
+  const ctype = String(input.ctype || input.type || '').toLowerCase()
+  const sampler = normalizeChannelSampler(input.sampler)
+  const src = mediaUrl(input.src || input.filepath)
+
+  switch (ctype) {
+    case 'buffer': {
+      const pass = inputPassName(input)
+      return pass ? { type: 'buffer', pass, sampler } : null
+    }
+    case 'cubemap': {
+      // The Cube A pass shows up as a cubemap input with a preview image.
+      const pass = inputPassName(input)
+      if (pass === 'Cube A') return { type: 'buffer', pass, sampler }
+      return src ? { type: 'cubemap', src, sampler } : null
+    }
+    case 'music':
+    case 'musicstream':
+    case 'mic':
+      return { type: 'audio', sampler }
+    case 'keyboard':
+      return { type: 'keyboard' }
+    case 'webcam':
+      return { type: 'webcam', sampler }
+    case 'texture':
+    case 'volume':
+    case 'video':
+      return src ? { type: ctype, src, sampler } : null
+    default:
+      return null
+  }
+}
+
+// 'Buffer A' etc. for a render pass (falls back to the pass type for unnamed passes).
+function renderPassName(pass) {
+  const type = String(pass.type || '').toLowerCase()
+  if (type === 'image') return 'Image'
+  if (type === 'common') return 'Common'
+  if (type === 'sound') return 'Sound'
+  const byOutput = (pass.outputs || []).map((o) => PASS_OUTPUT_IDS[o?.id]).find(Boolean)
+  if (byOutput) return byOutput
+  const named = String(pass.name || '')
+    .trim()
+    .match(/^(buffer\s*[a-d]|cube\s*a)$/i)
+  if (!named) return null
+  const id = named[1].toLowerCase().replace(/\s+/g, '')
+  return id.startsWith('cube') ? 'Cube A' : `Buffer ${id.slice(-1).toUpperCase()}`
+}
+
+/**
+ * Converts a Shadertoy JSON export.
+ * @param {string|Object} json The export (text or parsed).
+ * @returns {{ title: string, author: string, description: string, url: string, source: string, channels: Object<string, Array<Object|null>> }}
+ * @throws {Error} When it isn't a Shadertoy shader or has no image pass.
+ */
+export function parseShadertoyJson(json) {
+  let data = json
+  if (typeof json === 'string') {
+    try {
+      data = JSON.parse(json)
+    } catch {
+      throw new Error('Not valid JSON')
+    }
+  }
+  const shader = isPlainObject(data?.Shader) ? data.Shader : Array.isArray(data) ? data[0] : data
+  if (!isPlainObject(shader) || !Array.isArray(shader.renderpass)) throw new Error('Not a Shadertoy shader export (no "renderpass" list)')
+
+  const info = isPlainObject(shader.info) ? shader.info : {}
+  const passes = new Map()
+  for (const pass of shader.renderpass) {
+    if (!isPlainObject(pass) || typeof pass.code !== 'string') continue
+    const name = renderPassName(pass)
+    if (!name || passes.has(name)) continue
+    const inputs = [null, null, null, null]
+    for (const input of Array.isArray(pass.inputs) ? pass.inputs : []) {
+      const channel = Number(input?.channel)
+      if (channel >= 0 && channel <= 3) inputs[channel] = normalizeChannelInput(input)
+    }
+    passes.set(name, { code: pass.code.replace(/\r\n?/g, '\n').trimEnd(), inputs })
+  }
+  if (!passes.has('Image')) throw new Error('The shader has no Image pass')
+
+  const title = String(info.name || '').trim() || 'Shadertoy Import'
+  const author = String(info.username || '').trim()
+  const url = info.id ? `${SHADERTOY_MEDIA_ORIGIN}/view/${info.id}` : ''
+
+  const header = [`// "${title}"${author ? ` by ${author}` : ''}${url ? ` – ${url}` : ''}`, '// Imported from a Shadertoy JSON export.']
+  const sections = PASS_ORDER.filter((name) => passes.has(name)).map((name) => `// # ${name}\n${passes.get(name).code}`)
+
+  const channels = {}
+  for (const [name, pass] of passes) {
+    if (name !== 'Common') channels[name] = pass.inputs
+  }
+
+  return {
+    title,
+    author,
+    description: String(info.description || ''),
+    url,
+    source: `${header.join('\n')}\n\n${sections.join('\n\n')}\n`,
+    channels,
+  }
+}
+
+/**
+ * Validates stored channel bindings (user shader storage).
+ * @returns {Object<string, Array<Object|null>>|null}
+ */
+export function normalizeShaderChannels(channels) {
+  if (!isPlainObject(channels)) return null
+  const out = {}
+  for (const [name, list] of Object.entries(channels)) {
+    if (!Array.isArray(list)) continue
+    out[name] = [0, 1, 2, 3].map((ch) => normalizeChannelBinding(list[ch]))
+  }
+  return Object.keys(out).length ? out : null
+}
+
+/**
+ * Validates one channel binding (see the module comment), null when it can't be used.
+ * @param {Object} binding
+ * @returns {Object|null}
+ */
+export function normalizeChannelBinding(binding) {
+  if (!isPlainObject(binding) || !CHANNEL_INPUT_TYPES.includes(binding.type)) return null
+  const { type } = binding
+  if (BARE_INPUT_TYPES.includes(type)) return { type }
+  const sampler = normalizeChannelSampler(binding.sampler)
+  if (type === 'buffer') return typeof binding.pass === 'string' ? { type, pass: binding.pass, sampler } : null
+  if (!MEDIA_INPUT_TYPES.includes(type)) return { type, sampler }
+  const src = type === 'cubemap' && Array.isArray(binding.src) ? binding.src.map(String) : binding.src
+  if (Array.isArray(src) ? src.length !== 6 : typeof src !== 'string' || !src) return null
+  return { type, src, sampler }
+}
+
+/**
+ * Lays `overrides` over `base` channel by channel: a pass's binding in `overrides` wins
+ * unless it is `{ type: 'auto' }`, which leaves the one in `base`.
+ * @param {Object<string, Array<Object|null>>|null} base
+ * @param {Object<string, Array<Object|null>>|null} overrides
+ * @returns {Object<string, Array<Object|null>>|null}
+ */
+export function mergeShaderChannels(base, overrides) {
+  if (!base || !overrides) return base || overrides || null
+  const out = { ...base }
+  for (const [name, list] of Object.entries(overrides)) {
+    const key = Object.keys(out).find((k) => samePassName(k, name)) ?? name
+    const under = out[key] || [0, 1, 2, 3].map(() => ({ type: 'auto' }))
+    out[key] = list.map((b, ch) => (b?.type === 'auto' ? under[ch] : b))
+  }
+  return out
+}
+
+// 'Buffer A', 'buffer a' and 'BufferA' name the same pass.
+export function samePassName(a, b) {
+  const key = (name) =>
+    String(name || '')
+      .toLowerCase()
+      .replace(/\s+/g, '')
+  return key(a) === key(b)
+}
@@ -0,0 +1,206 @@
+/**
+ * Visualizer catalog – favorites, star ratings, user tags and "recently used"
+ * on top of the registries' names, plus fuzzy search over all of it.
+ *
+ * Pure data helpers: the main page owns the catalog (persisted in localStorage
+ * and mirrored to the controls popup), both sides search it with the same code.
+ * Categories come from the registries' naming (`Shader: …`, `M: …`), so this
+ * module doesn't have to import (or wait for) any registry.
+ */
+
+export const CATALOG_CATEGORIES = ['entity', 'shader', 'milkdrop']
+
+export const MAX_RECENT = 20
+export const MAX_RATING = 5
+
+const CATEGORY_PREFIXES = { shader: 'Shader: ', milkdrop: 'M: ' }
+
+export function getVisualizerCategory(name) {
+  const n = String(name)
+  if (n.startsWith(CATEGORY_PREFIXES.milkdrop)) return 'milkdrop'
+  if (n.startsWith(CATEGORY_PREFIXES.shader)) return 'shader'
+  return 'entity'
+}
+
+export function createCatalog() {
+  return { favorites: [], ratings: {}, tags: {}, recent: [] }
+}
+
+function normalizeTag(tag) {
+  return String(tag ?? '').trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-')
+}
+
+/**
+ * Validates a stored / received catalog; anything malformed is dropped.
+ */
+export function normalizeCatalog(raw) {
+  const catalog = createCatalog()
+  if (!raw || typeof raw !== 'object') return catalog
+  const names = (list) => (Array.isArray(list) ? [...new Set(list.filter((n) => typeof n === 'string' && n))] : [])
+
+  catalog.favorites = names(raw.favorites)
+  catalog.recent = names(raw.recent).slice(0, MAX_RECENT)
+  for (const [name, rating] of Object.entries(raw.ratings || {})) {
+    const r = Math.round(Number(rating))
+    if (r >= 1 && r <= MAX_RATING) catalog.ratings[name] = r
+  }
+  for (const [name, tags] of Object.entries(raw.tags || {})) {
+    const list = Array.isArray(tags) ? [...new Set(tags.map(normalizeTag).filter(Boolean))] : []
+    if (list.length) catalog.tags[name] = list
+  }
+  return catalog
+}
+
+/**
+ * Applies a change to one visualizer's entry. Returns the catalog (mutated).
+ * @param {{ favorite?: boolean, rating?: number, tags?: string[]|string }} changes
+ *   `rating` 0 clears it; `tags` may be a comma-separated string.
+ */
+export function updateCatalogEntry(catalog, name, { favorite, rating, tags } = {}) {
+  if (!name) return catalog
+  if (typeof favorite === 'boolean') {
+    catalog.favorites = catalog.favorites.filter((n) => n !== name)
+    if (favorite) catalog.favorites.push(name)
+  }
+  if (rating !== undefined) {
+    const r = Math.round(Number(rating))
+    if (r >= 1 && r <= MAX_RATING) catalog.ratings[name] = r
+    else delete catalog.ratings[name]
+  }
+  if (tags !== undefined) {
+    const list = (typeof tags === 'string' ? tags.split(',') : Array.isArray(tags) ? tags : []).map(normalizeTag).filter(Boolean)
+    if (list.length) catalog.tags[name] = [...new Set(list)]
+    else delete catalog.tags[name]
+  }
+  return catalog
+}
+
+export function recordRecent(catalog, name) {
+  if (!name) return catalog
+  catalog.recent = [name, ...catalog.recent.filter((n) => n !== name)].slice(0, MAX_RECENT)
+  return catalog
+}
+
+export function getAllTags(catalog) {
+  return [...new Set(Object.values(catalog.tags).flat())].sort()
+}
+
+/**
+ * Relative pick weight for random selection (auto-pilot): favorites and
+ * well-rated visualizers come up more often; unrated ones count as 3 stars.
+ */
+export function getCatalogWeight(catalog, name) {
+  const rating = catalog.ratings[name] || 3
+  return (catalog.favorites.includes(name) ? 4 : 1) * (rating / 3)
+}
+
+/**
+ * Fuzzy match score of `query` in `text` (higher is better), or -1 when the
+ * characters of `query` don't all appear in order. Substrings, word starts and
+ * consecutive runs score highest.
+ */
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase()
+  const t = text.toLowerCase()
+  if (!q) return 0
+
+  const index = t.indexOf(q)
+  if (index >= 0) {
+    const atWord = index === 0 || /[^a-z0-9]/.test(t[index - 1])
+    return 1000 + q.length * 10 - index + (atWord ? 200 : 0)
+  }
+
+  let score = 0
+  let ti = 0
+  let run = 0
+  for (let qi = 0; qi < q.length; qi++) {
+    const found = t.indexOf(q[qi], ti)
+    if (found < 0) return -1
+    run = found === ti ? run + 1 : 0
+    const atWord = found === 0 || /[^a-z0-9]/.test(t[found - 1])
+    score += 10 + run * 5 + (atWord ? 15 : 0) - Math.min(10, found - ti)
+    ti = found + 1
+  }
+  return score
+}
+
+/**
+ * Filters and orders visualizer names.
+ * @param {string[]} names All available names (App.visualizerList).
+ * @param {Object} catalog
+ * @param {Object} [options]
+ * @param {string} [options.query] Fuzzy text; `#tag` terms must match a tag exactly.
+ * @param {'all'|'favorites'|'recent'|'entity'|'shader'|'milkdrop'} [options.category]
+ * @param {string} [options.tag] Only names carrying this tag.
+ * @param {number} [options.minRating] Only names rated at least this.
+ * @param {'list'|'name'|'rating'|'recent'} [options.sort] Order without a query (a query sorts
+ *   by match); 'list' keeps the order of `names`.
+ * @returns {string[]}
+ */
+export function searchCatalog(names, catalog, { query = '', category = 'all', tag = '', minRating = 0, sort = 'list' } = {}) {
+  const terms = String(query).trim().split(/\s+/).filter(Boolean)
+  const tagTerms = terms.filter((t) => t.startsWith('#')).map(normalizeTag).filter(Boolean)
+  const textTerms = terms.filter((t) => !t.startsWith('#'))
+  const favorites = new Set(catalog.favorites)
+  const recentRank = new Map(catalog.recent.map((n, i) => [n, i]))
+  const wantedTag = normalizeTag(tag)
+
+  const results = []
+  for (const name of names) {
+    if (category === 'favorites' && !favorites.has(name)) continue
+    if (category === 'recent' && !recentRank.has(name)) continue
+    if (CATALOG_CATEGORIES.includes(category) && getVisualizerCategory(name) !== category) continue
+    if (minRating > 0 && (catalog.ratings[name] || 0) < minRating) continue
+
+    const tags = catalog.tags[name] || []
+    if (wantedTag && !tags.includes(wantedTag)) continue
+    if (tagTerms.some((t) => !tags.includes(t))) continue
+
+    let score = 0
+    let matched = true
+    for (const term of textTerms) {
+      // Each term may match the name or one of the tags.
+      const best = Math.max(fuzzyScore(term, name), ...tags.map((t) => fuzzyScore(term, t) - 100))
+      if (best < 0) {
+        matched = false
+        break
+      }
+      score += best
+    }
+    if (!matched) continue
+    // Small nudge so favorites / good ratings win ties.
+    score += (favorites.has(name) ? 5 : 0) + (catalog.ratings[name] || 0)
+    results.push({ name, score })
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })
+  if (textTerms.length) {
+    results.sort((a, b) => b.score - a.score || byName(a, b))
+  } else if (category === 'recent' || sort === 'recent') {
+    const rank = (n) => (recentRank.has(n) ? recentRank.get(n) : Infinity)
+    results.sort((a, b) => rank(a.name) - rank(b.name) || byName(a, b))
+  } else if (sort === 'rating') {
+    results.sort((a, b) => (catalog.ratings[b.name] || 0) - (catalog.ratings[a.name] || 0) || byName(a, b))
+  } else if (sort === 'name') {
+    results.sort(byName)
+  }
+  return results.map((r) => r.name)
+}
+
+/**
+ * Dropdown label: favorites get a star in front, ratings are shown after the name.
+ */
+export function getCatalogLabel(catalog, name) {
+  const rating = catalog.ratings[name]
+  return `${catalog.favorites.includes(name) ? '★ ' : ''}${name}${rating ? ` (${rating}/${MAX_RATING})` : ''}`
+}
+
+// "Show" filter options for the visualizer dropdowns (label -> searchCatalog category).
+export const CATALOG_FILTERS = {
+  All: 'all',
+  Favorites: 'favorites',
+  'Recently Used': 'recent',
+  Entities: 'entity',
+  Shaders: 'shader',
+  MilkDrop: 'milkdrop',
+}